@@ -0,0 +1,125 @@
+// Loads the MediaPipe scripts from the configured asset location, registers the
+// service worker that keeps them (and the app) available offline, and collects
+// assets that fail to load so the page can say what went wrong.
+
+// ?assets=<auto|local|cdn|URL>, else <meta name="mediapipe-assets" content="...">, else auto
+function getAssetSetting() {
+  const param = new URLSearchParams(location.search).get('assets');
+  if (param) return param;
+
+  const meta = document.querySelector('meta[name="mediapipe-assets"]');
+  return meta && meta.content ? meta.content : 'auto';
+}
+
+// 'auto' uses the self-hosted copy when it's there, and the CDN otherwise
+async function resolveAssetBaseUrl(setting) {
+  if (setting !== 'auto') return assetBaseUrl(setting);
+
+  const { localUrl, cdnUrl, packages } = MEDIAPIPE_ASSET_MANIFEST;
+  const probe = `${localUrl}/${mediapipePackagePath('pose')}/${packages.pose.script}`;
+  try {
+    const response = await fetch(probe, { method: 'HEAD' });
+    return response.ok ? localUrl : cdnUrl;
+  } catch (error) {
+    return cdnUrl;
+  }
+}
+
+class AssetDiagnostics {
+  constructor() {
+    this.failures = [];
+    this.callbacks = [];
+  }
+
+  onFailure(callback) {
+    this.callbacks.push(callback);
+  }
+
+  // Record an asset that failed to load; each URL is reported once
+  report({ url, status }) {
+    const existing = this.failures.find(failure => failure.url === url);
+    if (existing) return existing;
+
+    const failure = {
+      url,
+      status: status || null,
+      offline: typeof navigator !== 'undefined' && navigator.onLine === false
+    };
+    failure.message = describeAssetFailure(failure);
+    this.failures.push(failure);
+
+    console.error(`Asset failed to load: ${failure.message}`);
+    this.callbacks.forEach(callback => callback(failure));
+    return failure;
+  }
+}
+
+const assetDiagnostics = new AssetDiagnostics();
+
+function loadScript(url) {
+  return new Promise((resolve, reject) => {
+    const script = document.createElement('script');
+    script.src = url;
+    script.crossOrigin = 'anonymous';
+    script.onload = () => resolve();
+    script.onerror = () => reject(new Error(`Failed to load ${url}`));
+    document.head.appendChild(script);
+  });
+}
+
+// HTTP status of a URL, or null when it can't be reached at all
+async function fetchStatus(url) {
+  try {
+    const response = await fetch(url, { method: 'HEAD' });
+    return response.status;
+  } catch (error) {
+    return null;
+  }
+}
+
+// Load a module's solution script from its package folder, unless a <script>
+// tag already defined the class
+async function loadMediaPipeScript(module, folderUrl) {
+  const entry = MEDIAPIPE_ASSET_MANIFEST.packages[module];
+  if (typeof window[entry.className] !== 'undefined') return;
+
+  const url = `${folderUrl}/${entry.script}`;
+  try {
+    await loadScript(url);
+  } catch (error) {
+    // A failed <script> doesn't say why, so ask for the status separately
+    const failure = assetDiagnostics.report({ url, status: await fetchStatus(url) });
+    throw new Error(failure.message);
+  }
+}
+
+// Register the service worker that precaches the app and the MediaPipe files under baseUrl
+async function enableOfflineCache(baseUrl) {
+  if (typeof navigator === 'undefined' || !('serviceWorker' in navigator)) return null;
+  if (!window.isSecureContext) {
+    console.info('Offline cache needs https or localhost; skipping the service worker');
+    return null;
+  }
+
+  // The service worker reports files it couldn't fetch or find in the cache
+  navigator.serviceWorker.addEventListener('message', (event) => {
+    if (event.data && event.data.type === 'asset-failed') {
+      assetDiagnostics.report(event.data);
+    }
+  });
+
+  try {
+    return await navigator.serviceWorker.register(`service-worker.js?assets=${encodeURIComponent(baseUrl)}`);
+  } catch (error) {
+    console.warn(`Service worker registration failed: ${error.message}`);
+    return null;
+  }
+}
+
+// Banner listing the assets that failed, hidden while there are none
+function renderAssetDiagnostics(container, diagnostics) {
+  container.classList.toggle('visible', diagnostics.failures.length > 0);
+  container.innerHTML = diagnostics.failures
+    .map(failure => `<p>⚠️ ${failure.message}</p>`)
+    .join('');
+}
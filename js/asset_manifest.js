@@ -0,0 +1,105 @@
+// MediaPipe asset manifest: the pinned package versions and every file each one
+// loads, so the same versions come from the CDN or from a self-hosted copy, and
+// the service worker knows what to cache for offline use.
+// Self-hosted layout: <base>/<name>@<version>/<file>, e.g.
+// vendor/mediapipe/pose@0.5.1635988162/pose.js (download with `npm run assets`).
+
+const MEDIAPIPE_ASSET_MANIFEST = {
+  version: 1,
+  cdnUrl: 'https://cdn.jsdelivr.net/npm/@mediapipe',
+  localUrl: 'vendor/mediapipe',
+  packages: {
+    pose: {
+      name: 'pose',
+      version: '0.5.1635988162',
+      className: 'Pose',
+      script: 'pose.js',
+      files: [
+        'pose.js',
+        'pose_solution_packed_assets_loader.js',
+        'pose_solution_packed_assets.data',
+        'pose_solution_simd_wasm_bin.js',
+        'pose_solution_simd_wasm_bin.wasm',
+        'pose_solution_wasm_bin.js',
+        'pose_solution_wasm_bin.wasm',
+        'pose_web.binarypb',
+        'pose_landmark_lite.tflite',
+        'pose_landmark_full.tflite',
+        'pose_landmark_heavy.tflite'
+      ]
+    },
+    face: {
+      name: 'face_mesh',
+      version: '0.4.1633559619',
+      className: 'FaceMesh',
+      script: 'face_mesh.js',
+      files: [
+        'face_mesh.js',
+        'face_mesh_solution_packed_assets_loader.js',
+        'face_mesh_solution_packed_assets.data',
+        'face_mesh_solution_simd_wasm_bin.js',
+        'face_mesh_solution_simd_wasm_bin.wasm',
+        'face_mesh_solution_wasm_bin.js',
+        'face_mesh_solution_wasm_bin.wasm',
+        'face_mesh.binarypb'
+      ]
+    },
+    hands: {
+      name: 'hands',
+      version: '0.4.1646424915',
+      className: 'Hands',
+      script: 'hands.js',
+      files: [
+        'hands.js',
+        'hands_solution_packed_assets_loader.js',
+        'hands_solution_packed_assets.data',
+        'hands_solution_simd_wasm_bin.js',
+        'hands_solution_simd_wasm_bin.wasm',
+        'hands_solution_wasm_bin.js',
+        'hands_solution_wasm_bin.wasm',
+        'hands.binarypb',
+        'hand_landmark_lite.tflite',
+        'hand_landmark_full.tflite'
+      ]
+    }
+  }
+};
+
+// Package folder for a module, e.g. 'pose@0.5.1635988162'
+function mediapipePackagePath(module) {
+  const entry = MEDIAPIPE_ASSET_MANIFEST.packages[module];
+  if (!entry) {
+    throw new Error(`Unknown MediaPipe module "${module}"`);
+  }
+  return `${entry.name}@${entry.version}`;
+}
+
+// Turn an asset setting ('cdn', 'local' or a base URL) into a base URL
+function assetBaseUrl(setting) {
+  if (!setting || setting === 'cdn') return MEDIAPIPE_ASSET_MANIFEST.cdnUrl;
+  if (setting === 'local') return MEDIAPIPE_ASSET_MANIFEST.localUrl;
+  return setting.replace(/\/+$/, '');
+}
+
+// Every file URL of every module under a base URL
+function mediapipeAssetUrls(baseUrl) {
+  return Object.keys(MEDIAPIPE_ASSET_MANIFEST.packages).flatMap(module => {
+    const folder = `${baseUrl}/${mediapipePackagePath(module)}`;
+    return MEDIAPIPE_ASSET_MANIFEST.packages[module].files.map(file => `${folder}/${file}`);
+  });
+}
+
+// A user-facing explanation of why an asset didn't load and what to do about it
+function describeAssetFailure({ url, status, offline }) {
+  const file = url.split('/').pop();
+  const selfHosted = !url.startsWith(MEDIAPIPE_ASSET_MANIFEST.cdnUrl);
+
+  if (offline && !selfHosted) {
+    return `You're offline and ${file} hasn't been saved for offline use yet. Open BachataBot once with an internet connection, or self-host the MediaPipe files (npm run assets).`;
+  }
+  if (status === 404 && selfHosted) {
+    return `${file} is missing from the self-hosted assets (${url}). Run "npm run assets" to download the MediaPipe files, or load the page with ?assets=cdn.`;
+  }
+  const reason = status ? `HTTP ${status}` : 'network error';
+  return `Couldn't load ${file} from ${url} (${reason}). Check the connection or the asset location (?assets=local, ?assets=cdn or ?assets=<url>).`;
+}
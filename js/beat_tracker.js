@@ -0,0 +1,442 @@
+// Music tempo and beat tracking with the Web Audio API.
+// Audio files are analyzed offline (spectral-flux onsets, autocorrelation
+// tempo, phase search and per-beat snapping); the microphone is analyzed
+// continuously and its beat grid re-estimated every second.
+
+class BeatTracker {
+  constructor(options = {}) {
+    // Bachata sits between roughly 110 and 150 BPM; leave headroom either side
+    this.minBpm = options.minBpm || 90;
+    this.maxBpm = options.maxBpm || 170;
+    this.liveWindowSeconds = options.liveWindowSeconds || 8;
+
+    this.audioContext = null;
+    this.mode = null;
+    this.buffer = null;
+    this.bufferSource = null;
+    this.playing = false;
+    this.playStartTime = 0;
+    this.playOffset = 0;
+    this.streamDestination = null; // Created when the music is first recorded
+
+    this.micStream = null;
+    this.analyser = null;
+    this.liveTimer = null;
+    this.liveEnvelope = [];
+    this.liveSpectrum = null;
+    this.lastAnalysis = 0;
+
+    this.bpm = null;
+    this.period = null;
+    this.beats = [];
+    this.name = null;
+  }
+
+  ensureContext() {
+    if (!this.audioContext) {
+      const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+      this.audioContext = new AudioContextClass();
+    }
+    return this.audioContext;
+  }
+
+  async loadFile(file) {
+    this.stop();
+    const context = this.ensureContext();
+    this.buffer = await context.decodeAudioData(await file.arrayBuffer());
+
+    const channels = [];
+    for (let i = 0; i < this.buffer.numberOfChannels; i++) {
+      channels.push(this.buffer.getChannelData(i));
+    }
+
+    const analysis = BeatTracker.analyze(channels, this.buffer.sampleRate, {
+      minBpm: this.minBpm,
+      maxBpm: this.maxBpm
+    });
+    if (!analysis) {
+      throw new Error(`No steady beat found in "${file.name}".`);
+    }
+
+    this.bpm = analysis.bpm;
+    this.period = 60 / analysis.bpm;
+    this.beats = analysis.beats;
+    this.mode = 'file';
+    this.name = file.name;
+    this.playOffset = 0;
+  }
+
+  async useMicrophone() {
+    this.stop();
+    const context = this.ensureContext();
+    this.micStream = await navigator.mediaDevices.getUserMedia({
+      audio: { echoCancellation: false, noiseSuppression: false, autoGainControl: false }
+    });
+
+    this.analyser = context.createAnalyser();
+    this.analyser.fftSize = 1024;
+    this.analyser.smoothingTimeConstant = 0;
+    context.createMediaStreamSource(this.micStream).connect(this.analyser);
+
+    this.mode = 'mic';
+    this.name = 'Microphone';
+    this.bpm = null;
+    this.beats = [];
+    this.liveEnvelope = [];
+    this.liveSpectrum = null;
+
+    // The analyser has no hop callback, so sample it on a fixed timer
+    const hopMs = 10;
+    this.liveTimer = setInterval(() => this.sampleMicrophone(hopMs / 1000), hopMs);
+    await context.resume();
+  }
+
+  sampleMicrophone(hopSeconds) {
+    const spectrum = new Float32Array(this.analyser.frequencyBinCount);
+    this.analyser.getFloatFrequencyData(spectrum);
+
+    // Spectral flux on log-magnitude: sum of positive changes per bin
+    let flux = 0;
+    if (this.liveSpectrum) {
+      for (let i = 0; i < spectrum.length; i++) {
+        const difference = Math.max(spectrum[i], -100) - Math.max(this.liveSpectrum[i], -100);
+        if (difference > 0) flux += difference;
+      }
+    }
+    this.liveSpectrum = spectrum;
+
+    const now = this.audioContext.currentTime;
+    this.liveEnvelope.push({ time: now, value: flux });
+    while (this.liveEnvelope.length && now - this.liveEnvelope[0].time > this.liveWindowSeconds) {
+      this.liveEnvelope.shift();
+    }
+
+    if (now - this.lastAnalysis >= 1 && this.liveEnvelope.length > 3 / hopSeconds) {
+      this.lastAnalysis = now;
+      const envelope = BeatTracker.normalizeEnvelope(this.liveEnvelope.map(sample => sample.value));
+      const result = BeatTracker.estimateBeats(envelope, 1 / hopSeconds, this.minBpm, this.maxBpm);
+
+      if (result) {
+        const start = this.liveEnvelope[0].time;
+        this.bpm = result.bpm;
+        this.period = 60 / result.bpm;
+        this.beats = result.beats.map(time => start + time);
+      }
+    }
+  }
+
+  play() {
+    if (this.mode !== 'file' || this.playing) return;
+
+    const context = this.ensureContext();
+    context.resume();
+    this.bufferSource = context.createBufferSource();
+    this.bufferSource.buffer = this.buffer;
+    this.bufferSource.connect(context.destination);
+    if (this.streamDestination) {
+      this.bufferSource.connect(this.streamDestination);
+    }
+    this.bufferSource.onended = () => {
+      if (this.playing && this.currentMusicTime() >= this.buffer.duration - 0.05) {
+        this.playing = false;
+        this.playOffset = 0;
+      }
+    };
+    this.bufferSource.start(0, this.playOffset);
+    this.playStartTime = context.currentTime - this.playOffset;
+    this.playing = true;
+  }
+
+  pause() {
+    if (!this.playing) return;
+
+    this.playOffset = this.currentMusicTime();
+    this.playing = false;
+    this.bufferSource.stop();
+    this.bufferSource = null;
+  }
+
+  stop() {
+    if (this.bufferSource) {
+      this.playing = false;
+      this.bufferSource.stop();
+      this.bufferSource = null;
+    }
+    if (this.liveTimer) {
+      clearInterval(this.liveTimer);
+      this.liveTimer = null;
+    }
+    if (this.micStream) {
+      this.micStream.getTracks().forEach(track => track.stop());
+      this.micStream = null;
+    }
+    this.playOffset = 0;
+    this.mode = null;
+  }
+
+  // The music as a MediaStream for recording clips: the song as it plays, or the microphone
+  getAudioStream() {
+    if (this.mode === 'mic') return this.micStream;
+    if (this.mode !== 'file') return null;
+
+    if (!this.streamDestination) {
+      this.streamDestination = this.ensureContext().createMediaStreamDestination();
+      if (this.bufferSource) {
+        this.bufferSource.connect(this.streamDestination);
+      }
+    }
+    return this.streamDestination.stream;
+  }
+
+  // Position on the beat grid's clock, in seconds
+  currentMusicTime() {
+    if (!this.audioContext) return 0;
+    if (this.mode === 'mic') return this.audioContext.currentTime;
+    return this.playing ? this.audioContext.currentTime - this.playStartTime : this.playOffset;
+  }
+
+  // Whether the beat grid's clock is moving: the song is playing or the microphone is listening
+  isRunning() {
+    return this.mode === 'mic' || this.playing;
+  }
+
+  hasBeats() {
+    return this.beats.length > 0 && !!this.period;
+  }
+
+  // Closest beat to `time`; live grids extend past the analysis window at the current tempo
+  nearestBeat(time) {
+    if (!this.hasBeats()) return null;
+
+    const first = this.beats[0];
+    const last = this.beats[this.beats.length - 1];
+
+    if (time > last) {
+      const index = Math.round((time - last) / this.period);
+      return { time: last + index * this.period, index: this.beats.length - 1 + index, period: this.period };
+    }
+    if (time < first) {
+      const index = Math.round((first - time) / this.period);
+      return { time: first - index * this.period, index: -index, period: this.period };
+    }
+
+    let low = 0;
+    let high = this.beats.length - 1;
+    while (high - low > 1) {
+      const mid = (low + high) >> 1;
+      if (this.beats[mid] <= time) {
+        low = mid;
+      } else {
+        high = mid;
+      }
+    }
+    const index = time - this.beats[low] <= this.beats[high] - time ? low : high;
+    return { time: this.beats[index], index, period: this.period };
+  }
+
+  // Offline analysis of decoded channel data; returns { bpm, beats } or null
+  static analyze(channels, sampleRate, options = {}) {
+    const minBpm = options.minBpm || 90;
+    const maxBpm = options.maxBpm || 170;
+
+    // Mix to mono and decimate towards ~22 kHz, which is plenty for onsets
+    const factor = Math.max(1, Math.round(sampleRate / 22050));
+    const rate = sampleRate / factor;
+    const length = Math.floor(channels[0].length / factor);
+    const mono = new Float32Array(length);
+    for (let i = 0; i < length; i++) {
+      let sum = 0;
+      for (let c = 0; c < channels.length; c++) {
+        for (let k = 0; k < factor; k++) {
+          sum += channels[c][i * factor + k];
+        }
+      }
+      mono[i] = sum / (channels.length * factor);
+    }
+
+    const frameSize = 1024;
+    const hopSize = 256;
+    const envelope = BeatTracker.normalizeEnvelope(BeatTracker.spectralFlux(mono, frameSize, hopSize));
+    const result = BeatTracker.estimateBeats(envelope, rate / hopSize, minBpm, maxBpm);
+    if (!result) return null;
+
+    // Envelope frame n covers samples starting at n * hopSize; report its centre
+    const offset = frameSize / 2 / rate;
+    return {
+      bpm: result.bpm,
+      beats: result.beats.map(time => time + offset)
+    };
+  }
+
+  static spectralFlux(samples, frameSize, hopSize) {
+    const window = new Float32Array(frameSize);
+    for (let i = 0; i < frameSize; i++) {
+      window[i] = 0.5 - 0.5 * Math.cos(2 * Math.PI * i / (frameSize - 1));
+    }
+
+    const frames = Math.max(0, Math.floor((samples.length - frameSize) / hopSize) + 1);
+    const envelope = new Float32Array(frames);
+    const real = new Float32Array(frameSize);
+    const imag = new Float32Array(frameSize);
+    let previous = new Float32Array(frameSize / 2);
+    let current = new Float32Array(frameSize / 2);
+
+    for (let frame = 0; frame < frames; frame++) {
+      const start = frame * hopSize;
+      for (let i = 0; i < frameSize; i++) {
+        real[i] = samples[start + i] * window[i];
+        imag[i] = 0;
+      }
+      BeatTracker.fft(real, imag);
+
+      let flux = 0;
+      for (let bin = 0; bin < frameSize / 2; bin++) {
+        // Log compression keeps quiet percussion visible next to the bass
+        current[bin] = Math.log1p(100 * Math.hypot(real[bin], imag[bin]));
+        const difference = current[bin] - previous[bin];
+        if (difference > 0) flux += difference;
+      }
+      envelope[frame] = frame === 0 ? 0 : flux;
+      [previous, current] = [current, previous];
+    }
+
+    return envelope;
+  }
+
+  // In-place iterative radix-2 FFT; length must be a power of two
+  static fft(real, imag) {
+    const n = real.length;
+
+    for (let i = 1, j = 0; i < n; i++) {
+      let bit = n >> 1;
+      for (; j & bit; bit >>= 1) {
+        j ^= bit;
+      }
+      j ^= bit;
+      if (i < j) {
+        [real[i], real[j]] = [real[j], real[i]];
+        [imag[i], imag[j]] = [imag[j], imag[i]];
+      }
+    }
+
+    for (let size = 2; size <= n; size <<= 1) {
+      const angle = -2 * Math.PI / size;
+      const stepReal = Math.cos(angle);
+      const stepImag = Math.sin(angle);
+
+      for (let start = 0; start < n; start += size) {
+        let twiddleReal = 1;
+        let twiddleImag = 0;
+
+        for (let k = 0; k < size / 2; k++) {
+          const a = start + k;
+          const b = a + size / 2;
+          const tReal = real[b] * twiddleReal - imag[b] * twiddleImag;
+          const tImag = real[b] * twiddleImag + imag[b] * twiddleReal;
+          real[b] = real[a] - tReal;
+          imag[b] = imag[a] - tImag;
+          real[a] += tReal;
+          imag[a] += tImag;
+
+          const nextReal = twiddleReal * stepReal - twiddleImag * stepImag;
+          twiddleImag = twiddleReal * stepImag + twiddleImag * stepReal;
+          twiddleReal = nextReal;
+        }
+      }
+    }
+  }
+
+  // Subtract a moving average and half-wave rectify so only onsets remain
+  static normalizeEnvelope(values) {
+    const radius = 8;
+    const result = new Float32Array(values.length);
+    let max = 0;
+
+    for (let i = 0; i < values.length; i++) {
+      let sum = 0;
+      let count = 0;
+      for (let k = Math.max(0, i - radius); k <= Math.min(values.length - 1, i + radius); k++) {
+        sum += values[k];
+        count++;
+      }
+      result[i] = Math.max(0, values[i] - sum / count);
+      max = Math.max(max, result[i]);
+    }
+
+    if (max > 0) {
+      for (let i = 0; i < result.length; i++) {
+        result[i] /= max;
+      }
+    }
+    return result;
+  }
+
+  // Tempo by autocorrelation, phase by comb search, then each beat snapped to its local peak
+  static estimateBeats(envelope, framesPerSecond, minBpm, maxBpm) {
+    const minLag = Math.floor(framesPerSecond * 60 / maxBpm);
+    const maxLag = Math.ceil(framesPerSecond * 60 / minBpm);
+    if (envelope.length < maxLag * 4) return null;
+
+    const correlation = new Float32Array(maxLag + 2);
+    for (let lag = minLag - 1; lag <= maxLag + 1; lag++) {
+      let sum = 0;
+      for (let i = lag; i < envelope.length; i++) {
+        sum += envelope[i] * envelope[i - lag];
+      }
+      correlation[lag] = sum / (envelope.length - lag);
+    }
+
+    // Mild preference for ~120 BPM so we don't lock onto half or double time
+    let bestLag = -1;
+    let bestScore = 0;
+    for (let lag = minLag; lag <= maxLag; lag++) {
+      const bpm = framesPerSecond * 60 / lag;
+      const prior = Math.exp(-0.5 * Math.pow(Math.log2(bpm / 120) / 0.5, 2));
+      const score = correlation[lag] * prior;
+      if (score > bestScore) {
+        bestScore = score;
+        bestLag = lag;
+      }
+    }
+    if (bestLag < 0 || bestScore <= 0) return null;
+
+    // Parabolic interpolation for sub-frame tempo precision
+    const left = correlation[bestLag - 1];
+    const centre = correlation[bestLag];
+    const right = correlation[bestLag + 1];
+    const curvature = left - 2 * centre + right;
+    const period = bestLag + (curvature < 0 ? 0.5 * (left - right) / curvature : 0);
+
+    let bestPhase = 0;
+    let bestPhaseScore = -1;
+    for (let phase = 0; phase < Math.ceil(period); phase++) {
+      let sum = 0;
+      for (let position = phase; position < envelope.length; position += period) {
+        sum += envelope[Math.round(position)] || 0;
+      }
+      if (sum > bestPhaseScore) {
+        bestPhaseScore = sum;
+        bestPhase = phase;
+      }
+    }
+
+    const beats = [];
+    const tolerance = Math.max(1, Math.round(period * 0.1));
+    let expected = bestPhase;
+    while (expected < envelope.length) {
+      let peak = Math.round(expected);
+      for (let i = Math.max(0, peak - tolerance); i <= Math.min(envelope.length - 1, Math.round(expected) + tolerance); i++) {
+        if (envelope[i] > envelope[peak]) peak = i;
+      }
+      // Only follow a peak that stands out; otherwise keep the metronomic grid
+      const position = envelope[peak] > 0.1 ? peak : expected;
+      beats.push(position / framesPerSecond);
+      expected = position + period;
+    }
+
+    return {
+      bpm: Math.round(framesPerSecond * 60 / period * 10) / 10,
+      beats
+    };
+  }
+}
@@ -0,0 +1,424 @@
+// Compares a student's pose stream against an instructor's reference session.
+// Poses are centred on the hips and scaled by torso length so body size and
+// position don't matter, then aligned in time with dynamic time warping.
+// The result is a per-joint similarity, a timeline of where the student
+// diverged and an overall match percentage.
+
+const COMPARE_JOINTS = {
+  leftShoulder: POSE_LANDMARKS.LEFT_SHOULDER,
+  rightShoulder: POSE_LANDMARKS.RIGHT_SHOULDER,
+  leftElbow: POSE_LANDMARKS.LEFT_ELBOW,
+  rightElbow: POSE_LANDMARKS.RIGHT_ELBOW,
+  leftWrist: POSE_LANDMARKS.LEFT_WRIST,
+  rightWrist: POSE_LANDMARKS.RIGHT_WRIST,
+  leftHip: POSE_LANDMARKS.LEFT_HIP,
+  rightHip: POSE_LANDMARKS.RIGHT_HIP,
+  leftKnee: POSE_LANDMARKS.LEFT_KNEE,
+  rightKnee: POSE_LANDMARKS.RIGHT_KNEE,
+  leftAnkle: POSE_LANDMARKS.LEFT_ANKLE,
+  rightAnkle: POSE_LANDMARKS.RIGHT_ANKLE
+};
+
+class ChoreographyComparator {
+  constructor(options = {}) {
+    // Poses are compared at a reduced rate; dance timing doesn't need 30 FPS
+    this.sampleRate = options.sampleRate || 10;
+    // How far (seconds) the alignment may drift from the reference's own timing
+    this.bandSeconds = options.bandSeconds || 4;
+    // Joint distance (torso lengths) at which similarity reaches zero
+    this.tolerance = options.tolerance || 0.6;
+    // A stretch diverges when the whole pose, or any single joint, falls below these
+    this.divergenceThreshold = options.divergenceThreshold || 0.7;
+    this.jointDivergenceThreshold = options.jointDivergenceThreshold || 0.4;
+    // Mirror the student, for classes where the instructor faces the dancers
+    this.mirror = !!options.mirror;
+    this.aspect = options.aspect || 4 / 3;
+
+    // Student time (seconds) re-aligned on each live update
+    this.liveWindowSeconds = options.liveWindowSeconds || 10;
+
+    this.reference = null;
+    this.referenceSequence = [];
+    this.startLive();
+  }
+
+  setReference(session) {
+    this.reference = session;
+    if (session.width && session.height) {
+      this.aspect = session.width / session.height;
+    }
+    this.referenceSequence = this.prepare(session.frames, false);
+    if (this.referenceSequence.length === 0) {
+      throw new Error('Reference session has no pose landmarks.');
+    }
+  }
+
+  // Resample to `sampleRate` and normalize each pose
+  prepare(frames, mirror) {
+    const sequence = [];
+    const step = 1000 / this.sampleRate;
+    let nextTime = -Infinity;
+
+    frames.forEach(frame => {
+      if (frame.t < nextTime) return;
+      const joints = this.normalizePose(frame, mirror);
+      if (!joints) return;
+
+      sequence.push({ t: frame.t, joints });
+      nextTime = frame.t + step;
+    });
+
+    return sequence;
+  }
+
+  // Hip-centred, torso-scaled joint positions; world landmarks preferred for depth
+  normalizePose(frame, mirror) {
+    const world = frame.poseWorldLandmarks;
+    const image = frame.poseLandmarks;
+    if (!world && !image) return null;
+
+    const point = (index) => {
+      if (world) {
+        const landmark = world[index];
+        return { x: landmark.x, y: landmark.y, z: landmark.z || 0 };
+      }
+      const landmark = image[index];
+      return { x: landmark.x * this.aspect, y: landmark.y, z: 0 };
+    };
+
+    const hips = PoseMath.midpoint(point(POSE_LANDMARKS.LEFT_HIP), point(POSE_LANDMARKS.RIGHT_HIP));
+    const shoulders = PoseMath.midpoint(point(POSE_LANDMARKS.LEFT_SHOULDER), point(POSE_LANDMARKS.RIGHT_SHOULDER));
+    const torso = PoseMath.distance(hips, shoulders);
+    if (torso < 1e-6) return null;
+
+    const joints = {};
+    Object.entries(COMPARE_JOINTS).forEach(([name, index]) => {
+      // Mirroring swaps sides as well as flipping x, so a mirrored left arm compares with the right
+      const sourceName = mirror ? ChoreographyComparator.oppositeSide(name) : name;
+      const normalized = PoseMath.scale(PoseMath.sub(point(COMPARE_JOINTS[sourceName]), hips), 1 / torso);
+      joints[name] = mirror ? { x: -normalized.x, y: normalized.y, z: normalized.z } : normalized;
+    });
+
+    return joints;
+  }
+
+  static oppositeSide(name) {
+    if (name.startsWith('left')) return `right${name.slice(4)}`;
+    if (name.startsWith('right')) return `left${name.slice(5)}`;
+    return name;
+  }
+
+  jointSimilarity(a, b) {
+    return Math.max(0, 1 - PoseMath.distance(a, b) / this.tolerance);
+  }
+
+  frameCost(a, b) {
+    const names = Object.keys(COMPARE_JOINTS);
+    return names.reduce((sum, name) => sum + PoseMath.distance(a.joints[name], b.joints[name]), 0) / names.length;
+  }
+
+  // DTW over student (rows) × reference (columns) inside a band around the expected timing.
+  // With `openEnd` the student may stop partway through the reference.
+  align(student, reference, openEnd) {
+    const rows = student.length;
+    const columns = reference.length;
+    const slope = openEnd ? 1 : columns / rows;
+    const band = Math.max(Math.ceil(this.bandSeconds * this.sampleRate), openEnd ? 0 : Math.abs(columns - rows));
+
+    // Only the band is stored: row i keeps `width` columns from `offset(i)`, so memory
+    // grows with rows × band rather than rows × columns. Cells never reached stay Infinity.
+    const width = Math.min(columns, 2 * band + 1);
+    const offset = (i) => Math.min(Math.max(0, Math.round(i * slope) - band), columns - width);
+    const cost = new Float32Array(rows * width).fill(Infinity);
+    const at = (i, j) => {
+      const k = j - offset(i);
+      return i >= 0 && k >= 0 && k < width ? cost[i * width + k] : Infinity;
+    };
+
+    for (let i = 0; i < rows; i++) {
+      const centre = Math.round(i * slope);
+      const from = Math.max(0, centre - band);
+      const to = Math.min(columns - 1, centre + band);
+      const row = i * width - offset(i);
+
+      for (let j = from; j <= to; j++) {
+        const local = this.frameCost(student[i], reference[j]);
+        if (i === 0 && j === 0) {
+          cost[0] = local;
+          continue;
+        }
+
+        cost[row + j] = local + Math.min(at(i - 1, j - 1), at(i - 1, j), at(i, j - 1));
+      }
+    }
+
+    let end = columns - 1;
+    if (openEnd) {
+      // Best place in the reference for the student's latest frame. Costs are
+      // normalized by path length, or shorter reference prefixes would always win.
+      let best = Infinity;
+      for (let j = offset(rows - 1); j < offset(rows - 1) + width; j++) {
+        const normalized = at(rows - 1, j) / (rows + j);
+        if (normalized < best) {
+          best = normalized;
+          end = j;
+        }
+      }
+    }
+    if (!isFinite(at(rows - 1, end))) return null;
+
+    const path = [[rows - 1, end]];
+    let i = rows - 1;
+    let j = end;
+    while (i > 0 || j > 0) {
+      const diagonal = at(i - 1, j - 1);
+      const up = at(i - 1, j);
+      const left = at(i, j - 1);
+
+      if (diagonal <= up && diagonal <= left) {
+        i--;
+        j--;
+      } else if (up <= left) {
+        i--;
+      } else {
+        j--;
+      }
+      path.push([i, j]);
+    }
+
+    return path.reverse();
+  }
+
+  compare(studentFrames, options = {}) {
+    if (!this.referenceSequence.length) {
+      throw new Error('Load a reference recording first.');
+    }
+
+    const student = this.prepare(studentFrames, this.mirror);
+    if (student.length < 2) {
+      throw new Error('Not enough student pose data to compare.');
+    }
+
+    const path = this.align(student, this.referenceSequence, !!options.openEnd);
+    if (!path) {
+      throw new Error('Student and reference are too far apart in time to align.');
+    }
+
+    return this.summarize(this.matchPath(student, this.referenceSequence, path, student[0].t));
+  }
+
+  // One entry per student frame along an alignment path, averaging every reference frame
+  // it matched. `reference` may be a tail of the reference sequence; times are from its start.
+  matchPath(student, reference, path, origin) {
+    const names = Object.keys(COMPARE_JOINTS);
+    const entries = [];
+
+    path.forEach(([i, j]) => {
+      const similarities = names.map(name => this.jointSimilarity(student[i].joints[name], reference[j].joints[name]));
+      if (!entries[i]) {
+        entries[i] = {
+          t: student[i].t - origin,
+          referenceIndex: j,
+          referenceTime: reference[j].t - this.referenceSequence[0].t,
+          sum: 0,
+          count: 0,
+          joints: names.map(() => 0)
+        };
+      }
+      const entry = entries[i];
+      entry.sum += similarities.reduce((a, b) => a + b, 0) / names.length;
+      entry.count++;
+      similarities.forEach((value, k) => {
+        entry.joints[k] += value;
+      });
+    });
+
+    return entries;
+  }
+
+  // The comparison result from the per-student-frame entries of matchPath()
+  summarize(entries) {
+    const names = Object.keys(COMPARE_JOINTS);
+    let pairs = 0;
+    const jointTotals = names.map(() => 0);
+
+    const timeline = entries.map(entry => {
+      pairs += entry.count;
+      entry.joints.forEach((value, k) => {
+        jointTotals[k] += value;
+      });
+      const jointAverages = entry.joints.map(value => value / entry.count);
+      const worst = jointAverages.indexOf(Math.min(...jointAverages));
+      return {
+        t: entry.t,
+        referenceTime: entry.referenceTime,
+        similarity: entry.sum / entry.count,
+        worstJoint: names[worst],
+        worstSimilarity: jointAverages[worst]
+      };
+    });
+
+    const perJoint = {};
+    names.forEach((name, k) => {
+      perJoint[name] = Math.round(100 * jointTotals[k] / pairs);
+    });
+
+    return {
+      match: Math.round(100 * timeline.reduce((sum, entry) => sum + entry.similarity, 0) / timeline.length),
+      perJoint,
+      timeline,
+      divergences: this.findDivergences(timeline),
+      duration: timeline[timeline.length - 1].t,
+      referenceCovered: timeline[timeline.length - 1].referenceTime
+    };
+  }
+
+  // Stretches where similarity dips below the threshold, merging short gaps
+  findDivergences(timeline) {
+    const minDuration = 300;
+    const mergeGap = 500;
+    const segments = [];
+    let current = null;
+
+    timeline.forEach(entry => {
+      if (entry.similarity < this.divergenceThreshold || entry.worstSimilarity < this.jointDivergenceThreshold) {
+        if (current && entry.t - current.end <= mergeGap) {
+          current.end = entry.t;
+          current.samples.push(entry);
+        } else {
+          current = { start: entry.t, end: entry.t, samples: [entry] };
+          segments.push(current);
+        }
+      }
+    });
+
+    return segments
+      .filter(segment => segment.end - segment.start >= minDuration)
+      .map(segment => {
+        const counts = {};
+        segment.samples.forEach(sample => {
+          counts[sample.worstJoint] = (counts[sample.worstJoint] || 0) + 1;
+        });
+        return {
+          start: segment.start,
+          end: segment.end,
+          similarity: Math.round(100 * segment.samples.reduce((sum, sample) => sum + sample.similarity, 0) / segment.samples.length),
+          joint: Object.keys(counts).sort((a, b) => counts[b] - counts[a])[0]
+        };
+      });
+  }
+
+  // Live comparison. Frames are resampled and normalized as they come in, and only the
+  // last `liveWindowSeconds` are re-aligned, starting from where the oldest of them matched
+  // the reference; frames before that keep the scores they had when they left the window.
+  // `liveComplete` is set once the student reaches the end of the reference.
+  startLive() {
+    this.liveSequence = [];
+    this.liveScored = [];
+    this.liveAnchor = 0;
+    this.liveNext = -Infinity;
+    this.liveResult = null;
+    this.liveComplete = false;
+    this.liveStart = null;
+  }
+
+  addLiveFrame(time, poseLandmarks, poseWorldLandmarks) {
+    if ((!poseLandmarks && !poseWorldLandmarks) || this.liveComplete) return;
+    if (this.liveStart === null) {
+      this.liveStart = time;
+    }
+
+    const t = time - this.liveStart;
+    if (t < this.liveNext) return;
+    const joints = this.normalizePose({ poseLandmarks, poseWorldLandmarks }, this.mirror);
+    if (!joints) return;
+    this.liveSequence.push({ t, joints });
+    this.liveNext = t + 1000 / this.sampleRate;
+  }
+
+  updateLive() {
+    if (this.liveSequence.length < 2 || this.liveComplete) return this.liveResult;
+
+    const reference = this.referenceSequence.slice(this.liveAnchor);
+    const path = this.align(this.liveSequence, reference, true);
+    if (!path) {
+      // Further past the end of the reference than the band allows, nothing more can match
+      const band = Math.ceil(this.bandSeconds * this.sampleRate);
+      this.liveComplete = this.liveSequence.length - 1 - band > reference.length - 1;
+      return this.liveResult;
+    }
+
+    const entries = this.matchPath(this.liveSequence, reference, path, 0);
+    this.liveComplete = path[path.length - 1][1] === reference.length - 1;
+
+    // Frames leaving the window keep their scores; the next alignment starts at the first one kept
+    const dropped = Math.max(0, this.liveSequence.length - Math.ceil(this.liveWindowSeconds * this.sampleRate));
+    if (dropped > 0) {
+      for (let i = 0; i < dropped; i++) {
+        this.liveScored.push(entries[i]);
+      }
+      this.liveAnchor += entries[dropped].referenceIndex;
+      this.liveSequence = this.liveSequence.slice(dropped);
+    }
+
+    this.liveResult = this.summarize(this.liveScored.concat(entries.slice(dropped)));
+    return this.liveResult;
+  }
+}
+
+function formatComparisonTime(ms) {
+  const seconds = Math.max(0, ms) / 1000;
+  return `${Math.floor(seconds / 60)}:${(seconds % 60).toFixed(1).padStart(4, '0')}`;
+}
+
+// Render a comparison result into the demo page's report panel
+function renderComparisonReport(container, result) {
+  const jointRows = Object.entries(result.perJoint)
+    .map(([name, score]) => `
+      <div class="compare-joint">
+        <span>${name}</span>
+        <div class="compare-bar"><div style="width: ${score}%; background: ${score >= 70 ? '#00d4aa' : score >= 50 ? '#FFD700' : '#FF6B6B'}"></div></div>
+        <span>${score}%</span>
+      </div>`)
+    .join('');
+
+  const divergences = result.divergences.length
+    ? result.divergences
+      .map(segment => `<li>${formatComparisonTime(segment.start)}–${formatComparisonTime(segment.end)}: ${segment.joint} (${segment.similarity}%)</li>`)
+      .join('')
+    : '<li>No major divergences 🎉</li>';
+
+  container.innerHTML = `
+    <div class="compare-match">Match: <strong>${result.match}%</strong></div>
+    <canvas class="compare-timeline" width="400" height="60"></canvas>
+    ${jointRows}
+    <ul class="compare-divergences">${divergences}</ul>
+  `;
+
+  // Similarity over time, with divergent stretches shaded
+  const canvas = container.querySelector('canvas');
+  const ctx = canvas.getContext('2d');
+  const duration = Math.max(result.duration, 1);
+  const x = (t) => t / duration * canvas.width;
+
+  ctx.fillStyle = '#2d3748';
+  ctx.fillRect(0, 0, canvas.width, canvas.height);
+
+  ctx.fillStyle = 'rgba(255, 107, 107, 0.4)';
+  result.divergences.forEach(segment => {
+    ctx.fillRect(x(segment.start), 0, Math.max(2, x(segment.end) - x(segment.start)), canvas.height);
+  });
+
+  ctx.strokeStyle = '#00d4aa';
+  ctx.lineWidth = 2;
+  ctx.beginPath();
+  result.timeline.forEach((entry, index) => {
+    const y = canvas.height - entry.similarity * canvas.height;
+    if (index === 0) {
+      ctx.moveTo(x(entry.t), y);
+    } else {
+      ctx.lineTo(x(entry.t), y);
+    }
+  });
+  ctx.stroke();
+}
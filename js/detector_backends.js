@@ -0,0 +1,346 @@
+// Detector backends.
+// The tracker never constructs a detector itself: it asks its backend for one per
+// module ('pose', 'face' or 'hands'). Detectors follow the MediaPipe solution API,
+// setOptions(options), onResults(callback), send({ image }) and close(), so the
+// MediaPipe classes plug straight in and other engines only need a thin wrapper.
+
+const DETECTOR_MODULES = ['pose', 'face', 'hands'];
+
+class MediaPipeBackend {
+  constructor(options = {}) {
+    this.name = 'MediaPipe';
+    this.baseUrl = options.baseUrl || MEDIAPIPE_ASSET_MANIFEST.cdnUrl;
+    // Asset setting ('auto', 'local', 'cdn' or a URL) that load() resolves into baseUrl
+    this.assets = options.assets || null;
+    // Relative bases are resolved against the page, since workers would resolve them against js/
+    this.pageUrl = options.pageUrl || (typeof location !== 'undefined' ? location.href : null);
+    // Pinned in asset_manifest.js so the WASM and model files match the loaded scripts
+    this.packages = {
+      pose: mediapipePackagePath('pose'),
+      face: mediapipePackagePath('face'),
+      hands: mediapipePackagePath('hands'),
+      ...options.packages
+    };
+  }
+
+  // Load the solution scripts and start caching the assets for offline use (see asset_loader.js)
+  async load() {
+    if (this.assets) {
+      this.baseUrl = await resolveAssetBaseUrl(this.assets);
+    }
+    this.baseUrl = this.absoluteUrl(this.baseUrl);
+
+    for (const module of DETECTOR_MODULES) {
+      await loadMediaPipeScript(module, this.assetUrl(module));
+    }
+
+    enableOfflineCache(this.baseUrl);
+  }
+
+  // Where a module's WASM, model and script files live
+  assetUrl(module) {
+    return `${this.absoluteUrl(this.baseUrl)}/${this.packages[module]}`;
+  }
+
+  absoluteUrl(url) {
+    return this.pageUrl ? new URL(url, this.pageUrl).href.replace(/\/+$/, '') : url;
+  }
+
+  createDetector(module) {
+    const locateFile = (file) => `${this.assetUrl(module)}/${file}`;
+
+    switch (module) {
+      case 'pose':
+        return new Pose({ locateFile });
+      case 'face':
+        return new FaceMesh({ locateFile });
+      case 'hands':
+        return new Hands({ locateFile });
+      default:
+        throw new Error(`Unknown detector module "${module}"`);
+    }
+  }
+}
+
+// Runs each MediaPipe module in its own Web Worker (see inference_worker.js), fed
+// with ImageBitmap frames, so the three models infer side by side instead of taking
+// turns on the main thread. A module whose worker can't load MediaPipe falls back
+// to running on the main thread.
+class WorkerBackend extends MediaPipeBackend {
+  constructor(options = {}) {
+    super(options);
+    this.name = 'MediaPipe (worker)';
+    this.workerUrl = options.workerUrl || 'js/inference_worker.js';
+    // A frame a worker hasn't answered by then is given up on
+    this.timeoutMs = options.timeoutMs || 2000;
+    // Loading includes downloading the model, so a worker gets longer than a frame to be ready
+    // before the module falls back to the main thread
+    this.readyTimeoutMs = options.readyTimeoutMs || 15000;
+  }
+
+  static isSupported() {
+    return typeof Worker !== 'undefined' && typeof createImageBitmap !== 'undefined' &&
+      typeof OffscreenCanvas !== 'undefined';
+  }
+
+  createDetector(module) {
+    if (!DETECTOR_MODULES.includes(module)) {
+      throw new Error(`Unknown detector module "${module}"`);
+    }
+    return new WorkerDetector(this, module);
+  }
+
+  // The same module on the main thread
+  createFallbackDetector(module) {
+    return super.createDetector(module);
+  }
+}
+
+// Workers where the browser has everything they need, otherwise the main thread.
+// Assets come from wherever the page is configured to load them (see asset_loader.js).
+function createDefaultBackend(options = { assets: getAssetSetting() }) {
+  return WorkerBackend.isSupported() ? new WorkerBackend(options) : new MediaPipeBackend(options);
+}
+
+// Main-thread handle for one module's worker. Every frame sent gets an ID, and the
+// worker's answer is matched back to its frame by that ID; answers for frames that
+// timed out are dropped.
+class WorkerDetector {
+  constructor(backend, module) {
+    this.backend = backend;
+    this.module = module;
+    this.options = {};
+    this.callback = null;
+    this.nextFrameId = 1;
+    this.pending = new Map();
+    this.fallback = null;
+    this.closed = false;
+
+    this.ready = new Promise(resolve => { this.resolveReady = resolve; });
+    this.readyDeadline = Date.now() + backend.readyTimeoutMs;
+    this.worker = new Worker(backend.workerUrl);
+    this.worker.onmessage = (event) => this.onMessage(event.data);
+    this.worker.onerror = (event) => this.useFallback(event.message || 'worker failed');
+    this.worker.postMessage({
+      type: 'init',
+      module,
+      scriptUrl: `${backend.assetUrl(module)}/${MEDIAPIPE_ASSET_MANIFEST.packages[module].script}`,
+      assetUrl: backend.assetUrl(module)
+    });
+  }
+
+  setOptions(options) {
+    this.options = { ...this.options, ...options };
+
+    if (this.fallback) {
+      this.fallback.setOptions(options);
+    } else {
+      this.worker.postMessage({ type: 'options', options });
+    }
+  }
+
+  onResults(callback) {
+    this.callback = callback;
+
+    if (this.fallback) {
+      this.fallback.onResults(callback);
+    }
+  }
+
+  // Whether frames go to a worker, so this module can run alongside others
+  get offThread() {
+    return !this.fallback;
+  }
+
+  async send({ image }) {
+    if (this.closed) {
+      throw new Error(`${this.module} detector is closed`);
+    }
+
+    await this.whenReady();
+    if (this.fallback) {
+      return this.fallback.send({ image });
+    }
+
+    const frameId = this.nextFrameId++;
+    const bitmap = await createImageBitmap(image);
+
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(() => {
+        this.pending.delete(frameId);
+        reject(new Error(`${this.module} inference timed out`));
+      }, this.backend.timeoutMs);
+
+      this.pending.set(frameId, { resolve, reject, timer });
+      this.worker.postMessage({ type: 'frame', frameId, image: bitmap }, [bitmap]);
+    });
+  }
+
+  // The worker's ready message, or the main thread instead if it hasn't come by the deadline
+  whenReady() {
+    let timer;
+    const timeout = new Promise(resolve => {
+      timer = setTimeout(() => {
+        this.useFallback(`not ready after ${this.backend.readyTimeoutMs} ms`);
+        resolve();
+      }, Math.max(0, this.readyDeadline - Date.now()));
+    });
+    return Promise.race([this.ready, timeout]).finally(() => clearTimeout(timer));
+  }
+
+  onMessage(message) {
+    if (message.type === 'ready') {
+      this.resolveReady();
+      return;
+    }
+
+    // An error outside any frame means the worker couldn't load the model
+    if (message.type === 'error' && message.frameId === undefined) {
+      this.useFallback(message.message);
+      return;
+    }
+
+    const request = this.pending.get(message.frameId);
+    if (!request) return;
+
+    this.pending.delete(message.frameId);
+    clearTimeout(request.timer);
+
+    if (message.type === 'error') {
+      request.reject(new Error(message.message));
+      return;
+    }
+
+    if (this.callback) {
+      this.callback({ ...message.results, frameId: message.frameId });
+    }
+    request.resolve();
+  }
+
+  useFallback(reason) {
+    if (this.fallback || this.closed) return;
+
+    console.warn(`${this.module} worker unavailable (${reason}), running on the main thread`);
+    this.worker.terminate();
+    this.rejectPending(new Error(`${this.module} worker failed: ${reason}`));
+
+    this.fallback = this.backend.createFallbackDetector(this.module);
+    this.fallback.setOptions(this.options);
+    if (this.callback) {
+      this.fallback.onResults(this.callback);
+    }
+    this.resolveReady();
+  }
+
+  rejectPending(error) {
+    this.pending.forEach(request => {
+      clearTimeout(request.timer);
+      request.reject(error);
+    });
+    this.pending.clear();
+  }
+
+  close() {
+    this.closed = true;
+    this.rejectPending(new Error(`${this.module} detector is closed`));
+
+    if (this.fallback) {
+      this.fallback.close();
+    } else {
+      this.worker.terminate();
+    }
+  }
+}
+
+// Replays canned landmark frames instead of running a model, for tests and for
+// demos without a camera. Frames use the parsed session format (see session_recorder.js).
+class MockBackend {
+  constructor(frames = [], options = {}) {
+    this.name = 'Mock';
+    this.frames = frames;
+    // Start over at the first frame after the last one, or report nothing detected
+    this.loop = options.loop !== undefined ? options.loop : true;
+    // Modules whose detector fails to load, for exercising error handling
+    this.failModules = options.failModules || [];
+    this.detectors = {};
+  }
+
+  static fromSession(session, options) {
+    return new MockBackend(SessionRecorder.parse(session).frames, options);
+  }
+
+  createDetector(module) {
+    if (!DETECTOR_MODULES.includes(module)) {
+      throw new Error(`Unknown detector module "${module}"`);
+    }
+    if (this.failModules.includes(module)) {
+      throw new Error(`Mock ${module} detector failed to load`);
+    }
+
+    const detector = new MockDetector(this, module);
+    this.detectors[module] = detector;
+    return detector;
+  }
+
+  frameAt(index) {
+    if (this.frames.length === 0) return null;
+    return this.loop ? this.frames[index % this.frames.length] : this.frames[index] || null;
+  }
+}
+
+// Each send() answers with the next canned frame, in the shape MediaPipe would
+class MockDetector {
+  constructor(backend, module) {
+    this.backend = backend;
+    this.module = module;
+    this.options = {};
+    this.callback = null;
+    this.sendCount = 0;
+    this.closed = false;
+  }
+
+  setOptions(options) {
+    this.options = { ...this.options, ...options };
+  }
+
+  onResults(callback) {
+    this.callback = callback;
+  }
+
+  async send({ image }) {
+    if (this.closed) {
+      throw new Error(`Mock ${this.module} detector is closed`);
+    }
+
+    const frame = this.backend.frameAt(this.sendCount++);
+    if (this.callback) {
+      this.callback(this.toResults(frame, image));
+    }
+  }
+
+  toResults(frame, image) {
+    switch (this.module) {
+      case 'pose':
+        return {
+          image,
+          poseLandmarks: frame ? frame.poseLandmarks : null,
+          poseWorldLandmarks: frame ? frame.poseWorldLandmarks : null
+        };
+      case 'face':
+        return {
+          image,
+          multiFaceLandmarks: frame && frame.faceLandmarks ? [frame.faceLandmarks].slice(0, this.options.maxNumFaces || 1) : []
+        };
+      default:
+        return {
+          image,
+          multiHandLandmarks: (frame && frame.handsLandmarks || []).slice(0, this.options.maxNumHands || 2),
+          multiHandedness: (frame && frame.handedness || []).slice(0, this.options.maxNumHands || 2)
+        };
+    }
+  }
+
+  close() {
+    this.closed = true;
+  }
+}
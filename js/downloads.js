@@ -0,0 +1,12 @@
+// File downloads, shared by the tracker page and the dashboard.
+
+// Save a blob as a file through a temporary link
+function downloadBlob(blob, filename) {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  link.click();
+  // Revoked a little later, since some browsers start the download asynchronously
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
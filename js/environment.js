@@ -0,0 +1,92 @@
+// Everything the tracker needs from the browser: DOM lookups, element creation,
+// cameras, clip recording, speech, clocks and frame scheduling. Headless runs and tests hand the FullBodyTracker
+// constructor their own object with the same methods.
+
+class BrowserEnvironment {
+  getElementById(id) {
+    return document.getElementById(id);
+  }
+
+  createElement(tagName) {
+    return document.createElement(tagName);
+  }
+
+  appendToBody(element) {
+    document.body.appendChild(element);
+  }
+
+  // An off-DOM canvas to compose frames on, or null where OffscreenCanvas is missing
+  createOffscreenCanvas(width, height) {
+    return typeof OffscreenCanvas !== 'undefined' ? new OffscreenCanvas(width, height) : null;
+  }
+
+  // A webcam input source (see input_sources.js)
+  createCameraSource(videoElement, options) {
+    return new CameraInputSource(videoElement, options);
+  }
+
+  // A live stream of what is drawn on `canvas`, for recording clips
+  captureCanvasStream(canvas, fps) {
+    return canvas.captureStream ? canvas.captureStream(fps) : null;
+  }
+
+  isRecordingTypeSupported(type) {
+    return typeof MediaRecorder !== 'undefined' && MediaRecorder.isTypeSupported(type);
+  }
+
+  createMediaRecorder(stream, options) {
+    return new MediaRecorder(stream, options);
+  }
+
+  // Say a coaching cue aloud; false where speech synthesis is missing
+  speak(text) {
+    if (typeof speechSynthesis === 'undefined') return false;
+
+    // A new cue replaces one still waiting, so they never pile up
+    speechSynthesis.cancel();
+    speechSynthesis.speak(new SpeechSynthesisUtterance(text));
+    return true;
+  }
+
+  // Video input devices as { deviceId, label }; labels stay empty until camera access is granted
+  async listCameras() {
+    if (!navigator.mediaDevices || !navigator.mediaDevices.enumerateDevices) return [];
+
+    const devices = await navigator.mediaDevices.enumerateDevices();
+    return devices
+      .filter(device => device.kind === 'videoinput')
+      .map(device => ({ deviceId: device.deviceId, label: device.label }));
+  }
+
+  // Cameras plugged in or removed
+  onDeviceChange(callback) {
+    if (navigator.mediaDevices && navigator.mediaDevices.addEventListener) {
+      navigator.mediaDevices.addEventListener('devicechange', callback);
+    }
+  }
+
+  // High-resolution clock for frame timestamps, in milliseconds
+  now() {
+    return performance.now();
+  }
+
+  // Wall clock for throttling and the FPS counter, in milliseconds
+  wallClock() {
+    return Date.now();
+  }
+
+  requestFrame(callback) {
+    return requestAnimationFrame(callback);
+  }
+
+  delay(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+  }
+
+  waitForLoad() {
+    if (document.readyState === 'complete') {
+      return Promise.resolve();
+    }
+    return new Promise(resolve => window.addEventListener('load', resolve));
+  }
+}
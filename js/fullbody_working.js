@@ -1,23 +1,51 @@
+// Events the tracker emits; subscribe with tracker.on(name, callback)
+const TRACKER_EVENTS = ['pose', 'face', 'hands', 'frame', 'status', 'error', 'fps', 'performance', 'settings', 'camera', 'cameras', 'gesture', 'clip', 'coaching', 'comparison'];
+
+// Modules that can be switched on and off, and the flag each one controls
+const TRACKER_MODULES = {
+  pose: 'showPose',
+  face: 'showFace',
+  hands: 'showHands'
+};
+
 class FullBodyTracker {
-  constructor() {
+  constructor(options = {}) {
+    // Injected dependencies: detectors, browser access and an optional initial input
+    this.backend = options.backend || createDefaultBackend();
+    this.env = options.environment || new BrowserEnvironment();
+    this.initialInputSource = options.inputSource || null;
+    // Where practice session summaries are kept (see practice_history.js); none by default
+    this.history = options.history || null;
+    
+    // Thresholds, models, camera, frame rate and colors (see tracker_settings.js)
+    this.settings = options.settings || new TrackerSettings();
+    this.settings.onChange((changes) => this.applySettings(changes));
+    
     // Performance tracking
     this.fps = 0;
     this.frameCount = 0;
-    this.lastFpsTime = Date.now();
-    this.targetFps = 30; // Limit to 30 FPS for better performance
+    this.lastFpsTime = this.env.wallClock();
+    this.targetFps = this.settings.get('targetFps'); // 30 FPS unless set lower
     this.frameInterval = 1000 / this.targetFps;
     this.lastFrameTime = 0;
     
+    // Adapts frame rate, module scheduling, model complexity and input resolution
+    this.governor = new PerformanceGovernor({ goal: options.performanceGoal, fpsLimit: this.targetFps });
+    this.governor.onChange((settings, previous, reason) => this.applyPerformanceSettings(settings, previous, reason));
+    this.scaledCanvas = null;
+    
     // Throttled logging
     this.logInterval = 2000; // Log every 2 seconds
     this.lastLogTime = 0;
     
     // Tracking state
     this.isTracking = false;
+    this.trackingLoop = 0; // Bumped for each loop started, so an older one still awaiting a frame stops
     this.poseLandmarks = null;
     this.poseWorldLandmarks = null;
     this.faceLandmarks = null;
     this.handsLandmarks = [];
+    this.handsHandedness = []; // MediaPipe's { label, score } for each hand
     
     // Module states
     this.pose = null;
@@ -26,6 +54,94 @@ class FullBodyTracker {
     this.videoElement = null;
     this.canvasElement = null;
     this.canvasCtx = null;
+    this.displayCtx = null;
+    this.offscreenCanvas = null;
+    
+    // Drawing layers, composed once per frame from the latest results (see render_compositor.js)
+    this.compositor = new RenderCompositor();
+    this.compositor.onError = (layer, error) => this.onLayerError(layer, error);
+    this.setupLayers();
+    this.frameCanvas = null; // The video frame the models were given
+    this.mirror = this.settings.get('mirror');
+    
+    // Input source (camera, video file or image sequence)
+    this.inputSource = null;
+    this.lastProcessedFrame = -1;
+    this.currentFrameTime = 0;
+    
+    // Module results for the frame in flight, applied together once every module answered
+    this.frameId = 0;
+    this.pendingFrame = null;
+    
+    // Temporal smoothing, tuned per module (see landmark_filters.js)
+    this.filters = new LandmarkFilterBank();
+    
+    // Session recording and playback
+    this.recorder = new SessionRecorder();
+    this.sessionPlayer = null;
+    
+    // Annotated clips: the composited canvas as WebM, with a landmark session saved alongside
+    this.videoRecorder = new CanvasVideoRecorder({ environment: this.env });
+    this.clipRecorder = new SessionRecorder();
+    this.clipCountdown = null; // Seconds left before the clip starts, while counting down
+    this.clipCountdownId = 0;
+    
+    // Partner mode: leader and follower tracked from two crops per frame
+    this.partnerMode = false;
+    this.partnerTracker = new PartnerTracker();
+    this.partnerFocus = 'leader'; // Whose landmarks feed the single-dancer analysis
+    this.activeCrop = null;
+    this.partnerDetections = [];
+    this.cropCanvas = null;
+    // Pose keeps tracking state between frames, so each dancer's crop gets its own detector
+    this.partnerPoses = {};
+    
+    // Bachata analysis
+    this.stepCounter = new BachataStepCounter();
+    this.stepCounter.onStep((event) => this.onStepEvent(event));
+    this.showHud = true;
+    
+    // Hip motion and isolation, with a live trace plot
+    this.hipAnalyzer = new HipMotionAnalyzer();
+    this.showHipTrace = true;
+    
+    // Head direction, gaze, blinks and smiles from the face mesh
+    this.headPose = new HeadPoseEstimator();
+    
+    // Joint angles and motion, with the metric groups shown on the HUD
+    this.kinematics = new KinematicsEngine();
+    this.kinematicsHud = ['knees', 'posture', 'speed'];
+    
+    // Posture rules checked on the joint angles, with highlighted joints and spoken cues
+    this.coach = new PostureCoach({ enabled: this.coachedRules(), cueIntervalMs: this.settings.get('coachingCueInterval') * 1000 });
+    this.coach.onCue((event) => this.onCoachingCue(event));
+    this.coachingRules = ''; // Broken rules last reported
+    this.coachingCue = null;
+    
+    // Music beat tracking and step timing
+    this.beatTracker = new BeatTracker();
+    this.timingScorer = new StepTimingScorer();
+    
+    // Reference choreography comparison
+    this.choreoComparator = new ChoreographyComparator();
+    this.isComparing = false;
+    this.compareInterval = 2000; // Re-align the live attempt every 2 seconds
+    this.lastCompareTime = 0;
+    
+    // Stats of the current practice session, saved to the history every 30 seconds and when it ends
+    this.practiceLog = new PracticeSessionLog();
+    this.historySaveInterval = 30000;
+    this.lastHistorySave = 0;
+    
+    // Practice overlays: fading trails of chosen landmarks and the reference as a ghost
+    this.motionTrails = new MotionTrails();
+    this.ghost = new GhostOverlay();
+    
+    // Hands-free control: held hand gestures run the actions chosen in the settings
+    this.gestures = new GestureRecognizer({ enabled: this.mappedGestures() });
+    this.gestures.onGesture((event) => this.onGesture(event));
+    this.gestureHandlers = this.defaultGestureHandlers();
+    this.lastGesture = null;
     
     // Performance flags
     this.showPose = true;
@@ -37,9 +153,72 @@ class FullBodyTracker {
     this.debugOutput = null;
     this.loadingElement = null;
     
-    // Error handling
+    // Camera choice: a device, or the browser's default for the facing mode
+    this.cameraDeviceId = null;
+    this.cameraFacingMode = 'user';
+    
+    // Camera recovery: retries wait retryDelay, doubling each time
     this.retryCount = 0;
     this.maxRetries = 3;
+    this.retryDelay = 1000;
+    this.cameraRecovering = false;
+    this.cameraLost = false;
+    
+    // Event subscribers by event name, and the last status reported per module
+    this.listeners = {};
+    this.moduleStatus = {};
+  }
+
+  // Subscribe to a tracker event; returns a function that unsubscribes
+  on(event, callback) {
+    if (!TRACKER_EVENTS.includes(event)) {
+      throw new Error(`Unknown tracker event "${event}"`);
+    }
+    
+    if (!this.listeners[event]) {
+      this.listeners[event] = [];
+    }
+    this.listeners[event].push(callback);
+    return () => this.off(event, callback);
+  }
+
+  off(event, callback) {
+    if (!this.listeners[event]) return;
+    
+    this.listeners[event] = this.listeners[event].filter(listener => listener !== callback);
+  }
+
+  emit(event, data) {
+    (this.listeners[event] || []).forEach(callback => {
+      // A failing subscriber must not stop the tracking loop
+      try {
+        callback(data);
+      } catch (error) {
+        console.error(`Tracker "${event}" listener failed:`, error);
+      }
+    });
+  }
+
+  enableModule(module) {
+    this.setModuleEnabled(module, true);
+  }
+
+  disableModule(module) {
+    this.setModuleEnabled(module, false);
+  }
+
+  isModuleEnabled(module) {
+    return Boolean(this[TRACKER_MODULES[module]]);
+  }
+
+  setModuleEnabled(module, enabled) {
+    if (!TRACKER_MODULES[module]) {
+      throw new Error(`Unknown tracking module "${module}"`);
+    }
+    
+    this[TRACKER_MODULES[module]] = enabled;
+    this.updateStatus(module, enabled ? 'searching' : 'disabled');
+    this.log(`${module} tracking ${enabled ? 'enabled' : 'disabled'}`);
   }
 
   setupDebugControls() {
@@ -52,31 +231,41 @@ class FullBodyTracker {
     
     try {
       // Wait for DOM to be fully loaded
-      if (document.readyState !== 'complete') {
-        this.log('⏳ Waiting for DOM to load...');
-        await new Promise(resolve => {
-          window.addEventListener('load', resolve);
-        });
-      }
+      this.log('⏳ Waiting for DOM to load...');
+      await this.env.waitForLoad();
       
       // Initialize debug system
       this.setupDebugControls();
       
       // Initialize canvas with error handling
-      this.canvasElement = document.getElementById('tracking-canvas');
-      if (!this.canvasElement) {
-        throw new Error('Canvas element "tracking-canvas" not found. Please check HTML structure.');
-      }
-      this.canvasCtx = this.canvasElement.getContext('2d');
+      this.setupCanvas();
       
       // Initialize video element
-      this.videoElement = document.createElement('video');
+      this.videoElement = this.env.createElement('video');
+      
+      // Fetch the detector scripts (MediaPipe's from the configured asset location)
+      if (this.backend.load) {
+        this.log(`📦 Loading ${this.backend.name} assets...`);
+        await this.backend.load();
+        this.log(`✅ ${this.backend.name} assets loaded from ${this.backend.baseUrl}`);
+      }
       
       // Setup MediaPipe modules sequentially to avoid WASM conflicts
       await this.setupMediaPipeSequentially();
       
-      // Start camera
-      await this.startCamera();
+      // Start camera, unless an input source was passed in
+      this.env.onDeviceChange(() => this.onCameraDevicesChanged());
+      if (this.initialInputSource) {
+        await this.setInputSource(this.initialInputSource);
+      } else {
+        try {
+          await this.connectCamera();
+        } catch (error) {
+          // Tracking still starts, so a camera plugged in later is picked up
+          if (!this.cameraLost) throw error;
+          this.showErrorModal(error.message);
+        }
+      }
       
       // Start optimized tracking loop
       this.startOptimizedTracking();
@@ -93,6 +282,27 @@ class FullBodyTracker {
     }
   }
 
+  setupCanvas() {
+    this.canvasElement = this.env.getElementById('tracking-canvas');
+    if (!this.canvasElement) {
+      throw new Error('Canvas element "tracking-canvas" not found. Please check HTML structure.');
+    }
+    this.displayCtx = this.canvasElement.getContext('2d');
+    
+    // Where supported, frames are composed off screen and shown in one step, so a
+    // frame still waiting on its slowest module is never seen half drawn
+    this.offscreenCanvas = this.env.createOffscreenCanvas(this.canvasElement.width, this.canvasElement.height);
+    this.canvasCtx = this.offscreenCanvas ? this.offscreenCanvas.getContext('2d') : this.displayCtx;
+  }
+  
+  // Show the composed frame on the page canvas
+  presentFrame() {
+    if (!this.offscreenCanvas) return;
+    
+    this.displayCtx.clearRect(0, 0, this.canvasElement.width, this.canvasElement.height);
+    this.displayCtx.drawImage(this.offscreenCanvas, 0, 0);
+  }
+
   async setupMediaPipeSequentially() {
     this.log('🔧 Setting up MediaPipe modules sequentially...');
     
@@ -110,26 +320,11 @@ class FullBodyTracker {
 
   async setupPose() {
     try {
-      this.log('🔧 Setting up MediaPipe Pose...');
-      
-      this.pose = new Pose({
-        locateFile: (file) => {
-          return `https://cdn.jsdelivr.net/npm/@mediapipe/pose@0.5.1635988162/${file}`;
-        }
-      });
-      
-      this.pose.setOptions({
-        modelComplexity: 0, // Lightest model for best performance
-        smoothLandmarks: false, // Disable smoothing for speed
-        enableSegmentation: false,
-        smoothSegmentation: false,
-        minDetectionConfidence: 0.3,
-        minTrackingConfidence: 0.3
-      });
+      this.log(`🔧 Setting up ${this.backend.name} Pose...`);
       
-      this.pose.onResults((results) => this.onPoseResults(results));
+      this.pose = this.createPoseDetector();
       
-      this.log('✅ MediaPipe Pose initialized');
+      this.log(`✅ ${this.backend.name} Pose initialized`);
       this.updateStatus('pose', 'active');
       
     } catch (error) {
@@ -139,29 +334,42 @@ class FullBodyTracker {
     }
   }
 
+  createPoseDetector() {
+    const pose = this.backend.createDetector('pose');
+    
+    pose.setOptions({
+      smoothLandmarks: false, // Disable smoothing for speed
+      enableSegmentation: false,
+      smoothSegmentation: false,
+      ...this.detectorOptions('pose')
+    });
+    
+    pose.onResults((results) => this.collectResults('pose', results));
+    return pose;
+  }
+
+  // The single-dancer Pose and any partner ones, for changing their options together
+  poseDetectors() {
+    return [this.pose, ...Object.values(this.partnerPoses)].filter(Boolean);
+  }
+
   async setupFaceMesh() {
     try {
-      this.log('🔧 Setting up MediaPipe FaceMesh...');
+      this.log(`🔧 Setting up ${this.backend.name} FaceMesh...`);
       
       // Small delay to avoid WASM conflicts
-      await new Promise(resolve => setTimeout(resolve, 100));
+      await this.env.delay(100);
       
-      this.faceMesh = new FaceMesh({
-        locateFile: (file) => {
-          return `https://cdn.jsdelivr.net/npm/@mediapipe/face_mesh@0.4.1633559619/${file}`;
-        }
-      });
+      this.faceMesh = this.backend.createDetector('face');
       
       this.faceMesh.setOptions({
         maxNumFaces: 1,
-        refineLandmarks: false, // Disable refinement for performance
-        minDetectionConfidence: 0.3,
-        minTrackingConfidence: 0.3
+        ...this.detectorOptions('face')
       });
       
-      this.faceMesh.onResults((results) => this.onFaceResults(results));
+      this.faceMesh.onResults((results) => this.collectResults('face', results));
       
-      this.log('✅ MediaPipe FaceMesh initialized');
+      this.log(`✅ ${this.backend.name} FaceMesh initialized`);
       this.updateStatus('face', 'active');
       
     } catch (error) {
@@ -174,27 +382,18 @@ class FullBodyTracker {
 
   async setupHands() {
     try {
-      this.log('🔧 Setting up MediaPipe Hands...');
+      this.log(`🔧 Setting up ${this.backend.name} Hands...`);
       
       // Small delay to avoid WASM conflicts
-      await new Promise(resolve => setTimeout(resolve, 100));
+      await this.env.delay(100);
       
-      this.hands = new Hands({
-        locateFile: (file) => {
-          return `https://cdn.jsdelivr.net/npm/@mediapipe/hands@0.4.1646424915/${file}`;
-        }
-      });
+      this.hands = this.backend.createDetector('hands');
       
-      this.hands.setOptions({
-        maxNumHands: 2,
-        modelComplexity: 0, // Lightest model for performance
-        minDetectionConfidence: 0.3,
-        minTrackingConfidence: 0.3
-      });
+      this.hands.setOptions(this.detectorOptions('hands'));
       
-      this.hands.onResults((results) => this.onHandsResults(results));
+      this.hands.onResults((results) => this.collectResults('hands', results));
       
-      this.log('✅ MediaPipe Hands initialized');
+      this.log(`✅ ${this.backend.name} Hands initialized`);
       this.updateStatus('hands', 'active');
       
     } catch (error) {
@@ -205,173 +404,608 @@ class FullBodyTracker {
     }
   }
 
-  async startCamera(width = 640, height = 480) {
+  async startCamera(width = this.settings.cameraSize().width, height = this.settings.cameraSize().height) {
     this.log('📹 Starting camera...');
     
     try {
-      // Request camera with optimized settings
-      const stream = await navigator.mediaDevices.getUserMedia({ 
-        video: { 
-          width: { ideal: width, max: 1280 }, 
-          height: { ideal: height, max: 720 },
-          facingMode: 'user',
-          frameRate: { ideal: 30, max: 30 } // Limit frame rate for performance
-        } 
-      });
-      
-      this.log('Camera permissions granted');
-      
-      // Setup video element
-      this.videoElement.autoplay = true;
-      this.videoElement.playsInline = true;
-      this.videoElement.muted = true;
-      this.videoElement.srcObject = stream;
-      
-      // Wait for video to be ready
-      await new Promise((resolve) => {
-        this.videoElement.onloadedmetadata = () => {
-          this.videoElement.play();
-          resolve();
-        };
+      const source = this.env.createCameraSource(this.videoElement, {
+        width,
+        height,
+        deviceId: this.cameraDeviceId,
+        facingMode: this.cameraFacingMode
       });
+      source.onEnded = () => this.onCameraEnded(source);
+      await this.setInputSource(source);
       
-      this.log('✅ Camera started successfully');
-      this.updateStatus('camera', 'active');
+      this.log(`✅ Camera started successfully${source.label ? ` (${source.label})` : ''}`);
+      this.setCameraState('active', source.label || 'Camera on');
       
     } catch (error) {
       this.log(`❌ Camera start failed: ${error.message}`, 'error');
-      this.updateStatus('camera', 'error');
-      throw new Error('Unable to access webcam. Please ensure it is connected and permissions are granted.');
+      const failure = new Error(this.describeCameraError(error));
+      failure.cause = error;
+      throw failure;
+    }
+  }
+  
+  describeCameraError(error) {
+    switch (error.name) {
+      case 'NotAllowedError':
+      case 'SecurityError':
+        return 'Camera access was denied. Allow camera access for this page in the browser settings and reload.';
+      case 'NotFoundError':
+      case 'OverconstrainedError':
+        return 'No camera found. Connect a webcam and it will be picked up automatically.';
+      case 'NotReadableError':
+        return 'The camera is in use by another application. Close it and the camera will reconnect.';
+      default:
+        return 'Unable to access webcam. Please ensure it is connected and permissions are granted.';
+    }
+  }
+  
+  // Start the camera, retrying with backoff while it is busy or missing. Denied
+  // access isn't retried: only the user can change that.
+  async connectCamera() {
+    this.cameraRecovering = true;
+    
+    try {
+      for (let attempt = 0; ; attempt++) {
+        try {
+          await this.startCamera();
+          this.retryCount = 0;
+          this.cameraLost = false;
+          this.emit('cameras', { cameras: await this.listCameras() });
+          return;
+        } catch (error) {
+          const denied = error.cause && (error.cause.name === 'NotAllowedError' || error.cause.name === 'SecurityError');
+          if (denied || attempt >= this.maxRetries) {
+            this.retryCount = 0;
+            this.cameraLost = !denied;
+            this.setCameraState('error', error.message);
+            throw error;
+          }
+          
+          this.retryCount = attempt + 1;
+          const wait = this.retryDelay * 2 ** attempt;
+          this.setCameraState('reconnecting', `Retrying camera (${this.retryCount}/${this.maxRetries}) in ${wait / 1000} s`);
+          await this.env.delay(wait);
+          await this.forgetMissingCamera();
+        }
+      }
+    } finally {
+      this.cameraRecovering = false;
+    }
+  }
+  
+  // An unplugged camera can't come back on its own, so fall back to the default one
+  async forgetMissingCamera() {
+    if (!this.cameraDeviceId) return;
+    
+    const cameras = await this.listCameras();
+    if (!cameras.some(camera => camera.deviceId === this.cameraDeviceId)) {
+      this.log('📹 The selected camera is no longer connected; using the default camera');
+      this.cameraDeviceId = null;
+    }
+  }
+  
+  async listCameras() {
+    try {
+      return await this.env.listCameras();
+    } catch (error) {
+      return [];
+    }
+  }
+  
+  // Use another camera; applied at once if the camera is the current input
+  async switchCamera(deviceId) {
+    this.cameraDeviceId = deviceId || null;
+    await this.restartCamera();
+  }
+  
+  // Toggle between the front and back camera (phones)
+  async flipCamera() {
+    this.cameraFacingMode = this.cameraFacingMode === 'user' ? 'environment' : 'user';
+    this.cameraDeviceId = null;
+    await this.restartCamera();
+  }
+  
+  async onCameraEnded(source) {
+    if (this.inputSource !== source || this.cameraRecovering) return;
+    
+    this.log('⚠️ Camera disconnected');
+    this.setCameraState('reconnecting', 'Camera disconnected');
+    await this.restartCamera();
+  }
+  
+  // Cameras plugged in or removed: refresh the list, and reconnect if the camera was lost
+  async onCameraDevicesChanged() {
+    const cameras = await this.listCameras();
+    this.emit('cameras', { cameras });
+    
+    if (this.cameraLost && !this.cameraRecovering && !this.inputSource && cameras.length > 0) {
+      this.log('📹 Camera connected, reconnecting...');
+      try {
+        await this.connectCamera();
+      } catch (error) {
+        this.log(`❌ ${error.message}`, 'error');
+      }
     }
   }
+  
+  setCameraState(status, message) {
+    this.updateStatus('camera', status);
+    this.emit('camera', { status, message, deviceId: this.cameraDeviceId });
+  }
 
-  onPoseResults(results) {
-    this.poseLandmarks = results.poseLandmarks;
-    this.poseWorldLandmarks = results.poseWorldLandmarks;
+  async setInputSource(source) {
+    await source.open();
     
-    if (this.showPose) {
-      this.drawPoseLandmarks();
+    // Release the previous source only once the new one is usable
+    const previous = this.inputSource;
+    this.inputSource = source;
+    this.lastProcessedFrame = -1;
+    
+    if (previous && previous !== source) {
+      previous.close();
+    }
+    
+    // A different kind of input is a different practice session; a new camera carries on
+    if (previous && previous.kind !== source.kind) {
+      this.finishPracticeSession();
     }
     
+    // Back to the governor's starting models, which then hold for the whole file
+    if (!source.isLive) {
+      this.governor.setGoal(this.governor.goal);
+    }
+    
+    this.log(`🎞️ Input source: ${source.kind}${source.isLive ? ' (live)' : ` (${source.frameCount} frames)`}`);
+  }
+
+  async useVideoFile(file, options = {}) {
+    this.log(`📂 Loading video file "${file.name}"...`);
+    
+    try {
+      await this.setInputSource(new VideoFileInputSource(file, options));
+      this.updateStatus('camera', 'active');
+    } catch (error) {
+      this.log(`❌ Video file failed to load: ${error.message}`, 'error');
+      this.showErrorModal(error.message);
+    }
+  }
+
+  async useImageSequence(files, options = {}) {
+    this.log(`📂 Loading image sequence (${files.length} files)...`);
+    
+    try {
+      await this.setInputSource(new ImageSequenceInputSource(files, options));
+      this.updateStatus('camera', 'active');
+    } catch (error) {
+      this.log(`❌ Image sequence failed to load: ${error.message}`, 'error');
+      this.showErrorModal(error.message);
+    }
+  }
+
+  async useCamera() {
+    if (this.inputSource && this.inputSource.kind === 'camera') return;
+    
+    try {
+      await this.connectCamera();
+    } catch (error) {
+      this.showErrorModal(error.message);
+    }
+  }
+
+  // A new camera or resolution needs a new stream. The old one is stopped first:
+  // phones can't open their front and back cameras at the same time.
+  async restartCamera() {
+    if (!this.inputSource || this.inputSource.kind !== 'camera') return;
+    
+    this.inputSource.close();
+    this.inputSource = null;
+    
+    try {
+      await this.connectCamera();
+    } catch (error) {
+      this.showErrorModal(error.message);
+    }
+  }
+
+  onPoseResults(results) {
+    // In partner mode each crop's result is collected and handled once both are in
+    if (this.activeCrop) {
+      if (results.poseLandmarks) {
+        this.partnerDetections.push({
+          crop: this.activeCrop,
+          poseLandmarks: results.poseLandmarks,
+          poseWorldLandmarks: results.poseWorldLandmarks
+        });
+      }
+      return;
+    }
+    
+    this.poseLandmarks = this.filters.apply('pose', results.poseLandmarks, this.currentFrameTime);
+    this.poseWorldLandmarks = this.filters.apply('poseWorld', results.poseWorldLandmarks, this.currentFrameTime);
+    this.analyzePose();
+    
+    this.emit('pose', {
+      time: this.currentFrameTime,
+      landmarks: this.poseLandmarks,
+      worldLandmarks: this.poseWorldLandmarks
+    });
+    
     this.updateTrackingStatus();
     
     // Throttled logging
-    const now = Date.now();
+    const now = this.env.wallClock();
     if (now - this.lastLogTime >= this.logInterval) {
       this.logPoseData();
       this.lastLogTime = now;
     }
   }
 
-  onFaceResults(results) {
-    this.faceLandmarks = results.multiFaceLandmarks?.[0] || null;
+  // Single-dancer analysis of the current pose
+  analyzePose() {
+    if (this.canvasElement && this.canvasElement.height) {
+      this.stepCounter.aspect = this.canvasElement.width / this.canvasElement.height;
+      this.hipAnalyzer.aspect = this.stepCounter.aspect;
+      this.partnerTracker.aspect = this.stepCounter.aspect;
+    }
+    this.stepCounter.update(this.poseLandmarks, this.poseWorldLandmarks, this.currentFrameTime);
+    this.hipAnalyzer.update(this.poseLandmarks, this.poseWorldLandmarks, this.currentFrameTime);
+    this.kinematics.update(this.poseWorldLandmarks, this.currentFrameTime);
+    this.updateCoaching();
+    this.motionTrails.update(this.poseLandmarks, this.currentFrameTime);
+    this.updateLiveComparison();
+  }
+
+  // Check the posture rules, reporting when the broken ones change or a cue is given
+  updateCoaching() {
+    const violations = this.coach.update(this.kinematics.getState(), this.poseWorldLandmarks, this.currentFrameTime);
+    const rules = violations.map(violation => violation.rule).join(',');
+    if (rules === this.coachingRules && !this.coachingCue) return;
     
-    if (this.showFace && this.faceLandmarks) {
-      this.drawFaceLandmarks();
+    this.coachingRules = rules;
+    const cue = this.coachingCue;
+    this.coachingCue = null;
+    this.emit('coaching', { time: this.currentFrameTime, violations, cue });
+  }
+
+  onCoachingCue(event) {
+    const spoken = this.settings.get('coachingSpeech') && this.env.speak(event.cue);
+    this.coachingCue = { rule: event.rule, text: event.cue, spoken: !!spoken };
+    this.log(`🗣️ ${event.cue}`);
+  }
+
+  // Rules whose setting turns them on
+  coachedRules() {
+    return Object.keys(COACHING_RULES).filter(rule => this.settings.get(COACHING_RULES[rule].setting));
+  }
+
+  onPartnerResults(detections) {
+    const people = this.partnerTracker.update(detections, this.currentFrameTime);
+    
+    this.poseLandmarks = people[this.partnerFocus].poseLandmarks;
+    this.poseWorldLandmarks = people[this.partnerFocus].poseWorldLandmarks;
+    this.analyzePose();
+    
+    this.emit('pose', {
+      time: this.currentFrameTime,
+      landmarks: this.poseLandmarks,
+      worldLandmarks: this.poseWorldLandmarks,
+      partners: this.getPartners()
+    });
+    
+    this.updateTrackingStatus();
+    
+    // Throttled logging
+    const now = this.env.wallClock();
+    if (now - this.lastLogTime >= this.logInterval) {
+      const found = PARTNER_ROLES.filter(role => people[role].poseLandmarks).length;
+      this.log(`👫 Partners: ${found}/2 dancers tracked`);
+      this.lastLogTime = now;
+    }
+  }
+
+  onFaceResults(results) {
+    if (this.partnerMode) {
+      this.partnerTracker.assignFaces(results.multiFaceLandmarks || [], this.currentFrameTime);
+      this.faceLandmarks = this.partnerTracker.people[this.partnerFocus].faceLandmarks;
+      this.analyzeFace();
+      this.emit('face', { time: this.currentFrameTime, landmarks: this.faceLandmarks, headPose: this.headPose.getState(), partners: this.getPartners() });
+      return;
     }
     
+    this.faceLandmarks = this.filters.apply('face', results.multiFaceLandmarks?.[0] || null, this.currentFrameTime);
+    this.analyzeFace();
+    
+    this.emit('face', { time: this.currentFrameTime, landmarks: this.faceLandmarks, headPose: this.headPose.getState() });
+    
     // Throttled logging - only log every 2 seconds
-    const now = Date.now();
+    const now = this.env.wallClock();
     if (now - this.lastLogTime >= this.logInterval && this.faceLandmarks) {
       this.logFaceData();
       this.lastLogTime = now;
     }
   }
 
+  // Head pose of the analyzed dancer; in partner mode, whether they look at the other one
+  analyzeFace(time = this.currentFrameTime) {
+    if (this.canvasElement && this.canvasElement.height) {
+      this.headPose.aspect = this.canvasElement.width / this.canvasElement.height;
+    }
+    const partner = this.partnerMode ? PARTNER_ROLES.find(role => role !== this.partnerFocus) : null;
+    const partnerFace = partner ? this.partnerTracker.people[partner].faceLandmarks : null;
+    this.headPose.update(this.faceLandmarks, time, partnerFace);
+  }
+
   onHandsResults(results) {
-    this.handsLandmarks = results.multiHandLandmarks || [];
-    
-    if (this.showHands && this.handsLandmarks.length > 0) {
-      this.drawHandsLandmarks();
+    if (this.partnerMode) {
+      this.partnerTracker.assignHands(results.multiHandLandmarks || [], results.multiHandedness, this.currentFrameTime);
+      this.handsLandmarks = this.partnerTracker.people[this.partnerFocus].handsLandmarks;
+      this.handsHandedness = this.partnerTracker.people[this.partnerFocus].handsHandedness;
+      this.emit('hands', {
+        time: this.currentFrameTime,
+        landmarks: this.handsLandmarks,
+        handedness: this.handsHandedness,
+        partners: this.getPartners()
+      });
+      return;
     }
     
+    this.handsLandmarks = this.filters.apply('hands', results.multiHandLandmarks || [], this.currentFrameTime, results.multiHandedness);
+    this.handsHandedness = results.multiHandedness || [];
+    
+    this.emit('hands', {
+      time: this.currentFrameTime,
+      landmarks: this.handsLandmarks,
+      handedness: this.handsHandedness
+    });
+    
     // Throttled logging - only log every 2 seconds
-    const now = Date.now();
+    const now = this.env.wallClock();
     if (now - this.lastLogTime >= this.logInterval && this.handsLandmarks.length > 0) {
       this.logHandsData();
       this.lastLogTime = now;
     }
   }
 
-  // Helper function to flip X coordinate for mirror effect
+  // Helper function to flip X coordinate for mirror effect (when mirroring is on)
   flipX(x, width) {
-    return width - x;
+    return this.mirror ? width - x : x;
   }
 
+  // Compose every layer from the latest results and show the frame
   renderFrame() {
-    if (!this.videoElement || !this.videoElement.videoWidth) return;
+    if (!this.canvasCtx) return;
     
-    // Update canvas size
-    this.resizeCanvas();
+    this.compositor.render(this.canvasCtx, this.layerFrame());
+    this.presentFrame();
+  }
+  
+  // Draw the current frame again, e.g. after a layer or the mirror changed while paused
+  redraw() {
+    if (this.frameCanvas || this.sessionPlayer) {
+      this.renderFrame();
+    }
+  }
+  
+  // What every layer's draw(ctx, frame) gets
+  layerFrame() {
+    const width = this.canvasElement.width;
+    const height = this.canvasElement.height;
+    
+    return {
+      width,
+      height,
+      time: this.currentFrameTime,
+      mirror: this.mirror,
+      // Canvas position of a normalized landmark, mirrored like the video
+      toCanvas: (landmark) => ({ x: this.flipX(landmark.x * width, width), y: landmark.y * height }),
+      poseLandmarks: this.poseLandmarks,
+      poseWorldLandmarks: this.poseWorldLandmarks,
+      faceLandmarks: this.faceLandmarks,
+      handsLandmarks: this.handsLandmarks,
+      handedness: this.handsHandedness,
+      tracker: this
+    };
+  }
+  
+  setupLayers() {
+    this.compositor.addLayer('video', (ctx, frame) => this.drawVideoLayer(ctx, frame));
+    this.compositor.addLayer('ghost', (ctx, frame) => this.drawGhostLayer(ctx, frame), { opacity: 0.5 });
+    this.compositor.addLayer('trails', (ctx, frame) => this.motionTrails.draw(ctx, frame.toCanvas));
+    this.compositor.addLayer('skeleton', () => this.drawSkeletonLayer());
+    this.compositor.addLayer('face', (ctx, frame) => this.drawFaceLayer(ctx, frame));
+    this.compositor.addLayer('hands', () => this.drawHandsLayer());
+    this.compositor.addLayer('gestures', (ctx, frame) => this.drawGestureLayer(ctx, frame));
+    this.compositor.addLayer('hud', () => {
+      this.drawHud();
+      this.drawClipCountdown();
+    });
+  }
+  
+  // The video layer shows the frame the models saw, not whatever the video has moved on to
+  captureFrame(image) {
+    if (!this.frameCanvas) {
+      this.frameCanvas = this.env.createElement('canvas');
+    }
     
-    // Clear canvas efficiently
-    this.canvasCtx.clearRect(0, 0, this.canvasElement.width, this.canvasElement.height);
+    const width = this.canvasElement.width;
+    const height = this.canvasElement.height;
+    if (this.frameCanvas.width !== width || this.frameCanvas.height !== height) {
+      this.frameCanvas.width = width;
+      this.frameCanvas.height = height;
+    }
     
-    // Save the current context state
-    this.canvasCtx.save();
+    this.frameCanvas.getContext('2d').drawImage(image, 0, 0, width, height);
+  }
+  
+  drawVideoLayer(ctx, frame) {
+    // Session playback has landmarks but no video
+    if (this.sessionPlayer || !this.frameCanvas) {
+      ctx.fillStyle = '#000';
+      ctx.fillRect(0, 0, frame.width, frame.height);
+      return;
+    }
     
     // Flip the canvas horizontally to create a mirror effect
-    this.canvasCtx.scale(-1, 1);
-    this.canvasCtx.translate(-this.canvasElement.width, 0);
+    if (this.mirror) {
+      ctx.scale(-1, 1);
+      ctx.translate(-frame.width, 0);
+    }
+    ctx.drawImage(this.frameCanvas, 0, 0, frame.width, frame.height);
+  }
+  
+  drawGhostLayer(ctx, frame) {
+    if (!this.ghost.active) return;
     
-    // Draw video frame (now flipped)
-    this.canvasCtx.drawImage(
-      this.videoElement, 
-      0, 0, 
-      this.canvasElement.width, 
-      this.canvasElement.height
-    );
+    const pose = this.ghost.poseAt(frame.time, frame.poseLandmarks, frame.width / frame.height);
+    this.ghost.draw(ctx, pose, frame.toCanvas);
+  }
+  
+  // A ring filling up around the wrist while a gesture is held, then what it did
+  drawGestureLayer(ctx, frame) {
+    if (!this.settings.get('gestureControl')) return;
     
-    // Restore the context state
-    this.canvasCtx.restore();
+    ctx.lineWidth = 4;
+    ctx.strokeStyle = '#FFFFFF';
+    this.gestures.getProgress(frame.time).forEach(({ wrist, progress }) => {
+      if (!wrist) return;
+      const center = frame.toCanvas(wrist);
+      ctx.beginPath();
+      ctx.arc(center.x, center.y, 24, -Math.PI / 2, -Math.PI / 2 + progress * 2 * Math.PI);
+      ctx.stroke();
+    });
     
-    // Update FPS counter
-    this.updateFPS();
+    const recent = this.lastGesture;
+    if (recent && frame.time - recent.time >= 0 && frame.time - recent.time < 1500) {
+      const { emoji, label } = GESTURES[recent.gesture];
+      ctx.fillStyle = '#FFFFFF';
+      ctx.font = 'bold 20px Arial';
+      ctx.textAlign = 'center';
+      ctx.fillText(`${emoji} ${label} → ${GESTURE_ACTIONS[recent.action].label}`, frame.width / 2, 40);
+    }
   }
-
-  drawPoseLandmarks() {
-    if (!this.poseLandmarks || !this.showPose) return;
+  
+  drawSkeletonLayer() {
+    if (!this.partnerMode) {
+      this.drawPoseLandmarks();
+      return;
+    }
     
-    const ctx = this.canvasCtx;
-    const width = this.canvasElement.width;
-    const height = this.canvasElement.height;
+    // Only the analyzed dancer is coached
+    if (!this.showPose) return;
+    PARTNER_ROLES.forEach(role => {
+      const person = this.partnerTracker.people[role];
+      const highlight = role === this.partnerFocus ? this.coach.getHighlightedJoints() : [];
+      this.drawPoseLandmarks(person.poseLandmarks, PARTNER_COLORS[role], highlight);
+      this.drawPartnerLabel(person);
+    });
+  }
+  
+  drawFaceLayer(ctx, frame) {
+    if (!this.partnerMode) {
+      this.drawFaceLandmarks();
+    } else {
+      PARTNER_ROLES.forEach(role => this.drawFaceLandmarks(this.partnerTracker.people[role].faceLandmarks, PARTNER_COLORS[role]));
+    }
     
-    // Draw pose landmarks with optimized rendering
-    ctx.strokeStyle = '#00FF00';
-    ctx.lineWidth = 3;
-    ctx.fillStyle = '#00FF00';
+    if (this.showFace) {
+      this.headPose.drawDirection(ctx, this.faceLandmarks, frame.toCanvas);
+    }
+  }
+  
+  drawHandsLayer() {
+    if (!this.partnerMode) {
+      this.drawHandsLandmarks();
+      return;
+    }
     
-    // Draw connections
-    const connections = [
-      [11, 12], [11, 13], [13, 15], [12, 14], [14, 16], // Arms
-      [11, 23], [12, 24], [23, 24], // Torso
-      [23, 25], [25, 27], [27, 29], [29, 31], // Left leg
-      [24, 26], [26, 28], [28, 30], [30, 32], // Right leg
-      [15, 17], [15, 19], [15, 21], // Left hand
-      [16, 18], [16, 20], [16, 22], // Right hand
-    ];
+    PARTNER_ROLES.forEach(role => {
+      const color = PARTNER_COLORS[role];
+      this.drawHandsLandmarks(this.partnerTracker.people[role].handsLandmarks, [color, color]);
+    });
+  }
+  
+  // Custom layers: draw(ctx, frame) is called every frame with the canvas context
+  // and { width, height, time, mirror, toCanvas(landmark), poseLandmarks, ... }
+  addLayer(name, draw, options = {}) {
+    this.compositor.addLayer(name, draw, options);
+    this.redraw();
+  }
+  
+  removeLayer(name) {
+    this.compositor.removeLayer(name);
+    this.redraw();
+  }
+  
+  setLayerOpacity(name, opacity) {
+    this.compositor.setOpacity(name, opacity);
+    this.redraw();
+  }
+  
+  setLayerVisible(name, visible) {
+    this.compositor.setVisible(name, visible);
+    this.redraw();
+  }
+  
+  getLayers() {
+    return this.compositor.getLayers();
+  }
+  
+  setMirror(enabled) {
+    this.settings.set('mirror', enabled);
+  }
+  
+  // A layer that throws would throw every frame, so it is hidden after the first error
+  onLayerError(layer, error) {
+    this.compositor.setVisible(layer, false);
+    const message = `Layer "${layer}" failed and was hidden: ${error.message}`;
+    this.log(`⚠️ ${message}`, 'warning');
+    this.emit('error', { message, error, fatal: false });
+  }
+
+  // `highlight`: landmark indices drawn in the coaching color, with the bones that meet them
+  drawPoseLandmarks(landmarks = this.poseLandmarks, color = this.settings.get('poseColor'), highlight = this.coach.getHighlightedJoints()) {
+    if (!landmarks || !this.showPose) return;
+    
+    const ctx = this.canvasCtx;
+    const width = this.canvasElement.width;
+    const height = this.canvasElement.height;
+    const visibilityThreshold = this.settings.get('visibilityThreshold');
+    
+    // Draw pose landmarks with optimized rendering
+    ctx.strokeStyle = color;
+    ctx.lineWidth = 3;
+    ctx.fillStyle = color;
     
-    connections.forEach(([start, end]) => {
-      const startPoint = this.poseLandmarks[start];
-      const endPoint = this.poseLandmarks[end];
+    // Draw connections
+    POSE_CONNECTIONS.forEach(([start, end]) => {
+      const startPoint = landmarks[start];
+      const endPoint = landmarks[end];
       
       if (startPoint && endPoint && 
-          startPoint.visibility > 0.3 && endPoint.visibility > 0.3) {
+          startPoint.visibility > visibilityThreshold && endPoint.visibility > visibilityThreshold) {
+        ctx.strokeStyle = highlight.includes(start) || highlight.includes(end) ? COACHING_COLOR : color;
         ctx.beginPath();
         ctx.moveTo(this.flipX(startPoint.x * width, width), startPoint.y * height);
         ctx.lineTo(this.flipX(endPoint.x * width, width), endPoint.y * height);
         ctx.stroke();
       }
     });
+    ctx.strokeStyle = color;
     
     // Draw key points
-    this.poseLandmarks.forEach((landmark, index) => {
-      if (landmark.visibility > 0.3) {
+    landmarks.forEach((landmark, index) => {
+      if (landmark.visibility > visibilityThreshold) {
+        const highlighted = highlight.includes(index);
+        ctx.fillStyle = highlighted ? COACHING_COLOR : color;
         ctx.beginPath();
         ctx.arc(
           this.flipX(landmark.x * width, width), 
           landmark.y * height, 
-          6, 0, 2 * Math.PI
+          highlighted ? 9 : 6, 0, 2 * Math.PI
         );
         ctx.fill();
         
@@ -384,23 +1018,23 @@ class FullBodyTracker {
             this.flipX(landmark.x * width, width) + 10, 
             landmark.y * height - 10
           );
-          ctx.fillStyle = '#00FF00';
+          ctx.fillStyle = color;
         }
       }
     });
   }
 
-  drawFaceLandmarks() {
-    if (!this.faceLandmarks || !this.showFace) return;
+  drawFaceLandmarks(landmarks = this.faceLandmarks, color = this.settings.get('faceColor')) {
+    if (!landmarks || !this.showFace) return;
     
     const ctx = this.canvasCtx;
     const width = this.canvasElement.width;
     const height = this.canvasElement.height;
     
     // Draw face mesh with optimized settings
-    ctx.strokeStyle = '#FFD700';
+    ctx.strokeStyle = color;
     ctx.lineWidth = 1;
-    ctx.fillStyle = '#FFD700';
+    ctx.fillStyle = color;
     
     // Draw face contours
     const faceContours = [
@@ -408,8 +1042,8 @@ class FullBodyTracker {
     ];
     
     faceContours.forEach(([start, end]) => {
-      const startPoint = this.faceLandmarks[start];
-      const endPoint = this.faceLandmarks[end];
+      const startPoint = landmarks[start];
+      const endPoint = landmarks[end];
       
       if (startPoint && endPoint) {
         ctx.beginPath();
@@ -423,7 +1057,7 @@ class FullBodyTracker {
     const keyLandmarks = [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 13, 14, 15, 16, 17, 18, 19, 20, 21, 22, 23, 24, 25, 26, 27, 28, 29, 30, 31, 32, 33, 34, 35, 36, 37, 38, 39, 40, 41, 42, 43, 44, 45, 46, 47, 48, 49, 50, 51, 52, 53, 54, 55, 56, 57, 58, 59, 60, 61, 62, 63, 64, 65, 66, 67, 68, 69, 70, 71, 72, 73, 74, 75, 76, 77, 78, 79, 80, 81, 82, 83, 84, 85, 86, 87, 88, 89, 90, 91, 92, 93, 94, 95, 96, 97, 98, 99, 100, 101, 102, 103, 104, 105, 106, 107, 108, 109, 110, 111, 112, 113, 114, 115, 116, 117, 118, 119, 120, 121, 122, 123, 124, 125, 126, 127, 128, 129, 130, 131, 132, 133, 134, 135, 136, 137, 138, 139, 140, 141, 142, 143, 144, 145, 146, 147, 148, 149, 150, 151, 152, 153, 154, 155, 156, 157, 158, 159, 160, 161, 162, 163, 164, 165, 166, 167, 168, 169, 170, 171, 172, 173, 174, 175, 176, 177, 178, 179, 180, 181, 182, 183, 184, 185, 186, 187, 188, 189, 190, 191, 192, 193, 194, 195, 196, 197, 198, 199, 200, 201, 202, 203, 204, 205, 206, 207, 208, 209, 210, 211, 212, 213, 214, 215, 216, 217, 218, 219, 220, 221, 222, 223, 224, 225, 226, 227, 228, 229, 230, 231, 232, 233, 234, 235, 236, 237, 238, 239, 240, 241, 242, 243, 244, 245, 246, 247, 248, 249, 250, 251, 252, 253, 254, 255, 256, 257, 258, 259, 260, 261, 262, 263, 264, 265, 266, 267, 268, 269, 270, 271, 272, 273, 274, 275, 276, 277, 278, 279, 280, 281, 282, 283, 284, 285, 286, 287, 288, 289, 290, 291, 292, 293, 294, 295, 296, 297, 298, 299, 300, 301, 302, 303, 304, 305, 306, 307, 308, 309, 310, 311, 312, 313, 314, 315, 316, 317, 318, 319, 320, 321, 322, 323, 324, 325, 326, 327, 328, 329, 330, 331, 332, 333, 334, 335, 336, 337, 338, 339, 340, 341, 342, 343, 344, 345, 346, 347, 348, 349, 350, 351, 352, 353, 354, 355, 356, 357, 358, 359, 360, 361, 362, 363, 364, 365, 366, 367, 368, 369, 370, 371, 372, 373, 374, 375, 376, 377, 378, 379, 380, 381, 382, 383, 384, 385, 386, 387, 388, 389, 390, 391, 392, 393, 394, 395, 396, 397, 398, 399, 400, 401, 402, 403, 404, 405, 406, 407, 408, 409, 410, 411, 412, 413, 414, 415, 416, 417, 418, 419, 420, 421, 422, 423, 424, 425, 426, 427, 428, 429, 430, 431, 432, 433, 434, 435, 436, 437, 438, 439, 440, 441, 442, 443, 444, 445, 446, 447, 448, 449, 450, 451, 452, 453, 454, 455, 456, 457, 458, 459, 460, 461, 462, 463, 464, 465, 466, 467];
     
     keyLandmarks.forEach(index => {
-      const landmark = this.faceLandmarks[index];
+      const landmark = landmarks[index];
       if (landmark) {
         ctx.beginPath();
         ctx.arc(
@@ -436,15 +1070,15 @@ class FullBodyTracker {
     });
   }
 
-  drawHandsLandmarks() {
-    if (!this.handsLandmarks || !this.showHands) return;
+  drawHandsLandmarks(hands = this.handsLandmarks, colors = [this.settings.get('firstHandColor'), this.settings.get('secondHandColor')]) {
+    if (!hands || !this.showHands) return;
     
     const ctx = this.canvasCtx;
     const width = this.canvasElement.width;
     const height = this.canvasElement.height;
     
-    this.handsLandmarks.forEach((handLandmarks, handIndex) => {
-      const handColor = handIndex === 0 ? '#FF6B6B' : '#4ECDC4';
+    hands.forEach((handLandmarks, handIndex) => {
+      const handColor = colors[handIndex % colors.length];
       
       ctx.strokeStyle = handColor;
       ctx.lineWidth = 2;
@@ -497,56 +1131,431 @@ class FullBodyTracker {
     });
   }
 
+  // Role name above the dancer's head in partner mode
+  drawPartnerLabel(person) {
+    const nose = person.poseLandmarks && person.poseLandmarks[POSE_LANDMARKS.NOSE];
+    if (!nose) return;
+    
+    const ctx = this.canvasCtx;
+    const width = this.canvasElement.width;
+    const label = person.role === 'leader' ? 'Leader' : 'Follower';
+    
+    ctx.save();
+    ctx.font = 'bold 14px Arial';
+    ctx.textAlign = 'center';
+    ctx.fillStyle = PARTNER_COLORS[person.role];
+    ctx.fillText(label, this.flipX(nose.x * width, width), Math.max(nose.y * this.canvasElement.height - 40, 14));
+    ctx.restore();
+  }
+
+  onStepEvent(event) {
+    if (this.practiceLog.isActive) {
+      this.practiceLog.addStep(event);
+    }
+    const musicTime = this.beatTracker.hasBeats() ? this.stepTimeToMusicTime(event.time) : null;
+    if (musicTime === null) return;
+    
+    const result = this.timingScorer.score(event, musicTime, this.beatTracker);
+    if (this.practiceLog.isActive) {
+      this.practiceLog.addTiming(result);
+    }
+  }
+
+  // Step times are on the frame clock; map them onto the music's clock, or null
+  // while live music is paused or hasn't started, when there's no beat to step to
+  stepTimeToMusicTime(time) {
+    if (this.sessionPlayer || (this.inputSource && !this.inputSource.isLive)) {
+      // Clips are scored against their own soundtrack, which starts with the clip
+      return time / 1000;
+    }
+    if (!this.beatTracker.isRunning()) return null;
+    
+    // Live frames were captured a little before now; subtract that latency
+    return this.beatTracker.currentMusicTime() - (this.env.now() - time) / 1000;
+  }
+
+  async loadMusic(file) {
+    this.log(`🎵 Analyzing "${file.name}"...`);
+    
+    try {
+      await this.beatTracker.loadFile(file);
+      this.timingScorer.reset();
+      this.log(`🎵 ${this.beatTracker.bpm} BPM, ${this.beatTracker.beats.length} beats`);
+    } catch (error) {
+      this.log(`❌ Music analysis failed: ${error.message}`, 'error');
+      this.showErrorModal(error.message);
+    }
+  }
+
+  async useMicrophoneForBeats() {
+    try {
+      await this.beatTracker.useMicrophone();
+      this.timingScorer.reset();
+      this.log('🎤 Listening for the beat...');
+    } catch (error) {
+      this.log(`❌ Microphone failed: ${error.message}`, 'error');
+      this.showErrorModal('Unable to access the microphone. Please ensure permissions are granted.');
+    }
+  }
+
+  toggleMusic() {
+    if (this.beatTracker.playing) {
+      this.beatTracker.pause();
+    } else {
+      this.beatTracker.play();
+    }
+  }
+
+  async loadReference(file) {
+    try {
+      const session = await SessionRecorder.load(file);
+      this.choreoComparator.setReference(session);
+      // A ghost already showing switches to the new reference
+      const ghostShowing = this.ghost.active;
+      this.ghost.setReference(session);
+      if (ghostShowing) this.ghost.start(this.currentFrameTime);
+      this.log(`🪞 Reference loaded (${session.frames.length} frames)`);
+      return true;
+    } catch (error) {
+      this.log(`❌ Reference failed to load: ${error.message}`, 'error');
+      this.showErrorModal(error.message);
+      return false;
+    }
+  }
+
+  startLiveComparison() {
+    if (!this.choreoComparator.reference) {
+      this.showErrorModal('Load a reference recording first.');
+      return false;
+    }
+    
+    this.choreoComparator.startLive();
+    this.isComparing = true;
+    // The ghost starts over with the attempt, so following it keeps the student in time
+    if (this.ghost.active) this.ghost.start(this.currentFrameTime);
+    this.lastCompareTime = 0;
+    this.log('🪞 Live comparison started');
+    return true;
+  }
+
+  stopLiveComparison() {
+    this.isComparing = false;
+    const result = this.choreoComparator.updateLive();
+    this.log(`🪞 Live comparison stopped${result ? ` (${result.match}% match)` : ''}`);
+    this.emit('comparison', { result, complete: this.choreoComparator.liveComplete });
+    return result;
+  }
+
+  updateLiveComparison() {
+    if (!this.isComparing) return;
+    
+    this.choreoComparator.addLiveFrame(this.currentFrameTime, this.poseLandmarks, this.poseWorldLandmarks);
+    
+    // Alignment is O(n·band), so refresh it periodically rather than every frame
+    if (this.currentFrameTime - this.lastCompareTime >= this.compareInterval) {
+      this.lastCompareTime = this.currentFrameTime;
+      this.choreoComparator.updateLive();
+      // The student has danced to the end of the reference, so the attempt is over
+      if (this.choreoComparator.liveComplete) {
+        this.log('🪞 Reached the end of the reference');
+        this.stopLiveComparison();
+      }
+    }
+  }
+
+  compareSession(session) {
+    try {
+      return this.choreoComparator.compare(session.frames);
+    } catch (error) {
+      this.log(`❌ Comparison failed: ${error.message}`, 'error');
+      this.showErrorModal(error.message);
+      return null;
+    }
+  }
+
+  getHudLines() {
+    const lines = [
+      ...this.stepCounter.getHudLines(),
+      ...this.hipAnalyzer.getHudLines(),
+      ...this.headPose.getHudLines(),
+      ...this.coach.getHudLines()
+    ];
+    
+    if (this.partnerMode) {
+      lines.push(...this.partnerTracker.getHudLines());
+    }
+    
+    if (this.beatTracker.hasBeats()) {
+      lines.push(`🎵 ${this.beatTracker.bpm} BPM`);
+      lines.push(...this.timingScorer.getHudLines());
+    }
+    
+    const comparison = this.isComparing ? this.choreoComparator.liveResult : null;
+    if (comparison) {
+      const weakest = Object.keys(comparison.perJoint).sort((a, b) => comparison.perJoint[a] - comparison.perJoint[b])[0];
+      lines.push(`🪞 Match: ${comparison.match}%  Weakest: ${weakest}`);
+    }
+    
+    return lines;
+  }
+
+  // Frame rate and the selected kinematics, shown in the top-right corner
+  getMetricsHudLines() {
+    return [`⚡ ${this.fps} FPS`, ...this.kinematics.getHudLines(this.kinematicsHud)];
+  }
+
+  drawHud() {
+    if (!this.showHud || !this.canvasCtx) return;
+    
+    this.drawHudPanel(this.getHudLines(), 'left');
+    this.drawHudPanel(this.getMetricsHudLines(), 'right');
+    
+    if (this.showHipTrace) {
+      this.hipAnalyzer.drawTrace(this.canvasCtx, 10, this.canvasElement.height - 90, 200, 80);
+    }
+  }
+
+  drawHudPanel(lines, side) {
+    if (lines.length === 0) return;
+    
+    const ctx = this.canvasCtx;
+    const lineHeight = 20;
+    const padding = 8;
+    
+    ctx.save();
+    ctx.font = '14px Arial';
+    const width = Math.max(...lines.map(line => ctx.measureText(line).width)) + padding * 2;
+    const x = side === 'right' ? this.canvasElement.width - width - 10 : 10;
+    
+    ctx.fillStyle = 'rgba(0, 0, 0, 0.6)';
+    ctx.fillRect(x, 10, width, lines.length * lineHeight + padding * 2);
+    
+    ctx.fillStyle = 'white';
+    ctx.textBaseline = 'top';
+    lines.forEach((line, index) => {
+      ctx.fillText(line, x + padding, 10 + padding + index * lineHeight);
+    });
+    ctx.restore();
+  }
+
+  // Latest joint angles, posture and joint motion (see kinematics.js), or null without a pose
+  getKinematics() {
+    return this.kinematics.getState();
+  }
+
+  setKinematicsHud(groups) {
+    this.kinematicsHud = groups.filter(group => KINEMATIC_HUD_GROUPS.includes(group));
+  }
+
+  resetTiming() {
+    this.timingScorer.reset();
+    this.log('🔄 Step timing reset');
+  }
+
+  setCompareMirror(enabled) {
+    this.choreoComparator.mirror = enabled;
+    this.ghost.mirror = enabled;
+    this.redraw();
+  }
+
+  // Show the loaded reference as a ghost, playing from now; false if there's no reference
+  setGhost(enabled) {
+    if (!enabled) {
+      this.ghost.stop();
+      this.redraw();
+      return true;
+    }
+    
+    if (!this.ghost.hasReference) {
+      this.showErrorModal('Load a reference recording first.');
+      return false;
+    }
+    
+    this.ghost.start(this.currentFrameTime);
+    this.log('👻 Ghost shown');
+    this.redraw();
+    return true;
+  }
+
+  // Trails for these groups of landmarks ('feet', 'hands', 'hips'); none turns them off
+  setMotionTrails(groups) {
+    this.motionTrails.setGroups(groups);
+    this.redraw();
+  }
+
+  setTrailDuration(ms) {
+    this.motionTrails.setDuration(ms);
+  }
+
+  // Start the current exercise over: counts, timing, trails, and the comparison and ghost from the top
+  restartDrill() {
+    this.stepCounter.reset();
+    this.timingScorer.reset();
+    this.hipAnalyzer.reset();
+    this.headPose.reset();
+    this.coach.reset();
+    this.motionTrails.reset();
+    if (this.isComparing) {
+      this.startLiveComparison();
+    } else if (this.ghost.active) {
+      this.ghost.start(this.currentFrameTime);
+    }
+    this.log('🔁 Drill restarted');
+  }
+
+  // Gestures whose setting gives them something to do
+  mappedGestures() {
+    return Object.keys(GESTURES).filter(gesture => this.settings.get(GESTURES[gesture].setting) !== 'none');
+  }
+
+  defaultGestureHandlers() {
+    return {
+      toggleRecording: () => (this.recorder.isRecording ? this.stopRecording() : this.startRecording()),
+      toggleClip: () => (this.clipCountdown !== null || this.videoRecorder.isRecording ? this.stopClip() : this.startClip()),
+      restartDrill: () => this.restartDrill(),
+      togglePose: () => this.setModuleEnabled('pose', !this.showPose),
+      toggleFace: () => this.setModuleEnabled('face', !this.showFace),
+      toggleMirror: () => this.setMirror(!this.mirror)
+    };
+  }
+
+  // Run `handler({ gesture, hand })` for an action, e.g. so the page can keep its buttons in step
+  setGestureAction(action, handler) {
+    if (!GESTURE_ACTIONS[action] || action === 'none') {
+      throw new Error(`Unknown gesture action "${action}"`);
+    }
+    this.gestureHandlers[action] = handler;
+  }
+
+  updateGestures() {
+    // Disabled hands keep stale landmarks around
+    if (!this.settings.get('gestureControl') || !this.showHands) return;
+    
+    if (this.canvasElement && this.canvasElement.height) {
+      this.gestures.aspect = this.canvasElement.width / this.canvasElement.height;
+    }
+    this.gestures.update(this.handsLandmarks, this.handsHandedness, this.poseLandmarks, this.currentFrameTime);
+  }
+
+  onGesture({ gesture, hand, time }) {
+    const action = this.settings.get(GESTURES[gesture].setting);
+    const { emoji, label } = GESTURES[gesture];
+    this.lastGesture = { gesture, hand, time, action };
+    this.log(`${emoji} ${label} (${hand}) → ${GESTURE_ACTIONS[action].label}`);
+    this.emit('gesture', { gesture, hand, time, action });
+    
+    const handler = this.gestureHandlers[action];
+    if (!handler) {
+      this.log(`⚠️ Nothing handles the "${action}" gesture action here`, 'warning');
+      return;
+    }
+    
+    try {
+      handler({ gesture, hand });
+    } catch (error) {
+      const message = `Gesture action "${action}" failed: ${error.message}`;
+      this.log(`❌ ${message}`, 'error');
+      this.emit('error', { message, error, fatal: false });
+    }
+  }
+
+  resetStepCounter() {
+    this.stepCounter.reset();
+    this.log('🔄 Step counter reset');
+  }
+
+  toggleHipTrace() {
+    this.showHipTrace = !this.showHipTrace;
+    this.log(`💃 Hip trace ${this.showHipTrace ? 'shown' : 'hidden'}`);
+    return this.showHipTrace;
+  }
+
+  // module: 'pose' | 'poseWorld' | 'face' | 'hands'; type: 'none' | 'oneEuro' | 'exponential' | 'kalman'
+  setSmoothing(module, type, params = {}) {
+    try {
+      this.filters.configure(module, { type, params });
+      const config = this.filters.config[module];
+      this.partnerTracker.configureFilters(module, config);
+      this.log(`🎚️ ${module} smoothing: ${config.type}`);
+    } catch (error) {
+      this.log(`❌ ${error.message}`, 'error');
+    }
+  }
+
   updateFPS() {
     this.frameCount++;
-    const now = Date.now();
+    const now = this.env.wallClock();
     
     if (now - this.lastFpsTime >= 1000) {
       this.fps = this.frameCount;
       this.frameCount = 0;
       this.lastFpsTime = now;
       
-      const fpsDisplay = document.getElementById('fps-display');
+      const fpsDisplay = this.env.getElementById('fps-display');
       if (fpsDisplay) {
         fpsDisplay.textContent = this.fps;
       }
+      
+      this.emit('fps', { fps: this.fps });
+      
+      if (this.practiceLog.isActive) {
+        this.practiceLog.addFps(this.fps);
+        this.practiceLog.addMetrics(this.practiceMetrics());
+      }
     }
   }
 
   resizeCanvas() {
-    if (!this.videoElement || !this.canvasElement) return;
+    if (!this.inputSource || !this.canvasElement) return;
     
-    const videoWidth = this.videoElement.videoWidth;
-    const videoHeight = this.videoElement.videoHeight;
+    const frameWidth = this.inputSource.frameWidth;
+    const frameHeight = this.inputSource.frameHeight;
     
-    if (videoWidth && videoHeight) {
-      this.canvasElement.width = videoWidth;
-      this.canvasElement.height = videoHeight;
+    if (frameWidth && frameHeight) {
+      this.setCanvasSize(frameWidth, frameHeight);
     }
   }
+  
+  // Resizing clears a canvas, so only resize when the size actually changes
+  setCanvasSize(width, height) {
+    [this.canvasElement, this.offscreenCanvas].forEach(canvas => {
+      if (canvas && (canvas.width !== width || canvas.height !== height)) {
+        canvas.width = width;
+        canvas.height = height;
+      }
+    });
+  }
 
   updateTrackingStatus() {
     const poseStatus = this.poseLandmarks ? 'detected' : 'searching';
     const faceStatus = this.faceLandmarks ? 'detected' : 'searching';
     const handsStatus = this.handsLandmarks.length > 0 ? 'detected' : 'searching';
     
-    this.updateStatus('pose', poseStatus);
-    this.updateStatus('face', faceStatus);
-    this.updateStatus('hands', handsStatus);
+    this.updateStatus('pose', this.showPose ? poseStatus : 'disabled');
+    this.updateStatus('face', this.showFace ? faceStatus : 'disabled');
+    this.updateStatus('hands', this.showHands ? handsStatus : 'disabled');
   }
 
   startOptimizedTracking() {
     this.isTracking = true;
+    const loop = ++this.trackingLoop;
     this.log('🎯 Starting optimized tracking loop...');
     
     const processFrame = async () => {
-      if (!this.isTracking) return;
+      if (!this.isTracking || loop !== this.trackingLoop) return;
       
-      const now = Date.now();
+      // File-based sources are analyzed frame by frame, never rate limited
+      if (this.inputSource && !this.inputSource.isLive) {
+        await this.processSourceFrame(this.inputSource);
+        this.env.requestFrame(processFrame);
+        return;
+      }
+      
+      const now = this.env.wallClock();
       
       // Frame rate limiting
       if (now - this.lastFrameTime < this.frameInterval) {
-        requestAnimationFrame(processFrame);
+        this.env.requestFrame(processFrame);
         return;
       }
       
@@ -554,37 +1563,661 @@ class FullBodyTracker {
       
       try {
         // Process video frame with error handling
-        if (this.videoElement && this.videoElement.readyState >= 2) {
-          // Always render the video frame first
-          this.renderFrame();
-          
-          // Process all modules with small delays to avoid conflicts
-          if (this.pose && this.showPose) {
-            await this.pose.send({ image: this.videoElement });
-          }
-          
-          if (this.faceMesh && this.showFace) {
-            await this.faceMesh.send({ image: this.videoElement });
-          }
-          
-          if (this.hands && this.showHands) {
-            await this.hands.send({ image: this.videoElement });
-          }
+        if (this.inputSource && this.inputSource.isReady()) {
+          this.currentFrameTime = this.env.now();
+          await this.processCurrentFrame();
         }
       } catch (error) {
         this.log(`⚠️ Frame processing error: ${error.message}`, 'warning');
+        this.emit('error', { message: error.message, error, fatal: false });
       }
       
-      requestAnimationFrame(processFrame);
+      this.env.requestFrame(processFrame);
     };
     
     processFrame();
   }
 
+  async processCurrentFrame() {
+    const frameStart = this.env.now();
+    const image = this.inputSource.element;
+    const frame = { id: ++this.frameId, results: {} };
+    this.pendingFrame = frame;
+    
+    // Keep the frame the models see; it is drawn once their results are in
+    this.resizeCanvas();
+    this.captureFrame(image);
+    this.updateFPS();
+    
+    // A file is analysed frame by frame, so it gets every module at full resolution
+    // whatever the governor has settled on for the camera
+    const live = this.inputSource.isLive;
+    const runs = module => !live || this.governor.shouldRun(module, frame.id);
+    
+    // The models may get a downscaled copy; partner crops are cut from the full frame
+    const inputScale = live ? this.governor.settings.inputScale : 1;
+    const modelImage = inputScale < 1 ? this.scaleFrame(image, inputScale) : image;
+    
+    const sends = {};
+    if (this.pose && this.showPose) {
+      sends.pose = this.partnerMode
+        ? () => this.timeInference('pose', () => this.sendPartnerPoses(image).then(detections => { frame.results.partners = detections; }))
+        : () => this.timeInference('pose', () => this.pose.send({ image: modelImage }));
+    }
+    
+    if (this.faceMesh && this.showFace) {
+      // A skipped module's last result stays on screen
+      if (runs('face')) {
+        sends.face = () => this.timeInference('face', () => this.faceMesh.send({ image: modelImage }));
+      }
+    }
+    
+    if (this.hands && this.showHands) {
+      if (runs('hands')) {
+        sends.hands = () => this.timeInference('hands', () => this.hands.send({ image: modelImage }));
+      }
+    }
+    
+    const modules = Object.keys(sends);
+    const outcomes = await this.sendToModules(modules, sends);
+    this.pendingFrame = null;
+    
+    // A module that failed this frame doesn't hold back the others
+    outcomes.forEach((outcome, index) => {
+      if (outcome.status === 'rejected') {
+        const message = `${modules[index]} failed on frame ${frame.id}: ${outcome.reason.message}`;
+        this.log(`⚠️ ${message}`, 'warning');
+        this.emit('error', { message, error: outcome.reason, fatal: false });
+      }
+    });
+    
+    this.applyFrameResults(frame.results);
+    this.updateGestures();
+    this.renderFrame();
+    
+    this.recordFrame();
+    this.emitFrame();
+    this.logPracticeFrame();
+    if (live) {
+      this.governor.recordFrame(this.env.now() - frameStart, this.env.now());
+    }
+  }
+  
+  // Modules each in their own worker run side by side, so a frame takes as long as the
+  // slowest one rather than all of them in turn. On the main thread they'd only contend
+  // for it, so there they take turns. Resolves like Promise.allSettled either way.
+  async sendToModules(modules, sends) {
+    const detectors = { pose: this.pose, face: this.faceMesh, hands: this.hands };
+    if (modules.every(module => detectors[module].offThread)) {
+      return Promise.allSettled(modules.map(module => sends[module]()));
+    }
+    
+    const outcomes = [];
+    for (const module of modules) {
+      try {
+        outcomes.push({ status: 'fulfilled', value: await sends[module]() });
+      } catch (error) {
+        outcomes.push({ status: 'rejected', reason: error });
+      }
+    }
+    return outcomes;
+  }
+  
+  timeInference(module, send) {
+    const start = this.env.now();
+    return send().then(() => this.governor.recordInference(module, this.env.now() - start));
+  }
+  
+  // Draw the frame into a smaller canvas for the models
+  scaleFrame(image, scale) {
+    if (!this.scaledCanvas) {
+      this.scaledCanvas = this.env.createElement('canvas');
+    }
+    
+    const width = Math.round(this.inputSource.frameWidth * scale);
+    const height = Math.round(this.inputSource.frameHeight * scale);
+    if (this.scaledCanvas.width !== width || this.scaledCanvas.height !== height) {
+      this.scaledCanvas.width = width;
+      this.scaledCanvas.height = height;
+    }
+    
+    this.scaledCanvas.getContext('2d').drawImage(image, 0, 0, width, height);
+    return this.scaledCanvas;
+  }
+  
+  applyPerformanceSettings(settings, previous, reason) {
+    this.targetFps = settings.targetFps;
+    this.frameInterval = 1000 / this.targetFps;
+    
+    // Changing complexity loads a different model, so only when it actually changes,
+    // and not for a model fixed in the settings
+    if (this.pose && settings.poseComplexity !== previous.poseComplexity && this.settings.get('poseComplexity') === 'auto') {
+      this.poseDetectors().forEach(pose => pose.setOptions({ modelComplexity: settings.poseComplexity }));
+    }
+    if (this.hands && settings.handsComplexity !== previous.handsComplexity && this.settings.get('handsComplexity') === 'auto') {
+      this.hands.setOptions({ modelComplexity: settings.handsComplexity });
+    }
+    
+    this.log(`⚙️ ${reason}`);
+    this.emit('performance', this.governor.getState());
+  }
+  
+  // goal: 'smooth' | 'accuracy' | 'off' (see performance_governor.js)
+  setPerformanceGoal(goal) {
+    try {
+      this.governor.setGoal(goal);
+    } catch (error) {
+      this.log(`❌ ${error.message}`, 'error');
+    }
+  }
+  
+  getPerformance() {
+    return this.governor.getState();
+  }
+  
+  // The model a module runs: fixed in the settings, or the governor's choice
+  modelComplexity(module) {
+    const fixed = this.settings.get(`${module}Complexity`);
+    return fixed === 'auto' ? this.governor.settings[`${module}Complexity`] : fixed;
+  }
+  
+  // A detector's options that come from the settings, limited to the given setting names
+  detectorOptions(module, keys = Object.keys(TRACKER_SETTINGS)) {
+    const options = {};
+    
+    if (keys.includes('detectionConfidence')) {
+      options.minDetectionConfidence = this.settings.get('detectionConfidence');
+    }
+    if (keys.includes('trackingConfidence')) {
+      options.minTrackingConfidence = this.settings.get('trackingConfidence');
+    }
+    if (module === 'pose' && keys.includes('poseComplexity')) {
+      options.modelComplexity = this.modelComplexity('pose');
+    }
+    if (module === 'face' && keys.includes('refineLandmarks')) {
+      options.refineLandmarks = this.settings.get('refineLandmarks');
+    }
+    if (module === 'hands' && keys.includes('handsComplexity')) {
+      options.modelComplexity = this.modelComplexity('hands');
+    }
+    if (module === 'hands' && keys.includes('maxNumHands')) {
+      // Room for both dancers' hands in partner mode
+      options.maxNumHands = this.settings.get('maxNumHands') * (this.partnerMode ? 2 : 1);
+    }
+    
+    return options;
+  }
+  
+  // Settings changed on the page or in code: apply them to the running modules
+  applySettings(changes) {
+    const keys = Object.keys(changes);
+    const detectors = [
+      ...this.poseDetectors().map(pose => ['pose', pose]),
+      ['face', this.faceMesh],
+      ['hands', this.hands]
+    ];
+    
+    detectors.forEach(([module, detector]) => {
+      const options = this.detectorOptions(module, keys);
+      if (detector && Object.keys(options).length > 0) {
+        detector.setOptions(options);
+      }
+    });
+    
+    if ('targetFps' in changes) {
+      this.governor.setFpsLimit(changes.targetFps);
+    }
+    if ('cameraResolution' in changes) {
+      this.restartCamera();
+    }
+    if ('mirror' in changes) {
+      this.mirror = changes.mirror;
+      this.redraw();
+    }
+    if (keys.some(key => key.startsWith('gesture'))) {
+      this.gestures.setEnabled(this.mappedGestures());
+      this.redraw();
+    }
+    if (keys.some(key => key.startsWith('coach'))) {
+      this.coach.setEnabled(this.coachedRules());
+      this.coach.cueIntervalMs = this.settings.get('coachingCueInterval') * 1000;
+      this.redraw();
+    }
+    
+    this.log(`🎛️ Settings: ${keys.map(key => `${key} = ${changes[key]}`).join(', ')}`);
+    this.emit('settings', this.settings.getAll());
+  }
+  
+  collectResults(module, results) {
+    // Partner crops are gathered by onPoseResults while sendPartnerPoses runs
+    if (module === 'pose' && this.activeCrop) {
+      this.onPoseResults(results);
+      return;
+    }
+    
+    // Results arriving outside a frame (a module answering too late) are dropped
+    if (!this.pendingFrame) return;
+    this.pendingFrame.results[module] = results;
+  }
+  
+  // Handle a frame's results in a fixed order, whichever module answered first
+  applyFrameResults(results) {
+    if (results.partners) {
+      this.onPartnerResults(results.partners);
+    } else if (results.pose) {
+      this.onPoseResults(results.pose);
+    }
+    
+    if (results.face) {
+      this.onFaceResults(results.face);
+    }
+    
+    if (results.hands) {
+      this.onHandsResults(results.hands);
+    }
+  }
+
+  emitFrame(time = this.currentFrameTime) {
+    this.emit('frame', {
+      time,
+      source: this.sessionPlayer ? 'session' : this.inputSource && this.inputSource.kind,
+      poseLandmarks: this.poseLandmarks,
+      poseWorldLandmarks: this.poseWorldLandmarks,
+      faceLandmarks: this.faceLandmarks,
+      headPose: this.headPose.getState(),
+      handsLandmarks: this.handsLandmarks,
+      handedness: this.handsHandedness
+    });
+  }
+
+  // Pose finds one person per image, so each dancer gets their own crop
+  async sendPartnerPoses(image) {
+    if (!this.cropCanvas) {
+      this.cropCanvas = this.env.createElement('canvas');
+    }
+    
+    const frameWidth = this.inputSource.frameWidth;
+    const frameHeight = this.inputSource.frameHeight;
+    const ctx = this.cropCanvas.getContext('2d');
+    this.partnerDetections = [];
+    
+    try {
+      for (const crop of this.partnerTracker.getCrops(this.currentFrameTime)) {
+        const sx = crop.x * frameWidth;
+        const sy = crop.y * frameHeight;
+        const sw = crop.width * frameWidth;
+        const sh = crop.height * frameHeight;
+        
+        this.cropCanvas.width = Math.round(sw);
+        this.cropCanvas.height = Math.round(sh);
+        ctx.drawImage(image, sx, sy, sw, sh, 0, 0, this.cropCanvas.width, this.cropCanvas.height);
+        
+        this.activeCrop = crop;
+        const pose = this.partnerPoses[crop.role] || (this.partnerPoses[crop.role] = this.createPoseDetector());
+        await pose.send({ image: this.cropCanvas });
+      }
+    } finally {
+      this.activeCrop = null;
+    }
+    
+    return this.partnerDetections;
+  }
+
+  setPartnerMode(enabled) {
+    this.partnerMode = enabled;
+    this.partnerTracker.reset();
+    // Partner detectors start afresh next time, and don't hold their models meanwhile
+    Object.values(this.partnerPoses).filter(Boolean).forEach(pose => pose.close());
+    this.partnerPoses = {};
+    
+    // Room for both dancers' faces and hands
+    if (this.faceMesh) {
+      this.faceMesh.setOptions({ maxNumFaces: enabled ? 2 : 1 });
+    }
+    if (this.hands) {
+      this.hands.setOptions(this.detectorOptions('hands', ['maxNumHands']));
+    }
+    
+    this.stepCounter.reset();
+    this.hipAnalyzer.reset();
+    this.headPose.reset();
+    this.kinematics.reset();
+    this.coach.reset();
+    this.log(enabled ? '👫 Partner mode on: tracking leader and follower' : '🧍 Partner mode off');
+  }
+
+  swapPartnerRoles() {
+    this.partnerTracker.swapRoles();
+    // Each detector stays with the dancer it has been tracking
+    const { leader, follower } = this.partnerPoses;
+    this.partnerPoses = { leader: follower, follower: leader };
+    this.log('🔁 Leader and follower swapped');
+  }
+
+  setPartnerFocus(role) {
+    if (!PARTNER_ROLES.includes(role)) return;
+    
+    this.partnerFocus = role;
+    this.stepCounter.reset();
+    this.hipAnalyzer.reset();
+    this.headPose.reset();
+    this.kinematics.reset();
+    this.coach.reset();
+    this.log(`🎯 Analyzing the ${role}`);
+  }
+
+  // Per-dancer landmark sets and partner metrics, or null outside partner mode
+  getPartners() {
+    if (!this.partnerMode) return null;
+    
+    const people = {};
+    PARTNER_ROLES.forEach(role => {
+      const { poseLandmarks, poseWorldLandmarks, faceLandmarks, handsLandmarks } = this.partnerTracker.people[role];
+      people[role] = { poseLandmarks, poseWorldLandmarks, faceLandmarks, handsLandmarks };
+    });
+    return { ...people, metrics: this.partnerTracker.getMetrics() };
+  }
+
+  async processSourceFrame(source) {
+    try {
+      // Each frame is sent exactly once, including after a seek or step while paused
+      if (source.isReady() && source.frameIndex !== this.lastProcessedFrame) {
+        this.currentFrameTime = source.currentTime * 1000;
+        await this.processCurrentFrame();
+        this.lastProcessedFrame = source.frameIndex;
+      }
+    } catch (error) {
+      this.log(`⚠️ Frame processing error: ${error.message}`, 'warning');
+      this.emit('error', { message: error.message, error, fatal: false });
+    }
+    
+    if (source.paused) return;
+    
+    try {
+      if (!(await source.advance())) {
+        this.log('🏁 Reached the end of the input');
+      }
+    } catch (error) {
+      // A frame that can't be read would fail again on every repaint, so stop there
+      source.pause();
+      this.log(`❌ Reading the next frame failed: ${error.message}`, 'error');
+      this.showErrorModal(error.message);
+    }
+  }
+
+  stopTracking() {
+    this.isTracking = false;
+    this.finishPracticeSession();
+  }
+
+  // Count a processed frame towards the practice session, starting one if needed
+  logPracticeFrame() {
+    const now = this.env.wallClock();
+    if (!this.practiceLog.isActive) {
+      this.practiceLog.start(now, this.inputSource ? this.inputSource.kind : null);
+      this.lastHistorySave = now;
+    }
+    this.practiceLog.addFrame(this.currentFrameTime, !!(this.showPose && this.poseLandmarks));
+    
+    if (now - this.lastHistorySave >= this.historySaveInterval) {
+      this.lastHistorySave = now;
+      this.savePracticeSession();
+    }
+  }
+
+  // Analysis averages kept with each session; sampled once a second, null when not measured
+  practiceMetrics() {
+    const hips = this.hipAnalyzer.getMetrics();
+    const head = this.headPose.getSummary();
+    const comparison = this.isComparing ? this.choreoComparator.liveResult : null;
+    return {
+      swayAmplitude: hips ? hips.swayAmplitude : null,
+      isolation: hips ? hips.isolation : null,
+      hipRhythm: hips ? hips.regularity : null,
+      lookingDown: head ? head.lookingDown : null,
+      match: comparison ? comparison.match : null
+    };
+  }
+
+  // Save the session so far (the same record is overwritten each time); resolves with it, or null
+  savePracticeSession() {
+    if (!this.history || !this.practiceLog.shouldSave()) return Promise.resolve(null);
+    
+    return this.storePracticeRecord(this.practiceLog.toRecord(this.env.wallClock()));
+  }
+
+  // Save and close the current session; the next processed frame starts a new one
+  async finishPracticeSession() {
+    if (!this.practiceLog.isActive) return null;
+    
+    // Closed before saving, so frames arriving meanwhile start the next session
+    const record = this.history && this.practiceLog.shouldSave() ? this.practiceLog.toRecord(this.env.wallClock()) : null;
+    this.practiceLog.reset();
+    if (!record || !(await this.storePracticeRecord(record))) return null;
+    
+    this.log(`📓 Practice session saved (${formatPracticeDuration(record.activeMs)} active, ${record.steps.steps} steps)`);
+    return record;
+  }
+
+  async storePracticeRecord(record) {
+    try {
+      await this.history.save(record);
+      return record;
+    } catch (error) {
+      this.log(`⚠️ Practice history not saved: ${error.message}`, 'warning');
+      return null;
+    }
+  }
+
+  startRecording() {
+    this.recorder.start({
+      source: this.inputSource ? this.inputSource.kind : null,
+      width: this.canvasElement ? this.canvasElement.width : 0,
+      height: this.canvasElement ? this.canvasElement.height : 0
+    });
+    this.log('⏺️ Session recording started');
+  }
+
+  stopRecording() {
+    const session = this.recorder.stop();
+    if (session) {
+      this.log(`⏹️ Session recording stopped (${session.frames.length} frames)`);
+    }
+    return session;
+  }
+
+  recordFrame() {
+    if (!this.recorder.isRecording && !this.clipRecorder.isRecording) return;
+    
+    // Disabled modules keep stale landmarks around, so record them as missing
+    const landmarks = {
+      poseLandmarks: this.showPose ? this.poseLandmarks : null,
+      poseWorldLandmarks: this.showPose ? this.poseWorldLandmarks : null,
+      faceLandmarks: this.showFace ? this.faceLandmarks : null,
+      handsLandmarks: this.showHands ? this.handsLandmarks : []
+    };
+    this.recorder.addFrame(this.currentFrameTime, landmarks);
+    this.clipRecorder.addFrame(this.currentFrameTime, landmarks);
+  }
+
+  // Count down, then record what the tracking canvas shows; resolves true once recording.
+  // `music` adds the loaded song (or the microphone) to the clip's sound.
+  async startClip(options = {}) {
+    const countdown = options.countdown !== undefined ? options.countdown : 3;
+    if (this.clipCountdown !== null || this.videoRecorder.isRecording) return false;
+    
+    if (!this.videoRecorder.isSupported()) {
+      this.showErrorModal('This browser can\'t record video.');
+      return false;
+    }
+    if (!this.canvasElement) {
+      this.setupCanvas();
+    }
+    
+    // Stopping during the countdown bumps the id, which ends this loop
+    const countdownId = ++this.clipCountdownId;
+    for (let seconds = countdown; seconds > 0; seconds--) {
+      this.clipCountdown = seconds;
+      this.emit('clip', { state: 'countdown', countdown: seconds });
+      this.redraw();
+      await this.env.delay(1000);
+      if (countdownId !== this.clipCountdownId) return false;
+    }
+    this.clipCountdown = null;
+    
+    try {
+      const audio = options.music !== false ? this.beatTracker.getAudioStream() : null;
+      this.videoRecorder.start(this.canvasElement, audio);
+    } catch (error) {
+      this.log(`❌ Clip recording failed: ${error.message}`, 'error');
+      this.emit('clip', { state: 'idle' });
+      this.showErrorModal(error.message);
+      return false;
+    }
+    
+    this.clipRecorder.start({
+      source: this.sessionPlayer ? 'session' : (this.inputSource ? this.inputSource.kind : null),
+      width: this.canvasElement.width,
+      height: this.canvasElement.height
+    });
+    this.log('🎬 Clip recording started');
+    this.emit('clip', { state: 'recording' });
+    return true;
+  }
+
+  // Stop the clip (or its countdown). Resolves the clip, or null if nothing was recorded:
+  // { video, mimeType, durationMs, filename, landmarks, landmarksFilename }
+  async stopClip() {
+    if (this.clipCountdown !== null) {
+      this.clipCountdownId++;
+      this.clipCountdown = null;
+      this.emit('clip', { state: 'idle' });
+      this.redraw();
+      return null;
+    }
+    if (!this.videoRecorder.isRecording) return null;
+    
+    const landmarks = this.clipRecorder.stop();
+    this.emit('clip', { state: 'stopping' });
+    
+    let result;
+    try {
+      result = await this.videoRecorder.stop();
+    } catch (error) {
+      this.log(`❌ Clip recording failed: ${error.message}`, 'error');
+      this.emit('clip', { state: 'idle' });
+      return null;
+    }
+    
+    // The sidecar shares the video's name, so the two stay together
+    const name = `bachatabot-clip-${Date.now()}`;
+    const clip = {
+      video: result.blob,
+      mimeType: result.mimeType,
+      durationMs: result.durationMs,
+      filename: `${name}.webm`,
+      landmarks,
+      landmarksFilename: `${name}.landmarks.json`
+    };
+    this.log(`⏹️ Clip recorded (${(clip.durationMs / 1000).toFixed(1)} s, ${landmarks.frames.length} frames)`);
+    this.emit('clip', { state: 'idle', clip });
+    return clip;
+  }
+
+  drawClipCountdown() {
+    if (this.clipCountdown === null || !this.canvasCtx) return;
+    
+    const ctx = this.canvasCtx;
+    const width = this.canvasElement.width;
+    const height = this.canvasElement.height;
+    
+    ctx.save();
+    ctx.fillStyle = 'rgba(0, 0, 0, 0.4)';
+    ctx.fillRect(0, 0, width, height);
+    ctx.font = `bold ${Math.round(height / 3)}px Arial`;
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+    ctx.fillStyle = 'white';
+    ctx.fillText(String(this.clipCountdown), width / 2, height / 2);
+    ctx.restore();
+  }
+
+  async loadSession(file) {
+    try {
+      const session = await SessionRecorder.load(file);
+      this.playSession(session);
+    } catch (error) {
+      this.log(`❌ Session failed to load: ${error.message}`, 'error');
+      this.showErrorModal(error.message);
+    }
+  }
+
+  playSession(session) {
+    if (!this.canvasElement) {
+      this.setupCanvas();
+    }
+    
+    // Playback owns the canvas, so pause live tracking until it ends
+    this.stopTracking();
+    if (this.sessionPlayer) {
+      this.sessionPlayer.stop();
+    }
+    
+    this.sessionPlayer = new SessionPlayer(this, session);
+    this.sessionPlayer.start();
+    this.hideLoading();
+    
+    this.log(`▶️ Playing session (${session.frames.length} frames)`);
+  }
+
+  stopSessionPlayback() {
+    if (!this.sessionPlayer) return;
+    
+    this.sessionPlayer.stop();
+    this.sessionPlayer = null;
+    this.poseLandmarks = null;
+    this.poseWorldLandmarks = null;
+    this.faceLandmarks = null;
+    this.handsLandmarks = [];
+    this.handsHandedness = [];
+    
+    if (this.pose || this.faceMesh || this.hands) {
+      this.startOptimizedTracking();
+    }
+  }
+
+  renderSessionFrame(frame, session) {
+    this.setCanvasSize(session.width || 640, session.height || 480);
+    
+    this.poseLandmarks = frame.poseLandmarks;
+    this.poseWorldLandmarks = frame.poseWorldLandmarks;
+    this.faceLandmarks = frame.faceLandmarks;
+    this.handsLandmarks = frame.handsLandmarks || [];
+    this.handsHandedness = [];
+    this.currentFrameTime = frame.t;
+    
+    this.stepCounter.aspect = this.canvasElement.width / this.canvasElement.height;
+    this.hipAnalyzer.aspect = this.stepCounter.aspect;
+    this.stepCounter.update(this.poseLandmarks, this.poseWorldLandmarks, frame.t);
+    this.hipAnalyzer.update(this.poseLandmarks, this.poseWorldLandmarks, frame.t);
+    this.kinematics.update(this.poseWorldLandmarks, frame.t);
+    this.updateCoaching();
+    this.motionTrails.update(this.poseLandmarks, frame.t);
+    this.analyzeFace(frame.t);
+    this.clipRecorder.addFrame(frame.t, frame);
+    
+    this.renderFrame();
+    
+    this.emit('pose', { time: frame.t, landmarks: this.poseLandmarks, worldLandmarks: this.poseWorldLandmarks });
+    this.emit('face', { time: frame.t, landmarks: this.faceLandmarks, headPose: this.headPose.getState() });
+    this.emit('hands', { time: frame.t, landmarks: this.handsLandmarks, handedness: [] });
+    this.emitFrame(frame.t);
+  }
+
   logPoseData() {
     if (!this.poseLandmarks || !this.showDebug) return;
     
-    const visibleLandmarks = this.poseLandmarks.filter(lm => lm.visibility > 0.3).length;
+    const visibleLandmarks = this.poseLandmarks.filter(lm => lm.visibility > this.settings.get('visibilityThreshold')).length;
     this.log(`🏃 Pose: ${visibleLandmarks}/${this.poseLandmarks.length} landmarks visible`);
   }
 
@@ -601,12 +2234,18 @@ class FullBodyTracker {
   }
 
   updateStatus(type, status) {
-    const statusElement = document.getElementById(`${type}-status`);
+    const statusElement = this.env.getElementById(`${type}-status`);
     if (statusElement) {
       statusElement.textContent = status;
       statusElement.style.color = status === 'active' || status === 'detected' ? '#00FF00' : 
                                  status === 'error' ? '#FF0000' : '#FFFF00';
     }
+    
+    // Status is refreshed every frame, so only changes are announced
+    if (this.moduleStatus[type] !== status) {
+      this.moduleStatus[type] = status;
+      this.emit('status', { module: type, status });
+    }
   }
 
   log(message, type = 'info') {
@@ -633,16 +2272,18 @@ class FullBodyTracker {
 
 
   hideLoading() {
-    const loadingElement = document.getElementById('loading');
+    const loadingElement = this.env.getElementById('loading');
     if (loadingElement) {
       loadingElement.style.display = 'none';
     }
   }
 
   showErrorModal(message) {
+    this.emit('error', { message, fatal: true });
+    
     // Create error modal if it doesn't exist
-    if (!document.getElementById('error-modal')) {
-      const modal = document.createElement('div');
+    if (!this.env.getElementById('error-modal')) {
+      const modal = this.env.createElement('div');
       modal.id = 'error-modal';
       modal.style.cssText = `
         position: fixed;
@@ -665,9 +2306,11 @@ class FullBodyTracker {
         </div>
       `;
       
-      document.body.appendChild(modal);
+      this.env.appendToBody(modal);
     } else {
-      document.getElementById('error-modal').style.display = 'flex';
+      const modal = this.env.getElementById('error-modal');
+      modal.querySelector('p').textContent = message;
+      modal.style.display = 'flex';
     }
   }
 }
@@ -693,9 +2336,17 @@ function closeErrorModal() {
   }
 }
 
-// Initialize tracker when DOM is loaded
+// Initialize tracker when DOM is loaded (skipped when loaded outside a browser, e.g. by the tests)
 let tracker;
-document.addEventListener('DOMContentLoaded', () => {
-  tracker = new FullBodyTracker();
-  tracker.init();
-}); 
\ No newline at end of file
+if (typeof document !== 'undefined') {
+  document.addEventListener('DOMContentLoaded', () => {
+    tracker = new FullBodyTracker({ settings: TrackerSettings.fromPage(), history: PracticeHistory.fromPage() });
+    tracker.init();
+    
+    // Keep the practice session when the tab is hidden or closed
+    document.addEventListener('visibilitychange', () => {
+      if (document.visibilityState === 'hidden') tracker.savePracticeSession();
+    });
+    window.addEventListener('pagehide', () => tracker.finishPracticeSession());
+  });
+} 
\ No newline at end of file
@@ -0,0 +1,209 @@
+// Hands-free control from hand landmarks.
+// Each hand is classified every frame from how far its fingertips are from the
+// wrist (open palm, fist, pinch, thumbs-up, or an open palm raised above the
+// head). A gesture only counts once it has been held for a moment, brief
+// misdetections don't break the hold, and it has to be let go before it can
+// fire again, so dancing hands don't trigger anything by accident.
+
+// Hand landmark indices (21 per hand)
+const HAND_LANDMARKS = {
+  WRIST: 0,
+  THUMB_MCP: 2,
+  THUMB_IP: 3,
+  THUMB_TIP: 4,
+  INDEX_MCP: 5,
+  INDEX_PIP: 6,
+  INDEX_TIP: 8,
+  MIDDLE_MCP: 9,
+  MIDDLE_PIP: 10,
+  MIDDLE_TIP: 12,
+  RING_MCP: 13,
+  RING_PIP: 14,
+  RING_TIP: 16,
+  PINKY_MCP: 17,
+  PINKY_PIP: 18,
+  PINKY_TIP: 20
+};
+
+const HAND_FINGERS = {
+  index: [HAND_LANDMARKS.INDEX_PIP, HAND_LANDMARKS.INDEX_TIP],
+  middle: [HAND_LANDMARKS.MIDDLE_PIP, HAND_LANDMARKS.MIDDLE_TIP],
+  ring: [HAND_LANDMARKS.RING_PIP, HAND_LANDMARKS.RING_TIP],
+  pinky: [HAND_LANDMARKS.PINKY_PIP, HAND_LANDMARKS.PINKY_TIP]
+};
+
+// Recognized gestures and the setting that says what each one does
+const GESTURES = {
+  openPalm: { label: 'Open palm', emoji: '🖐️', setting: 'gestureOpenPalm' },
+  fist: { label: 'Fist', emoji: '✊', setting: 'gestureFist' },
+  pinch: { label: 'Pinch', emoji: '👌', setting: 'gesturePinch' },
+  thumbsUp: { label: 'Thumbs up', emoji: '👍', setting: 'gestureThumbsUp' },
+  raisedHand: { label: 'Raised hand (hold)', emoji: '🙋', setting: 'gestureRaisedHand' }
+};
+
+// What a gesture can do; the tracker runs them (see FullBodyTracker.setGestureAction)
+const GESTURE_ACTIONS = {
+  none: { label: 'Nothing' },
+  toggleRecording: { label: 'Start/stop recording' },
+  toggleClip: { label: 'Start/stop a clip' },
+  restartDrill: { label: 'Restart drill' },
+  nextView: { label: 'Next 3D view' },
+  togglePose: { label: 'Toggle pose' },
+  toggleFace: { label: 'Toggle face' },
+  toggleMirror: { label: 'Toggle mirror' }
+};
+
+class GestureRecognizer {
+  constructor(options = {}) {
+    // How long (ms) a gesture must be held, and the raised hand, which is easy to make while dancing
+    this.confirmMs = options.confirmMs || 400;
+    this.holdMs = options.holdMs || 1000;
+    // Misdetections shorter than this (ms) don't break a hold
+    this.releaseMs = options.releaseMs || 250;
+    // Minimum time (ms) between two gestures
+    this.cooldownMs = options.cooldownMs || 1500;
+    this.aspect = options.aspect || 4 / 3;
+    // Gestures to report; ones that do nothing shouldn't use up the cooldown
+    this.enabled = options.enabled || Object.keys(GESTURES);
+
+    this.callbacks = [];
+    this.reset();
+  }
+
+  reset() {
+    this.hands = {};
+    this.lastFired = -Infinity;
+  }
+
+  setEnabled(gestures) {
+    this.enabled = gestures.slice();
+    this.reset();
+  }
+
+  onGesture(callback) {
+    this.callbacks.push(callback);
+  }
+
+  // One frame of hands: landmark sets, MediaPipe's handedness for each, and the pose
+  // (for the raised hand). Returns the gestures confirmed on this frame.
+  update(handsLandmarks, handedness = [], poseLandmarks = null, time) {
+    const seen = {};
+    handsLandmarks.forEach((landmarks, index) => {
+      const hand = GestureRecognizer.handName(handedness[index], index);
+      const gesture = this.classify(landmarks, poseLandmarks);
+      seen[hand] = { gesture: this.enabled.includes(gesture) ? gesture : null, wrist: landmarks[HAND_LANDMARKS.WRIST] };
+    });
+
+    const confirmed = [];
+    new Set([...Object.keys(this.hands), ...Object.keys(seen)]).forEach(hand => {
+      const { gesture = null, wrist = null } = seen[hand] || {};
+      const event = this.updateHand(hand, gesture, wrist, time);
+      if (event) confirmed.push(event);
+    });
+
+    confirmed.forEach(event => this.callbacks.forEach(callback => callback(event)));
+    return confirmed;
+  }
+
+  updateHand(hand, gesture, wrist, time) {
+    let state = this.hands[hand];
+
+    if (!state || gesture !== state.gesture) {
+      // A dropout keeps the current hold going until it lasts too long
+      if (state && state.gesture && time - state.lastSeen < this.releaseMs) return null;
+      if (!gesture) {
+        delete this.hands[hand];
+        return null;
+      }
+      state = this.hands[hand] = { gesture, since: time, lastSeen: time, wrist, fired: false };
+    }
+
+    state.lastSeen = time;
+    state.wrist = wrist || state.wrist;
+    if (state.fired || time - state.since < this.requiredMs(gesture) || time - this.lastFired < this.cooldownMs) {
+      return null;
+    }
+
+    state.fired = true;
+    this.lastFired = time;
+    return { gesture, hand, time };
+  }
+
+  requiredMs(gesture) {
+    return gesture === 'raisedHand' ? this.holdMs : this.confirmMs;
+  }
+
+  // Gestures being held but not confirmed yet, with how far along they are (0-1)
+  getProgress(time) {
+    return Object.entries(this.hands)
+      .filter(([, state]) => !state.fired && time - state.lastSeen < this.releaseMs)
+      .map(([hand, state]) => ({
+        hand,
+        gesture: state.gesture,
+        wrist: state.wrist,
+        progress: Math.min(1, (time - state.since) / this.requiredMs(state.gesture))
+      }));
+  }
+
+  // MediaPipe labels handedness as if the image were mirrored; the tracker sends it
+  // the camera's own image, so its 'Left' is the dancer's right hand
+  static handName(handedness, index) {
+    if (handedness && handedness.label === 'Left') return 'right';
+    if (handedness && handedness.label === 'Right') return 'left';
+    return `hand${index}`;
+  }
+
+  // The gesture a hand is making, or null
+  classify(hand, poseLandmarks = null) {
+    if (!hand || hand.length < 21) return null;
+
+    const wrist = hand[HAND_LANDMARKS.WRIST];
+    const size = this.distance(wrist, hand[HAND_LANDMARKS.MIDDLE_MCP]);
+    if (!(size > 1e-6)) return null;
+
+    const fingers = Object.values(HAND_FINGERS).map(([pip, tip]) => this.fingerState(hand, pip, tip));
+    const thumbTip = hand[HAND_LANDMARKS.THUMB_TIP];
+    const thumbOut = this.distance(thumbTip, hand[HAND_LANDMARKS.INDEX_MCP]) > 0.6 * size;
+
+    // Thumb and index tips together with the other fingers open (the "OK" sign), so a fist can't pass for one
+    const pinched = this.distance(thumbTip, hand[HAND_LANDMARKS.INDEX_TIP]) < 0.25 * size;
+    if (pinched && fingers.slice(1).filter(state => state === 'extended').length >= 2) {
+      return 'pinch';
+    }
+
+    if (fingers.every(state => state === 'extended') && thumbOut) {
+      return this.isRaised(wrist, poseLandmarks) ? 'raisedHand' : 'openPalm';
+    }
+
+    if (fingers.every(state => state === 'curled')) {
+      const thumbUp = thumbTip.y < hand[HAND_LANDMARKS.THUMB_IP].y &&
+        hand[HAND_LANDMARKS.THUMB_MCP].y - thumbTip.y > 0.5 * size;
+      if (thumbOut && thumbUp) return 'thumbsUp';
+      if (!thumbOut) return 'fist';
+    }
+
+    return null;
+  }
+
+  // A finger is extended when its tip is well beyond its middle joint, seen from the wrist
+  fingerState(hand, pip, tip) {
+    const wrist = hand[HAND_LANDMARKS.WRIST];
+    const ratio = this.distance(wrist, hand[tip]) / this.distance(wrist, hand[pip]);
+    if (ratio > 1.15) return 'extended';
+    if (ratio < 0.95) return 'curled';
+    return 'bent';
+  }
+
+  // Above the head, or near the top of the picture when the pose isn't known
+  isRaised(wrist, poseLandmarks) {
+    const nose = poseLandmarks && poseLandmarks[POSE_LANDMARKS.NOSE];
+    if (nose && (nose.visibility === undefined || nose.visibility > 0.5)) {
+      return wrist.y < nose.y;
+    }
+    return wrist.y < 0.2;
+  }
+
+  distance(a, b) {
+    return Math.hypot((a.x - b.x) * this.aspect, a.y - b.y);
+  }
+}
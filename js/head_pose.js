@@ -0,0 +1,322 @@
+// Head pose, gaze, blink and smile estimation from the face mesh.
+// The eye corners give the face's left-right axis and the forehead-to-chin line
+// its up-down axis; together they give the direction the face points, as yaw,
+// pitch and roll. With refined landmarks the irises move the gaze off the head
+// direction, and the eyelids and mouth corners give blinks and smiles. A window
+// of samples tracks how much of the time the dancer looks down at their feet.
+
+// Face mesh landmark indices (468, or 478 with refined landmarks)
+const FACE_LANDMARKS = {
+  NOSE_TIP: 1,
+  FOREHEAD: 10,
+  CHIN: 152,
+  RIGHT_EYE_OUTER: 33,
+  RIGHT_EYE_INNER: 133,
+  RIGHT_EYE_TOP: 159,
+  RIGHT_EYE_BOTTOM: 145,
+  LEFT_EYE_OUTER: 263,
+  LEFT_EYE_INNER: 362,
+  LEFT_EYE_TOP: 386,
+  LEFT_EYE_BOTTOM: 374,
+  MOUTH_RIGHT: 61,
+  MOUTH_LEFT: 291,
+  UPPER_LIP: 13,
+  LOWER_LIP: 14,
+  RIGHT_IRIS: 468,
+  LEFT_IRIS: 473
+};
+
+const HEAD_DIRECTIONS = {
+  forward: '⬆️ forward',
+  left: '⬅️ left',
+  right: '➡️ right',
+  up: '🔼 up',
+  down: '🔽 down'
+};
+
+class HeadPoseEstimator {
+  constructor(options = {}) {
+    // Image width / height; face mesh x and z share the width's scale
+    this.aspect = options.aspect || 4 / 3;
+    // Look-down share, blink rate and smiles are measured over this sliding window
+    this.windowMs = options.windowMs || 10000;
+    // Degrees of pitch below which the dancer counts as looking down
+    this.downPitch = options.downPitch || -25;
+    // Degrees of yaw or pitch that still count as facing forward
+    this.forwardYaw = options.forwardYaw || 20;
+    this.forwardPitch = options.forwardPitch || 15;
+    // Eyelid gap / eye width below which an eye is closed; longer closures aren't blinks
+    this.blinkRatio = options.blinkRatio || 0.2;
+    this.maxBlinkMs = options.maxBlinkMs || 500;
+
+    this.reset();
+  }
+
+  reset() {
+    this.samples = [];
+    this.lastTime = null;
+    this.state = null;
+    this.eyesClosedSince = null;
+  }
+
+  // One face (or null) at `time`; `partnerFace` is the other dancer's face in partner mode
+  update(faceLandmarks, time, partnerFace = null) {
+    if (timeWentBack(this.lastTime, time)) {
+      this.reset();
+    }
+    this.lastTime = time;
+
+    this.state = faceLandmarks && faceLandmarks.length >= 468 ? this.estimate(faceLandmarks, partnerFace) : null;
+    if (this.state) {
+      this.state.blink = this.state.eyesClosed !== null && this.detectBlink(this.state.eyesClosed, time);
+      this.samples.push({
+        t: time,
+        pitch: this.state.pitch,
+        yaw: this.state.yaw,
+        lookingDown: this.state.lookingDown,
+        blink: this.state.blink,
+        smiling: this.state.smiling
+      });
+    }
+    while (this.samples.length && time - this.samples[0].t > this.windowMs) {
+      this.samples.shift();
+    }
+    return this.state;
+  }
+
+  estimate(landmarks, partnerFace) {
+    const F = FACE_LANDMARKS;
+    const point = (index) => this.point(landmarks[index]);
+
+    // Face axes: x from the right eye to the left, y from the forehead down to the chin
+    const xAxis = PoseMath.normalize(PoseMath.sub(point(F.LEFT_EYE_OUTER), point(F.RIGHT_EYE_OUTER)));
+    const down = PoseMath.sub(point(F.CHIN), point(F.FOREHEAD));
+    const zAxis = PoseMath.normalize(PoseMath.cross(xAxis, down));
+    const yAxis = PoseMath.cross(zAxis, xAxis);
+    // The face points out of the front of the head, towards the camera when facing it
+    const forward = PoseMath.scale(zAxis, -1);
+
+    const degrees = (radians) => radians * 180 / Math.PI;
+    // Yaw positive: turned to the dancer's left; pitch positive: looking up; roll positive: tilted to the left shoulder
+    const yaw = degrees(Math.atan2(forward.x, -forward.z));
+    const pitch = degrees(Math.atan2(-forward.y, Math.hypot(forward.x, forward.z)));
+    const roll = degrees(Math.atan2(xAxis.y, yAxis.y));
+
+    const refined = landmarks.length >= 478;
+    const eyes = refined ? this.irisOffset(landmarks, xAxis, yAxis) : null;
+    // The eyes can look about 35° sideways and 25° up or down from where the head points
+    const gazeYaw = eyes ? yaw + eyes.x * 35 : yaw;
+    const gazePitch = eyes ? pitch - eyes.y * 25 : pitch;
+    const eyeOpenness = refined ? this.eyeOpenness(landmarks) : null;
+    const smile = refined ? this.smileScore(landmarks) : null;
+
+    const state = {
+      yaw,
+      pitch,
+      roll,
+      direction: this.direction(yaw, pitch),
+      gaze: { yaw: gazeYaw, pitch: gazePitch, source: eyes ? 'eyes' : 'head' },
+      lookingDown: gazePitch < this.downPitch,
+      eyeOpenness,
+      eyesClosed: eyeOpenness === null ? null : eyeOpenness < this.blinkRatio,
+      smile,
+      smiling: smile === null ? null : smile > 0.5,
+      lookingAtPartner: null
+    };
+
+    if (partnerFace && partnerFace[F.NOSE_TIP]) {
+      state.lookingAtPartner = this.isLookingAt(landmarks[F.NOSE_TIP], partnerFace[F.NOSE_TIP], gazeYaw, gazePitch);
+    }
+    return state;
+  }
+
+  // Aspect-corrected, so the face's shape doesn't change with the video size
+  point(landmark) {
+    return { x: landmark.x * this.aspect, y: landmark.y, z: (landmark.z || 0) * this.aspect };
+  }
+
+  // Where the irises sit in the eyes along the face axes: -1 to 1 across (positive: towards
+  // the dancer's left) and down (positive: looking down), averaged over both eyes
+  irisOffset(landmarks, xAxis, yAxis) {
+    const F = FACE_LANDMARKS;
+    const offset = (iris, outer, inner) => {
+      const corners = PoseMath.sub(this.point(landmarks[inner]), this.point(landmarks[outer]));
+      const halfWidth = PoseMath.length(corners) / 2;
+      if (halfWidth < 1e-9) return null;
+      const centre = PoseMath.midpoint(this.point(landmarks[outer]), this.point(landmarks[inner]));
+      const shift = PoseMath.sub(this.point(landmarks[iris]), centre);
+      return { x: PoseMath.dot(shift, xAxis) / halfWidth, y: PoseMath.dot(shift, yAxis) / halfWidth };
+    };
+
+    const eyes = [
+      offset(F.RIGHT_IRIS, F.RIGHT_EYE_OUTER, F.RIGHT_EYE_INNER),
+      offset(F.LEFT_IRIS, F.LEFT_EYE_OUTER, F.LEFT_EYE_INNER)
+    ].filter(Boolean);
+    if (!eyes.length) return null;
+
+    const clamp = (value) => Math.min(Math.max(value, -1), 1);
+    return {
+      x: clamp(eyes.reduce((sum, eye) => sum + eye.x, 0) / eyes.length),
+      y: clamp(eyes.reduce((sum, eye) => sum + eye.y, 0) / eyes.length)
+    };
+  }
+
+  // Eyelid gap over eye width, averaged over both eyes (about 0.3 open, under 0.1 closed)
+  eyeOpenness(landmarks) {
+    const F = FACE_LANDMARKS;
+    const ratio = (top, bottom, outer, inner) => {
+      const width = PoseMath.distance(this.point(landmarks[outer]), this.point(landmarks[inner]));
+      return width < 1e-9 ? 0 : PoseMath.distance(this.point(landmarks[top]), this.point(landmarks[bottom])) / width;
+    };
+    return (ratio(F.RIGHT_EYE_TOP, F.RIGHT_EYE_BOTTOM, F.RIGHT_EYE_OUTER, F.RIGHT_EYE_INNER) +
+      ratio(F.LEFT_EYE_TOP, F.LEFT_EYE_BOTTOM, F.LEFT_EYE_OUTER, F.LEFT_EYE_INNER)) / 2;
+  }
+
+  // 0-1 from how wide the mouth is next to the eyes, and whether its corners lift above the lips' centre
+  smileScore(landmarks) {
+    const F = FACE_LANDMARKS;
+    const eyes = PoseMath.distance(this.point(landmarks[F.RIGHT_EYE_OUTER]), this.point(landmarks[F.LEFT_EYE_OUTER]));
+    if (eyes < 1e-9) return 0;
+
+    const mouth = PoseMath.distance(this.point(landmarks[F.MOUTH_RIGHT]), this.point(landmarks[F.MOUTH_LEFT]));
+    // A relaxed mouth is a little over half as wide as the eyes are apart
+    const width = (mouth / eyes - 0.55) / 0.15;
+    const corners = (landmarks[F.MOUTH_RIGHT].y + landmarks[F.MOUTH_LEFT].y) / 2;
+    const lips = (landmarks[F.UPPER_LIP].y + landmarks[F.LOWER_LIP].y) / 2;
+    const lift = (lips - corners) / eyes / 0.05;
+    return Math.min(Math.max(0.7 * width + 0.3 * lift, 0), 1);
+  }
+
+  direction(yaw, pitch) {
+    if (pitch < -this.forwardPitch && -pitch >= Math.abs(yaw)) return 'down';
+    if (pitch > this.forwardPitch && pitch >= Math.abs(yaw)) return 'up';
+    if (yaw > this.forwardYaw) return 'left';
+    if (yaw < -this.forwardYaw) return 'right';
+    return 'forward';
+  }
+
+  // Roughly: the gaze turns towards the side the partner is on (in the picture) and isn't down or up
+  isLookingAt(nose, target, gazeYaw, gazePitch) {
+    if (Math.abs(gazePitch) > this.forwardPitch * 1.5) return false;
+    // The camera's picture isn't mirrored, so the dancer's left is the picture's right
+    const side = target.x - nose.x;
+    if (Math.abs(side) < 0.05) return Math.abs(gazeYaw) < this.forwardYaw;
+    return Math.sign(gazeYaw) === Math.sign(side) && Math.abs(gazeYaw) > this.forwardYaw / 2;
+  }
+
+  // A blink is the eyes closing and opening again quickly
+  detectBlink(eyesClosed, time) {
+    if (eyesClosed) {
+      if (this.eyesClosedSince === null) this.eyesClosedSince = time;
+      return false;
+    }
+    const closedFor = this.eyesClosedSince === null ? null : time - this.eyesClosedSince;
+    this.eyesClosedSince = null;
+    return closedFor !== null && closedFor <= this.maxBlinkMs;
+  }
+
+  getState() {
+    return this.state;
+  }
+
+  // Over the window: share of time looking down, head movement range, blinks per minute and share smiling
+  getSummary() {
+    if (this.samples.length < 2) return null;
+
+    const share = (key) => {
+      const known = this.samples.filter(sample => sample[key] !== null);
+      return known.length ? known.filter(sample => sample[key]).length / known.length : null;
+    };
+    const range = (key) => {
+      const values = this.samples.map(sample => sample[key]);
+      return Math.max(...values) - Math.min(...values);
+    };
+    const duration = this.samples[this.samples.length - 1].t - this.samples[0].t;
+    const refined = this.samples.some(sample => sample.smiling !== null);
+    const blinks = this.samples.filter(sample => sample.blink).length;
+
+    return {
+      lookingDown: share('lookingDown'),
+      yawRange: range('yaw'),
+      pitchRange: range('pitch'),
+      blinksPerMinute: refined && duration > 0 ? Math.round(blinks * 60000 / duration) : null,
+      smiling: refined ? share('smiling') : null
+    };
+  }
+
+  getFeedback() {
+    const summary = this.getSummary();
+    if (!summary) return [];
+
+    const tips = [];
+    if (summary.lookingDown > 0.3) {
+      tips.push('Lift your gaze: look at your partner, not your feet');
+    }
+    if (summary.smiling !== null && summary.smiling < 0.2) {
+      tips.push('Relax the face and smile, it\'s a social dance');
+    }
+    return tips;
+  }
+
+  getHudLines() {
+    const state = this.state;
+    if (!state) return [];
+
+    const deg = (value) => `${Math.round(value)}°`;
+    const lines = [`🙂 Head: yaw ${deg(state.yaw)}  pitch ${deg(state.pitch)}  roll ${deg(state.roll)}  ${HEAD_DIRECTIONS[state.direction]}`];
+
+    const summary = this.getSummary();
+    const details = [];
+    if (summary) {
+      details.push(`Looking down: ${Math.round(summary.lookingDown * 100)}%`);
+    }
+    if (state.lookingAtPartner !== null) {
+      details.push(state.lookingAtPartner ? '👀 on partner' : '👀 away');
+    }
+    if (summary && summary.blinksPerMinute !== null) {
+      details.push(`Blinks: ${summary.blinksPerMinute}/min`);
+    }
+    if (state.smile !== null) {
+      details.push(`${state.smiling ? '😊' : '😐'} Smile ${Math.round(state.smile * 100)}%`);
+    }
+    if (details.length) {
+      lines.push(details.join('  '));
+    }
+
+    const tip = this.getFeedback()[0];
+    if (tip) {
+      lines.push(`💡 ${tip}`);
+    }
+    return lines;
+  }
+
+  // An arrow from the nose in the direction the dancer looks; red while looking down
+  drawDirection(ctx, landmarks, toCanvas, length = 60) {
+    const state = this.state;
+    const nose = landmarks && landmarks[FACE_LANDMARKS.NOSE_TIP];
+    if (!state || !nose) return;
+
+    const yaw = state.gaze.yaw * Math.PI / 180;
+    const pitch = state.gaze.pitch * Math.PI / 180;
+    // Seen from the camera the arrow shortens as the gaze points at it
+    const direction = { x: Math.sin(yaw) * Math.cos(pitch), y: -Math.sin(pitch) };
+    const from = toCanvas(nose);
+    const probe = toCanvas({ x: nose.x + direction.x * 0.01 / this.aspect, y: nose.y + direction.y * 0.01 });
+    const step = Math.hypot(probe.x - from.x, probe.y - from.y);
+    const scale = step > 1e-9 ? length * Math.hypot(direction.x, direction.y) / step : 0;
+    const to = { x: from.x + (probe.x - from.x) * scale, y: from.y + (probe.y - from.y) * scale };
+
+    ctx.save();
+    ctx.strokeStyle = state.lookingDown ? '#FF5252' : '#69F0AE';
+    ctx.lineWidth = 3;
+    ctx.beginPath();
+    ctx.moveTo(from.x, from.y);
+    ctx.lineTo(to.x, to.y);
+    ctx.stroke();
+    ctx.beginPath();
+    ctx.arc(to.x, to.y, 4, 0, 2 * Math.PI);
+    ctx.fillStyle = ctx.strokeStyle;
+    ctx.fill();
+    ctx.restore();
+  }
+}
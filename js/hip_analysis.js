@@ -0,0 +1,257 @@
+// Hip motion and body isolation analysis for bachata styling.
+// Uses the hip (23/24) and shoulder (11/12) landmarks to measure the hips'
+// sideways sway and rotation relative to the torso, how still the upper body
+// stays while the hips work, and how steady the sway rhythm is.
+
+class HipMotionAnalyzer {
+  constructor(options = {}) {
+    // Image width / height, to turn normalized hip x into the same units as y
+    this.aspect = options.aspect || 4 / 3;
+    // Amplitude, isolation and rhythm are measured over this sliding window
+    this.windowMs = options.windowMs || 4000;
+    // Motion slower than this counts as travelling rather than swaying
+    this.trendMs = options.trendMs || 1000;
+    // Sway smaller than this (torso lengths) is treated as standing still
+    this.minSway = options.minSway || 0.03;
+    this.visibilityThreshold = options.visibilityThreshold || 0.3;
+
+    this.reset();
+  }
+
+  reset() {
+    this.samples = [];
+    this.lastTime = null;
+    this.metrics = null;
+  }
+
+  update(landmarks, worldLandmarks, time) {
+    if (timeWentBack(this.lastTime, time)) {
+      this.reset();
+    }
+    this.lastTime = time;
+
+    const sample = landmarks && this.isVisible(landmarks) ? this.measure(landmarks, worldLandmarks, time) : null;
+    if (sample) {
+      this.samples.push(sample);
+    }
+    while (this.samples.length && time - this.samples[0].t > this.windowMs) {
+      this.samples.shift();
+    }
+
+    this.metrics = this.computeMetrics();
+    return this.metrics;
+  }
+
+  isVisible(landmarks) {
+    const { LEFT_SHOULDER, RIGHT_SHOULDER, LEFT_HIP, RIGHT_HIP } = POSE_LANDMARKS;
+    return [LEFT_SHOULDER, RIGHT_SHOULDER, LEFT_HIP, RIGHT_HIP].every(index =>
+      landmarks[index] && (landmarks[index].visibility === undefined || landmarks[index].visibility > this.visibilityThreshold)
+    );
+  }
+
+  measure(landmarks, worldLandmarks, time) {
+    const { LEFT_SHOULDER, RIGHT_SHOULDER, LEFT_HIP, RIGHT_HIP } = POSE_LANDMARKS;
+    const point = (index) => ({ x: landmarks[index].x * this.aspect, y: landmarks[index].y });
+
+    const shoulders = PoseMath.midpoint(point(LEFT_SHOULDER), point(RIGHT_SHOULDER));
+    const hips = PoseMath.midpoint(point(LEFT_HIP), point(RIGHT_HIP));
+    const torso = Math.hypot(shoulders.x - hips.x, shoulders.y - hips.y);
+    if (torso < 1e-6) return null;
+
+    // Sideways offset of the hips from the shoulders, along the shoulder line, in torso lengths
+    const shoulderAxis = PoseMath.normalize(PoseMath.sub(point(LEFT_SHOULDER), point(RIGHT_SHOULDER)));
+    const lateral = PoseMath.dot(PoseMath.sub(hips, shoulders), shoulderAxis) / torso;
+
+    const sample = {
+      t: time,
+      lateral,
+      // Positions in the frame, for telling hip sway apart from the whole body drifting
+      hipX: hips.x / torso,
+      shoulderX: shoulders.x / torso,
+      rotation: null,
+      tilt: null
+    };
+
+    if (worldLandmarks) {
+      const hipLine = PoseMath.sub(worldLandmarks[LEFT_HIP], worldLandmarks[RIGHT_HIP]);
+      const shoulderLine = PoseMath.sub(worldLandmarks[LEFT_SHOULDER], worldLandmarks[RIGHT_SHOULDER]);
+
+      // Pelvis yaw relative to the shoulders, around the vertical axis (positive: left hip back)
+      const yaw = (line) => Math.atan2(line.z || 0, line.x);
+      sample.rotation = this.wrapDegrees((yaw(hipLine) - yaw(shoulderLine)) * 180 / Math.PI);
+
+      // Pelvis roll relative to the shoulders (positive: left hip raised)
+      const roll = (line) => Math.atan2(-line.y, Math.hypot(line.x, line.z || 0));
+      sample.tilt = (roll(hipLine) - roll(shoulderLine)) * 180 / Math.PI;
+    }
+
+    return sample;
+  }
+
+  wrapDegrees(angle) {
+    return ((angle + 540) % 360) - 180;
+  }
+
+  computeMetrics() {
+    if (this.samples.length < 2) return null;
+
+    const values = (key) => this.samples.map(sample => sample[key]).filter(value => value !== null);
+    const range = (list) => (list.length ? Math.max(...list) - Math.min(...list) : null);
+    const lateral = values('lateral');
+    const rotation = values('rotation');
+    const tilt = values('tilt');
+
+    const swayAmplitude = range(lateral) / 2;
+    // Sway of the hips in the frame, which is there even when the shoulders sway along
+    const hipSway = range(this.detrend('hipX')) / 2;
+    const moving = hipSway >= this.minSway;
+
+    return {
+      lateral: lateral[lateral.length - 1],
+      rotation: rotation.length ? rotation[rotation.length - 1] : null,
+      tilt: tilt.length ? tilt[tilt.length - 1] : null,
+      // Half the peak-to-peak range over the window
+      swayAmplitude,
+      hipSway,
+      rotationAmplitude: rotation.length ? range(rotation) / 2 : null,
+      tiltAmplitude: tilt.length ? range(tilt) / 2 : null,
+      isolation: moving ? this.isolationScore() : null,
+      ...(moving ? this.rhythm(lateral) : { regularity: null, swaysPerMinute: null })
+    };
+  }
+
+  // 1 when the shoulders stay put in the frame while the hips sway, 0 when they move as much.
+  // Travel across the floor (a side basic) is slower than the sway, so it's removed first.
+  isolationScore() {
+    const deviation = (list) => Math.sqrt(list.reduce((sum, value) => sum + value * value, 0) / list.length);
+    const hips = deviation(this.detrend('hipX'));
+    const shoulders = deviation(this.detrend('shoulderX'));
+    if (hips < 1e-6) return null;
+    return Math.min(Math.max(1 - shoulders / hips, 0), 1);
+  }
+
+  detrend(key) {
+    const halfWindow = this.trendMs / 2;
+    return this.samples.map(sample => {
+      const nearby = this.samples.filter(other => Math.abs(other.t - sample.t) <= halfWindow);
+      return sample[key] - nearby.reduce((sum, other) => sum + other[key], 0) / nearby.length;
+    });
+  }
+
+  // Each crossing of the sway's centre line ends a half-sway; steady dancers space them evenly
+  rhythm(lateral) {
+    const mean = lateral.reduce((sum, value) => sum + value, 0) / lateral.length;
+    const band = this.minSway / 2;
+    const crossings = [];
+    let side = 0;
+
+    this.samples.forEach(sample => {
+      const offset = sample.lateral - mean;
+      // Hysteresis so noise around the centre line doesn't count as a sway
+      const current = offset > band ? 1 : offset < -band ? -1 : side;
+      if (side !== 0 && current !== side) {
+        crossings.push(sample.t);
+      }
+      side = current;
+    });
+
+    const intervals = crossings.slice(1).map((time, index) => time - crossings[index]);
+    if (intervals.length < 2) {
+      return { regularity: null, swaysPerMinute: null };
+    }
+
+    const meanInterval = intervals.reduce((sum, value) => sum + value, 0) / intervals.length;
+    const spread = Math.sqrt(intervals.reduce((sum, value) => sum + (value - meanInterval) ** 2, 0) / intervals.length);
+    return {
+      regularity: Math.max(0, 1 - spread / meanInterval),
+      swaysPerMinute: Math.round(60000 / meanInterval)
+    };
+  }
+
+  getMetrics() {
+    return this.metrics;
+  }
+
+  // Concrete styling tips from the current window, most important first
+  getFeedback() {
+    const metrics = this.metrics;
+    if (!metrics) return [];
+    if (metrics.hipSway < this.minSway) {
+      return ['Let the hips move: shift them side to side with each step'];
+    }
+
+    const tips = [];
+    if (metrics.isolation !== null && metrics.isolation < 0.5) {
+      tips.push('Keep the shoulders level and still while the hips move');
+    }
+    if (metrics.swayAmplitude < 0.08) {
+      tips.push('Make the hip sway bigger');
+    }
+    if (metrics.regularity !== null && metrics.regularity < 0.6) {
+      tips.push('Keep the hip rhythm even: one sway per beat');
+    }
+    return tips;
+  }
+
+  getHudLines() {
+    const metrics = this.metrics;
+    if (!metrics) return [];
+
+    const percent = (value) => (value === null ? '–' : `${Math.round(value * 100)}%`);
+    const deg = (value) => (value === null ? '–' : `${Math.round(value)}°`);
+    const lines = [
+      `💃 Hips: sway ${metrics.swayAmplitude.toFixed(2)}  rot ${deg(metrics.rotationAmplitude)}  tilt ${deg(metrics.tiltAmplitude)}`,
+      `Isolation: ${percent(metrics.isolation)}  Rhythm: ${percent(metrics.regularity)}`
+    ];
+
+    const tip = this.getFeedback()[0];
+    if (tip) {
+      lines.push(`💡 ${tip}`);
+    }
+    return lines;
+  }
+
+  // Scrolling plot of the window: hip sway (pink), shoulder drift (blue) and pelvis rotation (yellow)
+  drawTrace(ctx, x, y, width, height) {
+    if (this.samples.length < 2) return;
+
+    const end = this.samples[this.samples.length - 1].t;
+    const toX = (time) => x + width - ((end - time) / this.windowMs) * width;
+    const centre = y + height / 2;
+
+    ctx.save();
+    ctx.fillStyle = 'rgba(0, 0, 0, 0.6)';
+    ctx.fillRect(x, y, width, height);
+    ctx.strokeStyle = 'rgba(255, 255, 255, 0.3)';
+    ctx.beginPath();
+    ctx.moveTo(x, centre);
+    ctx.lineTo(x + width, centre);
+    ctx.stroke();
+
+    const plot = (color, value, scale) => {
+      const points = this.samples.filter(sample => value(sample) !== null);
+      if (points.length < 2) return;
+      ctx.strokeStyle = color;
+      ctx.lineWidth = 2;
+      ctx.beginPath();
+      points.forEach((sample, index) => {
+        const py = Math.min(Math.max(centre - value(sample) * scale, y), y + height);
+        if (index === 0) {
+          ctx.moveTo(toX(sample.t), py);
+        } else {
+          ctx.lineTo(toX(sample.t), py);
+        }
+      });
+      ctx.stroke();
+    };
+
+    const mean = (key) => this.samples.reduce((sum, sample) => sum + sample[key], 0) / this.samples.length;
+    const lateral = mean('lateral');
+    const shoulderX = mean('shoulderX');
+    // ±0.25 torso lengths and ±30° fill the plot height
+    plot('#FF6EC7', sample => sample.lateral - lateral, height / 0.5);
+    plot('#4FC3F7', sample => sample.shoulderX - shoulderX, height / 0.5);
+    plot('#FFD700', sample => sample.rotation, height / 60);
+    ctx.restore();
+  }
+}
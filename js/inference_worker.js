@@ -0,0 +1,78 @@
+// Inference worker: runs one MediaPipe module off the main thread (see WorkerBackend
+// in detector_backends.js).
+// In:  { type: 'init', module, scriptUrl, assetUrl }, { type: 'options', options },
+//      { type: 'frame', frameId, image } with the ImageBitmap transferred in
+// Out: { type: 'ready' }, { type: 'results', frameId, results }, { type: 'error', frameId?, message }
+
+// Relative to this worker script
+importScripts('asset_manifest.js');
+
+let detector = null;
+let latestResults = null;
+
+// Messages are handled one at a time, in the order they arrive
+let queue = Promise.resolve();
+
+self.onmessage = (event) => {
+  const message = event.data;
+  queue = queue.then(() => handleMessage(message));
+};
+
+async function handleMessage(message) {
+  try {
+    switch (message.type) {
+      case 'init':
+        await initDetector(message);
+        self.postMessage({ type: 'ready' });
+        break;
+      case 'options':
+        if (detector) detector.setOptions(message.options);
+        break;
+      case 'frame':
+        await processFrame(message);
+        break;
+    }
+  } catch (error) {
+    self.postMessage({ type: 'error', frameId: message.frameId, message: error.message });
+  }
+}
+
+async function initDetector({ module, scriptUrl, assetUrl }) {
+  importScripts(scriptUrl);
+
+  const DetectorClass = self[MEDIAPIPE_ASSET_MANIFEST.packages[module].className];
+  if (!DetectorClass) {
+    throw new Error(`${module} detector is not available in this worker`);
+  }
+
+  detector = new DetectorClass({ locateFile: (file) => `${assetUrl}/${file}` });
+  detector.onResults((results) => { latestResults = results; });
+  await detector.initialize();
+}
+
+async function processFrame({ frameId, image }) {
+  if (!detector) {
+    image.close();
+    throw new Error('Detector not initialized');
+  }
+
+  latestResults = null;
+  try {
+    await detector.send({ image });
+  } finally {
+    image.close();
+  }
+
+  self.postMessage({ type: 'results', frameId, results: landmarkResults(latestResults || {}) });
+}
+
+// Only the landmark data goes back; images and masks stay in the worker
+function landmarkResults(results) {
+  return {
+    poseLandmarks: results.poseLandmarks || null,
+    poseWorldLandmarks: results.poseWorldLandmarks || null,
+    multiFaceLandmarks: results.multiFaceLandmarks || [],
+    multiHandLandmarks: results.multiHandLandmarks || [],
+    multiHandedness: results.multiHandedness || []
+  };
+}
@@ -0,0 +1,356 @@
+// Frame sources for FullBodyTracker.
+// Every source exposes the same surface (open/close, play/pause, seek, step,
+// advance and an `element` MediaPipe can read) so the tracking loop doesn't
+// care whether frames come from a webcam, a video file or a folder of images.
+
+// How long a file frame may take to seek to or decode before it counts as failed
+const SOURCE_FRAME_TIMEOUT_MS = 5000;
+
+// Reject with `message` if the frame hasn't loaded in time, so a stuck frame
+// can't hold up every seek queued behind it
+function withFrameTimeout(promise, message) {
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => reject(new Error(message)), SOURCE_FRAME_TIMEOUT_MS);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+class CameraInputSource {
+  constructor(videoElement, options = {}) {
+    this.kind = 'camera';
+    this.isLive = true;
+    this.element = videoElement || document.createElement('video');
+    this.width = options.width || 640;
+    this.height = options.height || 480;
+    // A specific device, or the browser's pick for the facing mode ('user' or 'environment')
+    this.deviceId = options.deviceId || null;
+    this.facingMode = options.facingMode || 'user';
+    this.label = '';
+    // Called when the camera stops delivering, e.g. it was unplugged
+    this.onEnded = null;
+    this.stream = null;
+    this.paused = false;
+    this.frameIndex = 0;
+  }
+
+  async open() {
+    // Request camera with optimized settings
+    this.stream = await navigator.mediaDevices.getUserMedia({
+      video: {
+        width: { ideal: this.width, max: 1280 },
+        height: { ideal: this.height, max: 720 },
+        ...(this.deviceId ? { deviceId: { exact: this.deviceId } } : { facingMode: this.facingMode }),
+        frameRate: { ideal: 30, max: 30 } // Limit frame rate for performance
+      }
+    });
+
+    const track = this.stream.getVideoTracks()[0];
+    this.deviceId = track.getSettings().deviceId || this.deviceId;
+    this.label = track.label;
+    // Stopping a track ourselves doesn't fire 'ended', so this is always the device going away
+    track.addEventListener('ended', () => {
+      if (this.onEnded) this.onEnded();
+    });
+
+    this.element.autoplay = true;
+    this.element.playsInline = true;
+    this.element.muted = true;
+    this.element.srcObject = this.stream;
+
+    // Wait for video to be ready
+    await new Promise((resolve) => {
+      this.element.onloadedmetadata = () => {
+        this.element.play();
+        resolve();
+      };
+    });
+  }
+
+  close() {
+    // The video element may already be showing a newer camera's stream
+    if (this.element.srcObject === this.stream) {
+      this.element.srcObject = null;
+    }
+    if (this.stream) {
+      this.stream.getTracks().forEach(track => track.stop());
+      this.stream = null;
+    }
+  }
+
+  isReady() {
+    return this.element.readyState >= 2 && this.element.videoWidth > 0;
+  }
+
+  get frameWidth() {
+    return this.element.videoWidth;
+  }
+
+  get frameHeight() {
+    return this.element.videoHeight;
+  }
+
+  get currentTime() {
+    return this.element.currentTime;
+  }
+
+  play() {
+    this.paused = false;
+    this.element.play();
+  }
+
+  pause() {
+    this.paused = true;
+    this.element.pause();
+  }
+
+  // Live sources can't seek or step
+  async seek() {}
+
+  async step() {}
+
+  async seekToFrame() {}
+
+  async advance() {
+    return true;
+  }
+}
+
+class VideoFileInputSource {
+  constructor(file, options = {}) {
+    this.kind = 'video';
+    this.isLive = false;
+    this.file = file;
+    this.name = file.name || 'video';
+    // Browsers don't expose a file's frame rate, so analysis steps at a fixed rate
+    this.frameRate = options.frameRate || 30;
+    this.element = document.createElement('video');
+    this.url = null;
+    this.paused = true;
+    this.ended = false;
+    this.frameIndex = 0;
+    this.frameCount = 0;
+    this.pendingSeek = Promise.resolve();
+  }
+
+  async open() {
+    this.url = URL.createObjectURL(this.file);
+
+    this.element.muted = true;
+    this.element.playsInline = true;
+    this.element.preload = 'auto';
+    this.element.src = this.url;
+
+    await new Promise((resolve, reject) => {
+      this.element.onloadeddata = () => resolve();
+      this.element.onerror = () => reject(new Error(`Unable to decode video file "${this.name}".`));
+    });
+
+    this.frameCount = Math.max(1, Math.floor(this.element.duration * this.frameRate));
+    await this.seekToFrame(0, true);
+  }
+
+  close() {
+    this.paused = true;
+    this.element.removeAttribute('src');
+    this.element.load();
+    if (this.url) {
+      URL.revokeObjectURL(this.url);
+      this.url = null;
+    }
+  }
+
+  isReady() {
+    return this.element.readyState >= 2 && !this.element.seeking;
+  }
+
+  get frameWidth() {
+    return this.element.videoWidth;
+  }
+
+  get frameHeight() {
+    return this.element.videoHeight;
+  }
+
+  get currentTime() {
+    return this.frameIndex / this.frameRate;
+  }
+
+  get duration() {
+    return this.frameCount / this.frameRate;
+  }
+
+  async play() {
+    if (this.ended) {
+      await this.seekToFrame(0);
+    }
+    this.paused = false;
+  }
+
+  pause() {
+    this.paused = true;
+  }
+
+  async seek(seconds) {
+    await this.seekToFrame(Math.round(seconds * this.frameRate));
+  }
+
+  async step(delta = 1) {
+    this.pause();
+    await this.seekToFrame(this.frameIndex + delta);
+  }
+
+  // Move to the next frame for frame-accurate analysis; false once the clip is done
+  async advance() {
+    if (this.frameIndex >= this.frameCount - 1) {
+      this.ended = true;
+      this.paused = true;
+      return false;
+    }
+    await this.seekToFrame(this.frameIndex + 1);
+    return true;
+  }
+
+  seekToFrame(index, force = false) {
+    // Chain seeks so rapid scrubbing never leaves the element mid-seek
+    this.pendingSeek = this.pendingSeek.catch(() => {}).then(() => {
+      const target = Math.min(Math.max(Math.round(index), 0), this.frameCount - 1);
+      if (target === this.frameIndex && !force) return;
+
+      this.frameIndex = target;
+      this.ended = false;
+
+      const seeked = new Promise((resolve, reject) => {
+        this.element.onseeked = () => resolve();
+        this.element.onerror = () => reject(new Error(`Unable to decode frame ${target + 1} of "${this.name}".`));
+        // Aim for the middle of the frame so rounding never lands on its neighbour
+        this.element.currentTime = Math.min(
+          (target + 0.5) / this.frameRate,
+          Math.max(this.element.duration - 0.001, 0)
+        );
+      });
+      return withFrameTimeout(seeked, `Seeking to frame ${target + 1} of "${this.name}" timed out.`);
+    });
+
+    return this.pendingSeek;
+  }
+}
+
+class ImageSequenceInputSource {
+  constructor(files, options = {}) {
+    this.kind = 'images';
+    this.isLive = false;
+    // Sort like a file browser so frame_2.png comes before frame_10.png
+    this.files = Array.from(files)
+      .filter(file => !file.type || file.type.startsWith('image/'))
+      .sort((a, b) => a.name.localeCompare(b.name, undefined, { numeric: true }));
+    this.frameRate = options.frameRate || 30;
+    this.element = null;
+    this.url = null;
+    this.paused = true;
+    this.ended = false;
+    this.frameIndex = 0;
+    this.frameCount = this.files.length;
+    this.pendingLoad = Promise.resolve();
+  }
+
+  async open() {
+    if (this.frameCount === 0) {
+      throw new Error('No image files found in the selected sequence.');
+    }
+    await this.seekToFrame(0, true);
+  }
+
+  close() {
+    this.paused = true;
+    if (this.url) {
+      URL.revokeObjectURL(this.url);
+      this.url = null;
+    }
+    this.element = null;
+  }
+
+  isReady() {
+    return !!this.element && this.element.complete && this.element.naturalWidth > 0;
+  }
+
+  get frameWidth() {
+    return this.element ? this.element.naturalWidth : 0;
+  }
+
+  get frameHeight() {
+    return this.element ? this.element.naturalHeight : 0;
+  }
+
+  get currentTime() {
+    return this.frameIndex / this.frameRate;
+  }
+
+  get duration() {
+    return this.frameCount / this.frameRate;
+  }
+
+  async play() {
+    if (this.ended) {
+      await this.seekToFrame(0);
+    }
+    this.paused = false;
+  }
+
+  pause() {
+    this.paused = true;
+  }
+
+  async seek(seconds) {
+    await this.seekToFrame(Math.round(seconds * this.frameRate));
+  }
+
+  async step(delta = 1) {
+    this.pause();
+    await this.seekToFrame(this.frameIndex + delta);
+  }
+
+  async advance() {
+    if (this.frameIndex >= this.frameCount - 1) {
+      this.ended = true;
+      this.paused = true;
+      return false;
+    }
+    await this.seekToFrame(this.frameIndex + 1);
+    return true;
+  }
+
+  seekToFrame(index, force = false) {
+    this.pendingLoad = this.pendingLoad.catch(() => {}).then(async () => {
+      const target = Math.min(Math.max(Math.round(index), 0), this.frameCount - 1);
+      if (target === this.frameIndex && !force) return;
+
+      const file = this.files[target];
+      const url = URL.createObjectURL(file);
+      const image = new Image();
+      image.src = url;
+
+      const decoded = image.decode().catch(() => {
+        throw new Error(`Unable to decode image "${file.name}".`);
+      });
+
+      try {
+        await withFrameTimeout(decoded, `Decoding image "${file.name}" timed out.`);
+      } catch (error) {
+        URL.revokeObjectURL(url);
+        throw error;
+      }
+
+      // Swap only once the new frame is decoded so isReady() never flickers
+      if (this.url) {
+        URL.revokeObjectURL(this.url);
+      }
+      this.url = url;
+      this.element = image;
+      this.frameIndex = target;
+      this.ended = false;
+    });
+
+    return this.pendingLoad;
+  }
+}
@@ -0,0 +1,207 @@
+// Joint angles, posture and joint motion derived from the pose world landmarks.
+// World landmarks are in metres and hip-centred (Y down), so angles are true 3D
+// angles and velocities are relative to the hips rather than the room.
+
+const KINEMATIC_ANGLES = {
+  // Angle at the middle point, 180° when the limb is straight
+  leftKnee: [POSE_LANDMARKS.LEFT_HIP, POSE_LANDMARKS.LEFT_KNEE, POSE_LANDMARKS.LEFT_ANKLE],
+  rightKnee: [POSE_LANDMARKS.RIGHT_HIP, POSE_LANDMARKS.RIGHT_KNEE, POSE_LANDMARKS.RIGHT_ANKLE],
+  leftHip: [POSE_LANDMARKS.LEFT_SHOULDER, POSE_LANDMARKS.LEFT_HIP, POSE_LANDMARKS.LEFT_KNEE],
+  rightHip: [POSE_LANDMARKS.RIGHT_SHOULDER, POSE_LANDMARKS.RIGHT_HIP, POSE_LANDMARKS.RIGHT_KNEE],
+  leftElbow: [POSE_LANDMARKS.LEFT_SHOULDER, POSE_LANDMARKS.LEFT_ELBOW, POSE_LANDMARKS.LEFT_WRIST],
+  rightElbow: [POSE_LANDMARKS.RIGHT_SHOULDER, POSE_LANDMARKS.RIGHT_ELBOW, POSE_LANDMARKS.RIGHT_WRIST],
+  // Arm raise: 0° with the arm down the side, 180° straight overhead
+  leftShoulder: [POSE_LANDMARKS.LEFT_HIP, POSE_LANDMARKS.LEFT_SHOULDER, POSE_LANDMARKS.LEFT_ELBOW],
+  rightShoulder: [POSE_LANDMARKS.RIGHT_HIP, POSE_LANDMARKS.RIGHT_SHOULDER, POSE_LANDMARKS.RIGHT_ELBOW]
+};
+
+const KINEMATIC_POINTS = {
+  leftShoulder: POSE_LANDMARKS.LEFT_SHOULDER,
+  rightShoulder: POSE_LANDMARKS.RIGHT_SHOULDER,
+  leftElbow: POSE_LANDMARKS.LEFT_ELBOW,
+  rightElbow: POSE_LANDMARKS.RIGHT_ELBOW,
+  leftWrist: POSE_LANDMARKS.LEFT_WRIST,
+  rightWrist: POSE_LANDMARKS.RIGHT_WRIST,
+  leftHip: POSE_LANDMARKS.LEFT_HIP,
+  rightHip: POSE_LANDMARKS.RIGHT_HIP,
+  leftKnee: POSE_LANDMARKS.LEFT_KNEE,
+  rightKnee: POSE_LANDMARKS.RIGHT_KNEE,
+  leftAnkle: POSE_LANDMARKS.LEFT_ANKLE,
+  rightAnkle: POSE_LANDMARKS.RIGHT_ANKLE
+};
+
+// Metric groups the HUD can show, in display order
+const KINEMATIC_HUD_GROUPS = ['knees', 'hips', 'elbows', 'shoulders', 'posture', 'speed'];
+
+class KinematicsEngine {
+  constructor(options = {}) {
+    this.visibilityThreshold = options.visibilityThreshold || 0.3;
+    // Gaps longer than this break the derivatives instead of producing a spike
+    this.maxGapMs = options.maxGapMs || 250;
+    // Weight of the newest sample in the velocity and acceleration averages
+    this.responsiveness = options.responsiveness || 0.5;
+
+    this.listeners = [];
+    this.reset();
+  }
+
+  reset() {
+    this.lastTime = null;
+    this.previous = null;
+    this.state = null;
+  }
+
+  onUpdate(callback) {
+    this.listeners.push(callback);
+  }
+
+  update(worldLandmarks, time) {
+    if (timeWentBack(this.lastTime, time)) {
+      this.reset();
+    }
+
+    if (!worldLandmarks) {
+      this.previous = null;
+      this.state = null;
+      this.lastTime = time;
+      return null;
+    }
+
+    const dt = this.lastTime === null ? 0 : (time - this.lastTime) / 1000;
+    this.lastTime = time;
+    const continuous = this.previous && dt > 0 && dt * 1000 <= this.maxGapMs;
+
+    const angles = {};
+    Object.entries(KINEMATIC_ANGLES).forEach(([name, [a, b, c]]) => {
+      angles[name] = this.isVisible(worldLandmarks, a, b, c)
+        ? PoseMath.jointAngle(worldLandmarks[a], worldLandmarks[b], worldLandmarks[c])
+        : null;
+    });
+
+    const positions = {};
+    Object.entries(KINEMATIC_POINTS).forEach(([name, index]) => {
+      positions[name] = this.isVisible(worldLandmarks, index) ? PoseMath.vec(worldLandmarks[index].x, worldLandmarks[index].y, worldLandmarks[index].z) : null;
+    });
+
+    const state = {
+      time,
+      angles,
+      ...this.posture(worldLandmarks),
+      positions,
+      velocities: {},
+      accelerations: {},
+      angularVelocities: {},
+      angularAccelerations: {}
+    };
+
+    Object.keys(positions).forEach(name => {
+      const previous = continuous ? this.previous.positions[name] : null;
+      const velocity = previous && positions[name] ? PoseMath.scale(PoseMath.sub(positions[name], previous), 1 / dt) : null;
+      state.velocities[name] = this.blendVector(velocity, continuous && this.previous.velocities[name]);
+
+      const previousVelocity = continuous ? this.previous.velocities[name] : null;
+      const acceleration = previousVelocity && state.velocities[name]
+        ? PoseMath.scale(PoseMath.sub(state.velocities[name], previousVelocity), 1 / dt)
+        : null;
+      state.accelerations[name] = this.blendVector(acceleration, continuous && this.previous.accelerations[name]);
+    });
+
+    Object.keys(angles).forEach(name => {
+      const previous = continuous ? this.previous.angles[name] : null;
+      const velocity = previous !== null && angles[name] !== null ? (angles[name] - previous) / dt : null;
+      state.angularVelocities[name] = this.blendScalar(velocity, continuous ? this.previous.angularVelocities[name] : null);
+
+      const previousVelocity = continuous ? this.previous.angularVelocities[name] : null;
+      const acceleration = previousVelocity !== null && state.angularVelocities[name] !== null
+        ? (state.angularVelocities[name] - previousVelocity) / dt
+        : null;
+      state.angularAccelerations[name] = this.blendScalar(acceleration, continuous ? this.previous.angularAccelerations[name] : null);
+    });
+
+    this.previous = state;
+    this.state = state;
+    this.listeners.forEach(callback => callback(state));
+    return state;
+  }
+
+  isVisible(landmarks, ...indices) {
+    return indices.every(index =>
+      landmarks[index] && (landmarks[index].visibility === undefined || landmarks[index].visibility > this.visibilityThreshold)
+    );
+  }
+
+  // Lean of the torso from vertical and the tilt of the shoulder and hip lines from horizontal
+  posture(landmarks) {
+    const { LEFT_SHOULDER, RIGHT_SHOULDER, LEFT_HIP, RIGHT_HIP } = POSE_LANDMARKS;
+    if (!this.isVisible(landmarks, LEFT_SHOULDER, RIGHT_SHOULDER, LEFT_HIP, RIGHT_HIP)) {
+      return { torsoLean: null, torsoLeanForward: null, torsoLeanSide: null, shoulderTilt: null, hipTilt: null };
+    }
+
+    const shoulders = PoseMath.midpoint(landmarks[LEFT_SHOULDER], landmarks[RIGHT_SHOULDER]);
+    const hips = PoseMath.midpoint(landmarks[LEFT_HIP], landmarks[RIGHT_HIP]);
+    const spine = PoseMath.sub(shoulders, hips);
+    const up = PoseMath.vec(0, -1, 0);
+
+    // Split the lean along the body's own side axis so it doesn't depend on which way the dancer faces
+    const side = PoseMath.normalize(PoseMath.sub(landmarks[LEFT_HIP], landmarks[RIGHT_HIP]));
+    const forward = PoseMath.normalize(PoseMath.cross(side, up));
+    const height = -spine.y;
+    const signedLean = (axis) => Math.atan2(PoseMath.dot(spine, axis), height) * 180 / Math.PI;
+
+    return {
+      torsoLean: PoseMath.angleBetween(spine, up),
+      // Positive when leaning forward / towards the dancer's left
+      torsoLeanForward: signedLean(forward),
+      torsoLeanSide: signedLean(side),
+      // Positive when the left side is higher
+      shoulderTilt: this.tilt(landmarks[LEFT_SHOULDER], landmarks[RIGHT_SHOULDER]),
+      hipTilt: this.tilt(landmarks[LEFT_HIP], landmarks[RIGHT_HIP])
+    };
+  }
+
+  tilt(left, right) {
+    const horizontal = Math.hypot(left.x - right.x, (left.z || 0) - (right.z || 0));
+    return Math.atan2(right.y - left.y, horizontal) * 180 / Math.PI;
+  }
+
+  blendVector(sample, previous) {
+    if (!sample) return null;
+
+    const value = previous ? PoseMath.lerp(previous, sample, this.responsiveness) : sample;
+    return { ...value, magnitude: PoseMath.length(value) };
+  }
+
+  blendScalar(sample, previous) {
+    if (sample === null) return null;
+    return previous === null || previous === undefined ? sample : previous + (sample - previous) * this.responsiveness;
+  }
+
+  getState() {
+    return this.state;
+  }
+
+  // Look up a single metric, e.g. get('angles.leftKnee') or get('velocities.rightWrist.magnitude')
+  get(path) {
+    return path.split('.').reduce((value, key) => (value === null || value === undefined ? null : value[key]), this.state);
+  }
+
+  getHudLines(groups = KINEMATIC_HUD_GROUPS) {
+    if (!this.state) return [];
+
+    const state = this.state;
+    const deg = (value) => (value === null ? '–' : `${Math.round(value)}°`);
+    const speed = (name) => (state.velocities[name] ? state.velocities[name].magnitude.toFixed(1) : '–');
+    const pair = (label, left, right) => `${label} L ${deg(state.angles[left])}  R ${deg(state.angles[right])}`;
+
+    const lines = {
+      knees: () => pair('🦵 Knees', 'leftKnee', 'rightKnee'),
+      hips: () => pair('🦴 Hips', 'leftHip', 'rightHip'),
+      elbows: () => pair('💪 Elbows', 'leftElbow', 'rightElbow'),
+      shoulders: () => pair('🙆 Shoulders', 'leftShoulder', 'rightShoulder'),
+      posture: () => `🧍 Lean ${deg(state.torsoLean)}  Tilt S ${deg(state.shoulderTilt)} H ${deg(state.hipTilt)}`,
+      speed: () => `🏃 Wrists ${speed('leftWrist')}/${speed('rightWrist')}  Ankles ${speed('leftAnkle')}/${speed('rightAnkle')} m/s`
+    };
+
+    return KINEMATIC_HUD_GROUPS.filter(group => groups.includes(group)).map(group => lines[group]());
+  }
+}
@@ -0,0 +1,288 @@
+// Temporal smoothing for landmark streams.
+// Sits between the on*Results callbacks and the stored landmarks so overlays
+// and analytics see stable data without MediaPipe's heavier smoothing path.
+// Each module gets its own filter type and parameters, and every filter copes
+// with landmarks (or whole hands) appearing and disappearing.
+
+class OneEuroFilter {
+  constructor({ minCutoff = 1.0, beta = 0.0, dCutoff = 1.0 } = {}) {
+    this.minCutoff = minCutoff;
+    this.beta = beta;
+    this.dCutoff = dCutoff;
+    this.reset();
+  }
+
+  reset() {
+    this.value = null;
+    this.derivative = 0;
+    this.lastTime = null;
+  }
+
+  static smoothingFactor(dt, cutoff) {
+    const r = 2 * Math.PI * cutoff * dt;
+    return r / (r + 1);
+  }
+
+  filter(value, time) {
+    if (this.value === null) {
+      this.value = value;
+      this.lastTime = time;
+      return value;
+    }
+
+    const dt = (time - this.lastTime) / 1000;
+    this.lastTime = time;
+    if (dt <= 0) return this.value;
+
+    // Speed up the cutoff when the signal moves fast: low jitter at rest, low lag in motion
+    const rawDerivative = (value - this.value) / dt;
+    this.derivative += OneEuroFilter.smoothingFactor(dt, this.dCutoff) * (rawDerivative - this.derivative);
+    const cutoff = this.minCutoff + this.beta * Math.abs(this.derivative);
+
+    this.value += OneEuroFilter.smoothingFactor(dt, cutoff) * (value - this.value);
+    return this.value;
+  }
+}
+
+class ExponentialFilter {
+  constructor({ alpha = 0.5 } = {}) {
+    this.alpha = alpha;
+    this.reset();
+  }
+
+  reset() {
+    this.value = null;
+  }
+
+  filter(value) {
+    this.value = this.value === null ? value : this.value + this.alpha * (value - this.value);
+    return this.value;
+  }
+}
+
+// Constant-velocity Kalman filter for one coordinate
+class KalmanFilter {
+  constructor({ processNoise = 1.0, measurementNoise = 1e-4 } = {}) {
+    this.processNoise = processNoise;
+    this.measurementNoise = measurementNoise;
+    this.reset();
+  }
+
+  reset() {
+    this.position = null;
+    this.velocity = 0;
+    // Covariance [[p00, p01], [p01, p11]]
+    this.p00 = 1;
+    this.p01 = 0;
+    this.p11 = 1;
+    this.lastTime = null;
+  }
+
+  filter(value, time) {
+    if (this.position === null) {
+      this.position = value;
+      this.lastTime = time;
+      return value;
+    }
+
+    const dt = (time - this.lastTime) / 1000;
+    this.lastTime = time;
+    if (dt <= 0) return this.position;
+
+    // Predict
+    this.position += this.velocity * dt;
+    const q = this.processNoise;
+    this.p00 += dt * (2 * this.p01 + dt * this.p11) + q * dt * dt * dt / 3;
+    this.p01 += dt * this.p11 + q * dt * dt / 2;
+    this.p11 += q * dt;
+
+    // Update
+    const innovation = value - this.position;
+    const s = this.p00 + this.measurementNoise;
+    const k0 = this.p00 / s;
+    const k1 = this.p01 / s;
+    this.position += k0 * innovation;
+    this.velocity += k1 * innovation;
+
+    const p00 = this.p00;
+    const p01 = this.p01;
+    this.p00 = (1 - k0) * p00;
+    this.p01 = (1 - k0) * p01;
+    this.p11 -= k1 * p01;
+
+    return this.position;
+  }
+}
+
+const LANDMARK_FILTER_TYPES = {
+  none: null,
+  oneEuro: OneEuroFilter,
+  exponential: ExponentialFilter,
+  kalman: KalmanFilter
+};
+
+// Filters every coordinate of a landmark list independently
+class LandmarkSmoother {
+  constructor(type = 'oneEuro', params = {}, options = {}) {
+    this.type = type;
+    this.params = params;
+    // A landmark (or the whole set) missing for longer than this starts fresh
+    this.resetAfterMs = options.resetAfterMs || 300;
+    this.visibilityThreshold = options.visibilityThreshold || 0.3;
+    this.reset();
+  }
+
+  reset() {
+    this.filters = [];
+    this.lastSeen = [];
+    this.lastTime = null;
+  }
+
+  createFilters() {
+    const FilterClass = LANDMARK_FILTER_TYPES[this.type];
+    return {
+      x: new FilterClass(this.params),
+      y: new FilterClass(this.params),
+      z: new FilterClass(this.params)
+    };
+  }
+
+  apply(landmarks, time) {
+    if (!landmarks || !LANDMARK_FILTER_TYPES[this.type]) {
+      return landmarks;
+    }
+
+    // Time going backwards (a seek) or a long dropout invalidates all filter state
+    if (this.lastTime !== null && (time <= this.lastTime || time - this.lastTime > this.resetAfterMs)) {
+      this.reset();
+    }
+    if (this.filters.length !== landmarks.length) {
+      this.filters = landmarks.map(() => this.createFilters());
+      this.lastSeen = landmarks.map(() => time);
+    }
+    this.lastTime = time;
+
+    return landmarks.map((landmark, index) => {
+      const visible = landmark.visibility === undefined || landmark.visibility > this.visibilityThreshold;
+      if (!visible) {
+        return landmark;
+      }
+
+      // A landmark coming back into view shouldn't be dragged from where it vanished
+      if (time - this.lastSeen[index] > this.resetAfterMs) {
+        this.filters[index] = this.createFilters();
+      }
+      this.lastSeen[index] = time;
+
+      const filters = this.filters[index];
+      return {
+        ...landmark,
+        x: filters.x.filter(landmark.x, time),
+        y: filters.y.filter(landmark.y, time),
+        z: filters.z.filter(landmark.z || 0, time)
+      };
+    });
+  }
+}
+
+// Smooths a variable number of hands, keeping each hand's filters attached to that hand
+class MultiLandmarkSmoother {
+  constructor(type, params, options = {}) {
+    this.type = type;
+    this.params = params;
+    this.options = options;
+    this.resetAfterMs = options.resetAfterMs || 300;
+    this.slots = [];
+  }
+
+  reset() {
+    this.slots = [];
+  }
+
+  apply(landmarkSets, time, labels = []) {
+    if (!LANDMARK_FILTER_TYPES[this.type]) return landmarkSets;
+
+    // Hands that vanished a while ago release their filters
+    this.slots = this.slots.filter(slot => time > slot.lastTime && time - slot.lastTime <= this.resetAfterMs);
+    const available = [...this.slots];
+    const take = (slot) => available.splice(available.indexOf(slot), 1);
+
+    // Handedness first, so the order hands arrive in can't hand one's filters to the other
+    const labelOf = (index) => labels[index] && labels[index].label;
+    const assigned = landmarkSets.map((landmarks, index) => {
+      const slot = labelOf(index) ? available.find(candidate => candidate.label === labelOf(index)) : null;
+      if (slot) take(slot);
+      return slot;
+    });
+
+    return landmarkSets.map((landmarks, index) => {
+      const label = labelOf(index);
+      const wrist = landmarks[0];
+
+      // An unlabelled hand takes the unlabelled slot whose wrist was closest; a new label gets a new slot
+      let slot = assigned[index];
+      const unlabelled = available.filter(candidate => !candidate.label);
+      if (!slot && !label && unlabelled.length) {
+        slot = unlabelled.reduce((best, candidate) =>
+          Math.hypot(candidate.wrist.x - wrist.x, candidate.wrist.y - wrist.y) <
+          Math.hypot(best.wrist.x - wrist.x, best.wrist.y - wrist.y) ? candidate : best
+        );
+        take(slot);
+      }
+      if (!slot) {
+        slot = { smoother: new LandmarkSmoother(this.type, this.params, this.options), label };
+        this.slots.push(slot);
+      }
+
+      slot.lastTime = time;
+      slot.wrist = wrist;
+      return slot.smoother.apply(landmarks, time);
+    });
+  }
+}
+
+// Per-module defaults. Hands and feet cover about 1 frame width (or metre) per
+// second in a fast move, and the betas keep lag small at that speed.
+const LANDMARK_FILTER_DEFAULTS = {
+  pose: { type: 'oneEuro', params: { minCutoff: 1.0, beta: 60, dCutoff: 1 } },
+  poseWorld: { type: 'oneEuro', params: { minCutoff: 1.0, beta: 40, dCutoff: 1 } },
+  face: { type: 'oneEuro', params: { minCutoff: 1.0, beta: 60, dCutoff: 1 } },
+  hands: { type: 'oneEuro', params: { minCutoff: 1.0, beta: 80, dCutoff: 1 } }
+};
+
+class LandmarkFilterBank {
+  constructor(config = {}) {
+    this.config = {};
+    this.smoothers = {};
+    Object.keys(LANDMARK_FILTER_DEFAULTS).forEach(module => {
+      this.configure(module, config[module] || LANDMARK_FILTER_DEFAULTS[module]);
+    });
+  }
+
+  configure(module, { type, params } = {}) {
+    const defaults = LANDMARK_FILTER_DEFAULTS[module];
+    if (!defaults) {
+      throw new Error(`Unknown landmark module "${module}"`);
+    }
+    if (type && !(type in LANDMARK_FILTER_TYPES)) {
+      throw new Error(`Unknown filter type "${type}"`);
+    }
+
+    const current = this.config[module] || defaults;
+    const nextType = type || current.type;
+    // Parameters only carry over while the filter type stays the same
+    const baseParams = nextType === current.type ? current.params : (nextType === defaults.type ? defaults.params : {});
+    this.config[module] = { type: nextType, params: { ...baseParams, ...params } };
+
+    const SmootherClass = module === 'hands' ? MultiLandmarkSmoother : LandmarkSmoother;
+    this.smoothers[module] = new SmootherClass(this.config[module].type, this.config[module].params);
+  }
+
+  apply(module, landmarks, time, labels) {
+    return this.smoothers[module].apply(landmarks, time, labels);
+  }
+
+  reset() {
+    Object.values(this.smoothers).forEach(smoother => smoother.reset());
+  }
+}
@@ -0,0 +1,413 @@
+// Retargets BlazePose world landmarks onto a hierarchical skeleton and
+// exports recorded takes as BVH or glTF animation.
+//
+// MediaPipe world landmarks are metric, hip-centred, Y-down and Z-away from
+// the camera. The skeleton lives in a right-handed Y-up space facing +Z, so
+// points are converted with (x, -y, -z). The rest pose is a T-pose in which
+// every joint frame equals the world frame.
+
+// Points the skeleton is built from (landmark index, or midpoint of two)
+const MOCAP_POINTS = {
+  Hips: [POSE_LANDMARKS.LEFT_HIP, POSE_LANDMARKS.RIGHT_HIP],
+  Chest: null, // Derived: halfway between Hips and Neck
+  Neck: [POSE_LANDMARKS.LEFT_SHOULDER, POSE_LANDMARKS.RIGHT_SHOULDER],
+  Head: [POSE_LANDMARKS.LEFT_EAR, POSE_LANDMARKS.RIGHT_EAR],
+  HeadEnd: POSE_LANDMARKS.NOSE,
+  LeftEar: POSE_LANDMARKS.LEFT_EAR,
+  RightEar: POSE_LANDMARKS.RIGHT_EAR,
+  LeftArm: POSE_LANDMARKS.LEFT_SHOULDER,
+  LeftForeArm: POSE_LANDMARKS.LEFT_ELBOW,
+  LeftHand: POSE_LANDMARKS.LEFT_WRIST,
+  LeftHandEnd: [POSE_LANDMARKS.LEFT_INDEX, POSE_LANDMARKS.LEFT_PINKY],
+  RightArm: POSE_LANDMARKS.RIGHT_SHOULDER,
+  RightForeArm: POSE_LANDMARKS.RIGHT_ELBOW,
+  RightHand: POSE_LANDMARKS.RIGHT_WRIST,
+  RightHandEnd: [POSE_LANDMARKS.RIGHT_INDEX, POSE_LANDMARKS.RIGHT_PINKY],
+  LeftUpLeg: POSE_LANDMARKS.LEFT_HIP,
+  LeftLeg: POSE_LANDMARKS.LEFT_KNEE,
+  LeftFoot: POSE_LANDMARKS.LEFT_ANKLE,
+  LeftToe: POSE_LANDMARKS.LEFT_FOOT_INDEX,
+  RightUpLeg: POSE_LANDMARKS.RIGHT_HIP,
+  RightLeg: POSE_LANDMARKS.RIGHT_KNEE,
+  RightFoot: POSE_LANDMARKS.RIGHT_ANKLE,
+  RightToe: POSE_LANDMARKS.RIGHT_FOOT_INDEX
+};
+
+// Joint hierarchy in parent-first order. `aim` is the point the bone points at,
+// `rest` its direction in the T-pose and `basis` marks joints whose twist is
+// taken from a left/right axis instead of following the parent.
+const MOCAP_SKELETON = [
+  { name: 'Hips', parent: null, aim: 'Chest', rest: [0, 1, 0], basis: 'hips' },
+  { name: 'Chest', parent: 'Hips', aim: 'Neck', rest: [0, 1, 0], basis: 'shoulders' },
+  { name: 'Neck', parent: 'Chest', aim: 'Head', rest: [0, 1, 0] },
+  { name: 'Head', parent: 'Neck', aim: 'HeadEnd', rest: [0, 0, 1], basis: 'head' },
+  { name: 'LeftArm', parent: 'Neck', aim: 'LeftForeArm', rest: [1, 0, 0] },
+  { name: 'LeftForeArm', parent: 'LeftArm', aim: 'LeftHand', rest: [1, 0, 0] },
+  { name: 'LeftHand', parent: 'LeftForeArm', aim: 'LeftHandEnd', rest: [1, 0, 0] },
+  { name: 'RightArm', parent: 'Neck', aim: 'RightForeArm', rest: [-1, 0, 0] },
+  { name: 'RightForeArm', parent: 'RightArm', aim: 'RightHand', rest: [-1, 0, 0] },
+  { name: 'RightHand', parent: 'RightForeArm', aim: 'RightHandEnd', rest: [-1, 0, 0] },
+  { name: 'LeftUpLeg', parent: 'Hips', aim: 'LeftLeg', rest: [0, -1, 0] },
+  { name: 'LeftLeg', parent: 'LeftUpLeg', aim: 'LeftFoot', rest: [0, -1, 0] },
+  { name: 'LeftFoot', parent: 'LeftLeg', aim: 'LeftToe', rest: [0, 0, 1] },
+  { name: 'RightUpLeg', parent: 'Hips', aim: 'RightLeg', rest: [0, -1, 0] },
+  { name: 'RightLeg', parent: 'RightUpLeg', aim: 'RightFoot', rest: [0, -1, 0] },
+  { name: 'RightFoot', parent: 'RightLeg', aim: 'RightToe', rest: [0, 0, 1] }
+];
+
+// Where each joint sits relative to its parent joint in the T-pose
+const MOCAP_REST_OFFSETS = {
+  LeftArm: [1, 0, 0],
+  RightArm: [-1, 0, 0],
+  LeftUpLeg: [1, 0, 0],
+  RightUpLeg: [-1, 0, 0]
+};
+
+class MocapRetargeter {
+  constructor(options = {}) {
+    this.frameRate = options.frameRate || 30;
+    // Root translation comes from the 2D landmarks since world landmarks are hip-centred
+    this.includeRootMotion = options.includeRootMotion !== false;
+  }
+
+  // Convert a session (see SessionRecorder) into a fixed-rate take of local joint rotations
+  retarget(session) {
+    const samples = this.resample(session.frames);
+    if (samples.length === 0) {
+      throw new Error('Session has no pose world landmarks to export.');
+    }
+
+    const aspect = session.width && session.height ? session.width / session.height : 4 / 3;
+    const points = samples.map(sample => this.computePoints(sample.world));
+    const skeleton = this.buildSkeleton(points);
+    const rootMotion = this.computeRootMotion(samples, points, aspect);
+
+    const frames = points.map((framePoints, index) => ({
+      rootPosition: PoseMath.add(skeleton.rootRest, rootMotion[index]),
+      rotations: this.solveRotations(framePoints, skeleton)
+    }));
+
+    return {
+      frameRate: this.frameRate,
+      joints: skeleton.joints,
+      frames
+    };
+  }
+
+  // Linearly interpolate the recording onto a fixed frame rate, holding over dropouts
+  resample(frames) {
+    const posed = frames.filter(frame => frame.poseWorldLandmarks);
+    if (posed.length === 0) return [];
+
+    const start = posed[0].t;
+    const end = posed[posed.length - 1].t;
+    const step = 1000 / this.frameRate;
+    const samples = [];
+    let cursor = 0;
+
+    for (let t = start; t <= end + 1e-6; t += step) {
+      while (cursor < posed.length - 2 && posed[cursor + 1].t <= t) {
+        cursor++;
+      }
+
+      const a = posed[cursor];
+      const b = posed[Math.min(cursor + 1, posed.length - 1)];
+      const span = b.t - a.t;
+      const alpha = span > 0 ? Math.min(Math.max((t - a.t) / span, 0), 1) : 0;
+
+      samples.push({
+        world: a.poseWorldLandmarks.map((landmark, i) => PoseMath.lerp(landmark, b.poseWorldLandmarks[i], alpha)),
+        image: a.poseLandmarks && b.poseLandmarks
+          ? a.poseLandmarks.map((landmark, i) => PoseMath.lerp(landmark, b.poseLandmarks[i], alpha))
+          : null
+      });
+    }
+
+    return samples;
+  }
+
+  computePoints(world) {
+    const toSkeleton = (landmark) => ({ x: landmark.x, y: -landmark.y, z: -(landmark.z || 0) });
+    const points = {};
+
+    Object.entries(MOCAP_POINTS).forEach(([name, source]) => {
+      if (Array.isArray(source)) {
+        points[name] = PoseMath.midpoint(toSkeleton(world[source[0]]), toSkeleton(world[source[1]]));
+      } else if (typeof source === 'number') {
+        points[name] = toSkeleton(world[source]);
+      }
+    });
+
+    points.Chest = PoseMath.midpoint(points.Hips, points.Neck);
+    return points;
+  }
+
+  // Rest offsets use each bone's average length over the take
+  buildSkeleton(points) {
+    const averageDistance = (from, to) => points.reduce(
+      (sum, framePoints) => sum + PoseMath.distance(framePoints[from], framePoints[to]), 0
+    ) / points.length;
+
+    const joints = MOCAP_SKELETON.map(joint => {
+      const restOffset = MOCAP_REST_OFFSETS[joint.name];
+      const parentAim = joint.parent ? MOCAP_SKELETON.find(j => j.name === joint.parent) : null;
+
+      let offset = { x: 0, y: 0, z: 0 };
+      if (restOffset) {
+        offset = PoseMath.scale({ x: restOffset[0], y: restOffset[1], z: restOffset[2] }, averageDistance(joint.parent, joint.name));
+      } else if (parentAim && parentAim.aim === joint.name) {
+        const rest = parentAim.rest;
+        offset = PoseMath.scale({ x: rest[0], y: rest[1], z: rest[2] }, averageDistance(joint.parent, joint.name));
+      }
+
+      const hasJointChild = MOCAP_SKELETON.some(child => child.parent === joint.name && child.name === joint.aim);
+      const endOffset = hasJointChild
+        ? null
+        : PoseMath.scale({ x: joint.rest[0], y: joint.rest[1], z: joint.rest[2] }, averageDistance(joint.name, joint.aim));
+
+      return {
+        name: joint.name,
+        parent: joint.parent,
+        offset,
+        endOffset
+      };
+    });
+
+    // Stand the root on the ground: hip height is thigh plus shin
+    const legLength = averageDistance('LeftUpLeg', 'LeftLeg') + averageDistance('LeftLeg', 'LeftFoot');
+
+    return {
+      joints,
+      rootRest: { x: 0, y: legLength, z: 0 }
+    };
+  }
+
+  solveRotations(points, skeleton) {
+    const globals = {};
+    const locals = [];
+
+    MOCAP_SKELETON.forEach(joint => {
+      const parentGlobal = joint.parent ? globals[joint.parent] : PoseMath.quatIdentity();
+      let global;
+
+      if (joint.basis) {
+        global = PoseMath.quatFromBasis(...this.basisAxes(joint, points));
+      } else {
+        // Minimal rotation relative to the parent, so limb twist follows the parent
+        const rest = PoseMath.quatRotate(parentGlobal, { x: joint.rest[0], y: joint.rest[1], z: joint.rest[2] });
+        const current = PoseMath.normalize(PoseMath.sub(points[joint.aim], points[joint.name]));
+        global = PoseMath.quatMultiply(PoseMath.quatFromUnitVectors(PoseMath.normalize(rest), current), parentGlobal);
+      }
+
+      globals[joint.name] = global;
+      locals.push(PoseMath.quatNormalize(PoseMath.quatMultiply(PoseMath.quatInvert(parentGlobal), global)));
+    });
+
+    return locals;
+  }
+
+  basisAxes(joint, points) {
+    switch (joint.basis) {
+      case 'hips':
+        return [PoseMath.sub(points.LeftUpLeg, points.RightUpLeg), PoseMath.sub(points.Chest, points.Hips)];
+      case 'shoulders':
+        return [PoseMath.sub(points.LeftArm, points.RightArm), PoseMath.sub(points.Neck, points.Chest)];
+      case 'head': {
+        const xAxis = PoseMath.sub(points.LeftEar, points.RightEar);
+        const forward = PoseMath.sub(points.HeadEnd, points.Head);
+        return [xAxis, PoseMath.cross(forward, PoseMath.normalize(xAxis))];
+      }
+      default:
+        throw new Error(`Unknown basis "${joint.basis}"`);
+    }
+  }
+
+  // Hip-centre travel in metres, scaled from the image via the world torso length
+  computeRootMotion(samples, points, aspect) {
+    const zero = samples.map(() => ({ x: 0, y: 0, z: 0 }));
+    if (!this.includeRootMotion || samples.some(sample => !sample.image)) return zero;
+
+    const hipCentre = (image) => {
+      const mid = PoseMath.midpoint(image[POSE_LANDMARKS.LEFT_HIP], image[POSE_LANDMARKS.RIGHT_HIP]);
+      return { x: mid.x * aspect, y: mid.y, z: 0 };
+    };
+    const shoulderCentre = (image) => {
+      const mid = PoseMath.midpoint(image[POSE_LANDMARKS.LEFT_SHOULDER], image[POSE_LANDMARKS.RIGHT_SHOULDER]);
+      return { x: mid.x * aspect, y: mid.y, z: 0 };
+    };
+
+    const origin = hipCentre(samples[0].image);
+
+    return samples.map((sample, index) => {
+      const imageTorso = PoseMath.distance(hipCentre(sample.image), shoulderCentre(sample.image));
+      const worldTorso = PoseMath.distance(points[index].Hips, points[index].Neck);
+      const metresPerUnit = imageTorso > 1e-6 ? worldTorso / imageTorso : 0;
+      const hip = hipCentre(sample.image);
+
+      // Image Y points down; the skeleton's points up
+      return {
+        x: (hip.x - origin.x) * metresPerUnit,
+        y: -(hip.y - origin.y) * metresPerUnit,
+        z: 0
+      };
+    });
+  }
+}
+
+const BvhExporter = {
+  // BVH wants centimetres and per-joint ZXY Euler channels
+  export(take, unitScale = 100) {
+    const lines = ['HIERARCHY'];
+    const format = (value) => (Math.abs(value) < 1e-6 ? 0 : value).toFixed(4);
+    const formatVector = (v) => `${format(v.x * unitScale)} ${format(v.y * unitScale)} ${format(v.z * unitScale)}`;
+
+    const writeJoint = (joint, depth) => {
+      const indent = '  '.repeat(depth);
+      const isRoot = !joint.parent;
+
+      lines.push(`${indent}${isRoot ? 'ROOT' : 'JOINT'} ${joint.name}`);
+      lines.push(`${indent}{`);
+      lines.push(`${indent}  OFFSET ${isRoot ? '0.0000 0.0000 0.0000' : formatVector(joint.offset)}`);
+      lines.push(`${indent}  CHANNELS ${isRoot ? '6 Xposition Yposition Zposition ' : '3 '}Zrotation Xrotation Yrotation`);
+
+      take.joints
+        .filter(child => child.parent === joint.name)
+        .forEach(child => writeJoint(child, depth + 1));
+
+      if (joint.endOffset) {
+        lines.push(`${indent}  End Site`);
+        lines.push(`${indent}  {`);
+        lines.push(`${indent}    OFFSET ${formatVector(joint.endOffset)}`);
+        lines.push(`${indent}  }`);
+      }
+
+      lines.push(`${indent}}`);
+    };
+
+    writeJoint(take.joints[0], 0);
+
+    lines.push('MOTION');
+    lines.push(`Frames: ${take.frames.length}`);
+    lines.push(`Frame Time: ${(1 / take.frameRate).toFixed(6)}`);
+
+    // Channel order must follow the depth-first order the hierarchy was written in
+    const order = [];
+    const collect = (joint) => {
+      order.push(take.joints.indexOf(joint));
+      take.joints.filter(child => child.parent === joint.name).forEach(collect);
+    };
+    collect(take.joints[0]);
+
+    take.frames.forEach(frame => {
+      const values = [formatVector(frame.rootPosition)];
+      order.forEach(index => {
+        const euler = PoseMath.quatToEulerZXY(frame.rotations[index]);
+        values.push(`${format(euler.z)} ${format(euler.x)} ${format(euler.y)}`);
+      });
+      lines.push(values.join(' '));
+    });
+
+    return lines.join('\n') + '\n';
+  }
+};
+
+const GltfExporter = {
+  // Node hierarchy plus a skin, animated with per-joint rotation and root translation
+  export(take) {
+    const jointCount = take.joints.length;
+    const frameCount = take.frames.length;
+    const floats = [];
+
+    const pushAccessor = (values, type, count, extra = {}) => {
+      const byteOffset = floats.length * 4;
+      // One at a time: spreading a long take's values into push() overflows the call stack
+      values.forEach(value => floats.push(value));
+      return { byteOffset, byteLength: values.length * 4, type, count, ...extra };
+    };
+
+    // Rest pose globals are pure translations, so inverse bind matrices just undo them
+    const restGlobal = {};
+    take.joints.forEach(joint => {
+      const parent = joint.parent ? restGlobal[joint.parent] : { x: 0, y: 0, z: 0 };
+      restGlobal[joint.name] = PoseMath.add(parent, joint.parent ? joint.offset : take.frames[0].rootPosition);
+    });
+    const inverseBind = [];
+    take.joints.forEach(joint => {
+      const p = restGlobal[joint.name];
+      inverseBind.push(1, 0, 0, 0, 0, 1, 0, 0, 0, 0, 1, 0, -p.x, -p.y, -p.z, 1);
+    });
+
+    const times = take.frames.map((frame, index) => index / take.frameRate);
+    const layouts = [
+      pushAccessor(inverseBind, 'MAT4', jointCount),
+      pushAccessor(times, 'SCALAR', frameCount, { min: [0], max: [times[times.length - 1]] }),
+      pushAccessor(take.frames.flatMap(frame => [frame.rootPosition.x, frame.rootPosition.y, frame.rootPosition.z]), 'VEC3', frameCount)
+    ];
+    take.joints.forEach((joint, index) => {
+      layouts.push(pushAccessor(
+        take.frames.flatMap(frame => {
+          const q = frame.rotations[index];
+          return [q.x, q.y, q.z, q.w];
+        }),
+        'VEC4',
+        frameCount
+      ));
+    });
+
+    const buffer = new Float32Array(floats);
+    const nodes = take.joints.map((joint, index) => {
+      const children = take.joints
+        .map((child, childIndex) => (child.parent === joint.name ? childIndex : -1))
+        .filter(childIndex => childIndex >= 0);
+      const translation = joint.parent ? joint.offset : take.frames[0].rootPosition;
+      const rotation = take.frames[0].rotations[index];
+
+      return {
+        name: joint.name,
+        translation: [translation.x, translation.y, translation.z],
+        rotation: [rotation.x, rotation.y, rotation.z, rotation.w],
+        ...(children.length ? { children } : {})
+      };
+    });
+
+    const channels = [{ sampler: 0, target: { node: 0, path: 'translation' } }];
+    const samplers = [{ input: 1, output: 2, interpolation: 'LINEAR' }];
+    take.joints.forEach((joint, index) => {
+      channels.push({ sampler: samplers.length, target: { node: index, path: 'rotation' } });
+      samplers.push({ input: 1, output: 3 + index, interpolation: 'LINEAR' });
+    });
+
+    return {
+      asset: { version: '2.0', generator: 'BachataBot mocap export' },
+      scene: 0,
+      scenes: [{ nodes: [0] }],
+      nodes,
+      skins: [{ name: 'BachataBot', skeleton: 0, joints: take.joints.map((joint, index) => index), inverseBindMatrices: 0 }],
+      animations: [{ name: 'Take', channels, samplers }],
+      buffers: [{
+        byteLength: buffer.byteLength,
+        uri: `data:application/octet-stream;base64,${GltfExporter.toBase64(new Uint8Array(buffer.buffer))}`
+      }],
+      bufferViews: layouts.map(layout => ({ buffer: 0, byteOffset: layout.byteOffset, byteLength: layout.byteLength })),
+      accessors: layouts.map((layout, index) => ({
+        bufferView: index,
+        componentType: 5126, // FLOAT
+        count: layout.count,
+        type: layout.type,
+        ...(layout.min ? { min: layout.min, max: layout.max } : {})
+      }))
+    };
+  },
+
+  toBase64(bytes) {
+    let binary = '';
+    for (let i = 0; i < bytes.length; i += 0x8000) {
+      binary += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+    }
+    return btoa(binary);
+  }
+};
+
+function downloadMocapFile(contents, filename, type) {
+  downloadBlob(new Blob([contents], { type }), filename);
+}
@@ -0,0 +1,267 @@
+// Practice overlays drawn under the live skeleton.
+// Motion trails keep the last few seconds of chosen landmarks (feet, hands,
+// hips) and draw them as fading lines, so the shape of the footwork stays on
+// screen. The ghost plays a reference recording back as a translucent
+// skeleton, moved and scaled onto the live dancer so the two line up.
+
+// Trail groups: each track follows one landmark, or the hip midpoint
+const TRAIL_GROUPS = {
+  feet: {
+    label: 'Feet',
+    color: '#00E5FF',
+    tracks: { leftFoot: [POSE_LANDMARKS.LEFT_FOOT_INDEX], rightFoot: [POSE_LANDMARKS.RIGHT_FOOT_INDEX] }
+  },
+  hands: {
+    label: 'Hands',
+    color: '#FF4081',
+    tracks: { leftHand: [POSE_LANDMARKS.LEFT_WRIST], rightHand: [POSE_LANDMARKS.RIGHT_WRIST] }
+  },
+  hips: {
+    label: 'Hips',
+    color: '#FFEA00',
+    tracks: { hips: [POSE_LANDMARKS.LEFT_HIP, POSE_LANDMARKS.RIGHT_HIP] }
+  }
+};
+
+class MotionTrails {
+  constructor(options = {}) {
+    // How much history (ms) a trail shows
+    this.duration = options.duration || 2000;
+    this.groups = [];
+    this.minVisibility = options.minVisibility || 0.5;
+    // Points further apart than this (ms) aren't joined, e.g. after the dancer was lost
+    this.maxGap = options.maxGap || 250;
+    this.setGroups(options.groups || []);
+    this.reset();
+  }
+
+  setGroups(groups) {
+    groups.forEach(group => {
+      if (!TRAIL_GROUPS[group]) {
+        throw new Error(`Unknown trail group "${group}"`);
+      }
+    });
+    this.groups = groups.slice();
+    // Tracks of groups that were switched off shouldn't reappear stale when switched back on
+    Object.keys(this.tracks || {}).forEach(name => {
+      if (!this.groups.some(group => name in TRAIL_GROUPS[group].tracks)) delete this.tracks[name];
+    });
+  }
+
+  setDuration(ms) {
+    this.duration = Math.max(100, ms);
+  }
+
+  reset() {
+    this.tracks = {};
+    this.lastTime = null;
+  }
+
+  update(landmarks, time) {
+    if (timeWentBack(this.lastTime, time)) this.reset();
+    this.lastTime = time;
+
+    if (landmarks) {
+      this.groups.forEach(group => {
+        Object.entries(TRAIL_GROUPS[group].tracks).forEach(([name, indices]) => {
+          const point = this.trackPoint(landmarks, indices);
+          if (!point) return;
+          (this.tracks[name] = this.tracks[name] || []).push({ t: time, x: point.x, y: point.y });
+        });
+      });
+    }
+
+    const cutoff = time - this.duration;
+    Object.entries(this.tracks).forEach(([name, points]) => {
+      const firstKept = points.findIndex(point => point.t >= cutoff);
+      if (firstKept === -1) {
+        delete this.tracks[name];
+      } else if (firstKept > 0) {
+        points.splice(0, firstKept);
+      }
+    });
+  }
+
+  // Average of the track's landmarks, or null if any of them isn't clearly visible
+  trackPoint(landmarks, indices) {
+    const points = indices.map(index => landmarks[index]);
+    if (points.some(point => !point || (point.visibility !== undefined && point.visibility < this.minVisibility))) {
+      return null;
+    }
+    return {
+      x: points.reduce((sum, point) => sum + point.x, 0) / points.length,
+      y: points.reduce((sum, point) => sum + point.y, 0) / points.length
+    };
+  }
+
+  getTracks() {
+    return this.tracks;
+  }
+
+  // Older segments are thinner and fainter; toCanvas maps a normalized point to the canvas
+  draw(ctx, toCanvas) {
+    if (this.lastTime === null) return;
+
+    const baseAlpha = ctx.globalAlpha;
+    ctx.lineCap = 'round';
+    this.groups.forEach(group => {
+      const { color, tracks } = TRAIL_GROUPS[group];
+      ctx.strokeStyle = color;
+
+      Object.keys(tracks).forEach(name => {
+        const points = this.tracks[name] || [];
+        for (let i = 1; i < points.length; i++) {
+          if (points[i].t - points[i - 1].t > this.maxGap) continue;
+
+          const freshness = 1 - (this.lastTime - points[i].t) / this.duration;
+          const start = toCanvas(points[i - 1]);
+          const end = toCanvas(points[i]);
+          ctx.globalAlpha = baseAlpha * freshness;
+          ctx.lineWidth = 1 + 4 * freshness;
+          ctx.beginPath();
+          ctx.moveTo(start.x, start.y);
+          ctx.lineTo(end.x, end.y);
+          ctx.stroke();
+        }
+      });
+    });
+    ctx.globalAlpha = baseAlpha;
+  }
+}
+
+class GhostOverlay {
+  constructor(options = {}) {
+    this.color = options.color || '#FFFFFF';
+    // Mirror the reference, for classes where the instructor faces the dancers
+    this.mirror = !!options.mirror;
+    this.loop = options.loop !== undefined ? options.loop : true;
+    // Skeleton bones are only drawn between landmarks at least this visible
+    this.minVisibility = options.minVisibility || 0.3;
+
+    this.frames = [];
+    this.aspect = 4 / 3;
+    this.duration = 0;
+    this.startTime = null;
+  }
+
+  setReference(session) {
+    const frames = session.frames.filter(frame => frame.poseLandmarks);
+    if (frames.length === 0) {
+      throw new Error('Reference session has no pose landmarks.');
+    }
+
+    const start = frames[0].t;
+    this.frames = frames.map(frame => ({ t: frame.t - start, poseLandmarks: frame.poseLandmarks }));
+    this.duration = this.frames[this.frames.length - 1].t;
+    if (session.width && session.height) {
+      this.aspect = session.width / session.height;
+    }
+    this.startTime = null;
+  }
+
+  get hasReference() {
+    return this.frames.length > 0;
+  }
+
+  get active() {
+    return this.startTime !== null;
+  }
+
+  // Play the reference from its first frame, starting at `time`
+  start(time) {
+    if (!this.hasReference) return false;
+    this.startTime = time;
+    return true;
+  }
+
+  stop() {
+    this.startTime = null;
+  }
+
+  // The reference frame shown `time` ms after start (the last one once it ends, unless looping)
+  frameAt(time) {
+    if (!this.active) return null;
+
+    // A seek back before the start restarts the playback
+    if (time < this.startTime) this.startTime = time;
+    let elapsed = time - this.startTime;
+    if (this.loop && this.duration > 0) elapsed %= this.duration;
+
+    // Binary search for the last frame at or before `elapsed`
+    let low = 0;
+    let high = this.frames.length - 1;
+    while (low < high) {
+      const mid = Math.ceil((low + high) / 2);
+      if (this.frames[mid].t <= elapsed) {
+        low = mid;
+      } else {
+        high = mid - 1;
+      }
+    }
+    return this.frames[low];
+  }
+
+  // The reference pose at `time`, moved onto the live pose's hips and scaled to its
+  // torso. Lengths are compared in aspect-corrected units so the two videos can differ
+  // in shape. Without a live pose the reference is shown where it was recorded.
+  poseAt(time, livePose, liveAspect = 4 / 3) {
+    const frame = this.frameAt(time);
+    if (!frame) return null;
+
+    const reference = frame.poseLandmarks;
+    const referenceBody = GhostOverlay.bodyFrame(reference, this.aspect);
+    const liveBody = livePose ? GhostOverlay.bodyFrame(livePose, liveAspect) : null;
+    if (!referenceBody) return reference;
+    const anchor = liveBody || referenceBody;
+
+    const scale = liveBody ? liveBody.torso / referenceBody.torso : 1;
+    const flip = this.mirror ? -1 : 1;
+    const xScale = scale * flip * this.aspect / (liveBody ? liveAspect : this.aspect);
+
+    return reference.map(landmark => ({
+      x: anchor.hips.x + (landmark.x - referenceBody.hips.x) * xScale,
+      y: anchor.hips.y + (landmark.y - referenceBody.hips.y) * scale,
+      z: landmark.z,
+      visibility: landmark.visibility
+    }));
+  }
+
+  // Hip midpoint and aspect-corrected torso length, or null if the torso can't be measured
+  static bodyFrame(landmarks, aspect) {
+    const point = (index) => landmarks[index];
+    const hips = PoseMath.midpoint(point(POSE_LANDMARKS.LEFT_HIP), point(POSE_LANDMARKS.RIGHT_HIP));
+    const shoulders = PoseMath.midpoint(point(POSE_LANDMARKS.LEFT_SHOULDER), point(POSE_LANDMARKS.RIGHT_SHOULDER));
+    const torso = Math.hypot((shoulders.x - hips.x) * aspect, shoulders.y - hips.y);
+    if (!(torso > 1e-6)) return null;
+    return { hips, torso };
+  }
+
+  draw(ctx, landmarks, toCanvas) {
+    if (!landmarks) return;
+
+    ctx.strokeStyle = this.color;
+    ctx.fillStyle = this.color;
+    ctx.lineWidth = 6;
+    ctx.lineCap = 'round';
+
+    const visible = (landmark) => landmark && (landmark.visibility === undefined || landmark.visibility > this.minVisibility);
+    POSE_CONNECTIONS.forEach(([startIndex, endIndex]) => {
+      if (!visible(landmarks[startIndex]) || !visible(landmarks[endIndex])) return;
+      const start = toCanvas(landmarks[startIndex]);
+      const end = toCanvas(landmarks[endIndex]);
+      ctx.beginPath();
+      ctx.moveTo(start.x, start.y);
+      ctx.lineTo(end.x, end.y);
+      ctx.stroke();
+    });
+
+    // The head, so the ghost's facing reads at a glance
+    const nose = landmarks[POSE_LANDMARKS.NOSE];
+    if (visible(nose)) {
+      const head = toCanvas(nose);
+      ctx.beginPath();
+      ctx.arc(head.x, head.y, 12, 0, 2 * Math.PI);
+      ctx.fill();
+    }
+  }
+}
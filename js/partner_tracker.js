@@ -0,0 +1,354 @@
+// Partner mode: tracks a leader and a follower at once.
+// MediaPipe Pose finds a single person per image, so each frame is sent as two
+// crops, one around each dancer. Detections are mapped back to full-frame
+// coordinates, de-duplicated, and matched to the dancers of the previous frame
+// so each keeps its role. Faces and hands are assigned to whoever is nearest.
+
+const PARTNER_ROLES = ['leader', 'follower'];
+
+const PARTNER_COLORS = {
+  leader: '#00BFFF',
+  follower: '#FF69B4'
+};
+
+class PartnerTracker {
+  constructor(options = {}) {
+    // Image width / height, so matching dancers by distance isn't skewed towards sideways moves
+    this.aspect = options.aspect || 4 / 3;
+    // Fixed crops used while a dancer hasn't been found; they overlap in the middle
+    this.defaultCrops = options.defaultCrops || {
+      leader: { x: 0, y: 0, width: 0.6, height: 1 },
+      follower: { x: 0.4, y: 0, width: 0.6, height: 1 }
+    };
+    this.minCropWidth = options.minCropWidth || 0.35;
+    // A dancer missing for longer than this goes back to the default crop
+    this.lostAfterMs = options.lostAfterMs || 500;
+    this.visibilityThreshold = options.visibilityThreshold || 0.3;
+    this.filterConfig = options.filterConfig || {};
+
+    this.reset();
+  }
+
+  reset() {
+    this.people = {};
+    PARTNER_ROLES.forEach(role => {
+      this.people[role] = {
+        role,
+        poseLandmarks: null,
+        poseWorldLandmarks: null,
+        faceLandmarks: null,
+        handsLandmarks: [],
+        handsHandedness: [],
+        center: null,
+        velocity: { x: 0, y: 0 }, // Image units per millisecond
+        lastSeen: null,
+        filters: new LandmarkFilterBank(this.filterConfig)
+      };
+    });
+    this.metrics = null;
+  }
+
+  configureFilters(module, config) {
+    this.filterConfig[module] = config;
+    PARTNER_ROLES.forEach(role => this.people[role].filters.configure(module, config));
+  }
+
+  swapRoles() {
+    const { leader, follower } = this.people;
+    this.people = { leader: { ...follower, role: 'leader' }, follower: { ...leader, role: 'follower' } };
+  }
+
+  isTracked(person, time) {
+    return person.center !== null && time - person.lastSeen <= this.lostAfterMs;
+  }
+
+  // Normalized crop rectangles to send to Pose this frame, one per dancer
+  getCrops(time) {
+    const spans = {};
+    PARTNER_ROLES.forEach(role => {
+      const person = this.people[role];
+      spans[role] = this.isTracked(person, time) && person.poseLandmarks ? this.horizontalSpan(person.poseLandmarks) : null;
+    });
+
+    return PARTNER_ROLES.map(role => {
+      const span = spans[role];
+      if (span) {
+        // Full height, and the dancer's width plus room to move and stretch an arm out
+        return { role, ...this.cropAround(span.left, span.right, 1.6) };
+      }
+
+      // Look for a lost dancer beside the one still tracked, not on top of them
+      const other = spans[PARTNER_ROLES.find(otherRole => otherRole !== role)];
+      if (other) {
+        const [left, right] = other.left > 1 - other.right ? [0, other.left] : [other.right, 1];
+        return { role, ...this.cropAround(left, right, 1) };
+      }
+      return { role, ...this.defaultCrops[role] };
+    });
+  }
+
+  horizontalSpan(landmarks) {
+    const xs = landmarks.filter(landmark => this.isVisible(landmark)).map(landmark => landmark.x);
+    return xs.length ? { left: Math.min(...xs), right: Math.max(...xs) } : null;
+  }
+
+  cropAround(left, right, padding) {
+    const width = Math.min(Math.max((right - left) * padding, this.minCropWidth), 1);
+    const x = Math.min(Math.max((left + right) / 2 - width / 2, 0), 1 - width);
+    return { x, y: 0, width, height: 1 };
+  }
+
+  isVisible(landmark) {
+    return landmark && (landmark.visibility === undefined || landmark.visibility > this.visibilityThreshold);
+  }
+
+  // Crop-relative landmarks back to full-frame coordinates; z shares x's scale
+  static mapFromCrop(landmarks, crop) {
+    return landmarks.map(landmark => ({
+      ...landmark,
+      x: crop.x + landmark.x * crop.width,
+      y: crop.y + landmark.y * crop.height,
+      z: (landmark.z || 0) * crop.width
+    }));
+  }
+
+  // Hip centre in aspect-corrected image space
+  bodyCenter(landmarks) {
+    const left = landmarks[POSE_LANDMARKS.LEFT_HIP];
+    const right = landmarks[POSE_LANDMARKS.RIGHT_HIP];
+    return { x: (left.x + right.x) / 2 * this.aspect, y: (left.y + right.y) / 2 };
+  }
+
+  bodySize(landmarks) {
+    const { LEFT_SHOULDER, RIGHT_SHOULDER, LEFT_HIP, RIGHT_HIP } = POSE_LANDMARKS;
+    const point = (index) => ({ x: landmarks[index].x * this.aspect, y: landmarks[index].y });
+    const shoulders = PoseMath.midpoint(point(LEFT_SHOULDER), point(RIGHT_SHOULDER));
+    const hips = PoseMath.midpoint(point(LEFT_HIP), point(RIGHT_HIP));
+    return Math.hypot(shoulders.x - hips.x, shoulders.y - hips.y);
+  }
+
+  meanVisibility(landmarks) {
+    return landmarks.reduce((sum, landmark) => sum + (landmark.visibility === undefined ? 1 : landmark.visibility), 0) / landmarks.length;
+  }
+
+  // detections: [{crop, poseLandmarks, poseWorldLandmarks}] with crop-relative landmarks
+  update(detections, time) {
+    const candidates = detections.map(detection => {
+      const poseLandmarks = PartnerTracker.mapFromCrop(detection.poseLandmarks, detection.crop);
+      return {
+        poseLandmarks,
+        poseWorldLandmarks: detection.poseWorldLandmarks,
+        center: this.bodyCenter(poseLandmarks),
+        size: this.bodySize(poseLandmarks),
+        confidence: this.meanVisibility(poseLandmarks)
+      };
+    });
+
+    // Both crops see a dancer standing in the overlap; keep the more confident detection
+    const unique = [];
+    candidates.sort((a, b) => b.confidence - a.confidence).forEach(candidate => {
+      const duplicate = unique.some(kept =>
+        PoseMath.distance(kept.center, candidate.center) < 0.5 * Math.max(kept.size, candidate.size)
+      );
+      if (!duplicate) {
+        unique.push(candidate);
+      }
+    });
+
+    this.assignRoles(unique.slice(0, PARTNER_ROLES.length), time).forEach(({ role, candidate }) => {
+      const person = this.people[role];
+      person.poseLandmarks = person.filters.apply('pose', candidate.poseLandmarks, time);
+      person.poseWorldLandmarks = person.filters.apply('poseWorld', candidate.poseWorldLandmarks, time);
+      if (this.isTracked(person, time) && time > person.lastSeen) {
+        const dt = time - person.lastSeen;
+        person.velocity = PoseMath.lerp(person.velocity, PoseMath.scale(PoseMath.sub(candidate.center, person.center), 1 / dt), 0.5);
+      } else {
+        person.velocity = { x: 0, y: 0 };
+      }
+      person.center = candidate.center;
+      person.lastSeen = time;
+    });
+
+    PARTNER_ROLES.forEach(role => {
+      const person = this.people[role];
+      if (person.lastSeen !== time) {
+        person.poseLandmarks = null;
+        person.poseWorldLandmarks = null;
+      }
+    });
+
+    this.metrics = this.computeMetrics();
+    return this.people;
+  }
+
+  // Match detections to roles by distance to where each dancer is expected to be,
+  // which keeps identities through turns and partners passing each other
+  assignRoles(candidates, time) {
+    if (candidates.length === 0) return [];
+
+    const anchor = (role) => {
+      const person = this.people[role];
+      if (this.isTracked(person, time)) {
+        return PoseMath.add(person.center, PoseMath.scale(person.velocity, time - person.lastSeen));
+      }
+      const crop = this.defaultCrops[role];
+      return { x: (crop.x + crop.width / 2) * this.aspect, y: 0.5 };
+    };
+    const [first, second] = PARTNER_ROLES;
+
+    if (candidates.length === 1) {
+      const candidate = candidates[0];
+      const role = PoseMath.distance(candidate.center, anchor(first)) <= PoseMath.distance(candidate.center, anchor(second)) ? first : second;
+      return [{ role, candidate }];
+    }
+
+    const [a, b] = candidates;
+    const straight = PoseMath.distance(a.center, anchor(first)) + PoseMath.distance(b.center, anchor(second));
+    const crossed = PoseMath.distance(a.center, anchor(second)) + PoseMath.distance(b.center, anchor(first));
+    return straight <= crossed
+      ? [{ role: first, candidate: a }, { role: second, candidate: b }]
+      : [{ role: first, candidate: b }, { role: second, candidate: a }];
+  }
+
+  // Faces go to the dancer whose nose is closest
+  assignFaces(faces, time) {
+    PARTNER_ROLES.forEach(role => { this.people[role].faceLandmarks = null; });
+
+    faces.forEach(face => {
+      const center = face.reduce((sum, landmark) => ({ x: sum.x + landmark.x / face.length, y: sum.y + landmark.y / face.length }), { x: 0, y: 0 });
+      const role = this.nearestRole(center, POSE_LANDMARKS.NOSE);
+      if (role && !this.people[role].faceLandmarks) {
+        this.people[role].faceLandmarks = this.people[role].filters.apply('face', face, time);
+      }
+    });
+  }
+
+  // Hands go to the dancer with the closest wrist
+  assignHands(hands, handedness = [], time) {
+    const grouped = {};
+    PARTNER_ROLES.forEach(role => { grouped[role] = { hands: [], labels: [] }; });
+
+    hands.forEach((hand, index) => {
+      const role = this.nearestRole(hand[0], POSE_LANDMARKS.LEFT_WRIST, POSE_LANDMARKS.RIGHT_WRIST);
+      if (role) {
+        grouped[role].hands.push(hand);
+        grouped[role].labels.push(handedness[index]);
+      }
+    });
+
+    PARTNER_ROLES.forEach(role => {
+      const person = this.people[role];
+      person.handsLandmarks = person.filters.apply('hands', grouped[role].hands, time, grouped[role].labels);
+      person.handsHandedness = grouped[role].labels;
+    });
+  }
+
+  nearestRole(point, ...indices) {
+    let best = null;
+    let bestDistance = Infinity;
+
+    PARTNER_ROLES.forEach(role => {
+      const landmarks = this.people[role].poseLandmarks;
+      if (!landmarks) return;
+      indices.forEach(index => {
+        const distance = Math.hypot((landmarks[index].x - point.x) * this.aspect, landmarks[index].y - point.y);
+        if (distance < bestDistance) {
+          best = role;
+          bestDistance = distance;
+        }
+      });
+    });
+    return best;
+  }
+
+  // Distances in metres (image distances scaled by the dancers' world torso length) and facing in degrees
+  computeMetrics() {
+    const { leader, follower } = this.people;
+    if (!leader.poseLandmarks || !follower.poseLandmarks) return null;
+
+    const metresPerUnit = this.metresPerImageUnit(leader) !== null && this.metresPerImageUnit(follower) !== null
+      ? (this.metresPerImageUnit(leader) + this.metresPerImageUnit(follower)) / 2
+      : null;
+    const imageDistance = (a, b) => Math.hypot((a.x - b.x) * this.aspect, a.y - b.y);
+    const toMetres = (distance) => (metresPerUnit === null ? null : distance * metresPerUnit);
+    const { LEFT_SHOULDER, RIGHT_SHOULDER, LEFT_HIP, RIGHT_HIP, LEFT_WRIST, RIGHT_WRIST } = POSE_LANDMARKS;
+    const midpoint = (landmarks, a, b) => PoseMath.midpoint(landmarks[a], landmarks[b]);
+
+    // Closest pair of hands, which is the hand hold in open position
+    let connection = Infinity;
+    [LEFT_WRIST, RIGHT_WRIST].forEach(a => {
+      [LEFT_WRIST, RIGHT_WRIST].forEach(b => {
+        connection = Math.min(connection, imageDistance(leader.poseLandmarks[a], follower.poseLandmarks[b]));
+      });
+    });
+
+    const facing = this.facingMetrics(leader, follower);
+
+    return {
+      distance: toMetres(imageDistance(midpoint(leader.poseLandmarks, LEFT_HIP, RIGHT_HIP), midpoint(follower.poseLandmarks, LEFT_HIP, RIGHT_HIP))),
+      frameDistance: toMetres(imageDistance(midpoint(leader.poseLandmarks, LEFT_SHOULDER, RIGHT_SHOULDER), midpoint(follower.poseLandmarks, LEFT_SHOULDER, RIGHT_SHOULDER))),
+      connection: toMetres(connection),
+      ...facing
+    };
+  }
+
+  metresPerImageUnit(person) {
+    if (!person.poseWorldLandmarks) return null;
+
+    const { LEFT_SHOULDER, RIGHT_SHOULDER, LEFT_HIP, RIGHT_HIP } = POSE_LANDMARKS;
+    const world = person.poseWorldLandmarks;
+    const worldTorso = PoseMath.distance(
+      PoseMath.midpoint(world[LEFT_SHOULDER], world[RIGHT_SHOULDER]),
+      PoseMath.midpoint(world[LEFT_HIP], world[RIGHT_HIP])
+    );
+    const imageTorso = this.bodySize(person.poseLandmarks);
+    return imageTorso > 1e-6 ? worldTorso / imageTorso : null;
+  }
+
+  // Which way each dancer's hips face, from the world landmarks (the camera looks along +z)
+  facingDirection(person) {
+    if (!person.poseWorldLandmarks) return null;
+
+    const world = person.poseWorldLandmarks;
+    const side = PoseMath.sub(world[POSE_LANDMARKS.LEFT_HIP], world[POSE_LANDMARKS.RIGHT_HIP]);
+    const forward = PoseMath.cross(side, PoseMath.vec(0, -1, 0));
+    const length = Math.hypot(forward.x, forward.z);
+    return length > 1e-6 ? { x: forward.x / length, z: forward.z / length } : null;
+  }
+
+  facingMetrics(leader, follower) {
+    const leaderForward = this.facingDirection(leader);
+    const followerForward = this.facingDirection(follower);
+    if (!leaderForward || !followerForward) {
+      return { facingAngle: null, facingEachOther: null };
+    }
+
+    const dot = leaderForward.x * followerForward.x + leaderForward.z * followerForward.z;
+    // Facing each other means each dancer's front points across to the other side
+    const towards = Math.sign(follower.center.x - leader.center.x);
+    return {
+      // 180° when facing each other (or back to back), 0° when facing the same way
+      facingAngle: Math.acos(Math.min(Math.max(dot, -1), 1)) * 180 / Math.PI,
+      facingEachOther: leaderForward.x * towards > 0 && followerForward.x * towards < 0
+    };
+  }
+
+  getMetrics() {
+    return this.metrics;
+  }
+
+  getHudLines() {
+    const metrics = this.metrics;
+    if (!metrics) {
+      const found = PARTNER_ROLES.filter(role => this.people[role].poseLandmarks).length;
+      return [`👫 Partners: ${found}/2 found`];
+    }
+
+    const metres = (value) => (value === null ? '–' : `${value.toFixed(2)} m`);
+    const facing = metrics.facingAngle === null ? '–' : `${Math.round(metrics.facingAngle)}°${metrics.facingEachOther ? ' (facing)' : ''}`;
+    return [
+      `👫 Distance ${metres(metrics.distance)}  Frame ${metres(metrics.frameDistance)}`,
+      `Hands ${metres(metrics.connection)}  Facing ${facing}`
+    ];
+  }
+}
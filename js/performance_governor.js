@@ -0,0 +1,233 @@
+// Adaptive performance governor.
+// Measures how long each module's inference and each whole frame take, and once a
+// second trades frame rate against quality to meet the chosen goal: it sets the
+// target FPS, how often face and hands run compared with pose, the model
+// complexity and the resolution frames are sent to the models at.
+
+// Quality levels from best to cheapest. Face and hands run on every Nth frame
+// (faceEvery / handsEvery); pose always runs.
+const GOVERNOR_LEVELS = [
+  { poseComplexity: 2, handsComplexity: 1, faceEvery: 1, handsEvery: 1, inputScale: 1 },
+  { poseComplexity: 1, handsComplexity: 1, faceEvery: 1, handsEvery: 1, inputScale: 1 },
+  { poseComplexity: 1, handsComplexity: 0, faceEvery: 1, handsEvery: 1, inputScale: 1 },
+  { poseComplexity: 0, handsComplexity: 0, faceEvery: 1, handsEvery: 1, inputScale: 1 },
+  { poseComplexity: 0, handsComplexity: 0, faceEvery: 2, handsEvery: 2, inputScale: 1 },
+  { poseComplexity: 0, handsComplexity: 0, faceEvery: 3, handsEvery: 3, inputScale: 0.75 },
+  { poseComplexity: 0, handsComplexity: 0, faceEvery: 4, handsEvery: 4, inputScale: 0.5 }
+];
+
+// The lightest models with every module on every frame, as before the governor
+const GOVERNOR_DEFAULT_LEVEL = 3;
+
+// prefer: what a goal holds on to longest when frames take too long
+const GOVERNOR_GOALS = {
+  smooth: { label: 'Smooth 30 FPS', minFps: 30, maxFps: 30, prefer: 'fps' },
+  accuracy: { label: 'Max accuracy', minFps: 12, maxFps: 30, prefer: 'quality' },
+  off: { label: 'Off (fixed settings)', minFps: 30, maxFps: 30, prefer: 'fixed' }
+};
+
+class PerformanceGovernor {
+  constructor(options = {}) {
+    this.goal = options.goal || 'smooth';
+    this.windowMs = options.windowMs || 1000;
+    // Frame time as a share of the frame budget that triggers a step down or up
+    this.highLoad = options.highLoad || 0.9;
+    this.lowLoad = options.lowLoad || 0.6;
+    // Calm windows needed before stepping up; doubles each time a step up is undone
+    this.baseCalmWindows = options.calmWindows || 3;
+    this.fpsStep = 5;
+    // User cap on the frame rate, below the goal's own range if lower
+    this.fpsLimit = options.fpsLimit || Infinity;
+    this.callbacks = [];
+    this.reset();
+  }
+
+  reset() {
+    this.level = GOVERNOR_DEFAULT_LEVEL;
+    this.targetFps = this.maxFps();
+    this.moduleMs = {};
+    this.frameMs = null;
+    this.load = null;
+    this.windowStart = null;
+    this.windowFrames = 0;
+    this.windowTotalMs = 0;
+    this.calmWindows = 0;
+    this.calmNeeded = this.baseCalmWindows;
+    this.lastChange = null;
+    this.reason = 'Starting';
+  }
+
+  onChange(callback) {
+    this.callbacks.push(callback);
+  }
+
+  setGoal(goal) {
+    if (!GOVERNOR_GOALS[goal]) {
+      throw new Error(`Unknown performance goal "${goal}"`);
+    }
+
+    const previous = this.settings;
+    this.goal = goal;
+    this.level = GOVERNOR_DEFAULT_LEVEL;
+    this.targetFps = this.maxFps();
+    this.calmWindows = 0;
+    this.calmNeeded = this.baseCalmWindows;
+    this.lastChange = null;
+    this.notify(previous, `Goal: ${GOVERNOR_GOALS[goal].label}`);
+  }
+
+  setFpsLimit(fps) {
+    const previous = this.settings;
+    this.fpsLimit = fps;
+    this.targetFps = this.maxFps();
+    this.lastChange = null;
+    this.notify(previous, `FPS limit: ${fps}`);
+  }
+
+  // The goal's frame rate range, capped by the FPS limit
+  maxFps() {
+    return Math.min(GOVERNOR_GOALS[this.goal].maxFps, this.fpsLimit);
+  }
+
+  minFps() {
+    return Math.min(GOVERNOR_GOALS[this.goal].minFps, this.fpsLimit);
+  }
+
+  // Current decisions: target FPS plus the quality level's settings
+  get settings() {
+    return { targetFps: this.targetFps, level: this.level, ...GOVERNOR_LEVELS[this.level] };
+  }
+
+  // Whether a module runs on this frame. Face and hands are offset by a frame so
+  // that at every second frame they take turns rather than land together.
+  shouldRun(module, frameId) {
+    const settings = GOVERNOR_LEVELS[this.level];
+    if (module === 'face') return frameId % settings.faceEvery === 0;
+    if (module === 'hands') return (frameId + 1) % settings.handsEvery === 0;
+    return true;
+  }
+
+  // Smoothed inference time of one module, in milliseconds
+  recordInference(module, ms) {
+    const previous = this.moduleMs[module];
+    this.moduleMs[module] = previous === undefined ? ms : previous * 0.8 + ms * 0.2;
+  }
+
+  // Time a whole frame took; decisions are made once per window
+  recordFrame(ms, time) {
+    this.frameMs = this.frameMs === null ? ms : this.frameMs * 0.8 + ms * 0.2;
+
+    if (this.windowStart === null) {
+      this.windowStart = time;
+    }
+    this.windowFrames++;
+    this.windowTotalMs += ms;
+
+    if (time - this.windowStart >= this.windowMs) {
+      this.evaluate(this.windowTotalMs / this.windowFrames);
+      this.windowStart = time;
+      this.windowFrames = 0;
+      this.windowTotalMs = 0;
+    }
+  }
+
+  evaluate(averageMs) {
+    this.load = averageMs / (1000 / this.targetFps);
+    if (GOVERNOR_GOALS[this.goal].prefer === 'fixed') return;
+
+    if (this.load > this.highLoad) {
+      this.calmWindows = 0;
+      // Stepping straight back down means the last step up didn't fit
+      if (this.lastChange === 'up') {
+        this.calmNeeded = Math.min(this.calmNeeded * 2, 60);
+      }
+      this.stepDown();
+    } else if (this.load < this.lowLoad) {
+      this.calmWindows++;
+      if (this.calmWindows >= this.calmNeeded) {
+        this.calmWindows = 0;
+        this.stepUp();
+      } else {
+        this.lastChange = null;
+      }
+    } else {
+      this.calmWindows = 0;
+      this.lastChange = null;
+    }
+  }
+
+  stepDown() {
+    const goal = GOVERNOR_GOALS[this.goal];
+    const previous = this.settings;
+    const canLowerFps = this.targetFps > this.minFps();
+    const canLowerQuality = this.level < GOVERNOR_LEVELS.length - 1;
+    const busy = `frames at ${Math.round(this.load * 100)}% of budget`;
+
+    if (goal.prefer === 'quality' ? canLowerFps : !canLowerQuality && canLowerFps) {
+      this.targetFps = Math.max(this.minFps(), this.targetFps - this.fpsStep);
+      this.lastChange = 'down';
+      this.notify(previous, `Lowered target to ${this.targetFps} FPS (${busy})`);
+    } else if (canLowerQuality) {
+      this.level++;
+      this.lastChange = 'down';
+      this.notify(previous, `Lowered quality to level ${this.level} (${busy})`);
+    }
+  }
+
+  stepUp() {
+    const goal = GOVERNOR_GOALS[this.goal];
+    const previous = this.settings;
+    const canRaiseFps = this.targetFps < this.maxFps();
+    const canRaiseQuality = this.level > 0;
+
+    if (goal.prefer === 'fps' ? canRaiseFps : !canRaiseQuality && canRaiseFps) {
+      this.targetFps = Math.min(this.maxFps(), this.targetFps + this.fpsStep);
+      this.lastChange = 'up';
+      this.notify(previous, `Raised target to ${this.targetFps} FPS`);
+    } else if (canRaiseQuality) {
+      this.level--;
+      this.lastChange = 'up';
+      this.notify(previous, `Raised quality to level ${this.level}`);
+    }
+  }
+
+  notify(previous, reason) {
+    this.reason = reason;
+    const settings = this.settings;
+    this.callbacks.forEach(callback => callback(settings, previous, reason));
+  }
+
+  getState() {
+    return {
+      goal: this.goal,
+      ...this.settings,
+      frameMs: this.frameMs,
+      moduleMs: { ...this.moduleMs },
+      load: this.load,
+      reason: this.reason
+    };
+  }
+}
+
+// Debug panel listing the governor's current decisions and measurements
+function renderGovernorPanel(container, governor) {
+  const state = governor.getState();
+  const ms = (value) => value === null || value === undefined ? '–' : `${value.toFixed(1)} ms`;
+  const every = (n) => n === 1 ? 'every frame' : `every ${n} frames`;
+  const rows = [
+    ['Goal', GOVERNOR_GOALS[state.goal].label],
+    ['Target', `${state.targetFps} FPS`],
+    ['Quality level', `${state.level} of ${GOVERNOR_LEVELS.length - 1} (0 = best)`],
+    ['Pose model', `complexity ${state.poseComplexity}`],
+    ['Hands model', `complexity ${state.handsComplexity}, ${every(state.handsEvery)}`],
+    ['Face', every(state.faceEvery)],
+    ['Input', `${Math.round(state.inputScale * 100)}% resolution`],
+    ['Frame', `${ms(state.frameMs)}${state.load === null ? '' : ` (${Math.round(state.load * 100)}% of budget)`}`],
+    ...Object.entries(state.moduleMs).map(([module, value]) => [`${module} inference`, ms(value)]),
+    ['Last change', state.reason]
+  ];
+
+  container.innerHTML = rows
+    .map(([name, value]) => `<div class="governor-row"><span>${name}</span><span>${value}</span></div>`)
+    .join('');
+}
@@ -0,0 +1,225 @@
+// Shared landmark indices and vector/quaternion helpers for the analysis modules.
+// Vectors are plain {x, y, z} objects so MediaPipe landmarks can be used directly;
+// quaternions are {x, y, z, w}.
+
+const POSE_LANDMARKS = {
+  NOSE: 0,
+  LEFT_EYE_INNER: 1,
+  LEFT_EYE: 2,
+  LEFT_EYE_OUTER: 3,
+  RIGHT_EYE_INNER: 4,
+  RIGHT_EYE: 5,
+  RIGHT_EYE_OUTER: 6,
+  LEFT_EAR: 7,
+  RIGHT_EAR: 8,
+  MOUTH_LEFT: 9,
+  MOUTH_RIGHT: 10,
+  LEFT_SHOULDER: 11,
+  RIGHT_SHOULDER: 12,
+  LEFT_ELBOW: 13,
+  RIGHT_ELBOW: 14,
+  LEFT_WRIST: 15,
+  RIGHT_WRIST: 16,
+  LEFT_PINKY: 17,
+  RIGHT_PINKY: 18,
+  LEFT_INDEX: 19,
+  RIGHT_INDEX: 20,
+  LEFT_THUMB: 21,
+  RIGHT_THUMB: 22,
+  LEFT_HIP: 23,
+  RIGHT_HIP: 24,
+  LEFT_KNEE: 25,
+  RIGHT_KNEE: 26,
+  LEFT_ANKLE: 27,
+  RIGHT_ANKLE: 28,
+  LEFT_HEEL: 29,
+  RIGHT_HEEL: 30,
+  LEFT_FOOT_INDEX: 31,
+  RIGHT_FOOT_INDEX: 32
+};
+
+// Skeleton bones as pairs of pose landmark indices
+const POSE_CONNECTIONS = [
+  [11, 12], [11, 13], [13, 15], [12, 14], [14, 16], // Arms
+  [11, 23], [12, 24], [23, 24], // Torso
+  [23, 25], [25, 27], [27, 29], [29, 31], // Left leg
+  [24, 26], [26, 28], [28, 30], [30, 32], // Right leg
+  [15, 17], [15, 19], [15, 21], // Left hand
+  [16, 18], [16, 20], [16, 22] // Right hand
+];
+
+// The analysis modules keep state from frame to frame. A frame older than the last one
+// means the input was seeked or started over, and that state no longer applies.
+function timeWentBack(lastTime, time) {
+  return lastTime !== null && time < lastTime;
+}
+
+const PoseMath = {
+  vec(x = 0, y = 0, z = 0) {
+    return { x, y, z };
+  },
+
+  add(a, b) {
+    return { x: a.x + b.x, y: a.y + b.y, z: (a.z || 0) + (b.z || 0) };
+  },
+
+  sub(a, b) {
+    return { x: a.x - b.x, y: a.y - b.y, z: (a.z || 0) - (b.z || 0) };
+  },
+
+  scale(v, s) {
+    return { x: v.x * s, y: v.y * s, z: (v.z || 0) * s };
+  },
+
+  lerp(a, b, t) {
+    return {
+      x: a.x + (b.x - a.x) * t,
+      y: a.y + (b.y - a.y) * t,
+      z: (a.z || 0) + ((b.z || 0) - (a.z || 0)) * t
+    };
+  },
+
+  dot(a, b) {
+    return a.x * b.x + a.y * b.y + (a.z || 0) * (b.z || 0);
+  },
+
+  cross(a, b) {
+    return {
+      x: a.y * b.z - a.z * b.y,
+      y: a.z * b.x - a.x * b.z,
+      z: a.x * b.y - a.y * b.x
+    };
+  },
+
+  length(v) {
+    return Math.sqrt(PoseMath.dot(v, v));
+  },
+
+  distance(a, b) {
+    return PoseMath.length(PoseMath.sub(a, b));
+  },
+
+  normalize(v) {
+    const length = PoseMath.length(v);
+    return length > 1e-9 ? PoseMath.scale(v, 1 / length) : { x: 0, y: 0, z: 0 };
+  },
+
+  midpoint(a, b) {
+    return PoseMath.lerp(a, b, 0.5);
+  },
+
+  // Angle between two vectors in degrees
+  angleBetween(a, b) {
+    const denominator = PoseMath.length(a) * PoseMath.length(b);
+    if (denominator < 1e-9) return 0;
+    const cosine = Math.min(Math.max(PoseMath.dot(a, b) / denominator, -1), 1);
+    return Math.acos(cosine) * 180 / Math.PI;
+  },
+
+  // Interior angle at `b` formed by the segments b→a and b→c, in degrees
+  jointAngle(a, b, c) {
+    return PoseMath.angleBetween(PoseMath.sub(a, b), PoseMath.sub(c, b));
+  },
+
+  quatIdentity() {
+    return { x: 0, y: 0, z: 0, w: 1 };
+  },
+
+  quatMultiply(a, b) {
+    return {
+      x: a.w * b.x + a.x * b.w + a.y * b.z - a.z * b.y,
+      y: a.w * b.y - a.x * b.z + a.y * b.w + a.z * b.x,
+      z: a.w * b.z + a.x * b.y - a.y * b.x + a.z * b.w,
+      w: a.w * b.w - a.x * b.x - a.y * b.y - a.z * b.z
+    };
+  },
+
+  // Inverse of a unit quaternion
+  quatInvert(q) {
+    return { x: -q.x, y: -q.y, z: -q.z, w: q.w };
+  },
+
+  quatNormalize(q) {
+    const length = Math.sqrt(q.x * q.x + q.y * q.y + q.z * q.z + q.w * q.w) || 1;
+    return { x: q.x / length, y: q.y / length, z: q.z / length, w: q.w / length };
+  },
+
+  quatRotate(q, v) {
+    const p = PoseMath.quatMultiply(PoseMath.quatMultiply(q, { x: v.x, y: v.y, z: v.z || 0, w: 0 }), PoseMath.quatInvert(q));
+    return { x: p.x, y: p.y, z: p.z };
+  },
+
+  // Shortest-arc rotation taking unit vector `from` onto unit vector `to`
+  quatFromUnitVectors(from, to) {
+    const d = PoseMath.dot(from, to);
+
+    if (d < -0.999999) {
+      // Opposite vectors: rotate 180° around any perpendicular axis
+      let axis = PoseMath.cross({ x: 1, y: 0, z: 0 }, from);
+      if (PoseMath.length(axis) < 1e-6) {
+        axis = PoseMath.cross({ x: 0, y: 1, z: 0 }, from);
+      }
+      axis = PoseMath.normalize(axis);
+      return { x: axis.x, y: axis.y, z: axis.z, w: 0 };
+    }
+
+    const c = PoseMath.cross(from, to);
+    return PoseMath.quatNormalize({ x: c.x, y: c.y, z: c.z, w: 1 + d });
+  },
+
+  // Rotation whose local X/Y axes map onto the given directions (Y is re-orthogonalized)
+  quatFromBasis(xAxis, yAxis) {
+    const x = PoseMath.normalize(xAxis);
+    const z = PoseMath.normalize(PoseMath.cross(x, yAxis));
+    const y = PoseMath.cross(z, x);
+
+    const m00 = x.x, m01 = y.x, m02 = z.x;
+    const m10 = x.y, m11 = y.y, m12 = z.y;
+    const m20 = x.z, m21 = y.z, m22 = z.z;
+    const trace = m00 + m11 + m22;
+
+    let q;
+    if (trace > 0) {
+      const s = 0.5 / Math.sqrt(trace + 1);
+      q = { w: 0.25 / s, x: (m21 - m12) * s, y: (m02 - m20) * s, z: (m10 - m01) * s };
+    } else if (m00 > m11 && m00 > m22) {
+      const s = 2 * Math.sqrt(1 + m00 - m11 - m22);
+      q = { w: (m21 - m12) / s, x: 0.25 * s, y: (m01 + m10) / s, z: (m02 + m20) / s };
+    } else if (m11 > m22) {
+      const s = 2 * Math.sqrt(1 + m11 - m00 - m22);
+      q = { w: (m02 - m20) / s, x: (m01 + m10) / s, y: 0.25 * s, z: (m12 + m21) / s };
+    } else {
+      const s = 2 * Math.sqrt(1 + m22 - m00 - m11);
+      q = { w: (m10 - m01) / s, x: (m02 + m20) / s, y: (m12 + m21) / s, z: 0.25 * s };
+    }
+
+    return PoseMath.quatNormalize(q);
+  },
+
+  // Euler angles in degrees for the rotation R = Rz · Rx · Ry (BVH "Zrotation Xrotation Yrotation")
+  quatToEulerZXY(q) {
+    const m01 = 2 * (q.x * q.y - q.z * q.w);
+    const m11 = 1 - 2 * (q.x * q.x + q.z * q.z);
+    const m20 = 2 * (q.x * q.z - q.y * q.w);
+    const m21 = 2 * (q.y * q.z + q.x * q.w);
+    const m22 = 1 - 2 * (q.x * q.x + q.y * q.y);
+    const toDegrees = 180 / Math.PI;
+
+    const x = Math.asin(Math.min(Math.max(m21, -1), 1));
+    let y;
+    let z;
+
+    if (Math.abs(m21) < 0.999999) {
+      y = Math.atan2(-m20, m22);
+      z = Math.atan2(-m01, m11);
+    } else {
+      // Gimbal lock: fold the whole Y rotation into Z
+      const m00 = 1 - 2 * (q.y * q.y + q.z * q.z);
+      const m10 = 2 * (q.x * q.y + q.z * q.w);
+      y = 0;
+      z = Math.atan2(m10, m00);
+    }
+
+    return { x: x * toDegrees, y: y * toDegrees, z: z * toDegrees };
+  }
+};
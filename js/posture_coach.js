@@ -0,0 +1,192 @@
+// Real-time posture coaching.
+// Rules are declared as data: a metric measured every frame from the joint
+// angles (see kinematics.js) or the world landmarks, the range it should stay
+// in, and how long it may stay out before the rule counts as broken. Broken
+// rules name the joints to highlight, and give a short spoken cue now and then.
+
+// Measurements the rules are written in. Each returns the parts it measured, e.g.
+// one per knee, as { value, joints }; value is null when the part isn't visible.
+const COACHING_METRICS = {
+  // Knee angle, 180° when straight
+  kneeAngle: (kinematics) => [
+    { value: kinematics.angles.leftKnee, joints: [POSE_LANDMARKS.LEFT_KNEE] },
+    { value: kinematics.angles.rightKnee, joints: [POSE_LANDMARKS.RIGHT_KNEE] }
+  ],
+  // Shoulder line away from horizontal, either way
+  shoulderTilt: (kinematics) => [
+    {
+      value: kinematics.shoulderTilt === null ? null : Math.abs(kinematics.shoulderTilt),
+      joints: [POSE_LANDMARKS.LEFT_SHOULDER, POSE_LANDMARKS.RIGHT_SHOULDER]
+    }
+  ],
+  // Where the body's weight falls along the feet: 0 over the heels, 1 over the toes
+  weightAlongFeet: (kinematics, world) => [
+    {
+      value: PostureCoach.weightAlongFeet(world),
+      joints: [POSE_LANDMARKS.LEFT_HEEL, POSE_LANDMARKS.RIGHT_HEEL, POSE_LANDMARKS.LEFT_FOOT_INDEX, POSE_LANDMARKS.RIGHT_FOOT_INDEX]
+    }
+  ],
+  // Upper arm raised from the side, 0° hanging down and 90° out level
+  armRaise: (kinematics) => [
+    { value: kinematics.angles.leftShoulder, joints: [POSE_LANDMARKS.LEFT_ELBOW, POSE_LANDMARKS.LEFT_WRIST] },
+    { value: kinematics.angles.rightShoulder, joints: [POSE_LANDMARKS.RIGHT_ELBOW, POSE_LANDMARKS.RIGHT_WRIST] }
+  ]
+};
+
+// Built-in rules: a part breaks a rule while its value is above `max` or below `min`,
+// and the rule is broken once that has lasted `holdMs`. `setting` turns the rule on or off.
+const COACHING_RULES = {
+  softKnees: {
+    label: 'Knees stay soft', emoji: '🦵', cue: 'Soften your knees',
+    metric: 'kneeAngle', max: 170, holdMs: 1500, setting: 'coachSoftKnees'
+  },
+  levelShoulders: {
+    label: 'Shoulders level', emoji: '🙆', cue: 'Keep your shoulders level',
+    metric: 'shoulderTilt', max: 8, holdMs: 1500, setting: 'coachLevelShoulders'
+  },
+  weightForward: {
+    label: 'Weight over the balls of the feet', emoji: '🦶', cue: 'Weight forward, onto the balls of your feet',
+    metric: 'weightAlongFeet', min: 0.4, holdMs: 2000, setting: 'coachWeightForward'
+  },
+  frameArms: {
+    label: 'Frame arms held up', emoji: '💪', cue: 'Hold your frame up',
+    metric: 'armRaise', min: 30, holdMs: 1500, setting: 'coachFrameArms'
+  }
+};
+
+// Highlighted joints and the lines between them
+const COACHING_COLOR = '#FF5252';
+
+class PostureCoach {
+  constructor(options = {}) {
+    // Built-in rules, with options.rules changing their thresholds or adding new ones
+    this.rules = {};
+    Object.entries({ ...COACHING_RULES, ...options.rules }).forEach(([name, rule]) => {
+      this.rules[name] = { ...COACHING_RULES[name], ...rule };
+    });
+    this.enabled = options.enabled || Object.keys(this.rules);
+    // Minimum time (ms) between two cues, and before the same cue is given again
+    this.cueIntervalMs = options.cueIntervalMs || 10000;
+    this.repeatMs = options.repeatMs || 30000;
+
+    this.callbacks = [];
+    this.reset();
+  }
+
+  reset() {
+    this.lastTime = null;
+    this.states = {};
+    this.lastCue = -Infinity;
+    this.lastCueByRule = {};
+  }
+
+  setEnabled(rules) {
+    this.enabled = rules.filter(rule => this.rules[rule]);
+    this.states = {};
+  }
+
+  // Change a rule's range or hold time, e.g. configure('softKnees', { max: 165 })
+  configure(rule, options) {
+    if (!this.rules[rule]) {
+      throw new Error(`Unknown coaching rule "${rule}"`);
+    }
+    Object.assign(this.rules[rule], options);
+    delete this.states[rule];
+  }
+
+  // callback({ rule, label, cue, time }) when a cue should be given
+  onCue(callback) {
+    this.callbacks.push(callback);
+  }
+
+  // One frame: the kinematics state and the pose world landmarks. Returns the broken rules.
+  update(kinematics, worldLandmarks, time) {
+    if (timeWentBack(this.lastTime, time)) {
+      this.reset();
+    }
+    this.lastTime = time;
+
+    this.enabled.forEach(name => {
+      const rule = this.rules[name];
+      const measure = typeof rule.metric === 'function' ? rule.metric : COACHING_METRICS[rule.metric];
+      const parts = kinematics ? measure(kinematics, worldLandmarks).filter(part => part.value !== null) : [];
+
+      // Nothing to measure isn't a mistake, so the rule starts over
+      if (parts.length === 0) {
+        delete this.states[name];
+        return;
+      }
+
+      const outside = parts.filter(part => (rule.max !== undefined && part.value > rule.max) || (rule.min !== undefined && part.value < rule.min));
+      const state = this.states[name] || (this.states[name] = { since: null });
+      state.since = outside.length ? (state.since === null ? time : state.since) : null;
+      state.value = parts.map(part => part.value);
+      state.joints = outside.flatMap(part => part.joints);
+      state.broken = state.since !== null && time - state.since >= rule.holdMs;
+    });
+
+    const violations = this.getViolations();
+    const cued = violations.find(violation => this.canCue(violation.rule, time));
+    if (cued) {
+      this.lastCue = time;
+      this.lastCueByRule[cued.rule] = time;
+      const event = { rule: cued.rule, label: cued.label, cue: this.rules[cued.rule].cue, time };
+      this.callbacks.forEach(callback => callback(event));
+    }
+    return violations;
+  }
+
+  canCue(rule, time) {
+    const last = this.lastCueByRule[rule] !== undefined ? this.lastCueByRule[rule] : -Infinity;
+    return time - this.lastCue >= this.cueIntervalMs && time - last >= this.repeatMs;
+  }
+
+  // Broken rules as { rule, label, emoji, value, joints }
+  getViolations() {
+    return this.enabled
+      .filter(name => this.states[name] && this.states[name].broken)
+      .map(name => {
+        const { label, emoji } = this.rules[name];
+        const { value, joints } = this.states[name];
+        return { rule: name, label, emoji, value, joints };
+      });
+  }
+
+  // Pose landmark indices to highlight
+  getHighlightedJoints() {
+    return [...new Set(this.getViolations().flatMap(violation => violation.joints))];
+  }
+
+  getHudLines() {
+    return this.getViolations().map(({ emoji, label }) => `❗ ${emoji} ${label}`);
+  }
+
+  // Centre of the torso projected on the heel-to-toe line of each visible foot, averaged
+  static weightAlongFeet(world, visibilityThreshold = 0.3) {
+    if (!world) return null;
+
+    const { LEFT_SHOULDER, RIGHT_SHOULDER, LEFT_HIP, RIGHT_HIP } = POSE_LANDMARKS;
+    const visible = (...indices) => indices.every(index =>
+      world[index] && (world[index].visibility === undefined || world[index].visibility > visibilityThreshold)
+    );
+    if (!visible(LEFT_SHOULDER, RIGHT_SHOULDER, LEFT_HIP, RIGHT_HIP)) return null;
+
+    const centre = PoseMath.midpoint(
+      PoseMath.midpoint(world[LEFT_SHOULDER], world[RIGHT_SHOULDER]),
+      PoseMath.midpoint(world[LEFT_HIP], world[RIGHT_HIP])
+    );
+    const positions = [
+      [POSE_LANDMARKS.LEFT_HEEL, POSE_LANDMARKS.LEFT_FOOT_INDEX],
+      [POSE_LANDMARKS.RIGHT_HEEL, POSE_LANDMARKS.RIGHT_FOOT_INDEX]
+    ].filter(([heel, toe]) => visible(heel, toe)).map(([heel, toe]) => {
+      // Along the ground only, so height doesn't count
+      const foot = PoseMath.vec(world[toe].x - world[heel].x, 0, world[toe].z - world[heel].z);
+      const lengthSquared = PoseMath.dot(foot, foot);
+      if (lengthSquared === 0) return null;
+      const offset = PoseMath.vec(centre.x - world[heel].x, 0, centre.z - world[heel].z);
+      return PoseMath.dot(offset, foot) / lengthSquared;
+    }).filter(position => position !== null);
+
+    return positions.length ? positions.reduce((sum, position) => sum + position, 0) / positions.length : null;
+  }
+}
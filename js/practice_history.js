@@ -0,0 +1,502 @@
+// Practice history: a summary of every tracking session, kept in the browser.
+// PracticeSessionLog collects a session's duration, active time, steps, frame
+// rate and averaged analysis metrics while the tracker runs; PracticeHistory
+// saves the summaries in IndexedDB, groups them into daily or weekly trends for
+// the dashboard, and exports and imports them as a file. Nothing leaves the device.
+
+const HISTORY_FORMAT = 'bachatabot-history';
+const HISTORY_VERSION = 1;
+
+// Metrics the dashboard can chart; `total` ones add up over a period, the others average
+const HISTORY_METRICS = {
+  activeMs: { label: 'Practice time', total: true, format: (value) => formatPracticeDuration(value) },
+  sessions: { label: 'Sessions', total: true, format: (value) => `${value}` },
+  steps: { label: 'Steps', total: true, format: (value) => `${value}` },
+  basics: { label: 'Basics', total: true, format: (value) => `${value}` },
+  timingAccuracy: { label: 'Timing accuracy', format: (value) => `${Math.round(value)}%` },
+  swayAmplitude: { label: 'Hip sway', format: (value) => value.toFixed(2) },
+  isolation: { label: 'Hip isolation', format: (value) => `${Math.round(value * 100)}%` },
+  hipRhythm: { label: 'Hip rhythm', format: (value) => `${Math.round(value * 100)}%` },
+  lookingDown: { label: 'Looking down', format: (value) => `${Math.round(value * 100)}%` },
+  match: { label: 'Reference match', format: (value) => `${Math.round(value)}%` }
+};
+
+function formatPracticeDuration(ms) {
+  const minutes = Math.round(ms / 60000);
+  if (minutes < 1) return `${Math.round(ms / 1000)} s`;
+  return minutes < 60 ? `${minutes} min` : `${Math.floor(minutes / 60)} h ${minutes % 60} min`;
+}
+
+// Stats of the session being tracked; the tracker feeds it and turns it into a history record
+class PracticeSessionLog {
+  constructor(options = {}) {
+    // Sessions with less time than this (ms) with a dancer in view aren't worth keeping
+    this.minActiveMs = options.minActiveMs || 10000;
+    // A longer pause between frames (ms) isn't counted as time tracked
+    this.maxGapMs = options.maxGapMs || 1000;
+    this.reset();
+  }
+
+  reset() {
+    this.id = null;
+    this.startedAt = null;
+    this.source = null;
+    this.firstTime = null;
+    this.lastTime = null;
+    this.lastTracked = false;
+    this.durationMs = 0;
+    this.activeMs = 0;
+    this.frames = 0;
+    this.trackedFrames = 0;
+    this.fps = { count: 0, sum: 0, min: null, max: null };
+    this.steps = { steps: 0, taps: 0, basics: 0 };
+    this.lastStepCount = 0;
+    this.timing = { scored: 0, onBeat: 0, scoreSum: 0 };
+    this.metrics = {};
+  }
+
+  get isActive() {
+    return this.id !== null;
+  }
+
+  // `startedAt` is the wall-clock time in ms; frame times are on the input's clock
+  start(startedAt, source = null) {
+    this.reset();
+    this.id = `practice-${Math.round(startedAt)}`;
+    this.startedAt = startedAt;
+    this.source = source;
+  }
+
+  addFrame(time, tracked) {
+    if (this.firstTime === null) {
+      this.firstTime = time;
+    } else {
+      // Seeking a video back doesn't take time off the session
+      const dt = Math.max(0, time - this.lastTime);
+      this.durationMs += dt;
+      if (tracked && this.lastTracked && dt <= this.maxGapMs) {
+        this.activeMs += dt;
+      }
+    }
+    this.lastTime = time;
+    this.lastTracked = tracked;
+    this.frames++;
+    if (tracked) this.trackedFrames++;
+  }
+
+  addFps(fps) {
+    if (!(fps > 0)) return;
+    this.fps.count++;
+    this.fps.sum += fps;
+    this.fps.min = this.fps.min === null ? fps : Math.min(this.fps.min, fps);
+    this.fps.max = this.fps.max === null ? fps : Math.max(this.fps.max, fps);
+  }
+
+  // Step counter events; like the counter, a tap right after a third step completes a basic
+  addStep(event) {
+    if (event.type === 'step') {
+      this.steps.steps++;
+    } else {
+      this.steps.taps++;
+      if (this.lastStepCount === 3) this.steps.basics++;
+    }
+    this.lastStepCount = event.count;
+  }
+
+  addTiming(result) {
+    if (!result) return;
+    this.timing.scored++;
+    this.timing.scoreSum += result.score;
+    if (result.verdict === 'on-beat') this.timing.onBeat++;
+  }
+
+  // Running means of whichever metrics are known right now ({ name: number or null })
+  addMetrics(values) {
+    Object.entries(values).forEach(([name, value]) => {
+      if (value === null || value === undefined || Number.isNaN(value)) return;
+      const metric = this.metrics[name] || (this.metrics[name] = { count: 0, sum: 0 });
+      metric.count++;
+      metric.sum += value;
+    });
+  }
+
+  shouldSave() {
+    return this.isActive && this.activeMs >= this.minActiveMs;
+  }
+
+  // The history record for the session so far; `endedAt` is the wall-clock time in ms
+  toRecord(endedAt) {
+    const round = (value, places = 3) => Math.round(value * 10 ** places) / 10 ** places;
+    const metrics = {};
+    Object.entries(this.metrics).forEach(([name, metric]) => {
+      metrics[name] = round(metric.sum / metric.count);
+    });
+
+    return {
+      id: this.id,
+      startedAt: new Date(this.startedAt).toISOString(),
+      endedAt: new Date(endedAt).toISOString(),
+      source: this.source,
+      durationMs: Math.round(this.durationMs),
+      activeMs: Math.round(this.activeMs),
+      frames: this.frames,
+      trackedFrames: this.trackedFrames,
+      fps: this.fps.count
+        ? { average: round(this.fps.sum / this.fps.count, 1), min: this.fps.min, max: this.fps.max }
+        : null,
+      steps: { ...this.steps },
+      timing: this.timing.scored
+        ? { scored: this.timing.scored, onBeat: this.timing.onBeat, accuracy: Math.round(100 * this.timing.scoreSum / this.timing.scored) }
+        : null,
+      metrics
+    };
+  }
+}
+
+// Session records in an IndexedDB object store, keyed by id
+class IndexedDBSessionStore {
+  constructor(options = {}) {
+    this.indexedDB = options.indexedDB || globalThis.indexedDB;
+    this.dbName = options.dbName || 'bachatabot';
+    this.storeName = 'sessions';
+    this.opening = null;
+  }
+
+  open() {
+    if (!this.opening) {
+      this.opening = new Promise((resolve, reject) => {
+        const request = this.indexedDB.open(this.dbName, 1);
+        request.onupgradeneeded = () => {
+          const db = request.result;
+          if (!db.objectStoreNames.contains(this.storeName)) {
+            db.createObjectStore(this.storeName, { keyPath: 'id' });
+          }
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error || new Error(`Couldn't open the ${this.dbName} database`));
+      });
+      // A failed open is tried again next time
+      this.opening.catch(() => { this.opening = null; });
+    }
+    return this.opening;
+  }
+
+  // Run one request in its own transaction; resolves with its result once the transaction commits
+  async run(mode, operation) {
+    const db = await this.open();
+    return new Promise((resolve, reject) => {
+      const transaction = db.transaction(this.storeName, mode);
+      const request = operation(transaction.objectStore(this.storeName));
+      transaction.oncomplete = () => resolve(request.result);
+      transaction.onerror = () => reject(transaction.error || request.error);
+      transaction.onabort = () => reject(transaction.error || new Error('History transaction aborted'));
+    });
+  }
+
+  put(record) {
+    return this.run('readwrite', store => store.put(record));
+  }
+
+  get(id) {
+    return this.run('readonly', store => store.get(id));
+  }
+
+  getAll() {
+    return this.run('readonly', store => store.getAll());
+  }
+
+  delete(id) {
+    return this.run('readwrite', store => store.delete(id));
+  }
+
+  clear() {
+    return this.run('readwrite', store => store.clear());
+  }
+}
+
+// Same methods, kept in memory: used where IndexedDB is unavailable, so history lasts for the visit only
+class MemorySessionStore {
+  constructor() {
+    this.records = new Map();
+  }
+
+  async put(record) {
+    this.records.set(record.id, JSON.parse(JSON.stringify(record)));
+  }
+
+  async get(id) {
+    return this.records.get(id);
+  }
+
+  async getAll() {
+    return [...this.records.values()];
+  }
+
+  async delete(id) {
+    this.records.delete(id);
+  }
+
+  async clear() {
+    this.records.clear();
+  }
+}
+
+class PracticeHistory {
+  constructor(options = {}) {
+    this.store = options.store || new MemorySessionStore();
+  }
+
+  // History for the page: IndexedDB, or memory where it is blocked (e.g. some private windows)
+  static fromPage() {
+    let indexedDB = null;
+    try {
+      indexedDB = window.indexedDB;
+    } catch (error) {
+      // Storage blocked; history lasts for the visit only
+    }
+    return new PracticeHistory({ store: indexedDB ? new IndexedDBSessionStore({ indexedDB }) : new MemorySessionStore() });
+  }
+
+  save(record) {
+    return this.store.put(record);
+  }
+
+  get(id) {
+    return this.store.get(id);
+  }
+
+  remove(id) {
+    return this.store.delete(id);
+  }
+
+  clear() {
+    return this.store.clear();
+  }
+
+  // All sessions, newest first
+  async list() {
+    const sessions = await this.store.getAll();
+    return sessions.sort((a, b) => b.startedAt.localeCompare(a.startedAt));
+  }
+
+  async export() {
+    return JSON.stringify({
+      format: HISTORY_FORMAT,
+      version: HISTORY_VERSION,
+      exportedAt: new Date().toISOString(),
+      sessions: await this.list()
+    });
+  }
+
+  // Adds the file's sessions; ones already here (same id) are kept as they are
+  async import(text) {
+    const data = PracticeHistory.parse(text);
+    const existing = new Set((await this.store.getAll()).map(session => session.id));
+    let added = 0;
+    for (const session of data.sessions) {
+      if (existing.has(session.id)) continue;
+      await this.store.put(session);
+      existing.add(session.id);
+      added++;
+    }
+    return { added, skipped: data.sessions.length - added };
+  }
+
+  async importFile(file) {
+    return this.import(await file.text());
+  }
+
+  async download(filename = `bachatabot-history-${PracticeHistory.dateKey(new Date())}.json`) {
+    downloadBlob(new Blob([await this.export()], { type: 'application/json' }), filename);
+  }
+
+  static parse(text) {
+    let data;
+    try {
+      data = JSON.parse(text);
+    } catch (error) {
+      throw new Error('History file is not valid JSON.');
+    }
+    if (!data || data.format !== HISTORY_FORMAT || !Array.isArray(data.sessions)) {
+      throw new Error('Not a BachataBot practice history file.');
+    }
+    if (data.version > HISTORY_VERSION) {
+      throw new Error(`History file version ${data.version} is newer than this app supports (${HISTORY_VERSION}).`);
+    }
+    data.sessions.forEach((session, index) => {
+      if (!session || typeof session.id !== 'string' || Number.isNaN(Date.parse(session.startedAt)) ||
+        typeof session.durationMs !== 'number') {
+        throw new Error(`Session ${index + 1} in the history file has no id, start time or duration.`);
+      }
+    });
+    data.sessions = data.sessions.map(session => PracticeHistory.withDefaults(session));
+    return data;
+  }
+
+  // An imported session with the fields the dashboard reads filled in, so files
+  // from older versions or edited by hand still list and open
+  static withDefaults(session) {
+    const count = (value) => (Number.isFinite(value) ? value : 0);
+    const steps = session.steps && typeof session.steps === 'object' ? session.steps : {};
+    const endedAt = Number.isNaN(Date.parse(session.endedAt))
+      ? new Date(Date.parse(session.startedAt) + session.durationMs).toISOString()
+      : session.endedAt;
+
+    return {
+      ...session,
+      endedAt,
+      activeMs: count(session.activeMs),
+      frames: count(session.frames),
+      trackedFrames: count(session.trackedFrames),
+      fps: session.fps && typeof session.fps === 'object' ? session.fps : null,
+      steps: { steps: count(steps.steps), taps: count(steps.taps), basics: count(steps.basics) },
+      timing: session.timing && typeof session.timing === 'object' ? session.timing : null,
+      metrics: session.metrics && typeof session.metrics === 'object' ? session.metrics : {}
+    };
+  }
+
+  // Sessions grouped into the last `count` days or weeks (Monday to Sunday) up to `now`, oldest
+  // first, empty periods included. Totals add up; the other metrics average over the sessions that have them.
+  static trends(sessions, options = {}) {
+    const period = options.period || 'day';
+    const count = options.count || (period === 'week' ? 12 : 14);
+    const end = PracticeHistory.periodStart(new Date(options.now === undefined ? Date.now() : options.now), period);
+
+    const buckets = [];
+    for (let i = count - 1; i >= 0; i--) {
+      const start = new Date(end);
+      start.setDate(start.getDate() - i * (period === 'week' ? 7 : 1));
+      buckets.push({ start, key: PracticeHistory.dateKey(start), sessions: [] });
+    }
+    const byKey = new Map(buckets.map(bucket => [bucket.key, bucket]));
+    sessions.forEach(session => {
+      const bucket = byKey.get(PracticeHistory.dateKey(PracticeHistory.periodStart(new Date(session.startedAt), period)));
+      if (bucket) bucket.sessions.push(session);
+    });
+
+    return buckets.map(({ key, sessions: included }) => {
+      const values = (metric) => included.map(session => PracticeHistory.metricValue(session, metric)).filter(value => value !== null);
+      const entry = { start: key };
+      Object.entries(HISTORY_METRICS).forEach(([metric, definition]) => {
+        const list = values(metric);
+        if (definition.total) {
+          entry[metric] = list.reduce((sum, value) => sum + value, 0);
+        } else {
+          entry[metric] = list.length ? list.reduce((sum, value) => sum + value, 0) / list.length : null;
+        }
+      });
+      return entry;
+    });
+  }
+
+  // One session's value for a dashboard metric, or null when it wasn't measured
+  static metricValue(session, metric) {
+    switch (metric) {
+      case 'activeMs':
+        return session.activeMs || 0;
+      case 'sessions':
+        return 1;
+      case 'steps':
+      case 'basics':
+        return session.steps ? session.steps[metric] || 0 : 0;
+      case 'timingAccuracy':
+        return session.timing ? session.timing.accuracy : null;
+      default: {
+        const value = session.metrics && session.metrics[metric];
+        return value === undefined ? null : value;
+      }
+    }
+  }
+
+  // Local midnight at the start of the date's day, or of its week's Monday
+  static periodStart(date, period) {
+    const start = new Date(date.getFullYear(), date.getMonth(), date.getDate());
+    if (period === 'week') {
+      start.setDate(start.getDate() - (start.getDay() + 6) % 7);
+    }
+    return start;
+  }
+
+  static dateKey(date) {
+    const pad = (value) => `${value}`.padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+  }
+}
+
+// History files can come from anywhere, so nothing from a session goes into the markup as is
+function escapeHistoryHtml(value) {
+  return `${value}`.replace(/[&<>"']/g, (char) => `&#${char.charCodeAt(0)};`);
+}
+
+// Dashboard: one bar per period for the chosen metric
+function renderHistoryTrends(container, trends, metric) {
+  const definition = HISTORY_METRICS[metric];
+  const values = trends.map(entry => entry[metric]);
+  const max = Math.max(...values.filter(value => value !== null), 0);
+
+  container.innerHTML = `
+    <div class="trend-chart">${trends.map((entry, index) => {
+      const value = values[index];
+      const height = value === null || max === 0 ? 0 : Math.max(2, Math.round(value / max * 100));
+      const label = value === null ? 'no data' : definition.format(value);
+      return `
+      <div class="trend-bar" title="${escapeHistoryHtml(`${entry.start}: ${label}`)}">
+        <div class="trend-fill" style="height: ${height}%"></div>
+        <span class="trend-label">${escapeHistoryHtml(entry.start.slice(5))}</span>
+      </div>`;
+    }).join('')}
+    </div>`;
+}
+
+// Dashboard: the session list, newest first; rows carry their session id for drill-down
+function renderHistoryList(container, sessions) {
+  if (!sessions.length) {
+    container.innerHTML = '<p class="history-empty">No practice sessions yet. Sessions are saved here after 10 seconds of tracking.</p>';
+    return;
+  }
+
+  const rows = sessions.map(session => `
+      <tr data-session="${escapeHistoryHtml(session.id)}">${[
+        new Date(session.startedAt).toLocaleString(),
+        session.source || '–',
+        formatPracticeDuration(session.durationMs),
+        formatPracticeDuration(session.activeMs || 0),
+        session.steps ? session.steps.steps : 0,
+        session.steps ? session.steps.basics : 0,
+        session.fps ? session.fps.average : '–'
+      ].map(value => `
+        <td>${escapeHistoryHtml(value)}</td>`).join('')}
+      </tr>`).join('');
+
+  container.innerHTML = `
+    <table class="history-table">
+      <thead><tr><th>Started</th><th>Input</th><th>Length</th><th>Active</th><th>Steps</th><th>Basics</th><th>FPS</th></tr></thead>
+      <tbody>${rows}
+      </tbody>
+    </table>`;
+}
+
+// Dashboard: everything stored about one session
+function renderSessionDetail(container, session) {
+  const fps = session.fps ? `${session.fps.average} average (${session.fps.min}–${session.fps.max})` : '–';
+  const timing = session.timing
+    ? `${session.timing.accuracy}% (${session.timing.onBeat} of ${session.timing.scored} steps on the beat)`
+    : '–';
+  const rows = [
+    ['Started', new Date(session.startedAt).toLocaleString()],
+    ['Ended', new Date(session.endedAt).toLocaleString()],
+    ['Input', session.source || '–'],
+    ['Length', formatPracticeDuration(session.durationMs)],
+    ['Dancer in view', `${formatPracticeDuration(session.activeMs)} (${session.trackedFrames} of ${session.frames} frames)`],
+    ['Frame rate', fps],
+    ['Steps', session.steps ? `${session.steps.steps} steps, ${session.steps.taps} taps, ${session.steps.basics} basics` : '–'],
+    ['Timing', timing],
+    ...Object.entries(HISTORY_METRICS)
+      .filter(([metric]) => session.metrics && session.metrics[metric] !== undefined)
+      .map(([metric, definition]) => [definition.label, definition.format(session.metrics[metric])])
+  ];
+
+  container.innerHTML = rows
+    .map(([name, value]) => `<div class="detail-row"><span>${escapeHistoryHtml(name)}</span><span>${escapeHistoryHtml(value)}</span></div>`)
+    .join('');
+}
@@ -0,0 +1,120 @@
+// Layered frame compositor.
+// Each frame is drawn once, after every module's results are in, as a stack of
+// layers from the bottom up: the video, the reference ghost and motion trails,
+// the skeleton, face and hands overlays, any custom layers and the HUD on top.
+// Layers can be hidden or faded.
+
+// Built-in layers and where they sit; custom layers default to just below the HUD
+const RENDER_LAYERS = {
+  video: { order: 0, label: 'Video' },
+  ghost: { order: 5, label: 'Reference ghost' },
+  trails: { order: 8, label: 'Motion trails' },
+  skeleton: { order: 10, label: 'Skeleton' },
+  face: { order: 20, label: 'Face' },
+  hands: { order: 30, label: 'Hands' },
+  gestures: { order: 40, label: 'Gestures' },
+  hud: { order: 100, label: 'HUD' }
+};
+const CUSTOM_LAYER_ORDER = 50;
+
+class RenderCompositor {
+  constructor() {
+    this.layers = [];
+    // Called with (layerName, error) when a layer fails to draw
+    this.onError = null;
+  }
+
+  // draw(ctx, frame) paints the layer; see FullBodyTracker.addLayer for the frame fields
+  addLayer(name, draw, options = {}) {
+    if (this.getLayer(name)) {
+      throw new Error(`Layer "${name}" already exists`);
+    }
+
+    const builtIn = RENDER_LAYERS[name];
+    this.layers.push({
+      name,
+      label: options.label || (builtIn ? builtIn.label : name),
+      draw,
+      order: options.order !== undefined ? options.order : builtIn ? builtIn.order : CUSTOM_LAYER_ORDER,
+      opacity: options.opacity !== undefined ? options.opacity : 1,
+      visible: options.visible !== undefined ? options.visible : true
+    });
+    // Stable, so layers with the same order keep the order they were added in
+    this.layers.sort((a, b) => a.order - b.order);
+  }
+
+  removeLayer(name) {
+    if (RENDER_LAYERS[name]) {
+      throw new Error(`Built-in layer "${name}" can't be removed; hide it instead`);
+    }
+    this.layers = this.layers.filter(layer => layer.name !== name);
+  }
+
+  getLayer(name) {
+    return this.layers.find(layer => layer.name === name) || null;
+  }
+
+  // Layer names, order, opacity and visibility, bottom first
+  getLayers() {
+    return this.layers.map(({ name, label, order, opacity, visible }) => ({ name, label, order, opacity, visible }));
+  }
+
+  setOpacity(name, opacity) {
+    this.requireLayer(name).opacity = Math.min(1, Math.max(0, opacity));
+  }
+
+  setVisible(name, visible) {
+    this.requireLayer(name).visible = visible;
+  }
+
+  requireLayer(name) {
+    const layer = this.getLayer(name);
+    if (!layer) {
+      throw new Error(`Unknown layer "${name}"`);
+    }
+    return layer;
+  }
+
+  render(ctx, frame) {
+    ctx.clearRect(0, 0, frame.width, frame.height);
+
+    this.layers.forEach(layer => {
+      if (!layer.visible || layer.opacity <= 0) return;
+
+      ctx.save();
+      ctx.globalAlpha = layer.opacity;
+      try {
+        layer.draw(ctx, frame);
+      } catch (error) {
+        // A broken custom layer mustn't take the rest of the frame with it
+        if (this.onError) this.onError(layer.name, error);
+      } finally {
+        ctx.restore();
+      }
+    });
+  }
+}
+
+// Layer controls: visibility and opacity for every layer; onChange redraws a paused frame
+function renderLayerPanel(container, compositor, onChange = () => {}) {
+  container.innerHTML = compositor.getLayers().slice().reverse().map(layer => `
+    <div class="layer-row">
+      <label><input type="checkbox" data-layer="${layer.name}" data-field="visible"${layer.visible ? ' checked' : ''}> ${layer.label}</label>
+      <input type="range" data-layer="${layer.name}" data-field="opacity" min="0" max="1" step="0.05" value="${layer.opacity}">
+    </div>`).join('');
+
+  container.querySelectorAll('[data-layer]').forEach(element => {
+    const name = element.dataset.layer;
+    if (element.dataset.field === 'visible') {
+      element.addEventListener('change', () => {
+        compositor.setVisible(name, element.checked);
+        onChange();
+      });
+    } else {
+      element.addEventListener('input', () => {
+        compositor.setOpacity(name, parseFloat(element.value));
+        onChange();
+      });
+    }
+  });
+}
@@ -0,0 +1,126 @@
+// Replays a recorded landmark session through the tracker's renderers.
+// Needs only a canvas: no camera and no MediaPipe. Exposes the same
+// play/pause/step/seek surface as the file input sources so the page's
+// playback controls drive both.
+
+class SessionPlayer {
+  constructor(tracker, session) {
+    this.tracker = tracker;
+    this.session = session;
+    this.frames = session.frames;
+    this.isLive = false;
+    this.paused = true;
+    this.ended = false;
+    this.frameIndex = 0;
+    this.frameCount = this.frames.length;
+    this.playbackRate = 1;
+
+    // Nominal rate used by seek(), derived from the recording itself
+    this.frameRate = this.frameCount > 1 && this.duration > 0
+      ? Math.round((this.frameCount - 1) / (this.duration / 1000))
+      : 30;
+
+    this.isRunning = false;
+    this.clockStart = 0;
+    this.clockOffset = 0;
+  }
+
+  get duration() {
+    return this.frames.length ? this.frames[this.frames.length - 1].t : 0;
+  }
+
+  get currentTime() {
+    return this.frames.length ? this.frames[this.frameIndex].t / 1000 : 0;
+  }
+
+  start() {
+    this.isRunning = true;
+    this.renderCurrent();
+
+    const tick = () => {
+      if (!this.isRunning) return;
+
+      if (!this.paused) {
+        const elapsed = this.clockOffset + (this.tracker.env.now() - this.clockStart) * this.playbackRate;
+        const index = this.findFrameAt(elapsed);
+
+        if (index !== this.frameIndex) {
+          this.frameIndex = index;
+          this.renderCurrent();
+        }
+
+        if (index >= this.frameCount - 1) {
+          this.ended = true;
+          this.paused = true;
+        }
+      }
+
+      this.tracker.env.requestFrame(tick);
+    };
+
+    this.tracker.env.requestFrame(tick);
+  }
+
+  stop() {
+    this.isRunning = false;
+    this.paused = true;
+  }
+
+  play() {
+    if (this.ended) {
+      this.frameIndex = 0;
+      this.ended = false;
+    }
+    this.clockStart = this.tracker.env.now();
+    this.clockOffset = this.frames.length ? this.frames[this.frameIndex].t : 0;
+    this.paused = false;
+  }
+
+  pause() {
+    this.paused = true;
+  }
+
+  async seek(seconds) {
+    await this.seekToFrame(this.findFrameAt(seconds * 1000));
+  }
+
+  async step(delta = 1) {
+    this.pause();
+    await this.seekToFrame(this.frameIndex + delta);
+  }
+
+  async seekToFrame(index) {
+    this.frameIndex = Math.min(Math.max(Math.round(index), 0), Math.max(this.frameCount - 1, 0));
+    this.ended = false;
+
+    // Keep the playback clock anchored to the new position
+    this.clockStart = this.tracker.env.now();
+    this.clockOffset = this.frames.length ? this.frames[this.frameIndex].t : 0;
+
+    this.renderCurrent();
+  }
+
+  // Last frame whose timestamp is at or before `time` (ms)
+  findFrameAt(time) {
+    let low = 0;
+    let high = this.frameCount - 1;
+
+    while (low < high) {
+      const mid = Math.ceil((low + high) / 2);
+      if (this.frames[mid].t <= time) {
+        low = mid;
+      } else {
+        high = mid - 1;
+      }
+    }
+
+    return Math.max(low, 0);
+  }
+
+  renderCurrent() {
+    const frame = this.frames[this.frameIndex];
+    if (frame) {
+      this.tracker.renderSessionFrame(frame, this.session);
+    }
+  }
+}
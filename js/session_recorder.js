@@ -0,0 +1,138 @@
+// Landmark session recording.
+// Sessions are plain JSON so they can be shared, reviewed and kept as
+// regression fixtures. Landmarks are stored as compact arrays whose field
+// order is declared once in the header (`layout`).
+
+const SESSION_FORMAT = 'bachatabot-session';
+const SESSION_VERSION = 1;
+
+const SESSION_LAYOUT = {
+  poseLandmarks: ['x', 'y', 'z', 'visibility'],
+  poseWorldLandmarks: ['x', 'y', 'z', 'visibility'],
+  faceLandmarks: ['x', 'y', 'z'],
+  handsLandmarks: ['x', 'y', 'z']
+};
+
+// 5 decimals keeps sub-pixel accuracy at 4K while roughly halving file size
+const SESSION_PRECISION = 1e5;
+
+class SessionRecorder {
+  constructor() {
+    this.isRecording = false;
+    this.session = null;
+    this.startTime = null;
+  }
+
+  start(metadata = {}) {
+    this.session = {
+      format: SESSION_FORMAT,
+      version: SESSION_VERSION,
+      createdAt: new Date().toISOString(),
+      source: metadata.source || null,
+      width: metadata.width || 0,
+      height: metadata.height || 0,
+      layout: SESSION_LAYOUT,
+      frames: []
+    };
+    this.startTime = null;
+    this.isRecording = true;
+  }
+
+  stop() {
+    this.isRecording = false;
+    return this.session;
+  }
+
+  addFrame(time, landmarks) {
+    if (!this.isRecording) return;
+
+    if (this.startTime === null) {
+      this.startTime = time;
+    }
+
+    this.session.frames.push({
+      t: Math.round((time - this.startTime) * 100) / 100,
+      poseLandmarks: SessionRecorder.packLandmarks(landmarks.poseLandmarks, SESSION_LAYOUT.poseLandmarks),
+      poseWorldLandmarks: SessionRecorder.packLandmarks(landmarks.poseWorldLandmarks, SESSION_LAYOUT.poseWorldLandmarks),
+      faceLandmarks: SessionRecorder.packLandmarks(landmarks.faceLandmarks, SESSION_LAYOUT.faceLandmarks),
+      handsLandmarks: (landmarks.handsLandmarks || []).map(hand => SessionRecorder.packLandmarks(hand, SESSION_LAYOUT.handsLandmarks))
+    });
+  }
+
+  get frameCount() {
+    return this.session ? this.session.frames.length : 0;
+  }
+
+  get duration() {
+    const frames = this.session ? this.session.frames : [];
+    return frames.length ? frames[frames.length - 1].t : 0;
+  }
+
+  static packLandmarks(landmarks, fields) {
+    if (!landmarks) return null;
+
+    return landmarks.map(landmark => fields.map(field => {
+      const value = landmark[field];
+      return value === undefined ? null : Math.round(value * SESSION_PRECISION) / SESSION_PRECISION;
+    }));
+  }
+
+  static unpackLandmarks(packed, fields) {
+    if (!packed) return null;
+
+    return packed.map(values => {
+      const landmark = {};
+      fields.forEach((field, index) => {
+        if (values[index] !== null && values[index] !== undefined) {
+          landmark[field] = values[index];
+        }
+      });
+      return landmark;
+    });
+  }
+
+  static serialize(session) {
+    return JSON.stringify(session);
+  }
+
+  // Parse and validate a session file, returning frames with landmark objects
+  static parse(text) {
+    let data;
+    try {
+      data = typeof text === 'string' ? JSON.parse(text) : text;
+    } catch (error) {
+      throw new Error(`Session file is not valid JSON: ${error.message}`);
+    }
+
+    if (!data || data.format !== SESSION_FORMAT) {
+      throw new Error('Not a BachataBot session file.');
+    }
+    if (typeof data.version !== 'number' || data.version > SESSION_VERSION) {
+      throw new Error(`Unsupported session version ${data.version} (this build reads up to v${SESSION_VERSION}).`);
+    }
+    if (!Array.isArray(data.frames)) {
+      throw new Error('Session file has no frames.');
+    }
+
+    const layout = { ...SESSION_LAYOUT, ...data.layout };
+
+    return {
+      ...data,
+      frames: data.frames.map(frame => ({
+        t: frame.t,
+        poseLandmarks: SessionRecorder.unpackLandmarks(frame.poseLandmarks, layout.poseLandmarks),
+        poseWorldLandmarks: SessionRecorder.unpackLandmarks(frame.poseWorldLandmarks, layout.poseWorldLandmarks),
+        faceLandmarks: SessionRecorder.unpackLandmarks(frame.faceLandmarks, layout.faceLandmarks),
+        handsLandmarks: (frame.handsLandmarks || []).map(hand => SessionRecorder.unpackLandmarks(hand, layout.handsLandmarks))
+      }))
+    };
+  }
+
+  static async load(file) {
+    return SessionRecorder.parse(await file.text());
+  }
+
+  static download(session, filename = `bachatabot-session-${Date.now()}.json`) {
+    downloadBlob(new Blob([SessionRecorder.serialize(session)], { type: 'application/json' }), filename);
+  }
+}
@@ -0,0 +1,241 @@
+// 3D skeleton viewer for pose world landmarks.
+// World landmarks are metres from the hip centre, with y pointing down and z
+// growing away from the camera. The viewer turns them y-up, z-towards-camera
+// and draws them from an orbiting perspective camera over a floor grid, so
+// front, side and top views show the lean and hip position the video hides.
+
+const SKELETON_VIEWS = {
+  front: { yaw: 0, pitch: 0, label: 'Front' },
+  side: { yaw: 90, pitch: 0, label: 'Side' },
+  top: { yaw: 0, pitch: 90, label: 'Top' }
+};
+
+// Side colors, so the dancer's left and right can be told apart from any angle
+const SKELETON_VIEWER_COLORS = {
+  left: '#FF9F43',
+  right: '#4ECDC4',
+  center: '#FFFFFF',
+  grid: 'rgba(255, 255, 255, 0.15)',
+  plumb: 'rgba(255, 255, 0, 0.6)',
+  background: '#111'
+};
+
+const SKELETON_VIEWER_FEET = [
+  POSE_LANDMARKS.LEFT_ANKLE, POSE_LANDMARKS.RIGHT_ANKLE,
+  POSE_LANDMARKS.LEFT_HEEL, POSE_LANDMARKS.RIGHT_HEEL,
+  POSE_LANDMARKS.LEFT_FOOT_INDEX, POSE_LANDMARKS.RIGHT_FOOT_INDEX
+];
+
+class SkeletonViewer {
+  constructor(canvas, options = {}) {
+    this.canvas = canvas;
+    this.ctx = canvas.getContext('2d');
+    // Matches the mirrored video, so the front view faces the same way
+    this.mirror = !!options.mirror;
+    this.minVisibility = options.minVisibility || 0.3;
+    // Metres; the camera orbits the point between hips and chest
+    this.minDistance = 1.5;
+    this.maxDistance = 10;
+    this.target = { x: 0, y: -0.1, z: 0 };
+    this.gridSize = 1.5;
+    this.gridStep = 0.5;
+
+    this.landmarks = null;
+    this.setView('front');
+  }
+
+  // A preset view ('front', 'side' or 'top') at the default distance
+  setView(name) {
+    const view = SKELETON_VIEWS[name];
+    if (!view) {
+      throw new Error(`Unknown view "${name}"`);
+    }
+    this.view = name;
+    this.yaw = view.yaw;
+    this.pitch = view.pitch;
+    this.distance = 3.5;
+    this.render();
+  }
+
+  // Degrees; dragging turns the preset into a custom view
+  orbit(deltaYaw, deltaPitch) {
+    this.yaw = ((this.yaw + deltaYaw) % 360 + 360) % 360;
+    this.pitch = Math.min(90, Math.max(-89, this.pitch + deltaPitch));
+    this.view = 'custom';
+    this.render();
+  }
+
+  // factor > 1 moves the camera away
+  zoom(factor) {
+    this.distance = Math.min(this.maxDistance, Math.max(this.minDistance, this.distance * factor));
+    this.render();
+  }
+
+  // Show a new pose (world landmarks, or null when nobody is tracked)
+  show(worldLandmarks) {
+    this.landmarks = worldLandmarks;
+    this.render();
+  }
+
+  // MediaPipe world coordinates to the viewer's y-up, z-towards-camera space
+  static toViewerSpace(landmark) {
+    return { x: landmark.x, y: -landmark.y, z: -(landmark.z || 0) };
+  }
+
+  // Screen position and depth of a viewer-space point, or null behind the camera
+  project(point) {
+    const yaw = this.yaw * Math.PI / 180;
+    const pitch = this.pitch * Math.PI / 180;
+    const x = point.x - this.target.x;
+    const y = point.y - this.target.y;
+    const z = point.z - this.target.z;
+
+    // Turn the world by the yaw around the vertical, then tilt it by the pitch
+    const x1 = x * Math.cos(yaw) - z * Math.sin(yaw);
+    const z1 = x * Math.sin(yaw) + z * Math.cos(yaw);
+    const y2 = y * Math.cos(pitch) - z1 * Math.sin(pitch);
+    const z2 = y * Math.sin(pitch) + z1 * Math.cos(pitch);
+
+    const depth = this.distance - z2;
+    if (depth < 0.1) return null;
+
+    const width = this.canvas.width;
+    const height = this.canvas.height;
+    const scale = Math.min(width, height) * 1.5 / depth;
+    return {
+      x: width / 2 + x1 * scale * (this.mirror ? -1 : 1),
+      y: height / 2 - y2 * scale,
+      depth
+    };
+  }
+
+  render() {
+    const ctx = this.ctx;
+    const width = this.canvas.width;
+    const height = this.canvas.height;
+
+    ctx.fillStyle = SKELETON_VIEWER_COLORS.background;
+    ctx.fillRect(0, 0, width, height);
+
+    const points = this.landmarks ? this.landmarks.map(SkeletonViewer.toViewerSpace) : null;
+    const visible = (index) => {
+      const landmark = this.landmarks[index];
+      return landmark && (landmark.visibility === undefined || landmark.visibility > this.minVisibility);
+    };
+
+    // The floor is where the lowest foot is; without a pose, where an average one would be
+    const feet = points ? SKELETON_VIEWER_FEET.filter(visible).map(index => points[index].y) : [];
+    const floor = feet.length ? Math.min(...feet) : -0.9;
+    this.drawGrid(floor);
+
+    ctx.fillStyle = 'white';
+    ctx.font = '12px Arial';
+    ctx.textAlign = 'left';
+    ctx.fillText(this.view === 'custom' ? '3D' : SKELETON_VIEWS[this.view].label, 8, 16);
+
+    if (!points) {
+      ctx.textAlign = 'center';
+      ctx.fillText('No pose', width / 2, height / 2);
+      return;
+    }
+
+    this.drawPlumbLine(points, visible, floor);
+
+    // Far bones first, so nearer limbs are drawn over them
+    const bones = POSE_CONNECTIONS
+      .filter(([start, end]) => visible(start) && visible(end))
+      .map(([start, end]) => ({ start, end, from: this.project(points[start]), to: this.project(points[end]) }))
+      .filter(bone => bone.from && bone.to)
+      .sort((a, b) => (b.from.depth + b.to.depth) - (a.from.depth + a.to.depth));
+
+    ctx.lineWidth = 3;
+    ctx.lineCap = 'round';
+    bones.forEach(({ start, end, from, to }) => {
+      ctx.strokeStyle = SKELETON_VIEWER_COLORS[SkeletonViewer.side(start, end)];
+      ctx.beginPath();
+      ctx.moveTo(from.x, from.y);
+      ctx.lineTo(to.x, to.y);
+      ctx.stroke();
+    });
+
+    if (visible(POSE_LANDMARKS.NOSE)) {
+      const head = this.project(points[POSE_LANDMARKS.NOSE]);
+      if (head) {
+        ctx.fillStyle = SKELETON_VIEWER_COLORS.center;
+        ctx.beginPath();
+        ctx.arc(head.x, head.y, Math.max(3, 0.08 * Math.min(width, height) * 1.5 / head.depth), 0, 2 * Math.PI);
+        ctx.fill();
+      }
+    }
+  }
+
+  drawGrid(floor) {
+    const ctx = this.ctx;
+    ctx.strokeStyle = SKELETON_VIEWER_COLORS.grid;
+    ctx.lineWidth = 1;
+
+    const line = (from, to) => {
+      const a = this.project(from);
+      const b = this.project(to);
+      if (!a || !b) return;
+      ctx.beginPath();
+      ctx.moveTo(a.x, a.y);
+      ctx.lineTo(b.x, b.y);
+      ctx.stroke();
+    };
+
+    const size = this.gridSize;
+    for (let offset = -size; offset <= size + 1e-9; offset += this.gridStep) {
+      line({ x: offset, y: floor, z: -size }, { x: offset, y: floor, z: size });
+      line({ x: -size, y: floor, z: offset }, { x: size, y: floor, z: offset });
+    }
+  }
+
+  // A vertical line from between the shoulders to the floor; a lean shows as the hips leaving it
+  drawPlumbLine(points, visible, floor) {
+    if (!visible(POSE_LANDMARKS.LEFT_SHOULDER) || !visible(POSE_LANDMARKS.RIGHT_SHOULDER)) return;
+
+    const shoulders = PoseMath.midpoint(points[POSE_LANDMARKS.LEFT_SHOULDER], points[POSE_LANDMARKS.RIGHT_SHOULDER]);
+    const top = this.project(shoulders);
+    const bottom = this.project({ x: shoulders.x, y: floor, z: shoulders.z });
+    if (!top || !bottom) return;
+
+    const ctx = this.ctx;
+    ctx.strokeStyle = SKELETON_VIEWER_COLORS.plumb;
+    ctx.lineWidth = 1;
+    ctx.beginPath();
+    ctx.moveTo(top.x, top.y);
+    ctx.lineTo(bottom.x, bottom.y);
+    ctx.stroke();
+  }
+
+  // Body landmarks from the shoulders down have odd indices on the left and even on the right
+  static side(start, end) {
+    if (start % 2 === 1 && end % 2 === 1) return 'left';
+    if (start % 2 === 0 && end % 2 === 0) return 'right';
+    return 'center';
+  }
+
+  // Drag to orbit, wheel to zoom, double-click for the front view again
+  bindControls(element) {
+    let dragging = null;
+
+    element.addEventListener('pointerdown', (event) => {
+      dragging = { x: event.clientX, y: event.clientY };
+      if (element.setPointerCapture) element.setPointerCapture(event.pointerId);
+    });
+    element.addEventListener('pointermove', (event) => {
+      if (!dragging) return;
+      this.orbit((event.clientX - dragging.x) * 0.5, (event.clientY - dragging.y) * 0.5);
+      dragging = { x: event.clientX, y: event.clientY };
+    });
+    const release = () => { dragging = null; };
+    element.addEventListener('pointerup', release);
+    element.addEventListener('pointercancel', release);
+    element.addEventListener('wheel', (event) => {
+      event.preventDefault();
+      this.zoom(event.deltaY > 0 ? 1.1 : 1 / 1.1);
+    }, { passive: false });
+    element.addEventListener('dblclick', () => this.setView('front'));
+  }
+}
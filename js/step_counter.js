@@ -0,0 +1,292 @@
+// Bachata basic-step counter.
+// Watches the ankle, heel and foot-index landmarks (27–32) for feet lifting
+// and landing, decides whether each landing took the weight (a step) or not
+// (a tap), and follows the 1-2-3-tap pattern of the basic. Works for side
+// basics and forward/back basics; the direction is inferred from the steps.
+
+const STEP_FEET = {
+  left: [POSE_LANDMARKS.LEFT_ANKLE, POSE_LANDMARKS.LEFT_HEEL, POSE_LANDMARKS.LEFT_FOOT_INDEX],
+  right: [POSE_LANDMARKS.RIGHT_ANKLE, POSE_LANDMARKS.RIGHT_HEEL, POSE_LANDMARKS.RIGHT_FOOT_INDEX]
+};
+
+class BachataStepCounter {
+  constructor(options = {}) {
+    // Image width / height: landmark x is scaled by it so foot travel is measured the same sideways as up
+    this.aspect = options.aspect || 4 / 3;
+
+    // Distances are in torso lengths and speeds in torso lengths per second,
+    // which keeps the thresholds independent of how far the dancer stands
+    this.moveThreshold = options.moveThreshold || 0.6;
+    this.plantThreshold = options.plantThreshold || 0.25;
+    this.plantHoldMs = options.plantHoldMs || 60;
+    this.minTouchDistance = options.minTouchDistance || 0.04;
+    this.transferWindowMs = options.transferWindowMs || 250;
+    this.visibilityThreshold = options.visibilityThreshold || 0.3;
+
+    this.listeners = [];
+    this.reset();
+  }
+
+  reset() {
+    this.feet = {
+      left: this.createFootState(),
+      right: this.createFootState()
+    };
+    this.lastTime = null;
+    this.weightFoot = null;
+    this.pendingLandings = [];
+    this.recentDirections = [];
+
+    this.count = 0;
+    this.steps = 0;
+    this.taps = 0;
+    this.basics = 0;
+    this.basicType = null;
+    this.lastEvent = null;
+  }
+
+  createFootState() {
+    return {
+      position: null,
+      speed: 0,
+      phase: 'planted',
+      liftPosition: null,
+      excursion: 0,
+      slowSince: null,
+      landingPosition: null
+    };
+  }
+
+  onStep(callback) {
+    this.listeners.push(callback);
+  }
+
+  update(landmarks, worldLandmarks, time) {
+    if (timeWentBack(this.lastTime, time)) {
+      this.reset();
+    }
+
+    if (!landmarks || !this.feetVisible(landmarks)) {
+      this.feet.left = this.createFootState();
+      this.feet.right = this.createFootState();
+      this.lastTime = time;
+      return;
+    }
+
+    const torso = this.torsoLength(landmarks);
+    if (torso < 1e-6) return;
+
+    const dt = this.lastTime === null ? 0 : (time - this.lastTime) / 1000;
+    this.lastTime = time;
+
+    this.updateWeight(landmarks, worldLandmarks);
+
+    Object.keys(STEP_FEET).forEach(foot => {
+      this.updateFoot(foot, this.footPosition(landmarks, foot, torso), dt, time);
+    });
+
+    this.resolveLandings(time);
+  }
+
+  feetVisible(landmarks) {
+    return Object.values(STEP_FEET).every(indices => indices.every(index =>
+      landmarks[index] && (landmarks[index].visibility === undefined || landmarks[index].visibility > this.visibilityThreshold)
+    ));
+  }
+
+  toImageSpace(landmark) {
+    // MediaPipe scales image z like x, so it gets the same aspect correction
+    return { x: landmark.x * this.aspect, y: landmark.y, z: (landmark.z || 0) * this.aspect };
+  }
+
+  torsoLength(landmarks) {
+    const shoulders = PoseMath.midpoint(
+      this.toImageSpace(landmarks[POSE_LANDMARKS.LEFT_SHOULDER]),
+      this.toImageSpace(landmarks[POSE_LANDMARKS.RIGHT_SHOULDER])
+    );
+    const hips = PoseMath.midpoint(
+      this.toImageSpace(landmarks[POSE_LANDMARKS.LEFT_HIP]),
+      this.toImageSpace(landmarks[POSE_LANDMARKS.RIGHT_HIP])
+    );
+    return Math.hypot(shoulders.x - hips.x, shoulders.y - hips.y);
+  }
+
+  footPosition(landmarks, foot, torso) {
+    const sum = STEP_FEET[foot].reduce(
+      (total, index) => PoseMath.add(total, this.toImageSpace(landmarks[index])),
+      { x: 0, y: 0, z: 0 }
+    );
+    return PoseMath.scale(sum, 1 / (STEP_FEET[foot].length * torso));
+  }
+
+  // Which foot carries the weight: the one the hips sit over
+  updateWeight(landmarks, worldLandmarks) {
+    let leftShare;
+
+    if (worldLandmarks) {
+      // World landmarks are hip-centred, so compare each foot's ground distance to the origin
+      const groundDistance = (foot) => {
+        const ankle = worldLandmarks[STEP_FEET[foot][0]];
+        return Math.hypot(ankle.x, ankle.z || 0);
+      };
+      const left = groundDistance('left');
+      const right = groundDistance('right');
+      leftShare = left + right > 1e-6 ? right / (left + right) : 0.5;
+    } else {
+      const hipX = (landmarks[POSE_LANDMARKS.LEFT_HIP].x + landmarks[POSE_LANDMARKS.RIGHT_HIP].x) / 2;
+      const leftX = landmarks[POSE_LANDMARKS.LEFT_ANKLE].x;
+      const rightX = landmarks[POSE_LANDMARKS.RIGHT_ANKLE].x;
+      const span = leftX - rightX;
+      leftShare = Math.abs(span) > 1e-6 ? Math.min(Math.max((hipX - rightX) / span, 0), 1) : 0.5;
+    }
+
+    // Hysteresis so a centred stance doesn't flicker between feet
+    if (leftShare > 0.6) {
+      this.weightFoot = 'left';
+    } else if (leftShare < 0.4) {
+      this.weightFoot = 'right';
+    }
+
+    this.pendingLandings.forEach(landing => {
+      if (landing.foot === this.weightFoot) {
+        landing.tookWeight = true;
+      }
+    });
+  }
+
+  updateFoot(foot, position, dt, time) {
+    const state = this.feet[foot];
+
+    if (state.position && dt > 0) {
+      const speed = PoseMath.distance(position, state.position) / dt;
+      state.speed = state.speed * 0.5 + speed * 0.5;
+    }
+
+    if (state.phase === 'planted') {
+      if (state.speed > this.moveThreshold) {
+        state.phase = 'moving';
+        state.liftPosition = state.position || position;
+        state.excursion = 0;
+        state.slowSince = null;
+
+        // The other foot leaving the floor means this one is taking the weight
+        this.pendingLandings.forEach(landing => {
+          if (landing.foot !== foot) {
+            landing.tookWeight = true;
+          } else {
+            landing.liftedAgain = true;
+          }
+        });
+      }
+    } else {
+      // Taps often land where they lifted off, so judge a touch by how far the foot travelled
+      state.excursion = Math.max(state.excursion, PoseMath.distance(position, state.liftPosition));
+    }
+
+    if (state.phase === 'moving' && state.speed < this.plantThreshold) {
+      if (state.slowSince === null) {
+        state.slowSince = time;
+        state.landingPosition = position;
+      } else if (time - state.slowSince >= this.plantHoldMs) {
+        state.phase = 'planted';
+        const displacement = PoseMath.sub(state.landingPosition, state.liftPosition);
+
+        if (state.excursion >= this.minTouchDistance) {
+          this.pendingLandings.push({
+            foot,
+            time: state.slowSince,
+            displacement,
+            tookWeight: this.weightFoot === foot,
+            liftedAgain: false
+          });
+        }
+      }
+    } else if (state.phase === 'moving') {
+      state.slowSince = null;
+    }
+
+    state.position = position;
+  }
+
+  // A landing becomes a step once the weight moves onto it, or a tap if it never does
+  resolveLandings(time) {
+    this.pendingLandings = this.pendingLandings.filter(landing => {
+      if (landing.tookWeight && !landing.liftedAgain) {
+        this.registerEvent('step', landing);
+        return false;
+      }
+      if (landing.liftedAgain || time - landing.time >= this.transferWindowMs) {
+        this.registerEvent('tap', landing);
+        return false;
+      }
+      return true;
+    });
+  }
+
+  registerEvent(type, landing) {
+    if (type === 'step') {
+      this.steps++;
+      // 1 → 2 → 3, and a step after the tap (or a missed tap) starts a new basic
+      this.count = this.count >= 1 && this.count < 3 ? this.count + 1 : 1;
+      this.trackDirection(landing.displacement);
+    } else {
+      this.taps++;
+      if (this.count === 3) {
+        this.basics++;
+      }
+      this.count = 4;
+    }
+
+    this.lastEvent = {
+      type,
+      foot: landing.foot,
+      time: landing.time,
+      count: this.count,
+      basicType: this.basicType
+    };
+
+    this.listeners.forEach(callback => callback(this.lastEvent));
+  }
+
+  trackDirection(displacement) {
+    const sideways = Math.abs(displacement.x);
+    const forwardBack = Math.hypot(displacement.y, displacement.z);
+
+    this.recentDirections.push(sideways >= forwardBack ? 'side' : 'forward-back');
+    if (this.recentDirections.length > 6) {
+      this.recentDirections.shift();
+    }
+
+    const side = this.recentDirections.filter(direction => direction === 'side').length;
+    this.basicType = side * 2 >= this.recentDirections.length ? 'side' : 'forward-back';
+  }
+
+  get countLabel() {
+    if (this.count === 0) return '–';
+    return this.count === 4 ? 'tap' : `${this.count}`;
+  }
+
+  getState() {
+    return {
+      count: this.count,
+      countLabel: this.countLabel,
+      steps: this.steps,
+      taps: this.taps,
+      basics: this.basics,
+      basicType: this.basicType,
+      weightFoot: this.weightFoot
+    };
+  }
+
+  getHudLines() {
+    const pattern = ['1', '2', '3', 'tap']
+      .map((label, index) => (index + 1 === this.count ? `[${label}]` : label))
+      .join(' ');
+    const type = this.basicType === 'forward-back' ? 'Forward/back basic' : this.basicType === 'side' ? 'Side basic' : 'Basic';
+
+    return [
+      `🕺 ${type}: ${pattern}`,
+      `Steps: ${this.steps}  Taps: ${this.taps}  Basics: ${this.basics}`
+    ];
+  }
+}
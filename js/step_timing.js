@@ -0,0 +1,77 @@
+// Scores detected steps against the music's beat grid.
+// Each step is matched to its nearest beat and judged on-beat, early or late;
+// the running summary gives the dancer an overall timing accuracy.
+
+class StepTimingScorer {
+  constructor(options = {}) {
+    // Fraction of a beat either side of it that still counts as on the beat
+    this.toleranceRatio = options.toleranceRatio || 0.12;
+    this.maxHistory = options.maxHistory || 500;
+    this.reset();
+  }
+
+  reset() {
+    this.results = [];
+    this.lastResult = null;
+  }
+
+  // `musicTime` is the step's position on the beat grid's clock, in seconds
+  score(event, musicTime, beatTracker) {
+    const beat = beatTracker.nearestBeat(musicTime);
+    if (!beat) return null;
+
+    const offset = musicTime - beat.time;
+    const tolerance = beat.period * this.toleranceRatio;
+    let verdict = 'on-beat';
+    if (offset < -tolerance) {
+      verdict = 'early';
+    } else if (offset > tolerance) {
+      verdict = 'late';
+    }
+
+    const result = {
+      type: event.type,
+      foot: event.foot,
+      count: event.count,
+      beatIndex: beat.index,
+      offsetMs: Math.round(offset * 1000),
+      verdict,
+      // 1 on the beat, falling to 0 half a beat away
+      score: Math.max(0, 1 - Math.abs(offset) / (beat.period / 2))
+    };
+
+    this.results.push(result);
+    if (this.results.length > this.maxHistory) {
+      this.results.shift();
+    }
+    this.lastResult = result;
+    return result;
+  }
+
+  getSummary() {
+    const total = this.results.length;
+    const count = (verdict) => this.results.filter(result => result.verdict === verdict).length;
+
+    return {
+      steps: total,
+      onBeat: count('on-beat'),
+      early: count('early'),
+      late: count('late'),
+      accuracy: total ? Math.round(100 * this.results.reduce((sum, result) => sum + result.score, 0) / total) : null,
+      meanOffsetMs: total ? Math.round(this.results.reduce((sum, result) => sum + result.offsetMs, 0) / total) : null
+    };
+  }
+
+  getHudLines() {
+    if (!this.lastResult) return [];
+
+    const summary = this.getSummary();
+    const labels = { 'on-beat': '✅ On beat', early: '⏪ Early', late: '⏩ Late' };
+    const offset = `${this.lastResult.offsetMs > 0 ? '+' : ''}${this.lastResult.offsetMs} ms`;
+
+    return [
+      `${labels[this.lastResult.verdict]} (${offset})`,
+      `Timing: ${summary.accuracy}%  On ${summary.onBeat} · Early ${summary.early} · Late ${summary.late}`
+    ];
+  }
+}
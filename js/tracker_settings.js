@@ -0,0 +1,275 @@
+// Tracker settings: detection thresholds, models, camera, frame rate and drawing.
+// Chosen values are kept in localStorage; URL query parameters with the same
+// names (e.g. ?detectionConfidence=0.5&poseColor=%23FF00FF) override them for
+// the visit without being saved, so a link can carry a preset.
+
+const TRACKER_SETTINGS = {
+  detectionConfidence: { group: 'Detection', label: 'Detection confidence', type: 'number', default: 0.3, min: 0.1, max: 0.9, step: 0.05 },
+  trackingConfidence: { group: 'Detection', label: 'Tracking confidence', type: 'number', default: 0.3, min: 0.1, max: 0.9, step: 0.05 },
+  // 'auto' leaves the model to the performance governor
+  poseComplexity: { group: 'Models', label: 'Pose model', type: 'select', default: 'auto', options: ['auto', 0, 1, 2] },
+  handsComplexity: { group: 'Models', label: 'Hands model', type: 'select', default: 'auto', options: ['auto', 0, 1] },
+  maxNumHands: { group: 'Models', label: 'Hands per dancer', type: 'number', default: 2, min: 1, max: 4, step: 1 },
+  refineLandmarks: { group: 'Models', label: 'Refine face (eyes, lips)', type: 'boolean', default: false },
+  cameraResolution: { group: 'Camera', label: 'Resolution', type: 'select', default: '640x480', options: ['320x240', '640x480', '960x540', '1280x720'] },
+  // Upper limit; the governor may run slower
+  targetFps: { group: 'Camera', label: 'Max FPS', type: 'number', default: 30, min: 10, max: 30, step: 5 },
+  mirror: { group: 'Drawing', label: 'Mirror video', type: 'boolean', default: true },
+  visibilityThreshold: { group: 'Drawing', label: 'Visibility cutoff', type: 'number', default: 0.3, min: 0, max: 0.95, step: 0.05 },
+  poseColor: { group: 'Drawing', label: 'Pose', type: 'color', default: '#00FF00' },
+  faceColor: { group: 'Drawing', label: 'Face', type: 'color', default: '#FFD700' },
+  firstHandColor: { group: 'Drawing', label: 'First hand', type: 'color', default: '#FF6B6B' },
+  secondHandColor: { group: 'Drawing', label: 'Second hand', type: 'color', default: '#4ECDC4' },
+  // Off by default: hands-free control is opt-in, so nothing fires while dancing unless asked
+  gestureControl: { group: 'Gestures', label: 'Gesture control', type: 'boolean', default: false },
+  gestureRaisedHand: gestureSetting('raisedHand', 'toggleRecording'),
+  gestureThumbsUp: gestureSetting('thumbsUp', 'restartDrill'),
+  gesturePinch: gestureSetting('pinch', 'nextView'),
+  gestureFist: gestureSetting('fist', 'none'),
+  gestureOpenPalm: gestureSetting('openPalm', 'none'),
+  // Feet and frame rules need a side view or a partner, so they start off; spoken cues are opt-in
+  coachSoftKnees: coachingSetting('softKnees', true),
+  coachLevelShoulders: coachingSetting('levelShoulders', true),
+  coachWeightForward: coachingSetting('weightForward', false),
+  coachFrameArms: coachingSetting('frameArms', false),
+  coachingSpeech: { group: 'Coaching', label: 'Spoken cues', type: 'boolean', default: false },
+  coachingCueInterval: { group: 'Coaching', label: 'Seconds between cues', type: 'number', default: 10, min: 3, max: 60, step: 1 }
+};
+
+// What a gesture does: one of GESTURE_ACTIONS (see gesture_control.js)
+function gestureSetting(gesture, action) {
+  const { emoji, label } = GESTURES[gesture];
+  return { group: 'Gestures', label: `${emoji} ${label}`, type: 'select', default: action, options: Object.keys(GESTURE_ACTIONS), labels: GESTURE_ACTIONS };
+}
+
+// Whether a posture rule is checked (see posture_coach.js)
+function coachingSetting(rule, enabled) {
+  const { emoji, label } = COACHING_RULES[rule];
+  return { group: 'Coaching', label: `${emoji} ${label}`, type: 'boolean', default: enabled };
+}
+
+class TrackerSettings {
+  constructor(options = {}) {
+    this.storage = options.storage || null;
+    this.storageKey = options.storageKey || 'bachatabot-settings';
+    this.callbacks = [];
+    this.saved = this.readStorage();
+    this.overrides = this.parseQuery(options.search || '');
+  }
+
+  // Settings for the page: localStorage plus the URL's query parameters
+  static fromPage() {
+    let storage = null;
+    try {
+      storage = window.localStorage;
+    } catch (error) {
+      // Storage blocked (e.g. disabled cookies); settings last for the visit only
+    }
+    return new TrackerSettings({ storage, search: location.search });
+  }
+
+  get(key) {
+    if (!TRACKER_SETTINGS[key]) {
+      throw new Error(`Unknown setting "${key}"`);
+    }
+    if (key in this.overrides) return this.overrides[key];
+    if (key in this.saved) return this.saved[key];
+    return TRACKER_SETTINGS[key].default;
+  }
+
+  getAll() {
+    const values = {};
+    Object.keys(TRACKER_SETTINGS).forEach(key => { values[key] = this.get(key); });
+    return values;
+  }
+
+  // Whether a value comes from the URL rather than the saved settings
+  isOverridden(key) {
+    return key in this.overrides;
+  }
+
+  set(key, value) {
+    this.update({ [key]: value });
+  }
+
+  // Change several settings at once; listeners hear about them together
+  update(values) {
+    const coerced = {};
+    Object.entries(values).forEach(([key, value]) => {
+      const result = this.coerce(key, value);
+      if (result === undefined) {
+        throw new Error(`Invalid value "${value}" for setting "${key}"`);
+      }
+      coerced[key] = result;
+    });
+
+    const changes = {};
+    Object.entries(coerced).forEach(([key, value]) => {
+      const previous = this.get(key);
+      // A choice made on the page replaces the URL's value and is saved
+      delete this.overrides[key];
+      if (value === TRACKER_SETTINGS[key].default) {
+        delete this.saved[key];
+      } else {
+        this.saved[key] = value;
+      }
+      if (value !== previous) changes[key] = value;
+    });
+
+    this.writeStorage();
+    this.notify(changes);
+  }
+
+  // Back to the defaults, forgetting saved and URL values
+  reset() {
+    const previous = this.getAll();
+    this.saved = {};
+    this.overrides = {};
+    this.writeStorage();
+
+    const changes = {};
+    Object.entries(this.getAll()).forEach(([key, value]) => {
+      if (value !== previous[key]) changes[key] = value;
+    });
+    this.notify(changes);
+  }
+
+  onChange(callback) {
+    this.callbacks.push(callback);
+  }
+
+  notify(changes) {
+    if (Object.keys(changes).length === 0) return;
+    this.callbacks.forEach(callback => callback(changes));
+  }
+
+  // Query string of every non-default value, for a shareable link
+  toQueryString() {
+    const params = new URLSearchParams();
+    Object.entries(this.getAll()).forEach(([key, value]) => {
+      if (value !== TRACKER_SETTINGS[key].default) params.set(key, String(value));
+    });
+    return params.toString();
+  }
+
+  cameraSize() {
+    const [width, height] = this.get('cameraResolution').split('x').map(Number);
+    return { width, height };
+  }
+
+  // A setting's value in its proper type, or undefined if it isn't valid
+  coerce(key, value) {
+    const definition = TRACKER_SETTINGS[key];
+    if (!definition) return undefined;
+
+    switch (definition.type) {
+      case 'number': {
+        const number = typeof value === 'number' ? value : parseFloat(value);
+        if (!Number.isFinite(number)) return undefined;
+        return Math.min(definition.max, Math.max(definition.min, number));
+      }
+      case 'boolean':
+        if (value === true || value === 'true' || value === '1' || value === 'on') return true;
+        if (value === false || value === 'false' || value === '0' || value === 'off') return false;
+        return undefined;
+      case 'select':
+        return definition.options.find(option => String(option) === String(value));
+      case 'color':
+        return /^#[0-9a-f]{6}$/i.test(value) ? value.toUpperCase() : undefined;
+    }
+    return undefined;
+  }
+
+  // URL overrides; unknown names belong to other features and invalid values are skipped
+  parseQuery(search) {
+    const overrides = {};
+    new URLSearchParams(search).forEach((value, key) => {
+      if (!TRACKER_SETTINGS[key]) return;
+      const coerced = this.coerce(key, value);
+      if (coerced === undefined) {
+        console.warn(`Ignoring invalid value "${value}" for setting "${key}" in the URL`);
+        return;
+      }
+      overrides[key] = coerced;
+    });
+    return overrides;
+  }
+
+  readStorage() {
+    if (!this.storage) return {};
+
+    try {
+      const stored = JSON.parse(this.storage.getItem(this.storageKey) || '{}');
+      const saved = {};
+      // Settings saved by another version may no longer exist or be valid
+      Object.entries(stored).forEach(([key, value]) => {
+        const coerced = this.coerce(key, value);
+        if (coerced !== undefined) saved[key] = coerced;
+      });
+      return saved;
+    } catch (error) {
+      return {};
+    }
+  }
+
+  writeStorage() {
+    if (!this.storage) return;
+
+    try {
+      if (Object.keys(this.saved).length === 0) {
+        this.storage.removeItem(this.storageKey);
+      } else {
+        this.storage.setItem(this.storageKey, JSON.stringify(this.saved));
+      }
+    } catch (error) {
+      // Quota or private mode; the values still apply for this visit
+    }
+  }
+}
+
+// Settings panel: one input per setting, grouped, changing the settings as they're edited
+function renderSettingsPanel(container, settings) {
+  const values = settings.getAll();
+  const groups = {};
+  Object.entries(TRACKER_SETTINGS).forEach(([key, definition]) => {
+    (groups[definition.group] = groups[definition.group] || []).push(key);
+  });
+
+  const input = (key) => {
+    const definition = TRACKER_SETTINGS[key];
+    const value = values[key];
+    switch (definition.type) {
+      case 'number':
+        return `<input type="range" data-setting="${key}" min="${definition.min}" max="${definition.max}" step="${definition.step}" value="${value}">` +
+          `<span class="settings-value">${value}</span>`;
+      case 'boolean':
+        return `<input type="checkbox" data-setting="${key}"${value ? ' checked' : ''}>`;
+      case 'select':
+        return `<select data-setting="${key}">${definition.options
+          .map(option => `<option value="${option}"${option === value ? ' selected' : ''}>${definition.labels ? definition.labels[option].label : option}</option>`)
+          .join('')}</select>`;
+      case 'color':
+        return `<input type="color" data-setting="${key}" value="${value.toLowerCase()}">`;
+    }
+    return '';
+  };
+
+  container.innerHTML = Object.entries(groups).map(([group, keys]) => `
+    <div class="settings-group">
+      <div class="settings-group-title">${group}</div>
+      ${keys.map(key => `
+        <label class="settings-row${settings.isOverridden(key) ? ' overridden' : ''}" title="${settings.isOverridden(key) ? 'Set by the link' : ''}">
+          <span>${TRACKER_SETTINGS[key].label}</span>
+          <span class="settings-input">${input(key)}</span>
+        </label>`).join('')}
+    </div>`).join('');
+
+  container.querySelectorAll('[data-setting]').forEach(element => {
+    const key = element.dataset.setting;
+    const read = () => element.type === 'checkbox' ? element.checked : element.value;
+    if (element.type === 'range') {
+      element.addEventListener('input', () => { element.nextElementSibling.textContent = element.value; });
+    }
+    element.addEventListener('change', () => settings.set(key, read()));
+  });
+}
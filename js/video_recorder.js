@@ -0,0 +1,97 @@
+// Annotated clip recording.
+// The tracking canvas already has the video, overlays and HUD composited on it,
+// so its captured stream is recorded as is with MediaRecorder, together with the
+// music when there is some. Capture and encoding come from the environment
+// (see environment.js), so tests can stand in for them.
+
+// Most preferred first; every browser that records WebM takes the last one
+const VIDEO_RECORDING_TYPES = [
+  'video/webm;codecs=vp9,opus',
+  'video/webm;codecs=vp8,opus',
+  'video/webm'
+];
+
+class CanvasVideoRecorder {
+  constructor(options = {}) {
+    this.env = options.environment;
+    this.fps = options.fps || 30;
+    this.videoBitsPerSecond = options.videoBitsPerSecond || 5000000;
+    this.timeslice = options.timeslice || 1000; // Hand over data every second so a crash loses little
+
+    this.recorder = null;
+    this.stream = null;
+    this.chunks = [];
+    this.mimeType = null;
+    this.startTime = null;
+  }
+
+  get isRecording() {
+    return !!this.recorder;
+  }
+
+  get elapsed() {
+    return this.recorder ? this.env.now() - this.startTime : 0;
+  }
+
+  isSupported() {
+    return CanvasVideoRecorder.pickMimeType(type => this.env.isRecordingTypeSupported(type)) !== null;
+  }
+
+  static pickMimeType(isSupported) {
+    return VIDEO_RECORDING_TYPES.find(type => isSupported(type)) || null;
+  }
+
+  // Record `canvas`, adding the audio tracks of `audioStream` if given
+  start(canvas, audioStream = null) {
+    if (this.recorder) {
+      throw new Error('A clip is already being recorded.');
+    }
+
+    const mimeType = CanvasVideoRecorder.pickMimeType(type => this.env.isRecordingTypeSupported(type));
+    const stream = mimeType ? this.env.captureCanvasStream(canvas, this.fps) : null;
+    if (!stream) {
+      throw new Error('This browser can\'t record video.');
+    }
+    if (audioStream) {
+      audioStream.getAudioTracks().forEach(track => stream.addTrack(track));
+    }
+
+    this.chunks = [];
+    this.recorder = this.env.createMediaRecorder(stream, { mimeType, videoBitsPerSecond: this.videoBitsPerSecond });
+    this.recorder.ondataavailable = (event) => {
+      if (event.data && event.data.size > 0) {
+        this.chunks.push(event.data);
+      }
+    };
+    this.recorder.start(this.timeslice);
+
+    this.stream = stream;
+    this.mimeType = mimeType;
+    this.startTime = this.env.now();
+  }
+
+  // Resolves { blob, mimeType, durationMs } once the last data is in, or null if not recording
+  stop() {
+    if (!this.recorder) return Promise.resolve(null);
+
+    const recorder = this.recorder;
+    const stream = this.stream;
+    const mimeType = this.mimeType;
+    const durationMs = this.env.now() - this.startTime;
+    this.recorder = null;
+    this.stream = null;
+
+    return new Promise((resolve, reject) => {
+      recorder.onstop = () => {
+        // Only the canvas tracks are ours; the music and microphone carry on
+        stream.getVideoTracks().forEach(track => track.stop());
+        resolve({ blob: new Blob(this.chunks, { type: mimeType }), mimeType, durationMs });
+      };
+      recorder.onerror = (event) => {
+        stream.getVideoTracks().forEach(track => track.stop());
+        reject(event.error || new Error('Video recording failed.'));
+      };
+      recorder.stop();
+    });
+  }
+}
@@ -0,0 +1,57 @@
+// Downloads the pinned MediaPipe files listed in js/asset_manifest.js into
+// vendor/mediapipe, so the app can be served without internet access.
+// Usage: npm run assets [-- --force]   (--force downloads files that already exist)
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const ROOT = path.join(__dirname, '..');
+
+function loadManifest() {
+  const context = vm.createContext({});
+  vm.runInContext(fs.readFileSync(path.join(ROOT, 'js', 'asset_manifest.js'), 'utf8'), context);
+  return vm.runInContext('({ MEDIAPIPE_ASSET_MANIFEST, mediapipeAssetUrls })', context);
+}
+
+async function download(url, target) {
+  const response = await fetch(url);
+  if (!response.ok) {
+    throw new Error(`HTTP ${response.status}`);
+  }
+  fs.mkdirSync(path.dirname(target), { recursive: true });
+  fs.writeFileSync(target, Buffer.from(await response.arrayBuffer()));
+}
+
+async function main() {
+  const { MEDIAPIPE_ASSET_MANIFEST: manifest, mediapipeAssetUrls } = loadManifest();
+  const force = process.argv.includes('--force');
+  const failures = [];
+
+  for (const url of mediapipeAssetUrls(manifest.cdnUrl)) {
+    const relative = url.slice(manifest.cdnUrl.length + 1);
+    const target = path.join(ROOT, manifest.localUrl, relative);
+
+    if (!force && fs.existsSync(target)) {
+      console.log(`✔ ${relative} (already downloaded)`);
+      continue;
+    }
+
+    try {
+      await download(url, target);
+      console.log(`⬇ ${relative}`);
+    } catch (error) {
+      failures.push(relative);
+      console.error(`✖ ${relative}: ${error.message}`);
+    }
+  }
+
+  if (failures.length > 0) {
+    console.error(`${failures.length} file(s) failed to download`);
+    process.exitCode = 1;
+  } else {
+    console.log(`MediaPipe assets are in ${manifest.localUrl}`);
+  }
+}
+
+main();
@@ -0,0 +1,130 @@
+// Service worker: precaches the app and the pinned MediaPipe files so BachataBot
+// works offline once it has been opened online. The page registers it as
+// service-worker.js?assets=<base URL> (see js/asset_loader.js).
+
+importScripts('js/asset_manifest.js');
+
+const APP_CACHE = 'bachatabot-app-v1';
+const MEDIAPIPE_CACHE = `bachatabot-mediapipe-v${MEDIAPIPE_ASSET_MANIFEST.version}`;
+
+// Keep in step with the <script> tags in index.html
+const APP_SHELL = [
+  './',
+  'index.html',
+  'dashboard.html',
+  'js/downloads.js',
+  'js/input_sources.js',
+  'js/landmark_filters.js',
+  'js/session_recorder.js',
+  'js/video_recorder.js',
+  'js/session_player.js',
+  'js/practice_history.js',
+  'js/pose_math.js',
+  'js/mocap_export.js',
+  'js/step_counter.js',
+  'js/kinematics.js',
+  'js/hip_analysis.js',
+  'js/head_pose.js',
+  'js/posture_coach.js',
+  'js/partner_tracker.js',
+  'js/beat_tracker.js',
+  'js/step_timing.js',
+  'js/choreo_compare.js',
+  'js/performance_governor.js',
+  'js/gesture_control.js',
+  'js/tracker_settings.js',
+  'js/render_compositor.js',
+  'js/motion_overlays.js',
+  'js/skeleton_viewer.js',
+  'js/asset_manifest.js',
+  'js/asset_loader.js',
+  'js/environment.js',
+  'js/detector_backends.js',
+  'js/inference_worker.js',
+  'js/fullbody_working.js'
+];
+
+const assetBase = assetBaseUrl(new URL(self.location.href).searchParams.get('assets'));
+const mediapipeUrls = mediapipeAssetUrls(assetBase).map(url => new URL(url, self.location.href).href);
+
+self.addEventListener('install', (event) => {
+  event.waitUntil((async () => {
+    const appCache = await caches.open(APP_CACHE);
+    await appCache.addAll(APP_SHELL);
+
+    // One missing model file shouldn't stop the rest being cached
+    const mediapipeCache = await caches.open(MEDIAPIPE_CACHE);
+    const results = await Promise.allSettled(mediapipeUrls.map(url => mediapipeCache.add(url)));
+    results.forEach((result, index) => {
+      if (result.status === 'rejected') {
+        console.warn(`Couldn't precache ${mediapipeUrls[index]}: ${result.reason.message}`);
+      }
+    });
+
+    await self.skipWaiting();
+  })());
+});
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil((async () => {
+    const keep = [APP_CACHE, MEDIAPIPE_CACHE];
+    const names = await caches.keys();
+    await Promise.all(names
+      .filter(name => name.startsWith('bachatabot-') && !keep.includes(name))
+      .map(name => caches.delete(name)));
+    await self.clients.claim();
+  })());
+});
+
+self.addEventListener('fetch', (event) => {
+  const request = event.request;
+  if (request.method !== 'GET') return;
+
+  if (mediapipeUrls.includes(request.url)) {
+    event.respondWith(mediapipeResponse(request));
+  } else if (new URL(request.url).origin === self.location.origin) {
+    event.respondWith(appResponse(request));
+  }
+});
+
+// Pinned MediaPipe files never change, so the cache answers first
+async function mediapipeResponse(request) {
+  const cache = await caches.open(MEDIAPIPE_CACHE);
+  const cached = await cache.match(request);
+  if (cached) return cached;
+
+  try {
+    const response = await fetch(request);
+    if (response.ok) {
+      await cache.put(request, response.clone());
+    } else {
+      await reportFailure(request.url, response.status);
+    }
+    return response;
+  } catch (error) {
+    await reportFailure(request.url, null);
+    throw error;
+  }
+}
+
+// App files come from the network when possible so updates show up, else from the cache
+async function appResponse(request) {
+  const cache = await caches.open(APP_CACHE);
+  try {
+    const response = await fetch(request);
+    if (response.ok) {
+      await cache.put(request, response.clone());
+    }
+    return response;
+  } catch (error) {
+    const cached = await cache.match(request, { ignoreSearch: true });
+    if (cached) return cached;
+    throw error;
+  }
+}
+
+// Tell every open page, so it can show what failed
+async function reportFailure(url, status) {
+  const clients = await self.clients.matchAll({ type: 'window' });
+  clients.forEach(client => client.postMessage({ type: 'asset-failed', url, status }));
+}
@@ -0,0 +1,328 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const { loadScripts } = require('./helpers');
+
+loadScripts();
+const {
+  MEDIAPIPE_ASSET_MANIFEST, MediaPipeBackend, WorkerBackend, AssetDiagnostics, mediapipePackagePath, mediapipeAssetUrls,
+  assetBaseUrl, describeAssetFailure, resolveAssetBaseUrl, getAssetSetting, loadMediaPipeScript, renderAssetDiagnostics
+} = vm.runInThisContext(`({
+  MEDIAPIPE_ASSET_MANIFEST, MediaPipeBackend, WorkerBackend, AssetDiagnostics, mediapipePackagePath, mediapipeAssetUrls,
+  assetBaseUrl, describeAssetFailure, resolveAssetBaseUrl, getAssetSetting, loadMediaPipeScript, renderAssetDiagnostics
+})`);
+
+const CDN = 'https://cdn.jsdelivr.net/npm/@mediapipe';
+
+function fakeResponse(status, body = '') {
+  return { ok: status >= 200 && status < 300, status, body, clone() { return fakeResponse(status, body); } };
+}
+
+// Replace a global for one test
+function withGlobals(values, run) {
+  const saved = {};
+  Object.keys(values).forEach(name => {
+    saved[name] = Object.getOwnPropertyDescriptor(globalThis, name);
+    Object.defineProperty(globalThis, name, { value: values[name], configurable: true, writable: true });
+  });
+  const restore = () => Object.keys(values).forEach(name => {
+    if (saved[name]) {
+      Object.defineProperty(globalThis, name, saved[name]);
+    } else {
+      delete globalThis[name];
+    }
+  });
+  return Promise.resolve().then(run).finally(restore);
+}
+
+test('manifest pins every package and lists each package\'s script among its files', () => {
+  Object.entries(MEDIAPIPE_ASSET_MANIFEST.packages).forEach(([module, entry]) => {
+    assert.match(entry.version, /^\d+\.\d+\.\d+$/, module);
+    assert.ok(entry.files.includes(entry.script), module);
+  });
+  assert.equal(mediapipePackagePath('face'), 'face_mesh@0.4.1633559619');
+  assert.throws(() => mediapipePackagePath('feet'), /Unknown MediaPipe module/);
+});
+
+test('asset URLs cover every file of every package under the base', () => {
+  const urls = mediapipeAssetUrls('vendor/mediapipe');
+  const fileCount = Object.values(MEDIAPIPE_ASSET_MANIFEST.packages).reduce((sum, entry) => sum + entry.files.length, 0);
+
+  assert.equal(urls.length, fileCount);
+  assert.ok(urls.includes('vendor/mediapipe/pose@0.5.1635988162/pose_landmark_heavy.tflite'));
+  assert.ok(urls.includes('vendor/mediapipe/hands@0.4.1646424915/hands_solution_simd_wasm_bin.wasm'));
+  assert.ok(urls.every(url => url.startsWith('vendor/mediapipe/')));
+});
+
+test('asset settings map to base URLs', () => {
+  assert.equal(assetBaseUrl('cdn'), CDN);
+  assert.equal(assetBaseUrl(null), CDN);
+  assert.equal(assetBaseUrl('local'), 'vendor/mediapipe');
+  assert.equal(assetBaseUrl('https://studio.local/mp/'), 'https://studio.local/mp');
+});
+
+test('MediaPipe backend takes its package versions from the manifest', () => {
+  const backend = new MediaPipeBackend({ baseUrl: 'vendor/mediapipe' });
+
+  assert.equal(backend.assetUrl('pose'), 'vendor/mediapipe/pose@0.5.1635988162');
+  assert.equal(new MediaPipeBackend().baseUrl, CDN);
+  assert.equal(new MediaPipeBackend({ packages: { hands: 'hands@1.0.0' } }).assetUrl('hands'), `${CDN}/hands@1.0.0`);
+});
+
+test('a relative asset base is resolved against the page, not the worker script', () => {
+  const backend = new MediaPipeBackend({ baseUrl: 'vendor/mediapipe', pageUrl: 'https://studio.test/app/index.html' });
+  const worker = new WorkerBackend({ baseUrl: 'vendor/mediapipe/', pageUrl: 'https://studio.test/app/' });
+
+  assert.equal(backend.assetUrl('pose'), 'https://studio.test/app/vendor/mediapipe/pose@0.5.1635988162');
+  assert.equal(worker.assetUrl('hands'), 'https://studio.test/app/vendor/mediapipe/hands@0.4.1646424915');
+  assert.equal(new MediaPipeBackend({ pageUrl: 'https://studio.test/' }).assetUrl('pose'), `${CDN}/pose@0.5.1635988162`);
+});
+
+test('failure diagnostics say what went wrong and what to do', () => {
+  const missing = describeAssetFailure({ url: 'vendor/mediapipe/pose@0.5.1635988162/pose.js', status: 404 });
+  const offline = describeAssetFailure({ url: `${CDN}/pose@0.5.1635988162/pose_web.binarypb`, status: null, offline: true });
+  const server = describeAssetFailure({ url: `${CDN}/hands@0.4.1646424915/hands.js`, status: 503 });
+
+  assert.match(missing, /pose\.js is missing from the self-hosted assets/);
+  assert.match(missing, /npm run assets/);
+  assert.match(offline, /You're offline and pose_web\.binarypb hasn't been saved for offline use yet/);
+  assert.match(server, /Couldn't load hands\.js from .* \(HTTP 503\)/);
+  assert.match(describeAssetFailure({ url: 'x/face_mesh.js', status: null }), /\(network error\)/);
+});
+
+test('auto uses the self-hosted copy when it is there and the CDN otherwise', async () => {
+  const requested = [];
+  const answer = (status) => async (url, options) => {
+    requested.push([url, options.method]);
+    if (status === null) throw new TypeError('Failed to fetch');
+    return fakeResponse(status);
+  };
+
+  await withGlobals({ fetch: answer(200) }, async () => {
+    assert.equal(await resolveAssetBaseUrl('auto'), 'vendor/mediapipe');
+  });
+  await withGlobals({ fetch: answer(404) }, async () => {
+    assert.equal(await resolveAssetBaseUrl('auto'), CDN);
+  });
+  await withGlobals({ fetch: answer(null) }, async () => {
+    assert.equal(await resolveAssetBaseUrl('auto'), CDN);
+    assert.equal(await resolveAssetBaseUrl('local'), 'vendor/mediapipe');
+  });
+
+  assert.deepEqual(requested[0], ['vendor/mediapipe/pose@0.5.1635988162/pose.js', 'HEAD']);
+  assert.equal(requested.length, 3);
+});
+
+test('the URL parameter overrides the page\'s asset setting', async () => {
+  const document = { querySelector: () => ({ content: 'local' }) };
+
+  await withGlobals({ document, location: { search: '?assets=cdn' } }, () => {
+    assert.equal(getAssetSetting(), 'cdn');
+  });
+  await withGlobals({ document, location: { search: '' } }, () => {
+    assert.equal(getAssetSetting(), 'local');
+  });
+  await withGlobals({ document: { querySelector: () => null }, location: { search: '' } }, () => {
+    assert.equal(getAssetSetting(), 'auto');
+  });
+});
+
+test('a solution script that fails to load is diagnosed with its HTTP status', async () => {
+  const appended = [];
+  const document = {
+    createElement: () => ({}),
+    head: {
+      appendChild: (script) => {
+        appended.push(script.src);
+        setImmediate(() => script.onerror());
+      }
+    }
+  };
+  const diagnostics = vm.runInThisContext('assetDiagnostics');
+  const originalError = console.error;
+  console.error = () => {};
+
+  try {
+    await withGlobals({ document, window: {}, fetch: async () => fakeResponse(404) }, async () => {
+      await assert.rejects(
+        loadMediaPipeScript('pose', 'vendor/mediapipe/pose@0.5.1635988162'),
+        /pose\.js is missing from the self-hosted assets/
+      );
+    });
+  } finally {
+    console.error = originalError;
+  }
+
+  assert.deepEqual(appended, ['vendor/mediapipe/pose@0.5.1635988162/pose.js']);
+  assert.equal(diagnostics.failures[0].status, 404);
+});
+
+test('scripts already on the page are not loaded again', async () => {
+  const document = { head: { appendChild: () => assert.fail('script should not be added') } };
+
+  await withGlobals({ document, window: { Hands: class {} } }, async () => {
+    await loadMediaPipeScript('hands', 'vendor/mediapipe/hands@0.4.1646424915');
+  });
+});
+
+test('diagnostics report each failing URL once and render a banner', () => {
+  const diagnostics = new AssetDiagnostics();
+  const reported = [];
+  diagnostics.onFailure(failure => reported.push(failure));
+  const originalError = console.error;
+  console.error = () => {};
+
+  try {
+    diagnostics.report({ url: `${CDN}/pose@0.5.1635988162/pose_web.binarypb`, status: 500 });
+    diagnostics.report({ url: `${CDN}/pose@0.5.1635988162/pose_web.binarypb`, status: 500 });
+  } finally {
+    console.error = originalError;
+  }
+
+  const classes = new Set();
+  const container = { innerHTML: '', classList: { toggle: (name, on) => (on ? classes.add(name) : classes.delete(name)) } };
+  renderAssetDiagnostics(container, diagnostics);
+
+  assert.equal(reported.length, 1);
+  assert.match(container.innerHTML, /⚠️ Couldn't load pose_web\.binarypb/);
+  assert.ok(classes.has('visible'));
+
+  renderAssetDiagnostics(container, new AssetDiagnostics());
+  assert.ok(!classes.has('visible'));
+});
+
+// The service worker, run in a sandbox with fake caches, network and clients
+function loadServiceWorker(network) {
+  const handlers = {};
+  const stores = new Map();
+  const messages = [];
+  const requested = [];
+  const fetch = async (request) => {
+    const url = typeof request === 'string' ? new URL(request, 'https://studio.test/').href : request.url;
+    requested.push(url);
+    const status = network(url);
+    if (status === null) throw new TypeError('Failed to fetch');
+    return fakeResponse(status, url);
+  };
+  const openCache = (name) => {
+    if (!stores.has(name)) {
+      const entries = new Map();
+      const key = (request) => new URL(typeof request === 'string' ? request : request.url, 'https://studio.test/').href;
+      stores.set(name, {
+        entries,
+        async add(request) {
+          const response = await fetch(request);
+          if (!response.ok) throw new Error(`HTTP ${response.status}`);
+          entries.set(key(request), response);
+        },
+        async addAll(requests) {
+          for (const request of requests) await this.add(request);
+        },
+        async put(request, response) { entries.set(key(request), response); },
+        async match(request) { return entries.get(key(request)); }
+      });
+    }
+    return stores.get(name);
+  };
+
+  const sandbox = {
+    URL,
+    console: { warn() {} },
+    fetch,
+    caches: {
+      open: async (name) => openCache(name),
+      keys: async () => [...stores.keys()],
+      delete: async (name) => stores.delete(name)
+    },
+    clients: {
+      matchAll: async () => [{ postMessage: (message) => messages.push(message) }],
+      claim: async () => {}
+    },
+    skipWaiting: async () => {},
+    location: { href: 'https://studio.test/service-worker.js?assets=vendor%2Fmediapipe', origin: 'https://studio.test' },
+    addEventListener: (type, handler) => { handlers[type] = handler; },
+    importScripts: (url) => {
+      vm.runInContext(fs.readFileSync(path.join(__dirname, '..', url), 'utf8'), sandbox);
+    }
+  };
+  sandbox.self = sandbox;
+  vm.createContext(sandbox);
+  vm.runInContext(fs.readFileSync(path.join(__dirname, '..', 'service-worker.js'), 'utf8'), sandbox);
+
+  const dispatch = async (type, event = {}) => {
+    let pending = null;
+    handlers[type]({
+      ...event,
+      waitUntil: (promise) => { pending = promise; },
+      respondWith: (promise) => { pending = promise; }
+    });
+    return pending;
+  };
+  return { dispatch, stores, messages, requested };
+}
+
+test('service worker precaches the app and every MediaPipe file under the asset base', async () => {
+  const worker = loadServiceWorker(url => (url.endsWith('pose_landmark_heavy.tflite') ? 404 : 200));
+
+  await worker.dispatch('install');
+
+  const app = worker.stores.get('bachatabot-app-v1');
+  const mediapipe = worker.stores.get('bachatabot-mediapipe-v1');
+  assert.ok(app.entries.has('https://studio.test/index.html'));
+  assert.ok(app.entries.has('https://studio.test/js/fullbody_working.js'));
+  assert.ok(mediapipe.entries.has('https://studio.test/vendor/mediapipe/pose@0.5.1635988162/pose.js'));
+  // The missing model didn't stop the install
+  assert.equal(mediapipe.entries.size, mediapipeAssetUrls('x').length - 1);
+});
+
+test('service worker serves cached MediaPipe files without the network', async () => {
+  let online = true;
+  const worker = loadServiceWorker(() => (online ? 200 : null));
+  await worker.dispatch('install');
+  online = false;
+
+  const url = 'https://studio.test/vendor/mediapipe/hands@0.4.1646424915/hands.binarypb';
+  const response = await worker.dispatch('fetch', { request: { method: 'GET', url } });
+
+  assert.equal(response.status, 200);
+  assert.equal(response.body, url);
+});
+
+test('service worker tells the page about MediaPipe files it cannot get', async () => {
+  const worker = loadServiceWorker(url => (url.endsWith('pose_web.binarypb') ? 404 : 200));
+  await worker.dispatch('install');
+
+  const url = 'https://studio.test/vendor/mediapipe/pose@0.5.1635988162/pose_web.binarypb';
+  const response = await worker.dispatch('fetch', { request: { method: 'GET', url } });
+
+  assert.equal(response.status, 404);
+  assert.deepEqual(JSON.parse(JSON.stringify(worker.messages)), [{ type: 'asset-failed', url, status: 404 }]);
+});
+
+test('service worker prefers fresh app files and falls back to the cache offline', async () => {
+  let online = true;
+  const worker = loadServiceWorker(() => (online ? 200 : null));
+  await worker.dispatch('install');
+  const request = { method: 'GET', url: 'https://studio.test/index.html' };
+
+  const fetchesBefore = worker.requested.length;
+  await worker.dispatch('fetch', { request });
+  assert.equal(worker.requested.length, fetchesBefore + 1);
+
+  online = false;
+  const response = await worker.dispatch('fetch', { request });
+  assert.equal(response.status, 200);
+});
+
+test('service worker drops caches from older versions when it activates', async () => {
+  const worker = loadServiceWorker(() => 200);
+  await (await worker.dispatch('install'));
+  await worker.stores.set('bachatabot-mediapipe-v0', {});
+  await worker.stores.set('someone-elses-cache', {});
+
+  await worker.dispatch('activate');
+
+  assert.deepEqual([...worker.stores.keys()].sort(), ['bachatabot-app-v1', 'bachatabot-mediapipe-v1', 'someone-elses-cache']);
+});
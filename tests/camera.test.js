@@ -0,0 +1,157 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createTracker } = require('./helpers');
+
+const FRAME_MS = 34;
+
+function cameraError(name) {
+  return Object.assign(new Error(`${name} from getUserMedia`), { name });
+}
+
+// Backoff waits, leaving out the short pauses between module setups
+function retryDelays(environment) {
+  return environment.delays.filter(ms => ms >= 1000);
+}
+
+function cameraEvents(tracker) {
+  const events = [];
+  tracker.on('camera', event => events.push(event));
+  return events;
+}
+
+const twoCameras = [{ deviceId: 'laptop', label: 'FaceTime HD Camera' }, { deviceId: 'usb', label: 'USB Webcam' }];
+
+test('a busy camera is retried with growing waits until it opens', async () => {
+  let events;
+  const { tracker, environment } = await createTracker(undefined, {
+    camera: true,
+    beforeInit: (tracker) => {
+      tracker.env.cameraFailures.push(cameraError('NotReadableError'), cameraError('NotReadableError'));
+      events = cameraEvents(tracker);
+    }
+  });
+
+  assert.deepEqual(retryDelays(environment), [1000, 2000]);
+  assert.equal(environment.cameraSources.length, 3);
+  assert.equal(tracker.inputSource, environment.cameraSources[2]);
+  assert.deepEqual(events.map(event => event.status), ['reconnecting', 'reconnecting', 'active']);
+  assert.equal(events[1].message, 'Retrying camera (2/3) in 2 s');
+  assert.equal(events[2].message, 'Front Camera');
+  assert.equal(tracker.retryCount, 0);
+  assert.ok(tracker.isTracking);
+});
+
+test('denied camera access is reported at once and not retried', async () => {
+  const errors = [];
+  const { tracker, environment } = await createTracker(undefined, {
+    camera: true,
+    beforeInit: (tracker) => {
+      tracker.env.cameraFailures.push(cameraError('NotAllowedError'));
+      tracker.on('error', error => errors.push(error));
+    }
+  });
+
+  assert.equal(environment.cameraSources.length, 1);
+  assert.deepEqual(retryDelays(environment), []);
+  assert.equal(tracker.moduleStatus.camera, 'error');
+  assert.match(errors[0].message, /Camera access was denied/);
+  assert.ok(!tracker.isTracking);
+});
+
+test('after the last retry the camera is reported lost, and comes back when one is plugged in', async () => {
+  const errors = [];
+  const { tracker, environment } = await createTracker(undefined, {
+    camera: true,
+    environment: { cameras: [] },
+    beforeInit: (tracker) => {
+      tracker.env.cameraFailures.push(...[1, 2, 3, 4].map(() => cameraError('NotFoundError')));
+      tracker.on('error', error => errors.push(error));
+    }
+  });
+
+  assert.deepEqual(retryDelays(environment), [1000, 2000, 4000]);
+  assert.equal(tracker.moduleStatus.camera, 'error');
+  assert.match(errors[0].message, /No camera found/);
+  // Tracking runs on, waiting for a camera
+  assert.ok(tracker.isTracking);
+  assert.equal(tracker.inputSource, null);
+
+  const lists = [];
+  tracker.on('cameras', ({ cameras }) => lists.push(cameras));
+  await environment.changeDevices(twoCameras);
+
+  assert.equal(tracker.inputSource.deviceId, 'laptop');
+  assert.equal(tracker.moduleStatus.camera, 'active');
+  assert.equal(lists[0].length, 2);
+});
+
+test('a camera that disconnects mid-session is reopened', async () => {
+  const { tracker, environment } = await createTracker(undefined, { camera: true });
+  const events = cameraEvents(tracker);
+  const first = tracker.inputSource;
+
+  first.onEnded();
+  await new Promise(resolve => setImmediate(resolve));
+
+  assert.ok(first.closed);
+  assert.equal(tracker.inputSource, environment.cameraSources[1]);
+  assert.deepEqual(events.map(event => [event.status, event.message]), [
+    ['reconnecting', 'Camera disconnected'],
+    ['active', 'Front Camera']
+  ]);
+
+  // The old camera going away later is no longer ours to handle
+  first.onEnded();
+  await new Promise(resolve => setImmediate(resolve));
+  assert.equal(environment.cameraSources.length, 2);
+});
+
+test('an unplugged external webcam falls back to the built-in camera', async () => {
+  const { tracker, environment } = await createTracker(undefined, { camera: true, environment: { cameras: twoCameras } });
+  await tracker.switchCamera('usb');
+  const usb = tracker.inputSource;
+  assert.equal(usb.deviceId, 'usb');
+
+  environment.cameras = [twoCameras[0]];
+  environment.cameraFailures.push(cameraError('OverconstrainedError'));
+  usb.onEnded();
+  await new Promise(resolve => setImmediate(resolve));
+
+  assert.equal(tracker.cameraDeviceId, null);
+  assert.equal(tracker.inputSource.deviceId, 'laptop');
+  assert.deepEqual(retryDelays(environment), [1000]);
+});
+
+test('switching cameras swaps the stream while tracking keeps running', async () => {
+  const { tracker, environment, backend } = await createTracker(undefined, { camera: true, environment: { cameras: twoCameras } });
+  const first = tracker.inputSource;
+
+  await tracker.switchCamera('usb');
+  const sent = backend.detectors.pose.sendCount;
+  await environment.runFrame(FRAME_MS);
+
+  assert.ok(first.closed);
+  assert.equal(tracker.inputSource.options.deviceId, 'usb');
+  assert.equal(backend.detectors.pose.sendCount, sent + 1);
+});
+
+test('choosing a camera while another input is playing only takes effect when the camera is used', async () => {
+  const { tracker, environment } = await createTracker(undefined, { inputSource: { kind: 'video', isLive: false }, environment: { cameras: twoCameras } });
+
+  await tracker.switchCamera('usb');
+  assert.equal(environment.cameraSources.length, 0);
+  assert.equal(tracker.inputSource.kind, 'video');
+
+  await tracker.useCamera();
+  assert.equal(tracker.inputSource.deviceId, 'usb');
+});
+
+test('flipping the camera asks for the other facing mode', async () => {
+  const { tracker } = await createTracker(undefined, { camera: true });
+  await tracker.switchCamera('front');
+
+  await tracker.flipCamera();
+
+  assert.equal(tracker.inputSource.options.facingMode, 'environment');
+  assert.equal(tracker.inputSource.options.deviceId, null);
+});
@@ -0,0 +1,95 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts, createTracker, standingPose } = require('./helpers');
+
+const { ChoreographyComparator } = loadScripts();
+
+const FRAME_MS = 34;
+
+// A dancer sweeping the wrists round over `count` frames, so every moment of the routine looks different,
+// then holding the last pose for `hold` more frames
+function routine(count, hold = 0, frameMs = 33) {
+  return Array.from({ length: count + hold }, (_, index) => {
+    const progress = Math.min(index, count - 1) / (count - 1);
+    const landmarks = standingPose(0.5);
+    landmarks[15] = { ...landmarks[15], x: 0.59 + 0.2 * progress, y: 0.53 - 0.3 * progress };
+    landmarks[16] = { ...landmarks[16], x: 0.41 - 0.1 * progress, y: 0.53 - 0.2 * progress };
+    return { t: index * frameMs, poseLandmarks: landmarks, poseWorldLandmarks: null };
+  });
+}
+
+function liveAttempt(comparator, frames, updateMs = 2000) {
+  comparator.startLive();
+  let lastUpdate = 0;
+  let longest = 0;
+  frames.forEach(frame => {
+    comparator.addLiveFrame(frame.t, frame.poseLandmarks, frame.poseWorldLandmarks);
+    longest = Math.max(longest, comparator.liveSequence.length);
+    if (frame.t - lastUpdate >= updateMs) {
+      lastUpdate = frame.t;
+      comparator.updateLive();
+    }
+  });
+  return longest;
+}
+
+test('a slower attempt still lines up with the whole reference', () => {
+  const comparator = new ChoreographyComparator();
+  comparator.setReference({ frames: routine(300) });
+
+  const result = comparator.compare(routine(300, 0, 50));
+  assert.ok(result.match >= 95, `${result.match}%`);
+  assert.ok(result.referenceCovered >= 299 * 33 - 200);
+  assert.deepEqual(result.divergences, []);
+});
+
+test('a live attempt only keeps the last stretch of frames and stops at the end of the reference', () => {
+  const comparator = new ChoreographyComparator({ liveWindowSeconds: 5 });
+  const reference = routine(1200);
+  comparator.setReference({ frames: reference });
+
+  // 40 s of reference, danced in time and then held
+  const longest = liveAttempt(comparator, routine(1200, 150));
+
+  // Five seconds at up to 10 poses a second, plus what arrives between two updates
+  assert.ok(longest <= 50 + 21, `${longest} poses kept`);
+  assert.equal(comparator.liveComplete, true);
+  const result = comparator.liveResult;
+  assert.ok(result.match >= 95, `${result.match}%`);
+  assert.ok(result.referenceCovered >= reference[reference.length - 1].t - 200);
+  // Every pose sampled up to the end is in the timeline, old ones included
+  assert.equal(result.timeline[0].t, 0);
+  assert.ok(result.timeline.length >= comparator.referenceSequence.length - 5);
+
+  // Nothing more is taken once the reference is finished
+  const timeline = result.timeline.length;
+  comparator.addLiveFrame(60000, reference[0].poseLandmarks, null);
+  assert.equal(comparator.updateLive().timeline.length, timeline);
+});
+
+test('a student far past the end of the reference finishes the attempt too', () => {
+  const comparator = new ChoreographyComparator({ bandSeconds: 1 });
+  comparator.setReference({ frames: routine(30) });
+
+  // The routine backwards and then held at its start, so the alignment never settles on the last pose
+  const frames = routine(30, 100).map((frame, index) => ({ ...frame, poseLandmarks: routine(30)[29 - Math.min(index, 29)].poseLandmarks }));
+  liveAttempt(comparator, frames, 500);
+
+  assert.equal(comparator.liveComplete, true);
+  assert.ok(comparator.liveResult);
+});
+
+test('the tracker ends the live comparison by itself at the end of the reference', async () => {
+  const { tracker, environment } = await createTracker(routine(60, 100, FRAME_MS));
+  tracker.choreoComparator.setReference({ frames: routine(60, 0, FRAME_MS) });
+  const events = [];
+  tracker.on('comparison', event => events.push(event));
+
+  assert.equal(tracker.startLiveComparison(), true);
+  await environment.runFrames(150, FRAME_MS);
+
+  assert.equal(tracker.isComparing, false);
+  assert.equal(events.length, 1);
+  assert.equal(events[0].complete, true);
+  assert.ok(events[0].result.match >= 90, `${events[0].result.match}%`);
+});
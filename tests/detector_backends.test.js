@@ -0,0 +1,94 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts, cannedFrames } = require('./helpers');
+
+const { MockBackend, SessionRecorder } = loadScripts();
+
+async function collect(detector, sends) {
+  const results = [];
+  detector.onResults(result => results.push(result));
+  for (let i = 0; i < sends; i++) {
+    await detector.send({ image: { frame: i } });
+  }
+  return results;
+}
+
+test('mock pose detector replays frames in order and loops by default', async () => {
+  const frames = cannedFrames(2);
+  frames[1].poseLandmarks = frames[1].poseLandmarks.map(landmark => ({ ...landmark, x: landmark.x + 0.1 }));
+  const detector = new MockBackend(frames).createDetector('pose');
+
+  const results = await collect(detector, 3);
+
+  assert.equal(results[0].poseLandmarks, frames[0].poseLandmarks);
+  assert.equal(results[1].poseLandmarks, frames[1].poseLandmarks);
+  assert.equal(results[2].poseLandmarks, frames[0].poseLandmarks);
+  assert.deepEqual(results[2].image, { frame: 2 });
+});
+
+test('without looping the mock reports nothing detected after the last frame', async () => {
+  const detector = new MockBackend(cannedFrames(1), { loop: false }).createDetector('pose');
+
+  const results = await collect(detector, 2);
+
+  assert.equal(results[0].poseLandmarks.length, 33);
+  assert.equal(results[1].poseLandmarks, null);
+  assert.equal(results[1].poseWorldLandmarks, null);
+});
+
+test('mock face and hands results use the MediaPipe multi-result shape and honour the limits', async () => {
+  const frames = cannedFrames(1, { face: true, hands: true });
+  frames[0].handsLandmarks.push(frames[0].handsLandmarks[0], frames[0].handsLandmarks[0]);
+  const backend = new MockBackend(frames);
+
+  const [face] = await collect(backend.createDetector('face'), 1);
+  const hands = backend.createDetector('hands');
+  hands.setOptions({ maxNumHands: 2 });
+  const [handsResult] = await collect(hands, 1);
+
+  assert.equal(face.multiFaceLandmarks.length, 1);
+  assert.equal(face.multiFaceLandmarks[0].length, 468);
+  assert.equal(handsResult.multiHandLandmarks.length, 2);
+  assert.deepEqual(handsResult.multiHandedness, []);
+});
+
+test('each module keeps its own replay position', async () => {
+  const backend = new MockBackend(cannedFrames(3));
+  const pose = backend.createDetector('pose');
+  const face = backend.createDetector('face');
+
+  await collect(pose, 2);
+  await collect(face, 1);
+
+  assert.equal(pose.sendCount, 2);
+  assert.equal(face.sendCount, 1);
+});
+
+test('mock backend can simulate detectors that fail to load', () => {
+  const backend = new MockBackend([], { failModules: ['hands'] });
+
+  assert.throws(() => backend.createDetector('hands'), /hands detector failed to load/);
+  assert.throws(() => backend.createDetector('feet'), /Unknown detector module/);
+  assert.ok(backend.createDetector('pose'));
+});
+
+test('a closed mock detector refuses frames', async () => {
+  const detector = new MockBackend(cannedFrames(1)).createDetector('pose');
+  detector.close();
+
+  await assert.rejects(detector.send({ image: {} }), /closed/);
+});
+
+test('mock backend replays a recorded session file', async () => {
+  const recorder = new SessionRecorder();
+  recorder.start({ source: 'camera', width: 640, height: 480 });
+  cannedFrames(3).forEach(frame => recorder.addFrame(frame.t, frame));
+  const session = recorder.stop();
+
+  const backend = MockBackend.fromSession(SessionRecorder.serialize(session));
+  const results = await collect(backend.createDetector('pose'), 1);
+
+  assert.equal(backend.frames.length, 3);
+  assert.equal(results[0].poseLandmarks.length, 33);
+  assert.ok(Math.abs(results[0].poseLandmarks[0].x - 0.5) < 1e-4);
+});
@@ -0,0 +1,200 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts, createTracker, cannedFrames, standingPose } = require('./helpers');
+
+const { GestureRecognizer, TrackerSettings } = loadScripts();
+
+const FRAME_MS = 34;
+
+// An upright hand 0.1 tall (wrist to middle knuckle) with its wrist at (cx, cy).
+// fingers: 'extended' or 'curled' for index, middle, ring and pinky; thumb: 'out', 'in' or 'up'.
+function hand({ fingers = 'extended', thumb = 'out', pinch = false, cx = 0.5, cy = 0.6 } = {}) {
+  const size = 0.1;
+  const landmarks = Array.from({ length: 21 }, () => ({ x: 0, y: 0, z: 0 }));
+  const set = (index, x, y) => { landmarks[index] = { x: cx + x * size, y: cy + y * size, z: 0 }; };
+  const states = Array.isArray(fingers) ? fingers : [fingers, fingers, fingers, fingers];
+
+  set(0, 0, 0);
+  [[5, -0.3], [9, -0.1], [13, 0.1], [17, 0.3]].forEach(([mcp, x], finger) => {
+    set(mcp, x, -1);
+    if (states[finger] === 'extended') {
+      set(mcp + 1, x, -1.45);
+      set(mcp + 2, x, -1.7);
+      set(mcp + 3, x, -1.95);
+    } else {
+      set(mcp + 1, x, -1.4);
+      set(mcp + 2, x, -1.2);
+      set(mcp + 3, x, -0.9);
+    }
+  });
+
+  set(1, -0.35, -0.25);
+  set(2, -0.55, -0.45);
+  if (thumb === 'up') {
+    set(3, -0.65, -1.1);
+    set(4, -0.7, -1.6);
+  } else if (thumb === 'in') {
+    set(3, -0.3, -0.6);
+    set(4, -0.1, -0.8);
+  } else {
+    set(3, -0.75, -0.6);
+    set(4, -0.95, -0.75);
+  }
+
+  if (pinch) {
+    set(7, -0.5, -1.3);
+    set(8, -0.6, -1.1);
+    set(3, -0.6, -0.8);
+    set(4, -0.65, -1.05);
+  }
+  return landmarks;
+}
+
+const recognizer = (options = {}) => new GestureRecognizer({ aspect: 1, ...options });
+const LEFT = [{ label: 'Right', score: 0.98 }];
+
+test('hands are classified into open palm, fist, pinch and thumbs-up', () => {
+  const gestures = recognizer();
+
+  assert.equal(gestures.classify(hand()), 'openPalm');
+  assert.equal(gestures.classify(hand({ fingers: 'curled', thumb: 'in' })), 'fist');
+  assert.equal(gestures.classify(hand({ fingers: 'curled', thumb: 'up' })), 'thumbsUp');
+  assert.equal(gestures.classify(hand({ fingers: ['extended', 'extended', 'extended', 'extended'], pinch: true })), 'pinch');
+  // Pointing, or a fist with the thumb out to the side, are nothing in particular
+  assert.equal(gestures.classify(hand({ fingers: ['extended', 'curled', 'curled', 'curled'], thumb: 'in' })), null);
+  assert.equal(gestures.classify(hand({ fingers: 'curled', thumb: 'out' })), null);
+  assert.equal(gestures.classify(null), null);
+});
+
+test('an open palm above the head is a raised hand', () => {
+  const gestures = recognizer();
+  const pose = standingPose(0.5);
+
+  assert.equal(gestures.classify(hand({ cy: 0.1 }), pose), 'raisedHand');
+  assert.equal(gestures.classify(hand({ cy: 0.4 }), pose), 'openPalm');
+  // Without a pose, the top of the picture counts as raised
+  assert.equal(gestures.classify(hand({ cy: 0.15 })), 'raisedHand');
+});
+
+test('a gesture fires once it has been held, and only once until it is let go', () => {
+  const gestures = recognizer({ cooldownMs: 500 });
+  const fired = [];
+  gestures.onGesture(event => fired.push(event));
+  const thumbsUp = hand({ fingers: 'curled', thumb: 'up' });
+
+  for (let t = 0; t < 400; t += 50) gestures.update([thumbsUp], LEFT, null, t);
+  assert.deepEqual(fired, []);
+  assert.equal(gestures.getProgress(350)[0].progress, 350 / 400);
+
+  for (let t = 400; t <= 1500; t += 50) gestures.update([thumbsUp], LEFT, null, t);
+  assert.deepEqual(fired, [{ gesture: 'thumbsUp', hand: 'left', time: 400 }]);
+  assert.deepEqual(gestures.getProgress(1500), []);
+
+  // Let go, then make it again
+  for (let t = 1550; t <= 1900; t += 50) gestures.update([], [], null, t);
+  for (let t = 1950; t <= 2400; t += 50) gestures.update([thumbsUp], LEFT, null, t);
+  assert.deepEqual(fired.map(event => event.time), [400, 2350]);
+});
+
+test('a brief misdetection does not break a hold, and the raised hand needs a longer one', () => {
+  const gestures = recognizer();
+  const fist = hand({ fingers: 'curled', thumb: 'in' });
+
+  gestures.update([fist], LEFT, null, 0);
+  gestures.update([fist], LEFT, null, 200);
+  gestures.update([hand({ fingers: 'curled', thumb: 'out' })], LEFT, null, 300);
+  assert.deepEqual(gestures.update([fist], LEFT, null, 400), [{ gesture: 'fist', hand: 'left', time: 400 }]);
+
+  const raised = recognizer();
+  for (let t = 0; t < 1000; t += 100) {
+    assert.deepEqual(raised.update([hand({ cy: 0.1 })], [], null, t), []);
+  }
+  assert.equal(raised.update([hand({ cy: 0.1 })], [], null, 1000)[0].gesture, 'raisedHand');
+});
+
+test('handedness is swapped to the dancer\'s own hands and disabled gestures are ignored', () => {
+  assert.equal(GestureRecognizer.handName({ label: 'Left' }, 0), 'right');
+  assert.equal(GestureRecognizer.handName({ label: 'Right' }, 1), 'left');
+  assert.equal(GestureRecognizer.handName(undefined, 1), 'hand1');
+
+  const gestures = recognizer({ enabled: ['fist'] });
+  for (let t = 0; t <= 1000; t += 100) {
+    assert.deepEqual(gestures.update([hand()], [], null, t), []);
+  }
+  gestures.setEnabled(['openPalm']);
+  gestures.update([hand()], [], null, 1100);
+  assert.equal(gestures.update([hand()], [], null, 1500)[0].gesture, 'openPalm');
+});
+
+// Tracker frames whose one hand makes a thumbs-up, with MediaPipe's handedness
+function thumbsUpFrames(count) {
+  return cannedFrames(count).map(frame => ({
+    ...frame,
+    handsLandmarks: [hand({ fingers: 'curled', thumb: 'up' })],
+    handedness: [{ index: 0, label: 'Left', score: 0.97 }]
+  }));
+}
+
+test('the tracker keeps each hand\'s handedness', async () => {
+  const { tracker, environment } = await createTracker(thumbsUpFrames(5));
+  const frames = [];
+  tracker.on('frame', frame => frames.push(frame));
+
+  await environment.runFrame(FRAME_MS);
+
+  assert.deepEqual(tracker.handsHandedness, [{ index: 0, label: 'Left', score: 0.97 }]);
+  assert.deepEqual(frames[0].handedness, tracker.handsHandedness);
+});
+
+test('held gestures run their action when gesture control is on', async () => {
+  const settings = new TrackerSettings({ search: '?gestureControl=true&gestureThumbsUp=toggleRecording' });
+  const { tracker, environment } = await createTracker(thumbsUpFrames(40), { settings });
+  const events = [];
+  tracker.on('gesture', event => events.push(event));
+
+  await environment.runFrames(20, FRAME_MS);
+
+  assert.equal(events.length, 1);
+  assert.equal(events[0].gesture, 'thumbsUp');
+  assert.equal(events[0].hand, 'right');
+  assert.equal(events[0].action, 'toggleRecording');
+  assert.equal(tracker.recorder.isRecording, true);
+
+  // The confirmation is shown on the canvas
+  const context = environment.canvas.context;
+  context.calls = [];
+  await environment.runFrame(FRAME_MS);
+  assert.ok(context.callsNamed('fillText').some(call => call.args[0] === '👍 Thumbs up → Start/stop recording'));
+});
+
+test('gesture control is off by default, and actions can be handled by the page', async () => {
+  const { tracker, environment } = await createTracker(thumbsUpFrames(40));
+  const events = [];
+  tracker.on('gesture', event => events.push(event));
+
+  await environment.runFrames(20, FRAME_MS);
+  assert.deepEqual(events, []);
+
+  const handled = [];
+  tracker.setGestureAction('restartDrill', ({ gesture, hand: which }) => handled.push([gesture, which]));
+  assert.throws(() => tracker.setGestureAction('moonwalk', () => {}), /Unknown gesture action "moonwalk"/);
+  tracker.settings.set('gestureControl', true);
+
+  await environment.runFrames(20, FRAME_MS);
+  assert.deepEqual(handled, [['thumbsUp', 'right']]);
+});
+
+test('a failing gesture action is reported without stopping tracking', async () => {
+  const settings = new TrackerSettings({ search: '?gestureControl=true' });
+  const { tracker, environment } = await createTracker(thumbsUpFrames(40), { settings });
+  const errors = [];
+  tracker.on('error', event => errors.push(event));
+  tracker.setGestureAction('restartDrill', () => { throw new Error('no drill'); });
+
+  await environment.runFrames(20, FRAME_MS);
+
+  assert.equal(errors.length, 1);
+  assert.equal(errors[0].fatal, false);
+  assert.match(errors[0].message, /Gesture action "restartDrill" failed: no drill/);
+  assert.equal(tracker.isTracking, true);
+});
@@ -0,0 +1,189 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts, createTracker, cannedFrames, FakeContext } = require('./helpers');
+
+const { HeadPoseEstimator, FACE_LANDMARKS: F } = loadScripts();
+
+const FRAME_MS = 34;
+
+// A face mesh of a head turned by yaw, pitch and roll (degrees, with the estimator's signs),
+// 0.2 tall in a square picture. Only the landmarks the estimator reads are placed.
+function face({ yaw = 0, pitch = 0, roll = 0, cx = 0.5, refined = true, eyesClosed = false, smile = false, irisX = 0, irisY = 0 } = {}) {
+  // Head coordinates: x towards the dancer's left, y down, z away from the camera
+  const points = {
+    [F.NOSE_TIP]: [0, 0.1, -0.5],
+    [F.FOREHEAD]: [0, -0.5, -0.3],
+    [F.CHIN]: [0, 0.5, -0.3],
+    [F.RIGHT_EYE_OUTER]: [-0.45, -0.1, -0.2],
+    [F.RIGHT_EYE_INNER]: [-0.15, -0.1, -0.2],
+    [F.RIGHT_EYE_TOP]: [-0.3, eyesClosed ? -0.11 : -0.145, -0.25],
+    [F.RIGHT_EYE_BOTTOM]: [-0.3, eyesClosed ? -0.09 : -0.055, -0.25],
+    [F.LEFT_EYE_OUTER]: [0.45, -0.1, -0.2],
+    [F.LEFT_EYE_INNER]: [0.15, -0.1, -0.2],
+    [F.LEFT_EYE_TOP]: [0.3, eyesClosed ? -0.11 : -0.145, -0.25],
+    [F.LEFT_EYE_BOTTOM]: [0.3, eyesClosed ? -0.09 : -0.055, -0.25],
+    [F.MOUTH_RIGHT]: [smile ? -0.33 : -0.25, smile ? 0.24 : 0.27, -0.3],
+    [F.MOUTH_LEFT]: [smile ? 0.33 : 0.25, smile ? 0.24 : 0.27, -0.3],
+    [F.UPPER_LIP]: [0, 0.25, -0.35],
+    [F.LOWER_LIP]: [0, 0.29, -0.35],
+    [F.RIGHT_IRIS]: [-0.3 + irisX * 0.15, -0.1 + irisY * 0.15, -0.26],
+    [F.LEFT_IRIS]: [0.3 + irisX * 0.15, -0.1 + irisY * 0.15, -0.26]
+  };
+
+  const [a, b, c] = [yaw, pitch, roll].map(angle => angle * Math.PI / 180);
+  const turn = ([x, y, z]) => {
+    // Roll, then pitch, then yaw
+    [x, y] = [x * Math.cos(c) - y * Math.sin(c), x * Math.sin(c) + y * Math.cos(c)];
+    [y, z] = [y * Math.cos(b) + z * Math.sin(b), -y * Math.sin(b) + z * Math.cos(b)];
+    [x, z] = [x * Math.cos(a) - z * Math.sin(a), x * Math.sin(a) + z * Math.cos(a)];
+    return { x: cx + x * 0.2, y: 0.3 + y * 0.2, z: z * 0.2 };
+  };
+
+  const landmarks = Array.from({ length: refined ? 478 : 468 }, () => turn(points[F.NOSE_TIP]));
+  Object.entries(points).forEach(([index, point]) => {
+    if (index < landmarks.length) landmarks[index] = turn(point);
+  });
+  return landmarks;
+}
+
+const estimator = (options = {}) => new HeadPoseEstimator({ aspect: 1, ...options });
+const near = (actual, expected, tolerance = 1e-6) => assert.ok(Math.abs(actual - expected) < tolerance, `${actual} != ${expected}`);
+
+test('yaw, pitch and roll are recovered from the mesh', () => {
+  const head = estimator();
+
+  let state = head.update(face(), 0);
+  near(state.yaw, 0);
+  near(state.pitch, 0);
+  near(state.roll, 0);
+  assert.equal(state.direction, 'forward');
+
+  state = head.update(face({ yaw: 30, pitch: -20, roll: 10 }), 100);
+  near(state.yaw, 30);
+  near(state.pitch, -20);
+  near(state.roll, 10);
+  assert.equal(state.direction, 'left');
+
+  assert.equal(head.update(face({ pitch: -40 }), 200).direction, 'down');
+  assert.equal(head.update(face({ yaw: -35 }), 300).direction, 'right');
+  assert.equal(head.update(face({ pitch: 30 }), 400).direction, 'up');
+  assert.equal(head.update(null, 500), null);
+});
+
+test('a wider picture does not change the angles', () => {
+  const mesh = face({ yaw: 25, pitch: 10 }).map(point => ({ x: 0.5 + (point.x - 0.5) * 3 / 4, y: point.y, z: point.z * 3 / 4 }));
+  const state = estimator({ aspect: 4 / 3 }).update(mesh, 0);
+
+  near(state.yaw, 25);
+  near(state.pitch, 10);
+});
+
+test('with refined landmarks the irises move the gaze off the head direction', () => {
+  const head = estimator();
+
+  // A slight nod with the eyes looking all the way down is looking at the feet
+  const eyesDown = head.update(face({ pitch: -10, irisY: 1 }), 0);
+  assert.equal(eyesDown.gaze.source, 'eyes');
+  near(eyesDown.pitch, -10);
+  near(eyesDown.gaze.pitch, -35);
+  assert.equal(eyesDown.lookingDown, true);
+
+  const eyesLeft = head.update(face({ irisX: 0.5 }), 100);
+  near(eyesLeft.gaze.yaw, 17.5);
+
+  // Without iris landmarks the gaze is where the head points, and there are no blinks or smiles
+  const plain = head.update(face({ refined: false, pitch: -30 }), 200);
+  assert.equal(plain.gaze.source, 'head');
+  near(plain.gaze.pitch, -30);
+  assert.equal(plain.lookingDown, true);
+  assert.equal(plain.eyeOpenness, null);
+  assert.equal(plain.smile, null);
+});
+
+test('blinks are counted and smiles are scored', () => {
+  const head = estimator();
+  let t = 0;
+  const frames = (count, options) => {
+    for (let i = 0; i < count; i++, t += 100) head.update(face(options), t);
+  };
+
+  frames(10, {});
+  frames(2, { eyesClosed: true });
+  frames(10, {});
+  // Eyes shut for a second is not a blink
+  frames(10, { eyesClosed: true });
+  frames(8, { smile: true });
+
+  const summary = head.getSummary();
+  assert.equal(head.samples.filter(sample => sample.blink).length, 1);
+  assert.equal(summary.blinksPerMinute, Math.round(60000 / 3900));
+  near(summary.smiling, 8 / 40);
+  assert.equal(head.getState().smiling, true);
+  assert.ok(head.getState().smile > 0.9);
+  assert.ok(head.update(face(), t).smile < 0.1);
+});
+
+test('looking down most of the time earns a tip, and the window forgets old samples', () => {
+  const head = estimator({ windowMs: 1000 });
+
+  for (let t = 0; t <= 1000; t += 100) head.update(face({ pitch: t < 700 ? -40 : 0 }), t);
+  near(head.getSummary().lookingDown, 7 / 11);
+  near(head.getSummary().pitchRange, 40);
+  assert.ok(head.getHudLines().includes('💡 Lift your gaze: look at your partner, not your feet'));
+  assert.match(head.getHudLines()[0], /^🙂 Head: yaw 0°  pitch 0°  roll 0°/);
+
+  for (let t = 1100; t <= 2000; t += 100) head.update(face(), t);
+  assert.equal(head.getSummary().lookingDown, 0);
+  assert.equal(head.getFeedback().includes('Lift your gaze: look at your partner, not your feet'), false);
+
+  // Time going backwards starts over
+  head.update(face(), 50);
+  assert.equal(head.samples.length, 1);
+});
+
+test('turning towards the partner counts as looking at them', () => {
+  const head = estimator();
+  // The partner stands on the right of the picture, which is the dancer's left
+  const partner = face({ cx: 0.8 });
+
+  assert.equal(head.update(face({ cx: 0.3, yaw: 40 }), 0, partner).lookingAtPartner, true);
+  assert.equal(head.update(face({ cx: 0.3, yaw: -40 }), 100, partner).lookingAtPartner, false);
+  assert.equal(head.update(face({ cx: 0.3, yaw: 40, pitch: -40 }), 200, partner).lookingAtPartner, false);
+  assert.equal(head.update(face({ cx: 0.3, yaw: 40 }), 300).lookingAtPartner, null);
+});
+
+test('the gaze arrow points where the dancer looks and turns red when they look down', () => {
+  const head = estimator();
+  const identity = (point) => ({ x: point.x * 100, y: point.y * 100 });
+  const ctx = new FakeContext();
+
+  head.update(face({ yaw: 90 }), 0);
+  head.drawDirection(ctx, face({ yaw: 90 }), identity);
+  const [from, to] = ctx.calls.filter(call => call.name === 'moveTo' || call.name === 'lineTo');
+  near(to.args[0] - from.args[0], 60);
+  near(to.args[1] - from.args[1], 0);
+  assert.equal(from.strokeStyle, '#69F0AE');
+
+  ctx.calls = [];
+  head.update(face({ pitch: -45 }), 100);
+  head.drawDirection(ctx, face({ pitch: -45 }), identity);
+  assert.equal(ctx.callsNamed('stroke')[0].strokeStyle, '#FF5252');
+  assert.ok(ctx.callsNamed('lineTo')[0].args[1] > ctx.callsNamed('moveTo')[0].args[1]);
+});
+
+test('the tracker estimates the head pose with each face and reports it in its events', async () => {
+  const frames = cannedFrames(10).map(frame => ({ ...frame, faceLandmarks: face({ pitch: -40 }) }));
+  const { tracker, environment } = await createTracker(frames);
+  const events = [];
+  tracker.on('frame', event => events.push(event));
+
+  await environment.runFrames(3, FRAME_MS);
+
+  assert.equal(events[2].headPose, tracker.headPose.getState());
+  assert.equal(events[2].headPose.direction, 'down');
+  assert.ok(tracker.getHudLines().some(line => line.startsWith('🙂 Head:')));
+  assert.ok(environment.canvas.context.callsNamed('stroke').some(call => call.strokeStyle === '#FF5252'));
+
+  tracker.restartDrill();
+  assert.equal(tracker.headPose.getState(), null);
+});
@@ -0,0 +1,413 @@
+// Shared setup for the Node test suite.
+// The app is plain browser scripts that share globals, so they are run into this
+// context the same way index.html loads them, and the tracker gets a headless
+// environment with a fake canvas, a manual clock and manual frame scheduling.
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const ROOT = path.join(__dirname, '..');
+
+// Same order as the <script> tags in index.html
+const SCRIPTS = [
+  'js/downloads.js',
+  'js/input_sources.js',
+  'js/landmark_filters.js',
+  'js/session_recorder.js',
+  'js/video_recorder.js',
+  'js/session_player.js',
+  'js/practice_history.js',
+  'js/pose_math.js',
+  'js/mocap_export.js',
+  'js/step_counter.js',
+  'js/kinematics.js',
+  'js/hip_analysis.js',
+  'js/head_pose.js',
+  'js/posture_coach.js',
+  'js/partner_tracker.js',
+  'js/beat_tracker.js',
+  'js/step_timing.js',
+  'js/choreo_compare.js',
+  'js/performance_governor.js',
+  'js/gesture_control.js',
+  'js/tracker_settings.js',
+  'js/render_compositor.js',
+  'js/motion_overlays.js',
+  'js/skeleton_viewer.js',
+  'js/asset_manifest.js',
+  'js/asset_loader.js',
+  'js/environment.js',
+  'js/detector_backends.js',
+  'js/fullbody_working.js'
+];
+
+let loaded = false;
+
+function loadScripts() {
+  if (!loaded) {
+    SCRIPTS.forEach(file => {
+      vm.runInThisContext(fs.readFileSync(path.join(ROOT, file), 'utf8'), { filename: file });
+    });
+    loaded = true;
+  }
+  return vm.runInThisContext(`({
+    FullBodyTracker, MockBackend, MockDetector, WorkerBackend, WorkerDetector, MediaPipeBackend,
+    SessionRecorder, POSE_LANDMARKS, TRACKER_EVENTS,
+    PerformanceGovernor, GOVERNOR_LEVELS, GOVERNOR_DEFAULT_LEVEL, renderGovernorPanel,
+    TrackerSettings, TRACKER_SETTINGS, RenderCompositor, RENDER_LAYERS,
+    MotionTrails, GhostOverlay, TRAIL_GROUPS, SkeletonViewer, SKELETON_VIEWS,
+    GestureRecognizer, GESTURES, GESTURE_ACTIONS, HeadPoseEstimator, FACE_LANDMARKS,
+    PracticeSessionLog, PracticeHistory, IndexedDBSessionStore, MemorySessionStore, HISTORY_METRICS,
+    renderHistoryTrends, renderHistoryList, renderSessionDetail, CanvasVideoRecorder, VIDEO_RECORDING_TYPES, BeatTracker,
+    PostureCoach, COACHING_RULES, COACHING_COLOR, KinematicsEngine, MultiLandmarkSmoother,
+    ChoreographyComparator
+  })`);
+}
+
+// Records every drawing call so tests can check what was drawn and where
+class FakeContext {
+  constructor() {
+    this.calls = [];
+    this.strokeStyle = '#000';
+    this.fillStyle = '#000';
+    this.lineWidth = 1;
+    this.globalAlpha = 1;
+    this.font = '10px sans-serif';
+    this.textAlign = 'start';
+    this.textBaseline = 'alphabetic';
+
+    ['save', 'restore', 'scale', 'translate', 'clearRect', 'drawImage', 'beginPath', 'moveTo', 'lineTo',
+      'stroke', 'arc', 'fill', 'fillRect', 'fillText'].forEach(name => {
+      this[name] = (...args) => this.calls.push({
+        name, args, fillStyle: this.fillStyle, strokeStyle: this.strokeStyle, lineWidth: this.lineWidth, globalAlpha: this.globalAlpha
+      });
+    });
+  }
+
+  measureText(text) {
+    return { width: text.length * 7 };
+  }
+
+  callsNamed(name) {
+    return this.calls.filter(call => call.name === name);
+  }
+}
+
+class FakeCanvas {
+  constructor(width = 300, height = 150) {
+    this.tagName = 'canvas';
+    this.width = width;
+    this.height = height;
+    this.style = {};
+    this.context = new FakeContext();
+  }
+
+  getContext() {
+    return this.context;
+  }
+}
+
+class HeadlessEnvironment {
+  constructor(options = {}) {
+    this.time = options.startTime || 1000;
+    this.elements = { 'tracking-canvas': new FakeCanvas() };
+    this.frameCallbacks = [];
+    // Compose frames on a fake OffscreenCanvas, like browsers that support it
+    this.offscreen = options.offscreen || false;
+    this.offscreenCanvas = null;
+    // Connected cameras, and errors the next cameras opened fail with
+    this.cameras = options.cameras || [{ deviceId: 'front', label: 'Front Camera' }];
+    this.cameraFailures = [];
+    this.cameraSources = [];
+    this.deviceChangeCallbacks = [];
+    this.delays = [];
+    // Clip recording: the video types the fake MediaRecorder takes, and the recorders made
+    this.recordingTypes = options.recordingTypes || ['video/webm;codecs=vp8,opus', 'video/webm'];
+    this.mediaRecorders = [];
+    // Cues spoken aloud, unless the fake browser has no speech synthesis
+    this.speech = options.speech !== undefined ? options.speech : true;
+    this.spoken = [];
+  }
+
+  getElementById(id) {
+    return this.elements[id] || null;
+  }
+
+  createElement(tagName) {
+    return tagName === 'canvas' ? new FakeCanvas() : { tagName, style: {} };
+  }
+
+  appendToBody(element) {
+    if (element.id) {
+      this.elements[element.id] = element;
+    }
+  }
+
+  createOffscreenCanvas(width, height) {
+    if (!this.offscreen) return null;
+    this.offscreenCanvas = new FakeCanvas(width, height);
+    return this.offscreenCanvas;
+  }
+
+  createCameraSource(videoElement, options) {
+    const deviceId = options.deviceId || (this.cameras[0] && this.cameras[0].deviceId);
+    const camera = this.cameras.find(device => device.deviceId === deviceId);
+    const source = new FakeInputSource({ deviceId, label: camera ? camera.label : '' });
+    source.options = options;
+    const failure = this.cameraFailures.shift();
+    if (failure) {
+      source.open = async () => { throw failure; };
+    }
+    this.cameraSources.push(source);
+    return source;
+  }
+
+  captureCanvasStream(canvas, fps) {
+    return new FakeMediaStream([{ kind: 'video', canvas, fps }]);
+  }
+
+  isRecordingTypeSupported(type) {
+    return this.recordingTypes.includes(type);
+  }
+
+  createMediaRecorder(stream, options) {
+    const recorder = new FakeMediaRecorder(stream, options);
+    this.mediaRecorders.push(recorder);
+    return recorder;
+  }
+
+  speak(text) {
+    if (!this.speech) return false;
+    this.spoken.push(text);
+    return true;
+  }
+
+  async listCameras() {
+    return this.cameras;
+  }
+
+  onDeviceChange(callback) {
+    this.deviceChangeCallbacks.push(callback);
+  }
+
+  // Plug in or remove cameras
+  async changeDevices(cameras) {
+    this.cameras = cameras;
+    for (const callback of this.deviceChangeCallbacks) {
+      await callback();
+    }
+  }
+
+  now() {
+    return this.time;
+  }
+
+  wallClock() {
+    return this.time;
+  }
+
+  requestFrame(callback) {
+    this.frameCallbacks.push(callback);
+    return this.frameCallbacks.length;
+  }
+
+  delay(ms) {
+    this.delays.push(ms);
+    return Promise.resolve();
+  }
+
+  waitForLoad() {
+    return Promise.resolve();
+  }
+
+  get canvas() {
+    return this.elements['tracking-canvas'];
+  }
+
+  // Move the clock on and run the callbacks queued for the next repaint
+  async runFrame(ms = 1000 / 30) {
+    this.time += ms;
+    const callbacks = this.frameCallbacks;
+    this.frameCallbacks = [];
+    for (const callback of callbacks) {
+      await callback();
+    }
+  }
+
+  async runFrames(count, ms) {
+    for (let i = 0; i < count; i++) {
+      await this.runFrame(ms);
+    }
+  }
+}
+
+// Media tracks that remember being stopped
+class FakeMediaStream {
+  constructor(tracks = []) {
+    this.tracks = tracks.map(track => ({ stopped: false, stop() { this.stopped = true; }, ...track }));
+  }
+
+  addTrack(track) {
+    this.tracks.push(track);
+  }
+
+  getTracks() {
+    return this.tracks;
+  }
+
+  getVideoTracks() {
+    return this.tracks.filter(track => track.kind === 'video');
+  }
+
+  getAudioTracks() {
+    return this.tracks.filter(track => track.kind === 'audio');
+  }
+}
+
+// Hands over data when a test calls emitData(), and the last chunk once stopped
+class FakeMediaRecorder {
+  constructor(stream, options) {
+    this.stream = stream;
+    this.options = options;
+    this.state = 'inactive';
+    this.ondataavailable = null;
+    this.onstop = null;
+    this.onerror = null;
+  }
+
+  start(timeslice) {
+    this.timeslice = timeslice;
+    this.state = 'recording';
+  }
+
+  // What a browser does every timeslice
+  emitData(text = 'chunk') {
+    this.ondataavailable({ data: new Blob([text]) });
+  }
+
+  stop() {
+    this.state = 'inactive';
+    setImmediate(() => {
+      this.ondataavailable({ data: new Blob(['last']) });
+      this.onstop();
+    });
+  }
+}
+
+// A live source that is always ready, standing in for the camera
+class FakeInputSource {
+  constructor(options = {}) {
+    this.kind = options.kind || 'camera';
+    this.isLive = options.isLive !== undefined ? options.isLive : true;
+    this.element = { tagName: 'video' };
+    this.frameWidth = options.width || 640;
+    this.frameHeight = options.height || 480;
+    this.deviceId = options.deviceId || null;
+    this.label = options.label || '';
+    this.onEnded = null;
+    this.opened = false;
+    this.closed = false;
+    // Files step through their frames one at a time
+    this.frameCount = options.frameCount || 10;
+    this.frameRate = options.frameRate || 30;
+    this.frameIndex = 0;
+    this.paused = false;
+  }
+
+  get currentTime() {
+    return this.frameIndex / this.frameRate;
+  }
+
+  async play() {
+    this.paused = false;
+  }
+
+  pause() {
+    this.paused = true;
+  }
+
+  async advance() {
+    if (this.frameIndex >= this.frameCount - 1) {
+      this.paused = true;
+      return false;
+    }
+    this.frameIndex++;
+    return true;
+  }
+
+  async open() {
+    this.opened = true;
+  }
+
+  close() {
+    this.closed = true;
+  }
+
+  isReady() {
+    return true;
+  }
+}
+
+// A standing figure centred at (cx, 0.5) in normalized image coordinates
+function standingPose(cx = 0.5, visibility = 0.9) {
+  const landmarks = Array.from({ length: 33 }, () => ({ x: cx, y: 0.5, z: 0, visibility }));
+  const set = (index, x, y) => { landmarks[index] = { x: cx + x, y, z: 0, visibility }; };
+
+  set(0, 0, 0.15);
+  set(11, 0.06, 0.3);
+  set(12, -0.06, 0.3);
+  set(13, 0.08, 0.42);
+  set(14, -0.08, 0.42);
+  set(15, 0.09, 0.53);
+  set(16, -0.09, 0.53);
+  set(23, 0.04, 0.55);
+  set(24, -0.04, 0.55);
+  set(25, 0.04, 0.72);
+  set(26, -0.04, 0.72);
+  set(27, 0.04, 0.9);
+  set(28, -0.04, 0.9);
+  return landmarks;
+}
+
+function cannedFrames(count, options = {}) {
+  return Array.from({ length: count }, (_, index) => ({
+    t: index * 33,
+    poseLandmarks: options.noPose ? null : standingPose(0.5),
+    poseWorldLandmarks: options.noPose ? null : standingPose(0).map(landmark => ({ ...landmark, y: landmark.y - 0.55 })),
+    faceLandmarks: options.face ? Array.from({ length: 468 }, () => ({ x: 0.5, y: 0.15, z: 0 })) : null,
+    handsLandmarks: options.hands ? [Array.from({ length: 21 }, () => ({ x: 0.6, y: 0.53, z: 0 }))] : []
+  }));
+}
+
+// A tracker wired to the mock backend and the headless environment, initialized and tracking
+async function createTracker(frames = cannedFrames(10), options = {}) {
+  const { FullBodyTracker, MockBackend } = loadScripts();
+  const environment = new HeadlessEnvironment(options.environment);
+  const backend = options.detectorBackend || new MockBackend(frames, options.backend);
+  // camera: start without an input source, so the tracker opens the environment's camera
+  const inputSource = options.camera ? null : new FakeInputSource(options.inputSource);
+  const tracker = new FullBodyTracker({ backend, environment, inputSource, settings: options.settings, history: options.history });
+
+  // Keep test output quiet
+  tracker.showDebug = false;
+  if (options.beforeInit) {
+    options.beforeInit(tracker);
+  }
+  await tracker.init();
+  // init starts the first frame without waiting for it, so let it finish
+  await new Promise(resolve => setImmediate(resolve));
+  return { tracker, environment, backend, inputSource };
+}
+
+module.exports = {
+  loadScripts,
+  FakeContext,
+  FakeCanvas,
+  HeadlessEnvironment,
+  FakeInputSource,
+  FakeMediaStream,
+  standingPose,
+  cannedFrames,
+  createTracker
+};
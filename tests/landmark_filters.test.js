@@ -0,0 +1,50 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts } = require('./helpers');
+
+const { MultiLandmarkSmoother } = loadScripts();
+
+const hand = (x, y = 0.5) => Array.from({ length: 21 }, () => ({ x, y, z: 0 }));
+const label = (name) => ({ label: name });
+
+test('labelled hands keep their own filters whatever order they arrive in', () => {
+  const smoother = new MultiLandmarkSmoother('oneEuro', { minCutoff: 1, beta: 0, dCutoff: 1 });
+
+  // The left hand alone, then the right hand shows up first in the list
+  smoother.apply([hand(0.2)], 0, [label('Left')]);
+  let [right, left] = smoother.apply([hand(0.8), hand(0.2)], 33, [label('Right'), label('Left')]);
+  assert.equal(right[0].x, 0.8);
+  assert.equal(left[0].x, 0.2);
+
+  // Swapping order every frame doesn't blend one hand into the other
+  for (let t = 66; t < 400; t += 33) {
+    const swapped = (t / 33) % 2 === 0;
+    const results = swapped
+      ? smoother.apply([hand(0.2), hand(0.8)], t, [label('Left'), label('Right')])
+      : smoother.apply([hand(0.8), hand(0.2)], t, [label('Right'), label('Left')]);
+    [left, right] = swapped ? results : [results[1], results[0]];
+    assert.equal(left[0].x, 0.2);
+    assert.equal(right[0].x, 0.8);
+  }
+});
+
+test('crossing hands follow their labels rather than the nearest wrist', () => {
+  const smoother = new MultiLandmarkSmoother('oneEuro', { minCutoff: 1, beta: 0, dCutoff: 1 });
+  smoother.apply([hand(0.3), hand(0.7)], 0, [label('Left'), label('Right')]);
+
+  // The hands cross: each wrist is now nearest the other hand's last position
+  const [left, right] = smoother.apply([hand(0.65), hand(0.35)], 33, [label('Left'), label('Right')]);
+  assert.ok(left[0].x > 0.3 && left[0].x < 0.65);
+  assert.ok(right[0].x < 0.7 && right[0].x > 0.35);
+  assert.equal(smoother.slots.length, 2);
+});
+
+test('unlabelled hands are matched by the nearest wrist among unlabelled slots', () => {
+  const smoother = new MultiLandmarkSmoother('oneEuro', { minCutoff: 1, beta: 0, dCutoff: 1 });
+  smoother.apply([hand(0.2), hand(0.8)], 0);
+
+  const [second, first] = smoother.apply([hand(0.81), hand(0.21)], 33);
+  assert.ok(Math.abs(first[0].x - 0.21) < 0.01);
+  assert.ok(Math.abs(second[0].x - 0.81) < 0.01);
+  assert.equal(smoother.slots.length, 2);
+});
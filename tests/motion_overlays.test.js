@@ -0,0 +1,169 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts, createTracker, FakeContext, standingPose, cannedFrames } = require('./helpers');
+
+const { MotionTrails, GhostOverlay, SessionRecorder } = loadScripts();
+
+const FRAME_MS = 34;
+
+// A standing pose whose feet are at the given x offsets from the body
+function steppingPose(cx, leftFootX, rightFootX) {
+  const landmarks = standingPose(cx);
+  landmarks[31] = { x: cx + leftFootX, y: 0.95, z: 0, visibility: 0.9 };
+  landmarks[32] = { x: cx + rightFootX, y: 0.95, z: 0, visibility: 0.9 };
+  return landmarks;
+}
+
+// A reference session file, as the page would load it
+function referenceFile(poses, width = 640, height = 480) {
+  const recorder = new SessionRecorder();
+  recorder.start({ width, height });
+  poses.forEach((pose, index) => recorder.addFrame(index * 100, { poseLandmarks: pose }));
+  const text = SessionRecorder.serialize(recorder.stop());
+  return { text: async () => text };
+}
+
+const identity = (point) => ({ x: point.x, y: point.y });
+
+test('trails keep the chosen landmarks for the last few seconds', () => {
+  const trails = new MotionTrails({ groups: ['feet', 'hips'], duration: 1000 });
+
+  for (let t = 0; t <= 1500; t += 100) {
+    trails.update(steppingPose(0.5, t / 10000, -0.04), t);
+  }
+
+  const tracks = trails.getTracks();
+  assert.deepEqual(Object.keys(tracks).sort(), ['hips', 'leftFoot', 'rightFoot']);
+  assert.equal(tracks.leftFoot.length, 11);
+  assert.equal(tracks.leftFoot[0].t, 500);
+  assert.ok(Math.abs(tracks.leftFoot[10].x - 0.65) < 1e-9);
+  // Hips follow the midpoint of the two hip landmarks
+  assert.deepEqual(tracks.hips[0], { t: 500, x: 0.5, y: 0.55 });
+  assert.equal(tracks.leftHand, undefined);
+});
+
+test('hidden landmarks leave gaps, and time going backwards clears the trails', () => {
+  const trails = new MotionTrails({ groups: ['hands'] });
+  const hidden = standingPose(0.5);
+  hidden[15] = { ...hidden[15], visibility: 0.1 };
+
+  trails.update(standingPose(0.5), 0);
+  trails.update(hidden, 33);
+  trails.update(null, 66);
+  assert.equal(trails.getTracks().leftHand.length, 1);
+  assert.equal(trails.getTracks().rightHand.length, 2);
+
+  trails.update(standingPose(0.5), 10);
+  assert.equal(trails.getTracks().rightHand.length, 1);
+  assert.throws(() => trails.setGroups(['tail']), /Unknown trail group "tail"/);
+});
+
+test('older trail segments are drawn fainter and thinner, and long gaps are not joined', () => {
+  const trails = new MotionTrails({ groups: ['hips'], duration: 1000 });
+  [0, 100, 200, 900, 1000].forEach(t => trails.update(standingPose(0.5 + t / 10000), t));
+  const ctx = new FakeContext();
+  ctx.globalAlpha = 0.8;
+
+  trails.draw(ctx, identity);
+
+  const strokes = ctx.callsNamed('stroke');
+  assert.equal(strokes.length, 3);
+  assert.ok(strokes[0].globalAlpha < strokes[1].globalAlpha);
+  assert.ok(strokes[0].lineWidth < strokes[2].lineWidth);
+  assert.equal(strokes[2].globalAlpha, 0.8);
+  assert.equal(strokes[2].strokeStyle, '#FFEA00');
+  assert.equal(ctx.globalAlpha, 0.8);
+});
+
+test('the ghost plays the reference in time and loops', async () => {
+  const ghost = new GhostOverlay();
+  const session = SessionRecorder.parse(await referenceFile([standingPose(0.3), standingPose(0.4), standingPose(0.5)]).text());
+
+  ghost.setReference(session);
+  assert.equal(ghost.frameAt(0), null);
+
+  ghost.start(1000);
+  assert.equal(ghost.frameAt(1000).t, 0);
+  assert.equal(ghost.frameAt(1150).t, 100);
+  assert.equal(ghost.frameAt(1250).t, 0);
+
+  ghost.loop = false;
+  assert.equal(ghost.frameAt(5000).t, 200);
+  assert.throws(() => ghost.setReference({ frames: [{ t: 0, poseLandmarks: null }] }), /no pose landmarks/);
+});
+
+test('the ghost is moved onto the live dancer\'s hips and scaled to their torso', () => {
+  const ghost = new GhostOverlay();
+  ghost.setReference({ width: 640, height: 480, frames: [{ t: 0, poseLandmarks: standingPose(0.3) }] });
+  ghost.start(0);
+
+  // The live dancer stands at x = 0.7 and twice as tall, hips at the same height
+  const live = standingPose(0.7).map(landmark => ({ ...landmark, x: 0.7 + (landmark.x - 0.7) * 2, y: 0.55 + (landmark.y - 0.55) * 2 }));
+  const pose = ghost.poseAt(0, live, 4 / 3);
+
+  const approx = (actual, expected) => assert.ok(Math.abs(actual - expected) < 1e-9, `${actual} != ${expected}`);
+  approx(pose[0].x, 0.7);
+  approx(pose[0].y, 0.55 - 0.4 * 2);
+  approx(pose[15].x, 0.7 + 0.09 * 2);
+  approx(pose[27].y, 0.55 + 0.35 * 2);
+  assert.equal(pose[15].visibility, 0.9);
+
+  // Mirrored, the reference's left wrist ends up on the other side
+  ghost.mirror = true;
+  approx(ghost.poseAt(0, live, 4 / 3)[15].x, 0.7 - 0.09 * 2);
+
+  // A wider live video squeezes the reference horizontally to keep its proportions
+  ghost.mirror = false;
+  approx(ghost.poseAt(0, standingPose(0.7), 16 / 9)[15].x, 0.7 + 0.09 * (4 / 3) / (16 / 9));
+  // No live dancer: the reference stays where it was recorded
+  approx(ghost.poseAt(0, null)[15].x, 0.39);
+});
+
+test('the tracker draws trails of the live dancer over the video and under the skeleton', async () => {
+  const frames = cannedFrames(10).map((frame, index) => ({ ...frame, poseLandmarks: standingPose(0.4 + index * 0.02) }));
+  const { tracker, environment } = await createTracker(frames);
+  const context = environment.canvas.context;
+  tracker.setMotionTrails(['hips']);
+
+  await environment.runFrames(3, FRAME_MS);
+  context.calls = [];
+  await environment.runFrame(FRAME_MS);
+
+  const trailStrokes = context.callsNamed('stroke').filter(call => call.strokeStyle === '#FFEA00');
+  assert.ok(trailStrokes.length >= 2);
+  const names = context.calls.map(call => call.name);
+  assert.ok(names.indexOf('drawImage') < context.calls.indexOf(trailStrokes[0]));
+  assert.ok(context.calls.indexOf(trailStrokes[trailStrokes.length - 1]) < names.indexOf('arc'));
+
+  tracker.setMotionTrails([]);
+  context.calls = [];
+  await environment.runFrame(FRAME_MS);
+  assert.equal(context.callsNamed('stroke').filter(call => call.strokeStyle === '#FFEA00').length, 0);
+});
+
+test('the ghost needs a reference and follows the compare mirror', async () => {
+  const { tracker, environment } = await createTracker();
+  const context = environment.canvas.context;
+  const errors = [];
+  tracker.on('error', (event) => errors.push(event.message));
+
+  assert.equal(tracker.setGhost(true), false);
+  assert.deepEqual(errors, ['Load a reference recording first.']);
+
+  assert.equal(await tracker.loadReference(referenceFile([standingPose(0.3), standingPose(0.3)])), true);
+  assert.equal(tracker.setGhost(true), true);
+  context.calls = [];
+  await environment.runFrame(FRAME_MS);
+
+  const ghostStrokes = context.callsNamed('stroke').filter(call => call.strokeStyle === '#FFFFFF');
+  assert.ok(ghostStrokes.length > 0);
+  assert.equal(ghostStrokes[0].globalAlpha, 0.5);
+
+  tracker.setCompareMirror(true);
+  assert.equal(tracker.ghost.mirror, true);
+
+  tracker.setGhost(false);
+  context.calls = [];
+  await environment.runFrame(FRAME_MS);
+  assert.equal(context.callsNamed('stroke').filter(call => call.strokeStyle === '#FFFFFF').length, 0);
+});
@@ -0,0 +1,165 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts } = require('./helpers');
+
+const { PerformanceGovernor, GOVERNOR_LEVELS, GOVERNOR_DEFAULT_LEVEL, renderGovernorPanel } = loadScripts();
+
+// Feed whole one-second windows of 30 frames that each took `ms`
+function runWindows(governor, ms, windows) {
+  if (governor.clock === undefined) {
+    // The first frame opens the first window
+    governor.clock = 0;
+    governor.recordFrame(ms, governor.clock);
+  }
+  for (let i = 0; i < windows * 30; i++) {
+    governor.clock += 1000 / 30 + 0.01;
+    governor.recordFrame(ms, governor.clock);
+  }
+}
+
+test('starts at the lightest all-modules level and the goal\'s top frame rate', () => {
+  const governor = new PerformanceGovernor();
+
+  assert.equal(governor.goal, 'smooth');
+  assert.deepEqual(governor.settings, { targetFps: 30, level: GOVERNOR_DEFAULT_LEVEL, ...GOVERNOR_LEVELS[GOVERNOR_DEFAULT_LEVEL] });
+  assert.equal(governor.settings.poseComplexity, 0);
+  assert.equal(governor.settings.faceEvery, 1);
+});
+
+test('smooth goal gives up quality, never frame rate, when frames run over budget', () => {
+  const governor = new PerformanceGovernor({ goal: 'smooth' });
+  const changes = [];
+  governor.onChange((settings, previous, reason) => changes.push({ settings, previous, reason }));
+
+  runWindows(governor, 40, 2);
+
+  assert.equal(governor.level, GOVERNOR_DEFAULT_LEVEL + 2);
+  assert.equal(governor.targetFps, 30);
+  assert.equal(changes.length, 2);
+  assert.equal(changes[0].previous.level, GOVERNOR_DEFAULT_LEVEL);
+  assert.match(changes[0].reason, /Lowered quality to level 4 \(frames at 12\d% of budget\)/);
+
+  runWindows(governor, 40, 5);
+  assert.equal(governor.level, GOVERNOR_LEVELS.length - 1);
+  assert.equal(governor.targetFps, 30);
+  assert.equal(governor.settings.inputScale, 0.5);
+});
+
+test('accuracy goal lowers the frame rate first, then quality', () => {
+  const governor = new PerformanceGovernor({ goal: 'accuracy' });
+
+  runWindows(governor, 80, 1);
+  assert.equal(governor.targetFps, 25);
+  assert.equal(governor.level, GOVERNOR_DEFAULT_LEVEL);
+
+  runWindows(governor, 80, 3);
+  assert.equal(governor.targetFps, 12);
+
+  runWindows(governor, 100, 1);
+  assert.equal(governor.level, GOVERNOR_DEFAULT_LEVEL + 1);
+});
+
+test('quality is only raised after several calm windows', () => {
+  const governor = new PerformanceGovernor({ goal: 'smooth' });
+
+  runWindows(governor, 5, 2);
+  assert.equal(governor.level, GOVERNOR_DEFAULT_LEVEL);
+
+  runWindows(governor, 5, 1);
+  assert.equal(governor.level, GOVERNOR_DEFAULT_LEVEL - 1);
+  assert.equal(governor.reason, 'Raised quality to level 2');
+});
+
+test('accuracy goal raises quality before frame rate', () => {
+  const governor = new PerformanceGovernor({ goal: 'accuracy' });
+  runWindows(governor, 80, 1);
+  assert.equal(governor.targetFps, 25);
+
+  runWindows(governor, 5, 3);
+
+  assert.equal(governor.level, GOVERNOR_DEFAULT_LEVEL - 1);
+  assert.equal(governor.targetFps, 25);
+});
+
+test('a step up that has to be undone makes the next one wait twice as long', () => {
+  const governor = new PerformanceGovernor({ goal: 'smooth' });
+
+  runWindows(governor, 5, 3);
+  assert.equal(governor.level, GOVERNOR_DEFAULT_LEVEL - 1);
+  runWindows(governor, 40, 1);
+  assert.equal(governor.level, GOVERNOR_DEFAULT_LEVEL);
+  assert.equal(governor.calmNeeded, 6);
+
+  runWindows(governor, 5, 5);
+  assert.equal(governor.level, GOVERNOR_DEFAULT_LEVEL);
+  runWindows(governor, 5, 1);
+  assert.equal(governor.level, GOVERNOR_DEFAULT_LEVEL - 1);
+});
+
+test('load between the thresholds leaves the settings alone', () => {
+  const governor = new PerformanceGovernor({ goal: 'smooth' });
+  let changes = 0;
+  governor.onChange(() => changes++);
+
+  runWindows(governor, 25, 6);
+
+  assert.equal(changes, 0);
+  assert.ok(Math.abs(governor.load - 0.75) < 0.01);
+});
+
+test('off goal measures but never changes anything', () => {
+  const governor = new PerformanceGovernor({ goal: 'off' });
+
+  runWindows(governor, 200, 3);
+  runWindows(governor, 1, 10);
+
+  assert.equal(governor.level, GOVERNOR_DEFAULT_LEVEL);
+  assert.equal(governor.targetFps, 30);
+  assert.equal(governor.frameMs !== null, true);
+});
+
+test('face and hands take turns when both run every other frame', () => {
+  const governor = new PerformanceGovernor();
+  governor.level = 4;
+
+  const schedule = [1, 2, 3, 4].map(frameId => [governor.shouldRun('face', frameId), governor.shouldRun('hands', frameId)]);
+
+  assert.deepEqual(schedule, [[false, true], [true, false], [false, true], [true, false]]);
+  assert.ok(governor.shouldRun('pose', 1));
+});
+
+test('per-module inference times are smoothed', () => {
+  const governor = new PerformanceGovernor();
+
+  governor.recordInference('pose', 10);
+  governor.recordInference('pose', 20);
+
+  assert.equal(governor.moduleMs.pose, 12);
+  assert.deepEqual(governor.getState().moduleMs, { pose: 12 });
+});
+
+test('changing goal resets the decisions and reports the change', () => {
+  const governor = new PerformanceGovernor({ goal: 'smooth' });
+  const reasons = [];
+  governor.onChange((settings, previous, reason) => reasons.push(reason));
+  runWindows(governor, 40, 2);
+
+  governor.setGoal('accuracy');
+
+  assert.equal(governor.level, GOVERNOR_DEFAULT_LEVEL);
+  assert.equal(reasons[reasons.length - 1], 'Goal: Max accuracy');
+  assert.throws(() => governor.setGoal('turbo'), /Unknown performance goal/);
+});
+
+test('debug panel lists the current decisions', () => {
+  const governor = new PerformanceGovernor();
+  governor.recordInference('pose', 12.34);
+  const container = { innerHTML: '' };
+
+  renderGovernorPanel(container, governor);
+
+  assert.match(container.innerHTML, /<span>Goal<\/span><span>Smooth 30 FPS<\/span>/);
+  assert.match(container.innerHTML, /<span>Face<\/span><span>every frame<\/span>/);
+  assert.match(container.innerHTML, /<span>pose inference<\/span><span>12\.3 ms<\/span>/);
+  assert.match(container.innerHTML, /<span>Last change<\/span><span>Starting<\/span>/);
+});
@@ -0,0 +1,184 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts, createTracker, cannedFrames } = require('./helpers');
+
+const { PostureCoach, KinematicsEngine, POSE_LANDMARKS: P, COACHING_COLOR, TrackerSettings } = loadScripts();
+
+const FRAME_MS = 34;
+
+// World landmarks (metres, Y down, facing the camera along -z) of a dancer with bent knees,
+// a tilted shoulder line (left side up), raised upper arms and the weight `weight` of the
+// way from the heels to the toes
+function worldPose({ kneeBend = 20, shoulderTilt = 0, armRaise = 45, weight = 0.6 } = {}) {
+  const landmarks = Array.from({ length: 33 }, () => ({ x: 0, y: 0, z: 0, visibility: 0.9 }));
+  const set = (index, x, y, z = 0) => { landmarks[index] = { x, y, z, visibility: 0.9 }; };
+  const rad = (degrees) => degrees * Math.PI / 180;
+  const rise = Math.tan(rad(shoulderTilt)) * 0.2;
+
+  [[1, P.LEFT_SHOULDER, P.LEFT_ELBOW, P.LEFT_WRIST, P.LEFT_HIP, P.LEFT_KNEE, P.LEFT_ANKLE, P.LEFT_HEEL, P.LEFT_FOOT_INDEX],
+    [-1, P.RIGHT_SHOULDER, P.RIGHT_ELBOW, P.RIGHT_WRIST, P.RIGHT_HIP, P.RIGHT_KNEE, P.RIGHT_ANKLE, P.RIGHT_HEEL, P.RIGHT_FOOT_INDEX]]
+    .forEach(([side, shoulder, elbow, wrist, hip, knee, ankle, heel, toe]) => {
+      const x = side * 0.1;
+      const shoulderY = -0.5 - side * rise / 2;
+      set(shoulder, x, shoulderY);
+      set(elbow, x + side * 0.3 * Math.sin(rad(armRaise)), shoulderY + 0.3 * Math.cos(rad(armRaise)));
+      set(wrist, x + side * 0.55 * Math.sin(rad(armRaise)), shoulderY + 0.55 * Math.cos(rad(armRaise)));
+      set(hip, x, 0);
+      // The knee comes forward by half the bend and the shin goes back by the other half
+      set(knee, x, 0.45 * Math.cos(rad(kneeBend / 2)), -0.45 * Math.sin(rad(kneeBend / 2)));
+      set(ankle, x, 0.9 * Math.cos(rad(kneeBend / 2)));
+      set(heel, x, 0.9 * Math.cos(rad(kneeBend / 2)) + 0.05, weight * 0.25);
+      set(toe, x, 0.9 * Math.cos(rad(kneeBend / 2)) + 0.05, weight * 0.25 - 0.25);
+    });
+  return landmarks;
+}
+
+// Feed the same pose for `ms` milliseconds, a frame every 100 ms, and return the last violations
+function hold(coach, pose, from, ms) {
+  const kinematics = new KinematicsEngine();
+  let violations = [];
+  for (let t = from; t <= from + ms; t += 100) {
+    violations = coach.update(kinematics.update(pose, t), pose, t);
+  }
+  return violations;
+}
+
+const near = (actual, expected, tolerance = 1e-6) => assert.ok(Math.abs(actual - expected) < tolerance, `${actual} != ${expected}`);
+
+test('a rule is broken once it has been out of range for its hold time', () => {
+  const coach = new PostureCoach({ enabled: ['softKnees'] });
+
+  assert.deepEqual(hold(coach, worldPose({ kneeBend: 2 }), 0, 1400), []);
+  const [violation] = hold(coach, worldPose({ kneeBend: 2 }), 1500, 100);
+  assert.equal(violation.rule, 'softKnees');
+  assert.equal(violation.label, 'Knees stay soft');
+  near(violation.value[0], 178);
+  assert.deepEqual(violation.joints, [P.LEFT_KNEE, P.RIGHT_KNEE]);
+  assert.deepEqual(coach.getHudLines(), ['❗ 🦵 Knees stay soft']);
+
+  // Bending the knees clears it at once
+  assert.deepEqual(hold(coach, worldPose({ kneeBend: 25 }), 1700, 0), []);
+  assert.deepEqual(coach.getHighlightedJoints(), []);
+});
+
+test('shoulders, feet and frame arms are measured from the world landmarks', () => {
+  const coach = new PostureCoach({ enabled: ['levelShoulders', 'weightForward', 'frameArms'] });
+
+  assert.deepEqual(hold(coach, worldPose(), 0, 3000), []);
+
+  const violations = hold(coach, worldPose({ shoulderTilt: 15, armRaise: 10, weight: 0.2 }), 5000, 3000);
+  assert.deepEqual(violations.map(violation => violation.rule), ['levelShoulders', 'weightForward', 'frameArms']);
+  near(violations[0].value[0], 15);
+  near(violations[1].value[0], 0.2);
+  assert.deepEqual(coach.getHighlightedJoints(), [
+    P.LEFT_SHOULDER, P.RIGHT_SHOULDER,
+    P.LEFT_HEEL, P.RIGHT_HEEL, P.LEFT_FOOT_INDEX, P.RIGHT_FOOT_INDEX,
+    P.LEFT_ELBOW, P.LEFT_WRIST, P.RIGHT_ELBOW, P.RIGHT_WRIST
+  ]);
+
+  near(PostureCoach.weightAlongFeet(worldPose({ weight: 0.7 })), 0.7);
+  assert.equal(PostureCoach.weightAlongFeet(null), null);
+});
+
+test('only the offending side is highlighted, and parts out of view are not judged', () => {
+  const coach = new PostureCoach({ enabled: ['softKnees'] });
+  const pose = worldPose({ kneeBend: 25 });
+  // Straighten the left leg only
+  pose[P.LEFT_KNEE] = { ...pose[P.LEFT_KNEE], z: 0, y: 0.45 };
+  pose[P.LEFT_ANKLE] = { ...pose[P.LEFT_ANKLE], y: 0.9 };
+
+  assert.deepEqual(hold(coach, pose, 0, 2000)[0].joints, [P.LEFT_KNEE]);
+
+  pose[P.LEFT_ANKLE] = { ...pose[P.LEFT_ANKLE], visibility: 0.1 };
+  assert.deepEqual(hold(coach, pose, 2100, 2000), []);
+  assert.deepEqual(hold(coach, null, 4200, 0), []);
+});
+
+test('cues are rate limited overall and per rule', () => {
+  const coach = new PostureCoach({ enabled: ['softKnees', 'levelShoulders'], cueIntervalMs: 5000, repeatMs: 20000 });
+  const cues = [];
+  coach.onCue(event => cues.push(event));
+
+  hold(coach, worldPose({ kneeBend: 0 }), 0, 30000);
+  assert.deepEqual(cues.map(cue => [cue.rule, cue.time]), [['softKnees', 1500], ['softKnees', 21500]]);
+  assert.equal(cues[0].cue, 'Soften your knees');
+
+  // Another rule waits for the overall interval, not its own
+  cues.length = 0;
+  hold(coach, worldPose({ kneeBend: 0, shoulderTilt: 20 }), 30100, 10000);
+  assert.deepEqual(cues.map(cue => [cue.rule, cue.time]), [['levelShoulders', 31600]]);
+});
+
+test('thresholds can be changed and custom rules added', () => {
+  const coach = new PostureCoach({
+    rules: {
+      softKnees: { max: 150 },
+      // Wrists below the shoulders
+      handsUp: {
+        label: 'Hands up', emoji: '🙌', cue: 'Hands up',
+        metric: (kinematics) => [{ value: kinematics.positions.leftWrist && kinematics.positions.leftWrist.y, joints: [P.LEFT_WRIST] }],
+        max: -0.5, holdMs: 500
+      }
+    },
+    enabled: ['softKnees', 'handsUp']
+  });
+
+  assert.deepEqual(hold(coach, worldPose({ kneeBend: 20 }), 0, 2000).map(violation => violation.rule), ['softKnees', 'handsUp']);
+  assert.equal(coach.rules.softKnees.holdMs, 1500);
+
+  coach.configure('softKnees', { max: 175 });
+  assert.deepEqual(hold(coach, worldPose({ kneeBend: 20, armRaise: 180 }), 2100, 2000), []);
+  assert.throws(() => coach.configure('chinUp', { min: 0 }), /Unknown coaching rule "chinUp"/);
+
+  // Seeking back starts over
+  hold(coach, worldPose({ kneeBend: 0, armRaise: 180 }), 5000, 2000);
+  assert.equal(coach.getViolations().length, 1);
+  hold(coach, worldPose({ kneeBend: 0, armRaise: 180 }), 0, 0);
+  assert.equal(coach.getViolations().length, 0);
+});
+
+test('the tracker highlights broken rules on the skeleton and reports them', async () => {
+  // The canned dancer stands with straight knees
+  const { tracker, environment } = await createTracker(cannedFrames(60));
+  const events = [];
+  tracker.on('coaching', event => events.push(event));
+
+  await environment.runFrames(50, FRAME_MS);
+
+  assert.equal(events.length, 1);
+  assert.deepEqual(events[0].violations.map(violation => violation.rule), ['softKnees']);
+  assert.deepEqual(events[0].cue, { rule: 'softKnees', text: 'Soften your knees', spoken: false });
+  assert.deepEqual(environment.spoken, []);
+  assert.ok(tracker.getHudLines().includes('❗ 🦵 Knees stay soft'));
+
+  const ctx = environment.canvas.context;
+  ctx.calls = [];
+  tracker.redraw();
+  const kneeRadius = ctx.callsNamed('arc').filter(call => call.args[2] === 9);
+  assert.equal(kneeRadius.length, 2);
+  assert.ok(ctx.callsNamed('fill').some(call => call.fillStyle === COACHING_COLOR));
+  assert.equal(ctx.callsNamed('stroke').filter(call => call.strokeStyle === COACHING_COLOR).length, 4);
+
+  // Turning the rule off clears it
+  tracker.settings.set('coachSoftKnees', false);
+  await environment.runFrame(FRAME_MS);
+  assert.deepEqual(events[1].violations, []);
+  assert.deepEqual(tracker.coach.getHighlightedJoints(), []);
+});
+
+test('cues are spoken when spoken cues are on', async () => {
+  const settings = new TrackerSettings();
+  settings.set('coachingSpeech', true);
+  const { tracker, environment } = await createTracker(cannedFrames(60), { settings });
+  const cues = [];
+  tracker.on('coaching', ({ cue }) => cue && cues.push(cue));
+
+  await environment.runFrames(50, FRAME_MS);
+
+  assert.deepEqual(environment.spoken, ['Soften your knees']);
+  assert.equal(cues[0].spoken, true);
+  assert.equal(tracker.coach.cueIntervalMs, 10000);
+
+  tracker.settings.set('coachingCueInterval', 4);
+  assert.equal(tracker.coach.cueIntervalMs, 4000);
+});
@@ -0,0 +1,329 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const { loadScripts, createTracker, cannedFrames } = require('./helpers');
+
+const {
+  PracticeSessionLog, PracticeHistory, IndexedDBSessionStore, MemorySessionStore,
+  renderHistoryTrends, renderHistoryList, renderSessionDetail
+} = loadScripts();
+
+const FRAME_MS = 34;
+const DAY = 24 * 60 * 60 * 1000;
+
+// Just enough of IndexedDB for one object store with an in-line key: requests and
+// transactions complete asynchronously, and records are copied in and out
+function fakeIndexedDB() {
+  const databases = new Map();
+  const later = (callback) => setImmediate(callback);
+
+  const database = (stores) => ({
+    objectStoreNames: { contains: (name) => stores.has(name) },
+    createObjectStore(name, { keyPath }) {
+      stores.set(name, { keyPath, records: new Map() });
+    },
+    transaction(name, mode) {
+      const store = stores.get(name);
+      const transaction = {};
+      const request = (run) => {
+        const result = { result: undefined };
+        later(() => {
+          result.result = run();
+          later(() => transaction.oncomplete && transaction.oncomplete());
+        });
+        return result;
+      };
+      const copy = (value) => (value === undefined ? undefined : JSON.parse(JSON.stringify(value)));
+      const writable = () => {
+        if (mode !== 'readwrite') throw new Error('ReadOnlyError');
+      };
+      transaction.objectStore = () => ({
+        put: (record) => { writable(); return request(() => { store.records.set(record[store.keyPath], copy(record)); return record[store.keyPath]; }); },
+        get: (id) => request(() => copy(store.records.get(id))),
+        getAll: () => request(() => [...store.records.values()].map(copy)),
+        delete: (id) => { writable(); return request(() => { store.records.delete(id); }); },
+        clear: () => { writable(); return request(() => { store.records.clear(); }); }
+      });
+      return transaction;
+    }
+  });
+
+  return {
+    databases,
+    open(name) {
+      const request = {};
+      later(() => {
+        const isNew = !databases.has(name);
+        if (isNew) databases.set(name, new Map());
+        request.result = database(databases.get(name));
+        if (isNew && request.onupgradeneeded) request.onupgradeneeded();
+        request.onsuccess();
+      });
+      return request;
+    }
+  };
+}
+
+// A history record as the tracker would save it
+function session(startedAt, overrides = {}) {
+  return {
+    id: `practice-${startedAt}`,
+    startedAt: new Date(startedAt).toISOString(),
+    endedAt: new Date(startedAt + 600000).toISOString(),
+    source: 'camera',
+    durationMs: 600000,
+    activeMs: 500000,
+    frames: 18000,
+    trackedFrames: 15000,
+    fps: { average: 29.5, min: 24, max: 30 },
+    steps: { steps: 300, taps: 100, basics: 90 },
+    timing: null,
+    metrics: { isolation: 0.6 },
+    ...overrides
+  };
+}
+
+test('a session log adds up active time, frame rate, steps and averaged metrics', () => {
+  const log = new PracticeSessionLog({ minActiveMs: 1000 });
+  log.start(Date.UTC(2026, 0, 5, 18), 'camera');
+
+  // One second tracked, a gap of two seconds, then half a second with nobody in view
+  for (let t = 0; t <= 1000; t += 100) log.addFrame(t, true);
+  log.addFrame(3000, true);
+  for (let t = 3100; t <= 3500; t += 100) log.addFrame(t, false);
+  [30, 24, 27].forEach(fps => log.addFps(fps));
+  log.addFps(0);
+  [1, 2, 3].forEach(count => log.addStep({ type: 'step', count }));
+  log.addStep({ type: 'tap', count: 4 });
+  log.addStep({ type: 'tap', count: 4 });
+  log.addTiming({ verdict: 'on-beat', score: 0.9 });
+  log.addTiming({ verdict: 'late', score: 0.5 });
+  log.addTiming(null);
+  log.addMetrics({ isolation: 0.5, match: null });
+  log.addMetrics({ isolation: 0.8, match: 70 });
+
+  assert.ok(log.shouldSave());
+  assert.deepEqual(log.toRecord(Date.UTC(2026, 0, 5, 18, 1)), {
+    id: `practice-${Date.UTC(2026, 0, 5, 18)}`,
+    startedAt: '2026-01-05T18:00:00.000Z',
+    endedAt: '2026-01-05T18:01:00.000Z',
+    source: 'camera',
+    durationMs: 3500,
+    activeMs: 1000,
+    frames: 17,
+    trackedFrames: 12,
+    fps: { average: 27, min: 24, max: 30 },
+    steps: { steps: 3, taps: 2, basics: 1 },
+    timing: { scored: 2, onBeat: 1, accuracy: 70 },
+    metrics: { isolation: 0.65, match: 70 }
+  });
+});
+
+test('short sessions are not worth keeping', () => {
+  const log = new PracticeSessionLog();
+  assert.equal(log.shouldSave(), false);
+
+  log.start(0, 'video');
+  for (let t = 0; t <= 9000; t += 100) log.addFrame(t, true);
+  assert.equal(log.shouldSave(), false);
+  log.addFrame(10000, true);
+  assert.equal(log.shouldSave(), true);
+});
+
+test('sessions are stored in IndexedDB and listed newest first', async () => {
+  const indexedDB = fakeIndexedDB();
+  const history = new PracticeHistory({ store: new IndexedDBSessionStore({ indexedDB }) });
+
+  await history.save(session(Date.UTC(2026, 0, 5)));
+  await history.save(session(Date.UTC(2026, 0, 7)));
+  await history.save(session(Date.UTC(2026, 0, 5), { activeMs: 1 }));
+
+  const sessions = await history.list();
+  assert.deepEqual(sessions.map(entry => entry.startedAt), ['2026-01-07T00:00:00.000Z', '2026-01-05T00:00:00.000Z']);
+  assert.equal(sessions[1].activeMs, 1);
+  assert.equal((await history.get(`practice-${Date.UTC(2026, 0, 7)}`)).steps.basics, 90);
+
+  // A second page opening the same database sees them
+  const other = new PracticeHistory({ store: new IndexedDBSessionStore({ indexedDB }) });
+  assert.equal((await other.list()).length, 2);
+
+  await history.remove(`practice-${Date.UTC(2026, 0, 7)}`);
+  assert.equal((await history.list()).length, 1);
+  await history.clear();
+  assert.deepEqual(await other.list(), []);
+});
+
+test('history exports to a file and imports without duplicating sessions', async () => {
+  const history = new PracticeHistory();
+  await history.save(session(Date.UTC(2026, 0, 5)));
+  await history.save(session(Date.UTC(2026, 0, 6)));
+  const file = await history.export();
+  assert.equal(JSON.parse(file).format, 'bachatabot-history');
+
+  const elsewhere = new PracticeHistory({ store: new MemorySessionStore() });
+  await elsewhere.save(session(Date.UTC(2026, 0, 6), { activeMs: 42 }));
+  assert.deepEqual(await elsewhere.importFile({ text: async () => file }), { added: 1, skipped: 1 });
+
+  const sessions = await elsewhere.list();
+  assert.equal(sessions.length, 2);
+  // The session already there is kept as it was
+  assert.equal(sessions[0].activeMs, 42);
+
+  await assert.rejects(elsewhere.import('{'), /not valid JSON/);
+  await assert.rejects(elsewhere.import('{"format":"bachatabot-session","frames":[]}'), /Not a BachataBot practice history file/);
+  await assert.rejects(elsewhere.import(JSON.stringify({ format: 'bachatabot-history', version: 1, sessions: [{ id: 'x' }] })), /Session 1 .* no id, start time or duration/);
+  await assert.rejects(elsewhere.import(JSON.stringify({ format: 'bachatabot-history', version: 9, sessions: [] })), /version 9 is newer/);
+});
+
+test('imported sessions are filled in and shown as text, never as markup', async () => {
+  const history = new PracticeHistory({ store: new MemorySessionStore() });
+  const hostile = {
+    id: '"><img src=x onerror=alert(1)>',
+    startedAt: new Date(Date.UTC(2026, 0, 5)).toISOString(),
+    durationMs: 60000,
+    source: '<script>alert(1)</script>',
+    fps: { average: '<b>30</b>', min: 1, max: 2 }
+  };
+  await history.import(JSON.stringify({ format: 'bachatabot-history', version: 1, sessions: [hostile] }));
+
+  const [imported] = await history.list();
+  assert.deepEqual(imported.steps, { steps: 0, taps: 0, basics: 0 });
+  assert.equal(imported.activeMs, 0);
+  assert.equal(imported.frames, 0);
+  assert.equal(imported.endedAt, new Date(Date.UTC(2026, 0, 5) + 60000).toISOString());
+
+  const list = { innerHTML: '' };
+  renderHistoryList(list, [imported]);
+  assert.ok(!/<img|<script|<b>/.test(list.innerHTML));
+  assert.match(list.innerHTML, /data-session="&#34;&#62;&#60;img src=x onerror=alert\(1\)&#62;"/);
+  assert.match(list.innerHTML, /<td>&#60;script&#62;alert\(1\)&#60;\/script&#62;<\/td>/);
+
+  const detail = { innerHTML: '' };
+  renderSessionDetail(detail, imported);
+  assert.ok(!/<script|<b>/.test(detail.innerHTML));
+  assert.match(detail.innerHTML, /<span>Steps<\/span><span>0 steps, 0 taps, 0 basics<\/span>/);
+
+  // Records saved before steps were stored still open
+  renderSessionDetail(detail, { ...imported, steps: undefined });
+  assert.match(detail.innerHTML, /<span>Steps<\/span><span>–<\/span>/);
+});
+
+test('trends group sessions by day or Monday-to-Sunday week, with empty periods', () => {
+  // Local times: Monday 5 January 2026 to Wednesday 14 January
+  const at = (day, hour = 18) => new Date(2026, 0, day, hour).getTime();
+  const sessions = [
+    session(at(5), { timing: { scored: 10, onBeat: 8, accuracy: 80 } }),
+    session(at(5, 20), { timing: { scored: 10, onBeat: 6, accuracy: 60 }, metrics: {} }),
+    session(at(11)),
+    session(at(13), { activeMs: 100000 })
+  ];
+
+  const days = PracticeHistory.trends(sessions, { period: 'day', count: 10, now: at(14) });
+  assert.equal(days.length, 10);
+  assert.equal(days[0].start, '2026-01-05');
+  assert.equal(days[9].start, '2026-01-14');
+  assert.equal(days[0].sessions, 2);
+  assert.equal(days[0].activeMs, 1000000);
+  assert.equal(days[0].steps, 600);
+  assert.equal(days[0].timingAccuracy, 70);
+  assert.equal(days[0].isolation, 0.6);
+  assert.equal(days[1].sessions, 0);
+  assert.equal(days[1].timingAccuracy, null);
+
+  const weeks = PracticeHistory.trends(sessions, { period: 'week', count: 3, now: at(14) });
+  assert.deepEqual(weeks.map(week => week.start), ['2025-12-29', '2026-01-05', '2026-01-12']);
+  assert.deepEqual(weeks.map(week => week.sessions), [0, 3, 1]);
+  assert.equal(weeks[1].activeMs, 1500000);
+  assert.equal(weeks[2].activeMs, 100000);
+});
+
+test('the dashboard renders trends, the session list and one session in detail', () => {
+  const trends = [
+    { start: '2026-01-05', activeMs: 600000, isolation: 0.5 },
+    { start: '2026-01-06', activeMs: 0, isolation: null },
+    { start: '2026-01-07', activeMs: 1200000, isolation: 0.75 }
+  ];
+  const chart = { innerHTML: '' };
+  renderHistoryTrends(chart, trends, 'activeMs');
+  assert.match(chart.innerHTML, /title="2026-01-05: 10 min"[\s\S]*height: 50%/);
+  assert.match(chart.innerHTML, /title="2026-01-07: 20 min"[\s\S]*height: 100%/);
+  renderHistoryTrends(chart, trends, 'isolation');
+  assert.match(chart.innerHTML, /title="2026-01-06: no data"/);
+
+  const list = { innerHTML: '' };
+  renderHistoryList(list, []);
+  assert.match(list.innerHTML, /No practice sessions yet/);
+  renderHistoryList(list, [session(Date.UTC(2026, 0, 5))]);
+  assert.match(list.innerHTML, new RegExp(`data-session="practice-${Date.UTC(2026, 0, 5)}"`));
+  assert.match(list.innerHTML, /<td>10 min<\/td>\s*<td>8 min<\/td>\s*<td>300<\/td>\s*<td>90<\/td>\s*<td>29.5<\/td>/);
+
+  const detail = { innerHTML: '' };
+  renderSessionDetail(detail, session(Date.UTC(2026, 0, 5), { timing: { scored: 10, onBeat: 8, accuracy: 80 } }));
+  assert.match(detail.innerHTML, /<span>Frame rate<\/span><span>29.5 average \(24–30\)<\/span>/);
+  assert.match(detail.innerHTML, /<span>Timing<\/span><span>80% \(8 of 10 steps on the beat\)<\/span>/);
+  assert.match(detail.innerHTML, /<span>Hip isolation<\/span><span>60%<\/span>/);
+});
+
+test('the tracker saves the practice session to the history while tracking and when it stops', async () => {
+  const history = new PracticeHistory();
+  const frames = cannedFrames(10);
+  const { tracker, environment } = await createTracker(frames, { history });
+
+  await environment.runFrames(300, FRAME_MS);
+  assert.deepEqual(await history.list(), []);
+  await environment.runFrames(600, FRAME_MS);
+
+  // Saved after 30 seconds and overwritten as it goes on
+  let sessions = await history.list();
+  assert.equal(sessions.length, 1);
+  assert.equal(sessions[0].source, tracker.inputSource.kind);
+  assert.ok(sessions[0].activeMs >= 29000);
+  assert.ok(sessions[0].fps.average > 0);
+
+  tracker.stopTracking();
+  await new Promise(resolve => setImmediate(resolve));
+  sessions = await history.list();
+  assert.equal(sessions.length, 1);
+  assert.ok(sessions[0].durationMs >= 30000);
+  assert.equal(tracker.practiceLog.isActive, false);
+});
+
+test('without a dancer in view nothing is saved, and a failed save is only a warning', async () => {
+  const saved = [];
+  const history = new PracticeHistory({ store: { put: async (record) => saved.push(record) } });
+  const { tracker, environment } = await createTracker(cannedFrames(10, { noPose: true }), { history });
+
+  await environment.runFrames(1000, FRAME_MS);
+  tracker.stopTracking();
+  await new Promise(resolve => setImmediate(resolve));
+  assert.deepEqual(saved, []);
+
+  const failing = new PracticeHistory({ store: { put: async () => { throw new Error('quota exceeded'); } } });
+  const { tracker: other, environment: otherEnvironment } = await createTracker(cannedFrames(10), { history: failing });
+  const warnings = [];
+  other.log = (message, type) => { if (type === 'warning') warnings.push(message); };
+  await otherEnvironment.runFrames(400, FRAME_MS);
+  assert.equal(await other.finishPracticeSession(), null);
+  assert.deepEqual(warnings, ['⚠️ Practice history not saved: quota exceeded']);
+});
+
+test('the dashboard exports the history with only the scripts it loads', async () => {
+  const html = fs.readFileSync(path.join(__dirname, '..', 'dashboard.html'), 'utf8');
+  const scripts = [...html.matchAll(/<script src="([^"]+)"><\/script>/g)].map(match => match[1]);
+  const clicked = [];
+  const context = vm.createContext({
+    Blob,
+    setTimeout: () => {},
+    window: {},
+    URL: { createObjectURL: (blob) => { clicked.push(blob); return 'blob:history'; }, revokeObjectURL() {} },
+    document: { createElement: () => ({ click() { clicked.push({ href: this.href, download: this.download }); } }) }
+  });
+  scripts.forEach(script => vm.runInContext(fs.readFileSync(path.join(__dirname, '..', script), 'utf8'), context, { filename: script }));
+
+  await vm.runInContext('PracticeHistory.fromPage().download("history.json")', context);
+
+  assert.equal(JSON.parse(await clicked[0].text()).format, 'bachatabot-history');
+  assert.deepEqual(clicked[1], { href: 'blob:history', download: 'history.json' });
+});
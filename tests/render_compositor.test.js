@@ -0,0 +1,166 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts, createTracker, FakeContext, standingPose } = require('./helpers');
+
+const { RenderCompositor, TrackerSettings } = loadScripts();
+
+const FRAME_MS = 34;
+
+// A compositor whose layers note their name, and the opacity they were drawn at, when drawn
+function recordingCompositor(names) {
+  const compositor = new RenderCompositor();
+  const drawn = [];
+  names.forEach(name => compositor.addLayer(name, (ctx) => drawn.push([name, ctx.globalAlpha])));
+  return { compositor, drawn };
+}
+
+test('layers are drawn bottom up, with custom layers below the HUD by default', () => {
+  const { compositor, drawn } = recordingCompositor(['hud', 'hands', 'video', 'glow', 'skeleton', 'trail']);
+  compositor.addLayer('grid', (ctx) => drawn.push(['grid', ctx.globalAlpha]), { order: 5 });
+  const ctx = new FakeContext();
+
+  compositor.render(ctx, { width: 640, height: 480 });
+
+  assert.deepEqual(drawn.map(([name]) => name), ['video', 'grid', 'skeleton', 'hands', 'glow', 'trail', 'hud']);
+  assert.deepEqual(ctx.calls[0].args, [0, 0, 640, 480]);
+  assert.equal(ctx.callsNamed('save').length, 7);
+  assert.equal(ctx.callsNamed('restore').length, 7);
+});
+
+test('hidden layers are skipped and opacity is applied per layer', () => {
+  const { compositor, drawn } = recordingCompositor(['video', 'skeleton', 'face']);
+
+  compositor.setVisible('face', false);
+  compositor.setOpacity('skeleton', 0.4);
+  compositor.setOpacity('video', 3);
+  compositor.render(new FakeContext(), { width: 10, height: 10 });
+
+  assert.deepEqual(drawn, [['video', 1], ['skeleton', 0.4]]);
+  assert.deepEqual(compositor.getLayers().map(layer => [layer.name, layer.visible]), [['video', true], ['skeleton', true], ['face', false]]);
+});
+
+test('layer names are checked', () => {
+  const { compositor } = recordingCompositor(['video', 'trail']);
+
+  assert.throws(() => compositor.addLayer('trail', () => {}), /already exists/);
+  assert.throws(() => compositor.removeLayer('video'), /can't be removed/);
+  assert.throws(() => compositor.setOpacity('sparkles', 1), /Unknown layer "sparkles"/);
+
+  compositor.removeLayer('trail');
+  assert.equal(compositor.getLayer('trail'), null);
+});
+
+test('a layer that throws is reported and the other layers still draw', () => {
+  const { compositor, drawn } = recordingCompositor(['video', 'hud']);
+  compositor.addLayer('broken', () => { throw new Error('oops'); });
+  const errors = [];
+  compositor.onError = (name, error) => errors.push([name, error.message]);
+  const ctx = new FakeContext();
+
+  compositor.render(ctx, { width: 10, height: 10 });
+
+  assert.deepEqual(errors, [['broken', 'oops']]);
+  assert.deepEqual(drawn.map(([name]) => name), ['video', 'hud']);
+  assert.equal(ctx.callsNamed('restore').length, 3);
+});
+
+test('nothing is drawn until every module has answered, then the frame is drawn in one pass', async () => {
+  const { tracker, environment, backend, inputSource } = await createTracker();
+  const context = environment.canvas.context;
+  const drawnDuringInference = [];
+  const send = backend.detectors.pose.send.bind(backend.detectors.pose);
+  backend.detectors.pose.send = (inputs) => {
+    drawnDuringInference.push(context.calls.length);
+    return send(inputs);
+  };
+  context.calls = [];
+
+  await environment.runFrame(FRAME_MS);
+
+  assert.deepEqual(drawnDuringInference, [0]);
+  // The captured frame is what the video layer shows
+  assert.equal(tracker.frameCanvas.context.callsNamed('drawImage')[0].args[0], inputSource.element);
+  const names = context.calls.map(call => call.name);
+  assert.equal(names[0], 'clearRect');
+  assert.ok(names.indexOf('drawImage') < names.indexOf('arc'));
+  // The HUD panel background goes on after the last landmark
+  assert.ok(names.lastIndexOf('arc') < names.lastIndexOf('fillRect'));
+});
+
+test('turning the mirror off flips the video and every overlay back at once', async () => {
+  const { tracker, environment } = await createTracker();
+  const context = environment.canvas.context;
+  tracker.poseLandmarks = standingPose(0.25);
+  context.calls = [];
+
+  tracker.setMirror(false);
+
+  assert.equal(tracker.settings.get('mirror'), false);
+  assert.deepEqual(context.callsNamed('scale'), []);
+  // Nose at x = 0.25 of 640 px stays at 160 px
+  assert.equal(context.callsNamed('arc')[0].args[0], 160);
+  assert.equal(tracker.flipX(100, 640), 100);
+});
+
+test('the mirror can start off from the settings', async () => {
+  const settings = new TrackerSettings({ search: '?mirror=false' });
+  const { tracker, environment } = await createTracker(undefined, { settings });
+  const context = environment.canvas.context;
+  context.calls = [];
+
+  await environment.runFrame(FRAME_MS);
+
+  assert.equal(tracker.mirror, false);
+  assert.deepEqual(context.callsNamed('scale'), []);
+});
+
+test('custom layers get the frame\'s landmarks in canvas space and sit below the HUD', async () => {
+  const { tracker, environment } = await createTracker();
+  const context = environment.canvas.context;
+  const frames = [];
+  tracker.addLayer('marker', (ctx, frame) => {
+    frames.push(frame);
+    const nose = frame.toCanvas(frame.poseLandmarks[0]);
+    ctx.fillText('nose', nose.x, nose.y);
+  }, { opacity: 0.5 });
+  context.calls = [];
+
+  await environment.runFrame(FRAME_MS);
+
+  const frame = frames[frames.length - 1];
+  assert.equal(frame.width, 640);
+  assert.equal(frame.mirror, true);
+  const marker = context.callsNamed('fillText').find(call => call.args[0] === 'nose');
+  assert.deepEqual(marker.args.slice(1), [320, 0.15 * 480]);
+  const names = context.calls.map(call => call.name);
+  assert.ok(context.calls.indexOf(marker) < names.lastIndexOf('fillRect'));
+  assert.deepEqual(tracker.getLayers().map(layer => layer.name), ['video', 'ghost', 'trails', 'skeleton', 'face', 'hands', 'gestures', 'marker', 'hud']);
+});
+
+test('a failing custom layer is hidden and reported once', async () => {
+  const { tracker, environment } = await createTracker();
+  const errors = [];
+  tracker.on('error', error => errors.push(error));
+  tracker.addLayer('broken', () => { throw new Error('no canvas filter support'); });
+
+  await environment.runFrames(3, FRAME_MS);
+
+  assert.equal(errors.length, 1);
+  assert.match(errors[0].message, /Layer "broken" failed and was hidden: no canvas filter support/);
+  assert.equal(tracker.compositor.getLayer('broken').visible, false);
+  assert.ok(tracker.isTracking);
+});
+
+test('hiding the skeleton layer keeps pose tracking running', async () => {
+  const { tracker, environment, backend } = await createTracker();
+  const context = environment.canvas.context;
+  const sent = backend.detectors.pose.sendCount;
+  tracker.setLayerVisible('skeleton', false);
+  context.calls = [];
+
+  await environment.runFrame(FRAME_MS);
+
+  assert.equal(context.callsNamed('arc').length, 0);
+  assert.equal(backend.detectors.pose.sendCount, sent + 1);
+  assert.equal(tracker.poseLandmarks.length, 33);
+});
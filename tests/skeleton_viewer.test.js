@@ -0,0 +1,145 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts, createTracker, FakeCanvas, standingPose } = require('./helpers');
+
+const { SkeletonViewer } = loadScripts();
+
+const FRAME_MS = 34;
+
+// World landmarks of someone standing: hips at the origin, feet 0.9 m below, y down
+function worldPose(options = {}) {
+  return standingPose(0).map(landmark => ({ ...landmark, y: (landmark.y - 0.55) * 2, z: options.z || 0 }));
+}
+
+function viewer(options) {
+  const canvas = new FakeCanvas(300, 300);
+  return { viewer: new SkeletonViewer(canvas, options), context: canvas.context };
+}
+
+const approx = (actual, expected) => assert.ok(Math.abs(actual - expected) < 1e-6, `${actual} != ${expected}`);
+
+test('the front view looks at the dancer as the camera does', () => {
+  const { viewer: view } = viewer();
+
+  const hips = view.project(SkeletonViewer.toViewerSpace({ x: 0, y: 0, z: 0 }));
+  const head = view.project(SkeletonViewer.toViewerSpace({ x: 0, y: -0.8, z: 0 }));
+  const right = view.project(SkeletonViewer.toViewerSpace({ x: 0.2, y: 0, z: 0 }));
+  const near = view.project(SkeletonViewer.toViewerSpace({ x: 0.2, y: 0, z: -0.5 }));
+
+  approx(hips.x, 150);
+  assert.ok(head.y < hips.y);
+  assert.ok(right.x > hips.x);
+  // Closer to the camera looks bigger
+  assert.ok(near.x > right.x);
+  assert.ok(near.depth < right.depth);
+});
+
+test('side and top views show depth across and down the screen', () => {
+  const { viewer: view } = viewer();
+  const hips = SkeletonViewer.toViewerSpace({ x: 0, y: 0, z: 0 });
+  // A hand reaching towards the camera
+  const reach = SkeletonViewer.toViewerSpace({ x: 0, y: 0, z: -0.5 });
+
+  view.setView('side');
+  assert.ok(view.project(reach).x < view.project(hips).x - 50);
+
+  view.setView('top');
+  approx(view.project(reach).x, view.project(hips).x);
+  assert.ok(view.project(reach).y > view.project(hips).y + 50);
+
+  assert.throws(() => view.setView('back'), /Unknown view "back"/);
+});
+
+test('orbiting leaves the preset, pitch and zoom are limited, and the mirror flips the picture', () => {
+  const { viewer: view } = viewer();
+
+  view.orbit(-30, 200);
+  assert.equal(view.view, 'custom');
+  assert.equal(view.yaw, 330);
+  assert.equal(view.pitch, 90);
+
+  view.zoom(100);
+  assert.equal(view.distance, 10);
+  view.zoom(0.01);
+  assert.equal(view.distance, 1.5);
+
+  view.setView('front');
+  assert.equal(view.distance, 3.5);
+  const point = { x: 0.3, y: 0, z: 0 };
+  const unmirrored = view.project(point).x;
+  view.mirror = true;
+  approx(view.project(point).x, 300 - unmirrored);
+});
+
+test('the skeleton is drawn over a floor grid at the feet, with sides in their own colors', () => {
+  const { viewer: view, context } = viewer();
+  const pose = worldPose();
+  pose[25] = { ...pose[25], visibility: 0.1 };
+  context.calls = [];
+
+  view.show(pose);
+
+  const strokes = context.callsNamed('stroke');
+  const grid = strokes.filter(call => call.strokeStyle === 'rgba(255, 255, 255, 0.15)');
+  assert.equal(grid.length, 14);
+  const colors = strokes.map(call => call.strokeStyle);
+  assert.ok(colors.includes('#FF9F43'));
+  assert.ok(colors.includes('#4ECDC4'));
+  assert.ok(colors.includes('#FFFFFF'));
+  // The plumb line from the shoulders, and both bones at the hidden left knee skipped
+  assert.equal(colors.filter(color => color === 'rgba(255, 255, 0, 0.6)').length, 1);
+  assert.equal(strokes.length - grid.length - 1, 22 - 2);
+  assert.equal(context.callsNamed('fillText')[0].args[0], 'Front');
+
+  // The grid sits at the feet: in the front view its near edge is level with the ankles
+  const ankle = view.project(SkeletonViewer.toViewerSpace(pose[27]));
+  const gridLine = context.calls.find(call => call.name === 'moveTo' && call.strokeStyle === 'rgba(255, 255, 255, 0.15)');
+  const floor = view.project({ x: -1.5, y: -0.7, z: -1.5 });
+  approx(gridLine.args[1], floor.y);
+  assert.ok(ankle.y > view.project({ x: 0, y: 0, z: 0 }).y);
+});
+
+test('without a pose the viewer shows the floor and says so', () => {
+  const { viewer: view, context } = viewer();
+  context.calls = [];
+
+  view.show(null);
+
+  assert.deepEqual(context.callsNamed('fillText').map(call => call.args[0]), ['Front', 'No pose']);
+  assert.equal(context.callsNamed('stroke').length, 14);
+});
+
+test('dragging orbits, the wheel zooms and a double-click returns to the front view', () => {
+  const { viewer: view } = viewer();
+  const listeners = {};
+  const element = { addEventListener: (type, listener) => { listeners[type] = listener; } };
+  view.bindControls(element);
+
+  listeners.pointerdown({ clientX: 100, clientY: 100, pointerId: 1 });
+  listeners.pointermove({ clientX: 160, clientY: 120 });
+  listeners.pointerup({});
+  listeners.pointermove({ clientX: 300, clientY: 300 });
+  assert.equal(view.yaw, 30);
+  assert.equal(view.pitch, 10);
+
+  let prevented = false;
+  listeners.wheel({ deltaY: 100, preventDefault: () => { prevented = true; } });
+  assert.ok(prevented);
+  approx(view.distance, 3.85);
+
+  listeners.dblclick({});
+  assert.equal(view.view, 'front');
+  assert.equal(view.yaw, 0);
+});
+
+test('the tracker\'s frame events carry the world landmarks the viewer needs', async () => {
+  const { tracker, environment } = await createTracker();
+  const { viewer: view, context } = viewer();
+  tracker.on('frame', ({ poseWorldLandmarks }) => view.show(poseWorldLandmarks));
+  context.calls = [];
+
+  await environment.runFrame(FRAME_MS);
+
+  assert.equal(view.landmarks, tracker.poseWorldLandmarks);
+  assert.ok(context.callsNamed('stroke').some(call => call.strokeStyle === '#FF9F43'));
+});
@@ -0,0 +1,580 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createTracker, cannedFrames, standingPose } = require('./helpers');
+
+const FRAME_MS = 34; // Just over the 30 FPS frame interval, so every repaint is processed
+
+test('init builds every detector through the backend and starts tracking the given source', async () => {
+  const { tracker, backend, inputSource } = await createTracker();
+
+  assert.deepEqual(Object.keys(backend.detectors).sort(), ['face', 'hands', 'pose']);
+  assert.equal(backend.detectors.pose.options.smoothLandmarks, false);
+  assert.equal(backend.detectors.hands.options.maxNumHands, 2);
+  assert.equal(tracker.inputSource, inputSource);
+  assert.ok(inputSource.opened);
+  assert.ok(tracker.isTracking);
+});
+
+test('tracking loop sends each frame to every module and emits events in order', async () => {
+  const { tracker, environment, backend } = await createTracker(cannedFrames(10, { face: true, hands: true }));
+  const events = [];
+  ['pose', 'face', 'hands', 'frame'].forEach(name => tracker.on(name, () => events.push(name)));
+
+  await environment.runFrames(3, FRAME_MS);
+
+  assert.deepEqual(events, ['pose', 'face', 'hands', 'frame', 'pose', 'face', 'hands', 'frame', 'pose', 'face', 'hands', 'frame']);
+  // The first frame is processed straight away by init, before any repaint
+  assert.equal(backend.detectors.pose.sendCount, 4);
+  assert.equal(tracker.faceLandmarks.length, 468);
+  assert.equal(tracker.handsLandmarks.length, 1);
+});
+
+test('frames arriving faster than the target rate are skipped', async () => {
+  const { tracker, environment, backend } = await createTracker();
+  let frames = 0;
+  tracker.on('frame', () => frames++);
+
+  await environment.runFrames(6, 10);
+
+  // 60 ms of repaints at a 33 ms interval leaves room for one more frame
+  assert.equal(frames, 1);
+  assert.equal(backend.detectors.pose.sendCount, 2);
+});
+
+test('frame events carry the frame time and the current landmarks', async () => {
+  const { tracker, environment } = await createTracker();
+  let frame = null;
+  tracker.on('frame', data => { frame = data; });
+
+  await environment.runFrame(FRAME_MS);
+
+  assert.equal(frame.time, environment.now());
+  assert.equal(frame.source, 'camera');
+  assert.equal(frame.poseLandmarks.length, 33);
+  assert.deepEqual(frame.handsLandmarks, []);
+});
+
+test('a listener that throws does not stop the other listeners or the loop', async () => {
+  const { tracker, environment } = await createTracker();
+  const originalError = console.error;
+  console.error = () => {};
+  let calls = 0;
+
+  try {
+    tracker.on('pose', () => { throw new Error('listener bug'); });
+    tracker.on('pose', () => calls++);
+    await environment.runFrames(2, FRAME_MS);
+  } finally {
+    console.error = originalError;
+  }
+
+  assert.equal(calls, 2);
+  assert.ok(tracker.isTracking);
+});
+
+test('unsubscribing stops events, and unknown events are rejected', async () => {
+  const { tracker, environment } = await createTracker();
+  let poses = 0;
+  const unsubscribe = tracker.on('pose', () => poses++);
+
+  await environment.runFrame(FRAME_MS);
+  unsubscribe();
+  await environment.runFrame(FRAME_MS);
+
+  assert.equal(poses, 1);
+  assert.throws(() => tracker.on('landmarks', () => {}), /Unknown tracker event/);
+});
+
+test('status moves from active to detected, and to searching when the pose is lost', async () => {
+  const frames = [...cannedFrames(2), ...cannedFrames(2, { noPose: true })];
+  const statuses = [];
+  const { tracker, environment } = await createTracker(frames, {
+    backend: { loop: false },
+    beforeInit: (instance) => instance.on('status', ({ module, status }) => statuses.push(`${module}:${status}`))
+  });
+
+  await environment.runFrames(3, FRAME_MS);
+
+  const pose = statuses.filter(entry => entry.startsWith('pose:'));
+  assert.deepEqual(pose, ['pose:active', 'pose:detected', 'pose:searching']);
+  assert.ok(statuses.includes('face:active'));
+  assert.ok(statuses.includes('face:searching'));
+});
+
+test('status events are only emitted when a status changes', async () => {
+  const { tracker, environment } = await createTracker();
+  const statuses = [];
+  tracker.on('status', ({ module, status }) => statuses.push(`${module}:${status}`));
+
+  await environment.runFrames(5, FRAME_MS);
+
+  assert.deepEqual(statuses, []);
+});
+
+test('disabling a module stops sending to it and reports it as disabled', async () => {
+  const { tracker, environment, backend } = await createTracker();
+  const statuses = [];
+  tracker.on('status', ({ module, status }) => statuses.push(`${module}:${status}`));
+
+  tracker.disableModule('face');
+  const sentBefore = backend.detectors.face.sendCount;
+  await environment.runFrames(2, FRAME_MS);
+
+  assert.equal(tracker.isModuleEnabled('face'), false);
+  assert.equal(backend.detectors.face.sendCount, sentBefore);
+  assert.deepEqual(statuses, ['face:disabled']);
+
+  tracker.enableModule('face');
+  await environment.runFrame(FRAME_MS);
+
+  assert.equal(tracker.isModuleEnabled('face'), true);
+  assert.equal(backend.detectors.face.sendCount, sentBefore + 1);
+  assert.deepEqual(statuses, ['face:disabled', 'face:searching']);
+  assert.throws(() => tracker.enableModule('feet'), /Unknown tracking module/);
+});
+
+test('a face detector that fails to load is reported and tracking carries on without it', async () => {
+  const statuses = [];
+  const { tracker, environment, backend } = await createTracker(cannedFrames(5), {
+    backend: { failModules: ['face'] },
+    beforeInit: (instance) => instance.on('status', ({ module, status }) => statuses.push(`${module}:${status}`))
+  });
+  let frames = 0;
+  tracker.on('frame', () => frames++);
+
+  await environment.runFrames(2, FRAME_MS);
+
+  assert.ok(statuses.includes('face:error'));
+  assert.equal(tracker.faceMesh, null);
+  assert.equal(backend.detectors.face, undefined);
+  assert.equal(frames, 2);
+});
+
+test('a pose detector that fails to load fails init with an error event', async () => {
+  const errors = [];
+  const statuses = [];
+  const { tracker } = await createTracker(cannedFrames(5), {
+    backend: { failModules: ['pose'] },
+    beforeInit: (instance) => {
+      instance.on('error', error => errors.push(error));
+      instance.on('status', ({ module, status }) => statuses.push(`${module}:${status}`));
+    }
+  });
+
+  assert.equal(tracker.isTracking, false);
+  assert.ok(statuses.includes('pose:error'));
+  assert.ok(statuses.includes('camera:error'));
+  assert.equal(errors.length, 1);
+  assert.equal(errors[0].fatal, true);
+  assert.match(errors[0].message, /pose detector failed/);
+});
+
+test('FPS counter reports the frames drawn in each second', async () => {
+  const { tracker, environment } = await createTracker();
+  const reports = [];
+  tracker.on('fps', ({ fps }) => reports.push(fps));
+
+  // 29 more frames 34 ms apart keep the clock under one second since startup
+  await environment.runFrames(29, FRAME_MS);
+  assert.deepEqual(reports, []);
+
+  await environment.runFrame(FRAME_MS);
+  assert.equal(reports.length, 1);
+  assert.ok(Math.abs(reports[0] - 30) <= 1);
+  assert.equal(tracker.fps, reports[0]);
+
+  // Half the rate for the next second
+  await environment.runFrames(14, FRAME_MS * 2);
+  assert.equal(reports.length, 1);
+  await environment.runFrame(FRAME_MS * 2);
+  assert.equal(reports.length, 2);
+  assert.ok(Math.abs(reports[1] - 15) <= 1);
+});
+
+test('flipX mirrors coordinates across the canvas width', async () => {
+  const { tracker } = await createTracker();
+
+  assert.equal(tracker.flipX(0, 640), 640);
+  assert.equal(tracker.flipX(100, 640), 540);
+  assert.equal(tracker.flipX(320, 640), 320);
+});
+
+test('the video is drawn mirrored and the canvas is sized to the source', async () => {
+  const { tracker, environment } = await createTracker();
+  const context = environment.canvas.context;
+  context.calls = [];
+
+  await environment.runFrame(FRAME_MS);
+
+  assert.equal(environment.canvas.width, 640);
+  assert.equal(environment.canvas.height, 480);
+  assert.deepEqual(context.callsNamed('scale')[0].args, [-1, 1]);
+  assert.deepEqual(context.callsNamed('translate')[0].args, [-640, 0]);
+  assert.equal(context.callsNamed('drawImage')[0].args[0], tracker.frameCanvas);
+  assert.deepEqual(context.callsNamed('drawImage')[0].args.slice(1), [0, 0, 640, 480]);
+});
+
+test('pose landmarks are drawn mirrored, skipping ones that are barely visible', async () => {
+  const { tracker, environment } = await createTracker();
+  const context = environment.canvas.context;
+  const landmarks = standingPose(0.25);
+  landmarks[15] = { ...landmarks[15], visibility: 0.1 };
+  context.calls = [];
+
+  tracker.drawPoseLandmarks(landmarks, '#123456');
+
+  const points = context.callsNamed('arc');
+  assert.equal(points.length, 32);
+  // Nose at x = 0.25 of 640 px is drawn at 480 px after mirroring
+  assert.deepEqual(points[0].args.slice(0, 3), [480, 0.15 * 480, 6]);
+  assert.ok(points.every(call => call.fillStyle === '#123456'));
+
+  // The shoulder line (11 → 12) is mirrored too
+  const firstLine = context.callsNamed('moveTo')[0].args;
+  assert.ok(Math.abs(firstLine[0] - (640 - (0.25 + 0.06) * 640)) < 1e-9);
+  assert.ok(Math.abs(firstLine[1] - 0.3 * 480) < 1e-9);
+});
+
+test('hands are drawn in alternating colors', async () => {
+  const { tracker, environment } = await createTracker();
+  const context = environment.canvas.context;
+  const hand = Array.from({ length: 21 }, () => ({ x: 0.5, y: 0.5, z: 0 }));
+  context.calls = [];
+
+  tracker.drawHandsLandmarks([hand, hand], ['#AA0000', '#00AA00']);
+
+  const points = context.callsNamed('arc');
+  assert.equal(points.length, 42);
+  assert.equal(points[0].fillStyle, '#AA0000');
+  assert.equal(points[21].fillStyle, '#00AA00');
+});
+
+test('the metrics HUD panel is anchored to the right edge', async () => {
+  const { tracker, environment } = await createTracker();
+  const context = environment.canvas.context;
+  context.calls = [];
+
+  tracker.drawHudPanel(['⚡ 30 FPS'], 'right');
+
+  const [box] = context.callsNamed('fillRect');
+  const width = '⚡ 30 FPS'.length * 7 + 16;
+  assert.deepEqual(box.args, [640 - width - 10, 10, width, 36]);
+});
+
+// Detectors that answer only when the test says so, to control arrival order;
+// off the main thread like workers unless `offThread` is false
+class DeferredBackend {
+  constructor(offThread = true) {
+    this.name = 'Deferred';
+    this.offThread = offThread;
+    this.detectors = {};
+  }
+
+  createDetector(module) {
+    const detector = {
+      offThread: this.offThread,
+      sends: [],
+      setOptions() {},
+      onResults(callback) { this.callback = callback; },
+      send() {
+        return new Promise(resolve => {
+          detector.sends.push((results) => {
+            detector.callback(results);
+            resolve();
+          });
+        });
+      },
+      close() {}
+    };
+    this.detectors[module] = detector;
+    return detector;
+  }
+}
+
+const settle = () => new Promise(resolve => setImmediate(resolve));
+
+test('modules infer side by side and their results are applied in a fixed order', async () => {
+  const backend = new DeferredBackend();
+  const { tracker } = await createTracker(undefined, { detectorBackend: backend });
+  const events = [];
+  ['pose', 'face', 'hands', 'frame'].forEach(name => tracker.on(name, () => events.push(name)));
+
+  // The first frame is in flight and every module already has it
+  assert.deepEqual(['pose', 'face', 'hands'].map(module => backend.detectors[module].sends.length), [1, 1, 1]);
+
+  backend.detectors.hands.sends[0]({ multiHandLandmarks: [], multiHandedness: [] });
+  backend.detectors.face.sends[0]({ multiFaceLandmarks: [] });
+  await settle();
+  assert.deepEqual(events, []);
+
+  backend.detectors.pose.sends[0]({ poseLandmarks: standingPose(0.5), poseWorldLandmarks: null });
+  await settle();
+  assert.deepEqual(events, ['pose', 'face', 'hands', 'frame']);
+  assert.equal(tracker.poseLandmarks.length, 33);
+});
+
+test('modules on the main thread take turns with each frame', async () => {
+  const backend = new DeferredBackend(false);
+  const { tracker } = await createTracker(undefined, { detectorBackend: backend });
+  const sent = () => ['pose', 'face', 'hands'].map(module => backend.detectors[module].sends.length);
+  const events = [];
+  ['pose', 'face', 'hands', 'frame'].forEach(name => tracker.on(name, () => events.push(name)));
+
+  assert.deepEqual(sent(), [1, 0, 0]);
+  backend.detectors.pose.sends[0]({ poseLandmarks: standingPose(0.5), poseWorldLandmarks: null });
+  await settle();
+  assert.deepEqual(sent(), [1, 1, 0]);
+  backend.detectors.face.sends[0]({ multiFaceLandmarks: [] });
+  await settle();
+  assert.deepEqual(sent(), [1, 1, 1]);
+  assert.deepEqual(events, []);
+
+  backend.detectors.hands.sends[0]({ multiHandLandmarks: [], multiHandedness: [] });
+  await settle();
+  assert.deepEqual(events, ['pose', 'face', 'hands', 'frame']);
+});
+
+test('a module failing on a frame is reported without losing the other results', async () => {
+  const { tracker, environment, backend } = await createTracker();
+  const errors = [];
+  const poses = [];
+  tracker.on('error', error => errors.push(error));
+  tracker.on('pose', ({ landmarks }) => poses.push(landmarks));
+  backend.detectors.face.send = async () => { throw new Error('GPU lost'); };
+
+  await environment.runFrame(FRAME_MS);
+
+  assert.equal(errors.length, 1);
+  assert.equal(errors[0].fatal, false);
+  assert.match(errors[0].message, /face failed on frame 2: GPU lost/);
+  assert.equal(poses.length, 1);
+  assert.ok(tracker.isTracking);
+});
+
+test('results arriving outside a frame are dropped', async () => {
+  const { tracker } = await createTracker(cannedFrames(2, { face: true }));
+  const before = tracker.faceLandmarks;
+
+  tracker.collectResults('face', { multiFaceLandmarks: [] });
+
+  assert.equal(tracker.faceLandmarks, before);
+});
+
+test('frames are composed off screen and shown in one step where supported', async () => {
+  const { tracker, environment } = await createTracker(cannedFrames(2), { environment: { offscreen: true } });
+  const visible = environment.canvas.context;
+  const offscreen = environment.offscreenCanvas;
+  visible.calls = [];
+  offscreen.context.calls = [];
+
+  await environment.runFrame(FRAME_MS);
+
+  assert.equal(tracker.canvasCtx, offscreen.context);
+  assert.ok(offscreen.context.callsNamed('arc').length > 0);
+  assert.deepEqual(visible.calls.map(call => call.name), ['clearRect', 'drawImage']);
+  assert.equal(visible.callsNamed('drawImage')[0].args[0], offscreen);
+  assert.equal(offscreen.width, 640);
+  assert.equal(offscreen.height, 480);
+});
+
+test('slow frames make the governor lighten the load and report it', async () => {
+  const { tracker, environment, backend } = await createTracker();
+  const reports = [];
+  tracker.on('performance', state => reports.push(state));
+  // Pose inference takes 45 ms of a 33 ms frame budget
+  const send = backend.detectors.pose.send.bind(backend.detectors.pose);
+  backend.detectors.pose.send = async (inputs) => {
+    environment.time += 45;
+    return send(inputs);
+  };
+
+  await environment.runFrames(25, FRAME_MS);
+
+  assert.equal(reports.length, 1);
+  assert.equal(reports[0].level, 4);
+  assert.equal(reports[0].faceEvery, 2);
+  assert.ok(reports[0].moduleMs.pose > 40);
+  assert.equal(tracker.targetFps, 30);
+});
+
+test('the governor runs face and hands on alternate frames and keeps showing the skipped one', async () => {
+  const { tracker, environment, backend } = await createTracker(cannedFrames(10, { face: true, hands: true }));
+  tracker.governor.level = 4;
+  const faceSent = backend.detectors.face.sendCount;
+  const handsSent = backend.detectors.hands.sendCount;
+  const faceEvents = [];
+  tracker.on('face', ({ landmarks }) => faceEvents.push(landmarks));
+  const context = environment.canvas.context;
+
+  context.calls = [];
+  await environment.runFrame(FRAME_MS); // Frame 2: face runs
+  const faceFrameArcs = context.callsNamed('arc').length;
+  context.calls = [];
+  await environment.runFrame(FRAME_MS); // Frame 3: hands run, face is held
+  const handsFrameArcs = context.callsNamed('arc').length;
+
+  assert.equal(backend.detectors.face.sendCount, faceSent + 1);
+  assert.equal(backend.detectors.hands.sendCount, handsSent + 1);
+  assert.equal(faceEvents.length, 1);
+  // Both frames show pose, face and hands
+  assert.equal(faceFrameArcs, handsFrameArcs);
+});
+
+test('raising quality loads the heavier models', async () => {
+  const { tracker, environment, backend } = await createTracker();
+
+  // Instant frames: after three calm windows the governor steps up once
+  await environment.runFrames(95, FRAME_MS);
+
+  assert.equal(tracker.governor.level, 2);
+  assert.equal(backend.detectors.pose.options.modelComplexity, 1);
+  assert.equal(backend.detectors.hands.options.modelComplexity, 0);
+});
+
+test('the models get a downscaled frame when the governor lowers the input resolution', async () => {
+  const { tracker, environment, backend } = await createTracker();
+  tracker.governor.level = 6;
+  const images = [];
+  const send = backend.detectors.pose.send.bind(backend.detectors.pose);
+  backend.detectors.pose.send = (inputs) => {
+    images.push(inputs.image);
+    return send(inputs);
+  };
+
+  await environment.runFrame(FRAME_MS);
+
+  assert.equal(images[0].tagName, 'canvas');
+  assert.equal(images[0].width, 320);
+  assert.equal(images[0].height, 240);
+  assert.deepEqual(images[0].context.callsNamed('drawImage')[0].args.slice(1), [0, 0, 320, 240]);
+});
+
+test('a file source gets every module at full resolution whatever the governor chose', async () => {
+  const { tracker, environment, backend } = await createTracker(undefined, { inputSource: { kind: 'video', isLive: false, frameCount: 5 } });
+  tracker.governor.level = 6;
+  await tracker.setInputSource(tracker.inputSource);
+  const level = tracker.governor.level;
+  const faceSent = backend.detectors.face.sendCount;
+  const handsSent = backend.detectors.hands.sendCount;
+  const images = [];
+  const send = backend.detectors.pose.send.bind(backend.detectors.pose);
+  backend.detectors.pose.send = (inputs) => {
+    images.push(inputs.image);
+    return send(inputs);
+  };
+  // Slow enough that the governor would lighten a camera's load
+  const faceSend = backend.detectors.face.send.bind(backend.detectors.face);
+  backend.detectors.face.send = async (inputs) => {
+    environment.time += 400;
+    return faceSend(inputs);
+  };
+
+  await environment.runFrames(4, FRAME_MS);
+
+  assert.equal(backend.detectors.face.sendCount, faceSent + 4);
+  assert.equal(backend.detectors.hands.sendCount, handsSent + 4);
+  assert.ok(images.every(image => image.tagName === 'video'));
+  assert.ok(level < 6);
+  assert.equal(tracker.governor.level, level);
+});
+
+test('a file frame that fails to load pauses playback and is reported once', async () => {
+  const { tracker, environment, inputSource } = await createTracker(undefined, { inputSource: { kind: 'video', isLive: false } });
+  const errors = [];
+  tracker.on('error', error => errors.push(error));
+  inputSource.advance = async () => {
+    throw new Error('Seeking to frame 2 of "clip.webm" timed out.');
+  };
+
+  await environment.runFrames(3, FRAME_MS);
+
+  assert.ok(inputSource.paused);
+  assert.deepEqual(errors.map(error => error.message), ['Seeking to frame 2 of "clip.webm" timed out.']);
+  assert.ok(environment.getElementById('error-modal'));
+});
+
+test('an unknown performance goal is rejected without changing anything', async () => {
+  const { tracker } = await createTracker();
+
+  tracker.setPerformanceGoal('turbo');
+  assert.equal(tracker.governor.goal, 'smooth');
+
+  tracker.setPerformanceGoal('accuracy');
+  assert.equal(tracker.getPerformance().goal, 'accuracy');
+});
+
+test('steps to live music are only scored while the song plays or the microphone listens', async () => {
+  const { tracker, environment } = await createTracker();
+  const beats = tracker.beatTracker;
+  beats.audioContext = { currentTime: 10 };
+  beats.mode = 'file';
+  beats.period = 0.5;
+  beats.beats = Array.from({ length: 60 }, (_, index) => index * 0.5);
+  beats.playOffset = 4;
+  const step = () => tracker.onStepEvent({ type: 'step', foot: 'left', count: 1, time: environment.now() });
+
+  // Paused, and not started, the music clock stands still
+  step();
+  assert.equal(tracker.timingScorer.results.length, 0);
+
+  beats.playing = true;
+  beats.playStartTime = 6;
+  step();
+  assert.equal(tracker.timingScorer.results.length, 1);
+  assert.equal(tracker.timingScorer.results[0].beatIndex, 8);
+
+  beats.playing = false;
+  step();
+  assert.equal(tracker.timingScorer.results.length, 1);
+
+  beats.mode = 'mic';
+  step();
+  assert.equal(tracker.timingScorer.results.length, 2);
+});
+
+test('in partner mode each dancer has a Pose of their own', async () => {
+  const { tracker, environment } = await createTracker();
+  const single = tracker.pose;
+  tracker.setPartnerMode(true);
+  await environment.runFrames(3, FRAME_MS);
+
+  const { leader, follower } = tracker.partnerPoses;
+  assert.notEqual(leader, follower);
+  assert.notEqual(leader, single);
+  assert.equal(leader.sendCount, 3);
+  assert.equal(follower.sendCount, 3);
+  assert.equal(leader.options.smoothLandmarks, false);
+
+  tracker.settings.set('trackingConfidence', 0.45);
+  assert.deepEqual([single, leader, follower].map(pose => pose.options.minTrackingConfidence), [0.45, 0.45, 0.45]);
+
+  // Swapping roles keeps each detector on its dancer
+  tracker.swapPartnerRoles();
+  assert.equal(tracker.partnerPoses.leader, follower);
+
+  tracker.setPartnerMode(false);
+  assert.deepEqual(tracker.partnerPoses, {});
+  assert.equal(leader.closed, true);
+  assert.equal(follower.closed, true);
+});
+
+test('stopping playback while a frame is in flight leaves a single tracking loop', async () => {
+  const { tracker, environment, backend } = await createTracker();
+  const pose = backend.detectors.pose;
+  const send = pose.send.bind(pose);
+  let release;
+  pose.send = () => new Promise(resolve => { release = resolve; });
+
+  // The loop is stuck awaiting Pose when playback starts and stops again
+  const running = environment.runFrame(FRAME_MS);
+  await settle();
+  pose.send = send;
+  tracker.playSession({ frames: cannedFrames(3), width: 640, height: 480 });
+  tracker.stopSessionPlayback();
+  release();
+  await running;
+
+  await environment.runFrames(3, FRAME_MS);
+  assert.equal(environment.frameCallbacks.length, 1);
+  assert.ok(tracker.isTracking);
+});
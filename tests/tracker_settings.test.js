@@ -0,0 +1,211 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts, createTracker, standingPose } = require('./helpers');
+
+const { TrackerSettings, TRACKER_SETTINGS } = loadScripts();
+
+const FRAME_MS = 34;
+
+class MemoryStorage {
+  constructor(items = {}) {
+    this.items = { ...items };
+  }
+
+  getItem(key) {
+    return key in this.items ? this.items[key] : null;
+  }
+
+  setItem(key, value) {
+    this.items[key] = String(value);
+  }
+
+  removeItem(key) {
+    delete this.items[key];
+  }
+}
+
+test('settings start at the tracker\'s built-in values', () => {
+  const settings = new TrackerSettings();
+
+  assert.equal(settings.get('detectionConfidence'), 0.3);
+  assert.equal(settings.get('poseComplexity'), 'auto');
+  assert.equal(settings.get('refineLandmarks'), false);
+  assert.deepEqual(settings.cameraSize(), { width: 640, height: 480 });
+  assert.equal(Object.keys(settings.getAll()).length, Object.keys(TRACKER_SETTINGS).length);
+  assert.throws(() => settings.get('shoeSize'), /Unknown setting/);
+});
+
+test('changed settings are saved and restored; defaults are not stored', () => {
+  const storage = new MemoryStorage();
+  const settings = new TrackerSettings({ storage });
+
+  settings.update({ detectionConfidence: '0.55', poseComplexity: '2', poseColor: '#ff00ff' });
+  settings.set('faceColor', '#FFD700');
+
+  assert.deepEqual(JSON.parse(storage.items['bachatabot-settings']), { detectionConfidence: 0.55, poseComplexity: 2, poseColor: '#FF00FF' });
+
+  const restored = new TrackerSettings({ storage });
+  assert.equal(restored.get('detectionConfidence'), 0.55);
+  assert.equal(restored.get('poseComplexity'), 2);
+  assert.equal(restored.get('poseColor'), '#FF00FF');
+});
+
+test('URL parameters override saved values for the visit without being saved', () => {
+  const storage = new MemoryStorage({ 'bachatabot-settings': JSON.stringify({ maxNumHands: 1 }) });
+  const originalWarn = console.warn;
+  const warnings = [];
+  console.warn = (message) => warnings.push(message);
+
+  let settings;
+  try {
+    settings = new TrackerSettings({ storage, search: '?maxNumHands=2&refineLandmarks=1&targetFps=fast&assets=cdn' });
+  } finally {
+    console.warn = originalWarn;
+  }
+
+  assert.equal(settings.get('maxNumHands'), 2);
+  assert.equal(settings.get('refineLandmarks'), true);
+  assert.equal(settings.get('targetFps'), 30);
+  assert.ok(settings.isOverridden('maxNumHands'));
+  assert.equal(warnings.length, 1);
+  assert.deepEqual(JSON.parse(storage.items['bachatabot-settings']), { maxNumHands: 1 });
+
+  // Choosing a value on the page replaces the URL's
+  settings.set('refineLandmarks', false);
+  assert.ok(!settings.isOverridden('refineLandmarks'));
+  assert.equal(settings.get('refineLandmarks'), false);
+});
+
+test('values are checked and numbers kept in range', () => {
+  const settings = new TrackerSettings();
+
+  settings.set('trackingConfidence', 5);
+  assert.equal(settings.get('trackingConfidence'), 0.9);
+  assert.throws(() => settings.set('cameraResolution', '4000x3000'), /Invalid value "4000x3000"/);
+  assert.throws(() => settings.set('poseColor', 'green'), /Invalid value/);
+  assert.throws(() => settings.update({ faceColor: '#000000', refineLandmarks: 'maybe' }), /refineLandmarks/);
+  // Nothing from a rejected update is applied
+  assert.equal(settings.get('faceColor'), '#FFD700');
+});
+
+test('saved values that are no longer valid are ignored', () => {
+  const storage = new MemoryStorage({ 'bachatabot-settings': JSON.stringify({ poseComplexity: 7, oldSetting: 1, faceColor: '#112233' }) });
+
+  const settings = new TrackerSettings({ storage });
+
+  assert.equal(settings.get('poseComplexity'), 'auto');
+  assert.equal(settings.get('faceColor'), '#112233');
+  assert.equal(new TrackerSettings({ storage: new MemoryStorage({ 'bachatabot-settings': '{broken' }) }).get('faceColor'), '#FFD700');
+});
+
+test('listeners hear only about values that changed, and reset reports what it restored', () => {
+  const storage = new MemoryStorage();
+  const settings = new TrackerSettings({ storage, search: '?targetFps=20' });
+  const changes = [];
+  settings.onChange(change => changes.push(change));
+
+  settings.update({ detectionConfidence: 0.3, trackingConfidence: 0.5 });
+  settings.set('trackingConfidence', 0.5);
+  settings.reset();
+
+  assert.deepEqual(changes, [{ trackingConfidence: 0.5 }, { trackingConfidence: 0.3, targetFps: 30 }]);
+  assert.deepEqual(storage.items, {});
+});
+
+test('the share link carries every non-default value', () => {
+  const settings = new TrackerSettings({ search: '?cameraResolution=1280x720' });
+  settings.set('secondHandColor', '#0000ff');
+
+  const query = settings.toQueryString();
+
+  assert.equal(query, 'cameraResolution=1280x720&secondHandColor=%230000FF');
+  assert.deepEqual(new TrackerSettings({ search: `?${query}` }).getAll(), settings.getAll());
+});
+
+test('the tracker starts its detectors and camera with the settings', async () => {
+  const settings = new TrackerSettings({ search: '?detectionConfidence=0.6&handsComplexity=1&maxNumHands=1&refineLandmarks=true' });
+  const { tracker, backend } = await createTracker(undefined, { settings });
+
+  assert.equal(backend.detectors.pose.options.minDetectionConfidence, 0.6);
+  assert.equal(backend.detectors.pose.options.minTrackingConfidence, 0.3);
+  assert.equal(backend.detectors.pose.options.modelComplexity, tracker.governor.settings.poseComplexity);
+  assert.equal(backend.detectors.face.options.refineLandmarks, true);
+  assert.equal(backend.detectors.hands.options.modelComplexity, 1);
+  assert.equal(backend.detectors.hands.options.maxNumHands, 1);
+
+  tracker.setPartnerMode(true);
+  assert.equal(backend.detectors.hands.options.maxNumHands, 2);
+});
+
+test('changed settings reach the running detectors without restarting them', async () => {
+  const { tracker, backend } = await createTracker();
+  const calls = [];
+  Object.values(backend.detectors).forEach(detector => {
+    const setOptions = detector.setOptions.bind(detector);
+    detector.setOptions = (options) => {
+      calls.push([detector.module, options]);
+      setOptions(options);
+    };
+  });
+  const events = [];
+  tracker.on('settings', values => events.push(values));
+
+  tracker.settings.update({ trackingConfidence: 0.45, poseComplexity: 2 });
+
+  assert.deepEqual(calls, [
+    ['pose', { minTrackingConfidence: 0.45, modelComplexity: 2 }],
+    ['face', { minTrackingConfidence: 0.45 }],
+    ['hands', { minTrackingConfidence: 0.45 }]
+  ]);
+  assert.equal(events[0].poseComplexity, 2);
+
+  // Colors only change the drawing
+  calls.length = 0;
+  tracker.settings.set('poseColor', '#0000FF');
+  assert.deepEqual(calls, []);
+});
+
+test('a model fixed in the settings is left alone by the governor', async () => {
+  const settings = new TrackerSettings({ search: '?poseComplexity=0' });
+  const { tracker, environment, backend } = await createTracker(undefined, { settings });
+
+  // Instant frames: after three calm windows the governor steps up once
+  await environment.runFrames(95, FRAME_MS);
+
+  assert.equal(tracker.governor.level, 2);
+  assert.equal(backend.detectors.pose.options.modelComplexity, 0);
+  assert.equal(backend.detectors.hands.options.modelComplexity, 0);
+
+  // Back to auto picks up the governor's current model
+  tracker.settings.set('poseComplexity', 'auto');
+  assert.equal(backend.detectors.pose.options.modelComplexity, 1);
+});
+
+test('the frame rate setting caps the governor\'s target', async () => {
+  const { tracker } = await createTracker();
+
+  tracker.settings.set('targetFps', 15);
+
+  assert.equal(tracker.targetFps, 15);
+  assert.equal(tracker.frameInterval, 1000 / 15);
+  assert.equal(tracker.getPerformance().reason, 'FPS limit: 15');
+});
+
+test('drawing uses the colors and visibility cutoff from the settings', async () => {
+  const settings = new TrackerSettings({ search: '?poseColor=%23123456&visibilityThreshold=0.6&firstHandColor=%23AA0000' });
+  const { tracker, environment } = await createTracker(undefined, { settings });
+  const context = environment.canvas.context;
+  const landmarks = standingPose(0.25);
+  landmarks[15] = { ...landmarks[15], visibility: 0.5 };
+  const hand = Array.from({ length: 21 }, () => ({ x: 0.5, y: 0.5, z: 0 }));
+  context.calls = [];
+
+  tracker.drawPoseLandmarks(landmarks);
+  const posePoints = context.callsNamed('arc');
+  context.calls = [];
+  tracker.drawHandsLandmarks([hand]);
+
+  assert.equal(posePoints.length, 32);
+  assert.ok(posePoints.every(call => call.fillStyle === '#123456'));
+  assert.equal(context.callsNamed('arc')[0].fillStyle, '#AA0000');
+});
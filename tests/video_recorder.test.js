@@ -0,0 +1,150 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts, createTracker, HeadlessEnvironment, FakeCanvas, FakeMediaStream, cannedFrames } = require('./helpers');
+
+const { CanvasVideoRecorder, VIDEO_RECORDING_TYPES, SessionRecorder, BeatTracker, GESTURE_ACTIONS } = loadScripts();
+
+const FRAME_MS = 34;
+
+test('the best WebM type the browser records is picked', () => {
+  assert.equal(CanvasVideoRecorder.pickMimeType(() => true), VIDEO_RECORDING_TYPES[0]);
+  assert.equal(CanvasVideoRecorder.pickMimeType(type => type === 'video/webm'), 'video/webm');
+  assert.equal(CanvasVideoRecorder.pickMimeType(() => false), null);
+});
+
+test('the canvas stream is recorded with the music and stopped afterwards', async () => {
+  const environment = new HeadlessEnvironment();
+  const recorder = new CanvasVideoRecorder({ environment, fps: 25 });
+  const canvas = new FakeCanvas(640, 480);
+  const music = new FakeMediaStream([{ kind: 'audio' }]);
+
+  recorder.start(canvas, music);
+  const mediaRecorder = environment.mediaRecorders[0];
+  assert.equal(recorder.isRecording, true);
+  assert.equal(mediaRecorder.options.mimeType, 'video/webm;codecs=vp8,opus');
+  assert.equal(mediaRecorder.timeslice, 1000);
+  assert.deepEqual(mediaRecorder.stream.getTracks().map(track => track.kind), ['video', 'audio']);
+  assert.equal(mediaRecorder.stream.getVideoTracks()[0].canvas, canvas);
+  assert.equal(mediaRecorder.stream.getVideoTracks()[0].fps, 25);
+  assert.throws(() => recorder.start(canvas), /already being recorded/);
+
+  mediaRecorder.emitData('first');
+  environment.time += 2500;
+  const result = await recorder.stop();
+
+  assert.equal(recorder.isRecording, false);
+  assert.equal(result.durationMs, 2500);
+  assert.equal(result.mimeType, 'video/webm;codecs=vp8,opus');
+  assert.equal(await result.blob.text(), 'firstlast');
+  assert.equal(mediaRecorder.stream.getVideoTracks()[0].stopped, true);
+  // The music belongs to the beat tracker, which keeps playing it
+  assert.equal(music.getAudioTracks()[0].stopped, false);
+  assert.equal(await recorder.stop(), null);
+});
+
+test('recording fails clearly where the browser has no WebM recorder', () => {
+  const environment = new HeadlessEnvironment({ recordingTypes: [] });
+  const recorder = new CanvasVideoRecorder({ environment });
+
+  assert.equal(recorder.isSupported(), false);
+  assert.throws(() => recorder.start(new FakeCanvas()), /can't record video/);
+  assert.equal(recorder.isRecording, false);
+});
+
+test('the beat tracker hands out the song as it plays, or the microphone', () => {
+  const connections = [];
+  const destination = { stream: new FakeMediaStream([{ kind: 'audio' }]) };
+  const beats = new BeatTracker();
+  beats.audioContext = {
+    currentTime: 0,
+    destination: 'speakers',
+    resume() {},
+    createMediaStreamDestination: () => destination,
+    createBufferSource: () => ({ connect: (node) => connections.push(node), start() {} })
+  };
+
+  assert.equal(beats.getAudioStream(), null);
+
+  beats.mode = 'file';
+  beats.buffer = { duration: 60 };
+  assert.equal(beats.getAudioStream(), destination.stream);
+  beats.play();
+  assert.deepEqual(connections, ['speakers', destination]);
+
+  beats.mode = 'mic';
+  beats.micStream = new FakeMediaStream([{ kind: 'audio' }]);
+  assert.equal(beats.getAudioStream(), beats.micStream);
+});
+
+test('a clip counts down on the canvas, then records it with a landmark sidecar', async () => {
+  const { tracker, environment } = await createTracker(cannedFrames(20));
+  const events = [];
+  tracker.on('clip', event => events.push(event));
+  await environment.runFrames(2, FRAME_MS);
+
+  // Hold the countdown on its first second
+  let nextSecond;
+  environment.delay = () => new Promise(resolve => { nextSecond = resolve; });
+  const starting = tracker.startClip({ countdown: 3 });
+  assert.deepEqual(events, [{ state: 'countdown', countdown: 3 }]);
+  assert.ok(environment.canvas.context.callsNamed('fillText').some(call => call.args[0] === '3'));
+  assert.equal(environment.mediaRecorders.length, 0);
+
+  environment.delay = () => Promise.resolve();
+  nextSecond();
+  assert.equal(await starting, true);
+  assert.deepEqual(events.map(event => event.countdown || event.state), [3, 2, 1, 'recording']);
+  assert.equal(tracker.videoRecorder.isRecording, true);
+  assert.equal(environment.mediaRecorders[0].stream.getVideoTracks()[0].canvas, environment.canvas);
+
+  await environment.runFrames(5, FRAME_MS);
+  const clip = await tracker.stopClip();
+
+  assert.deepEqual(events.slice(-2).map(event => event.state), ['stopping', 'idle']);
+  assert.equal(events[events.length - 1].clip, clip);
+  assert.equal(await clip.video.text(), 'last');
+  assert.match(clip.filename, /^bachatabot-clip-\d+\.webm$/);
+  assert.equal(clip.landmarksFilename, clip.filename.replace('.webm', '.landmarks.json'));
+  assert.equal(clip.landmarks.frames.length, 5);
+  assert.equal(clip.landmarks.source, 'camera');
+  assert.equal(SessionRecorder.parse(SessionRecorder.serialize(clip.landmarks)).frames.length, 5);
+  assert.equal(await tracker.stopClip(), null);
+});
+
+test('stopping during the countdown cancels the clip', async () => {
+  const { tracker, environment } = await createTracker();
+  let nextSecond;
+  environment.delay = () => new Promise(resolve => { nextSecond = resolve; });
+
+  const starting = tracker.startClip();
+  assert.equal(await tracker.stopClip(), null);
+  nextSecond();
+
+  assert.equal(await starting, false);
+  assert.equal(tracker.clipCountdown, null);
+  assert.equal(environment.mediaRecorders.length, 0);
+});
+
+test('without a video recorder the clip is refused with an error', async () => {
+  const { tracker, environment } = await createTracker(cannedFrames(10), { environment: { recordingTypes: [] } });
+  const errors = [];
+  tracker.on('error', event => errors.push(event.message));
+  environment.delays = [];
+
+  assert.equal(await tracker.startClip(), false);
+  assert.deepEqual(errors, ['This browser can\'t record video.']);
+  assert.deepEqual(environment.delays, []);
+});
+
+test('clips can be started and stopped by gesture', async () => {
+  const { tracker, environment } = await createTracker();
+  environment.delays = [];
+
+  assert.ok(GESTURE_ACTIONS.toggleClip);
+  await tracker.gestureHandlers.toggleClip();
+  assert.equal(tracker.videoRecorder.isRecording, true);
+  assert.deepEqual(environment.delays, [1000, 1000, 1000]);
+
+  await tracker.gestureHandlers.toggleClip();
+  assert.equal(tracker.videoRecorder.isRecording, false);
+});
@@ -0,0 +1,267 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const { loadScripts } = require('./helpers');
+
+const { WorkerBackend } = loadScripts();
+
+// Stands in for a Web Worker: records what it is sent and replies when told to
+class FakeWorker {
+  constructor(url) {
+    this.url = url;
+    this.messages = [];
+    this.terminated = false;
+    FakeWorker.instances.push(this);
+  }
+
+  postMessage(message, transfer) {
+    this.messages.push({ message, transfer });
+  }
+
+  reply(data) {
+    this.onmessage({ data });
+  }
+
+  terminate() {
+    this.terminated = true;
+  }
+}
+FakeWorker.instances = [];
+
+// Main-thread MediaPipe class for the fallback path
+class FakePose {
+  constructor(config) {
+    this.config = config;
+    this.options = {};
+    this.sent = [];
+  }
+
+  setOptions(options) {
+    this.options = { ...this.options, ...options };
+  }
+
+  onResults(callback) {
+    this.callback = callback;
+  }
+
+  async send(inputs) {
+    this.sent.push(inputs);
+    this.callback({ poseLandmarks: [], poseWorldLandmarks: [] });
+  }
+
+  close() {}
+}
+
+globalThis.Worker = FakeWorker;
+globalThis.OffscreenCanvas = class {};
+globalThis.createImageBitmap = async (image) => ({ bitmapOf: image });
+globalThis.Pose = FakePose;
+
+const settle = () => new Promise(resolve => setImmediate(resolve));
+
+function createDetector(options) {
+  const backend = new WorkerBackend({ baseUrl: 'https://cdn.test/mp', ...options });
+  const detector = backend.createDetector('pose');
+  return { backend, detector, worker: FakeWorker.instances[FakeWorker.instances.length - 1] };
+}
+
+test('worker is told which MediaPipe script and assets to load', () => {
+  const { worker } = createDetector({ workerUrl: 'lib/worker.js' });
+
+  assert.equal(worker.url, 'lib/worker.js');
+  assert.deepEqual(worker.messages[0].message, {
+    type: 'init',
+    module: 'pose',
+    scriptUrl: 'https://cdn.test/mp/pose@0.5.1635988162/pose.js',
+    assetUrl: 'https://cdn.test/mp/pose@0.5.1635988162'
+  });
+  assert.ok(WorkerBackend.isSupported());
+});
+
+test('frames wait for the worker, then go over as transferred ImageBitmaps', async () => {
+  const { detector, worker } = createDetector();
+  const results = [];
+  detector.onResults(result => results.push(result));
+  detector.setOptions({ modelComplexity: 0 });
+
+  const sent = detector.send({ image: 'video' });
+  await settle();
+  assert.equal(worker.messages.length, 2);
+
+  worker.reply({ type: 'ready' });
+  await settle();
+  const { message, transfer } = worker.messages[2];
+  assert.deepEqual(worker.messages[1].message, { type: 'options', options: { modelComplexity: 0 } });
+  assert.equal(message.type, 'frame');
+  assert.deepEqual(message.image, { bitmapOf: 'video' });
+  assert.deepEqual(transfer, [message.image]);
+
+  worker.reply({ type: 'results', frameId: message.frameId, results: { poseLandmarks: [1] } });
+  await sent;
+  assert.deepEqual(results, [{ poseLandmarks: [1], frameId: message.frameId }]);
+});
+
+test('answers are matched to their frames by ID, whatever order they come back in', async () => {
+  const { detector, worker } = createDetector();
+  const results = [];
+  detector.onResults(result => results.push(result.poseLandmarks));
+  worker.reply({ type: 'ready' });
+
+  const first = detector.send({ image: 'crop 1' });
+  const second = detector.send({ image: 'crop 2' });
+  await settle();
+  const [one, two] = worker.messages.slice(1).map(({ message }) => message);
+
+  worker.reply({ type: 'results', frameId: two.frameId, results: { poseLandmarks: 'second' } });
+  worker.reply({ type: 'results', frameId: one.frameId, results: { poseLandmarks: 'first' } });
+  await Promise.all([first, second]);
+
+  assert.notEqual(one.frameId, two.frameId);
+  assert.deepEqual(results, ['second', 'first']);
+});
+
+test('a frame the worker does not answer in time is given up on, and its late answer dropped', async () => {
+  const { detector, worker } = createDetector({ timeoutMs: 5 });
+  const results = [];
+  detector.onResults(result => results.push(result));
+  worker.reply({ type: 'ready' });
+
+  const sent = detector.send({ image: 'video' });
+  await assert.rejects(sent, /pose inference timed out/);
+
+  const { message } = worker.messages[1];
+  worker.reply({ type: 'results', frameId: message.frameId, results: {} });
+  assert.deepEqual(results, []);
+});
+
+test('a frame error from the worker rejects just that frame', async () => {
+  const { detector, worker } = createDetector();
+  worker.reply({ type: 'ready' });
+
+  const sent = detector.send({ image: 'video' });
+  await settle();
+  worker.reply({ type: 'error', frameId: worker.messages[1].message.frameId, message: 'bad frame' });
+
+  await assert.rejects(sent, /bad frame/);
+  assert.equal(worker.terminated, false);
+});
+
+test('a worker that cannot load MediaPipe falls back to the main thread', async () => {
+  const originalWarn = console.warn;
+  console.warn = () => {};
+  const { detector, worker } = createDetector();
+  const results = [];
+
+  try {
+    detector.setOptions({ minDetectionConfidence: 0.3 });
+    detector.onResults(result => results.push(result));
+    worker.reply({ type: 'error', message: 'document is not defined' });
+  } finally {
+    console.warn = originalWarn;
+  }
+  await detector.send({ image: 'video' });
+
+  assert.ok(worker.terminated);
+  assert.ok(detector.fallback instanceof FakePose);
+  assert.equal(detector.fallback.options.minDetectionConfidence, 0.3);
+  assert.equal(detector.fallback.config.locateFile('pose.tflite'), 'https://cdn.test/mp/pose@0.5.1635988162/pose.tflite');
+  assert.deepEqual(detector.fallback.sent, [{ image: 'video' }]);
+  assert.equal(results.length, 1);
+});
+
+test('a worker that never gets ready is replaced by the main thread', async () => {
+  const originalWarn = console.warn;
+  const warnings = [];
+  console.warn = (message) => warnings.push(message);
+  const { detector, worker } = createDetector({ readyTimeoutMs: 20 });
+  detector.onResults(() => {});
+
+  try {
+    assert.equal(detector.offThread, true);
+    await detector.send({ image: 'video' });
+  } finally {
+    console.warn = originalWarn;
+  }
+
+  assert.ok(worker.terminated);
+  assert.match(warnings[0], /pose worker unavailable \(not ready after 20 ms\)/);
+  assert.deepEqual(detector.fallback.sent, [{ image: 'video' }]);
+  assert.equal(detector.offThread, false);
+});
+
+test('closing rejects frames still waiting on the worker', async () => {
+  const { detector, worker } = createDetector();
+  worker.reply({ type: 'ready' });
+
+  const sent = detector.send({ image: 'video' });
+  await settle();
+  detector.close();
+
+  await assert.rejects(sent, /closed/);
+  assert.ok(worker.terminated);
+  await assert.rejects(detector.send({ image: 'video' }), /closed/);
+});
+
+// The worker script itself, run in a sandbox with a fake MediaPipe class
+function loadWorkerScript() {
+  const posted = [];
+  const closed = [];
+  const sandbox = {
+    postMessage: (message) => posted.push(message),
+    importScripts: (url) => {
+      if (url === 'asset_manifest.js') {
+        vm.runInContext(fs.readFileSync(path.join(__dirname, '..', 'js', 'asset_manifest.js'), 'utf8'), sandbox);
+        return;
+      }
+      sandbox.importedUrl = url;
+      sandbox.Pose = class {
+        constructor(config) { this.config = config; }
+        setOptions(options) { sandbox.options = options; }
+        onResults(callback) { this.callback = callback; }
+        async initialize() {}
+        async send({ image }) {
+          this.callback({ image, poseLandmarks: [image.id], poseWorldLandmarks: null, segmentationMask: {} });
+        }
+      };
+    }
+  };
+  sandbox.self = sandbox;
+  vm.createContext(sandbox);
+  vm.runInContext(fs.readFileSync(path.join(__dirname, '..', 'js', 'inference_worker.js'), 'utf8'), sandbox);
+
+  const bitmap = (id) => ({ id, close: () => closed.push(id) });
+  return { sandbox, posted, closed, bitmap };
+}
+
+test('inference worker loads the module, runs frames in order and sends back landmarks only', async () => {
+  const { sandbox, posted, closed, bitmap } = loadWorkerScript();
+  const send = (data) => sandbox.onmessage({ data });
+
+  send({ type: 'init', module: 'pose', scriptUrl: 'https://cdn.test/pose.js', assetUrl: 'https://cdn.test' });
+  send({ type: 'options', options: { modelComplexity: 0 } });
+  send({ type: 'frame', frameId: 7, image: bitmap('a') });
+  send({ type: 'frame', frameId: 8, image: bitmap('b') });
+  await settle();
+
+  assert.equal(sandbox.importedUrl, 'https://cdn.test/pose.js');
+  assert.deepEqual(sandbox.options, { modelComplexity: 0 });
+  assert.deepEqual(posted.map(message => [message.type, message.frameId]), [['ready', undefined], ['results', 7], ['results', 8]]);
+  assert.deepEqual(posted[1].results.poseLandmarks, ['a']);
+  assert.equal(posted[1].results.image, undefined);
+  assert.deepEqual(closed, ['a', 'b']);
+});
+
+test('inference worker reports a module it cannot load, and frames sent without one', async () => {
+  const { sandbox, posted, closed, bitmap } = loadWorkerScript();
+  const send = (data) => sandbox.onmessage({ data });
+
+  send({ type: 'init', module: 'face', scriptUrl: 'https://cdn.test/face_mesh.js', assetUrl: 'https://cdn.test' });
+  send({ type: 'frame', frameId: 1, image: bitmap('a') });
+  await settle();
+
+  assert.deepEqual(posted.map(message => [message.type, message.frameId]), [['error', undefined], ['error', 1]]);
+  assert.match(posted[0].message, /face detector is not available/);
+  assert.deepEqual(closed, ['a']);
+});